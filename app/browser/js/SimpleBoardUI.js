@@ -5,6 +5,9 @@
 
 var $ = require('jquery');
 var model = require('../../../lib/model.js');
+var gnubg = require('../../../lib/gnubg.js');
+var replay = require('../../../lib/replay.js');
+var PipCount = require('../../../lib/pips.js').PipCount;
 require('../bower_components/oh-snap/ohsnap.js');
 var BootstrapDialog = require('../bower_components/bootstrap3-dialog/dist/js/bootstrap-dialog.min.js');
 
@@ -29,6 +32,43 @@ function SimpleBoardUI(client) {
    */
   this.rule = null;
 
+  /**
+   * Replay of a recorded game, shown instead of the current game.
+   * Null if not in replay mode.
+   * @type {Replay}
+   */
+  this.replay = null;
+
+  /**
+   * Type of pieces shown at the bottom of the board during replay
+   * @type {PieceType}
+   */
+  this.replayViewType = model.PieceType.WHITE;
+
+  /**
+   * Timer used to play turns of replay automatically
+   */
+  this.replayTimer = null;
+
+  /**
+   * Hints received for current turn. Null if no hints are shown.
+   * @type {Array}
+   */
+  this.hints = null;
+
+  /**
+   * Turn and move sequence of game when hints were received
+   * @type {{turnNumber: number, moveSequence: number}}
+   */
+  this.hintContext = null;
+
+  /**
+   * Board state with the moves of a hint played, shown instead of the
+   * current game state. Null if no hint is being previewed.
+   * @type {State}
+   */
+  this.hintState = null;
+
   this.init = function () {
     this.container = $('#' + this.client.config.containerID);
     this.container.append($('#tmpl-board').html());
@@ -86,6 +126,34 @@ function SimpleBoardUI(client) {
     this.notifyOhSnap(message, {color: 'red', duration: timeout});
   };
 
+  /**
+   * Get type of pieces of the player at the bottom of the board - the
+   * player using this UI, or the point of view chosen for replay.
+   * @returns {PieceType} - Piece type
+   */
+  this.getViewPieceType = function () {
+    if (this.replay) {
+      return this.replayViewType;
+    }
+    return this.client.player.currentPieceType;
+  };
+
+  /**
+   * Get board state shown - state of the replayed game during replay,
+   * state with hint moves played during hint preview, state of current
+   * game otherwise
+   * @returns {State} - Board state
+   */
+  this.getBoardState = function () {
+    if (this.replay) {
+      return this.replay.state;
+    }
+    if (this.hintState) {
+      return this.hintState;
+    }
+    return this.match.currentGame.state;
+  };
+
   this.getPointElem = function (pos) {
     return $('#point' + pos);
   };
@@ -111,7 +179,7 @@ function SimpleBoardUI(client) {
   };
   
   this.getBarElem = function (type) {
-    var barID = (type === this.client.player.currentPieceType) ? 'top-bar' : 'bottom-bar';
+    var barID = (type === this.getViewPieceType()) ? 'top-bar' : 'bottom-bar';
     var bar = $('#' + barID);
     return bar;
   };
@@ -143,6 +211,14 @@ function SimpleBoardUI(client) {
     var game = self.match.currentGame;
         
     console.log('mousedown click', game);
+
+    // Clicking the board during hint preview goes back to current position
+    if (self.hintState) {
+      self.closeHints();
+      e.preventDefault();
+      return;
+    }
+
     if (!model.Game.hasMoreMoves(game)) {
       return;
     }
@@ -172,6 +248,12 @@ function SimpleBoardUI(client) {
     var self = e.data;
     var game = self.match.currentGame;
 
+    if (self.hintState) {
+      self.closeHints();
+      e.preventDefault();
+      return;
+    }
+
     if (!model.Game.hasMoreMoves(game)) {
       return;
     }
@@ -218,12 +300,116 @@ function SimpleBoardUI(client) {
       self.client.reqUndoMoves();
     });
     
+    $('#btn-double').unbind('click');
+    $('#btn-double').click(function (e) {
+      self.client.reqOfferDouble();
+    });
+
+    $('#btn-accept-double').unbind('click');
+    $('#btn-accept-double').click(function (e) {
+      self.client.reqAcceptDouble();
+    });
+
+    $('#btn-beaver-double').unbind('click');
+    $('#btn-beaver-double').click(function (e) {
+      self.client.reqBeaverDouble();
+    });
+
+    $('#btn-reject-double').unbind('click');
+    $('#btn-reject-double').click(function (e) {
+      self.client.reqRejectDouble();
+    });
+
+    $('#btn-hint').unbind('click');
+    $('#btn-hint').click(function (e) {
+      self.requestHints();
+    });
+
+    $('#btn-hint-close').unbind('click');
+    $('#btn-hint-close').click(function (e) {
+      self.closeHints();
+    });
+    
     $('#menu-undo').unbind('click');
     $('#menu-undo').click(function (e) {
       $('.navbar').collapse('hide');
       self.client.reqUndoMoves();
     });
     
+    $('#menu-position-id').unbind('click');
+    $('#menu-position-id').click(function (e) {
+      // Text is copied to clipboard by clipboard.js
+      e.preventDefault();
+      $('.navbar').collapse('hide');
+      self.notifyInfo('Copied <b>' + $(this).attr('data-clipboard-text') + '</b> to clipboard.', 5000);
+    });
+    
+    $('#menu-replay').unbind('click');
+    $('#menu-replay').click(function (e) {
+      e.preventDefault();
+      $('.navbar').collapse('hide');
+      self.chooseReplayGame();
+    });
+
+    $('#btn-replay-game').unbind('click');
+    $('#btn-replay-game').click(function (e) {
+      self.startReplay(self.match, self.match.games.length - 1);
+    });
+
+    $('#btn-game-analysis').unbind('click');
+    $('#btn-game-analysis').click(function (e) {
+      self.showGameAnalysis(self.match.games.length - 1);
+    });
+
+    $('#btn-game-continue').unbind('click');
+    $('#btn-game-continue').click(function (e) {
+      $('#game-result-overlay').hide();
+    });
+
+    $('#btn-replay-first').unbind('click');
+    $('#btn-replay-first').click(function (e) {
+      self.jumpReplayTo(0);
+    });
+
+    $('#btn-replay-back').unbind('click');
+    $('#btn-replay-back').click(function (e) {
+      self.stepReplayBack();
+    });
+
+    $('#btn-replay-play').unbind('click');
+    $('#btn-replay-play').click(function (e) {
+      self.toggleReplayAutoplay();
+    });
+
+    $('#btn-replay-forward').unbind('click');
+    $('#btn-replay-forward').click(function (e) {
+      self.stepReplayForward();
+    });
+
+    $('#btn-replay-last').unbind('click');
+    $('#btn-replay-last').click(function (e) {
+      self.jumpReplayTo(self.replay.getTurnCount());
+    });
+
+    $('#replay-turn').unbind('change');
+    $('#replay-turn').change(function (e) {
+      self.jumpReplayTo(parseInt($(this).val(), 10));
+    });
+
+    $('#replay-speed').unbind('change');
+    $('#replay-speed').change(function (e) {
+      // Restart autoplay with new speed
+      if (self.replayTimer) {
+        self.stopReplayAutoplay();
+        self.toggleReplayAutoplay();
+      }
+    });
+
+    $('#btn-replay-close').unbind('click');
+    $('#btn-replay-close').click(function (e) {
+      self.stopReplay();
+    });
+    
     $('#menu-resign').unbind('click');
     $('#menu-resign').click(function (e) {
       // Ask player if they want to resign from current game only
@@ -329,7 +515,7 @@ function SimpleBoardUI(client) {
       
     */
     
-    var pieceType = this.client.player.currentPieceType;
+    var pieceType = this.getViewPieceType();
     var i;
     var k;
     var typeClass;
@@ -379,8 +565,8 @@ function SimpleBoardUI(client) {
     for (var i = 0; i < 24; i++) {
       this.compactPosition(i);
     }
-    this.compactElement(this.getBarElem(model.PieceType.WHITE), this.client.player.currentPieceType === model.PieceType.WHITE ? 'top' : 'bottom');
-    this.compactElement(this.getBarElem(model.PieceType.BLACK), this.client.player.currentPieceType === model.PieceType.BLACK ? 'top' : 'bottom');
+    this.compactElement(this.getBarElem(model.PieceType.WHITE), this.getViewPieceType() === model.PieceType.WHITE ? 'top' : 'bottom');
+    this.compactElement(this.getBarElem(model.PieceType.BLACK), this.getViewPieceType() === model.PieceType.BLACK ? 'top' : 'bottom');
   };
   
   /**
@@ -436,7 +622,7 @@ function SimpleBoardUI(client) {
     var pointElement = this.getPointElem(pos);
     var alignment;
     
-    if (this.client.player.currentPieceType === model.PieceType.BLACK) {
+    if (this.getViewPieceType() === model.PieceType.BLACK) {
       alignment = ((pos >= 0) && (pos <= 11)) ? 'top' : 'bottom';
     }
     else {
@@ -447,12 +633,12 @@ function SimpleBoardUI(client) {
   };
 
   this.createPieces = function () {
-    var game = this.match.currentGame;
+    var state = this.getBoardState();
     var i, pos;
     var b;
     
-    for (pos = 0; pos < game.state.points.length; pos++) {
-      var point = game.state.points[pos];
+    for (pos = 0; pos < state.points.length; pos++) {
+      var point = state.points[pos];
       for (i = 0; i < point.length; i++) {
         var pointElem = this.getPointElem(pos);
         this.createPiece(pointElem, point[i], 0);
@@ -461,8 +647,8 @@ function SimpleBoardUI(client) {
     }
     
     
-    for (b = 0; b < game.state.bar.length; b++) {
-      var bar = game.state.bar[b];
+    for (b = 0; b < state.bar.length; b++) {
+      var bar = state.bar[b];
       for (i = 0; i < bar.length; i++) {
         var piece = bar[i];
         var barElem = this.getBarElem(piece.type);
@@ -478,10 +664,9 @@ function SimpleBoardUI(client) {
   };
 
   this.removePieces = function () {
-    var game = this.match.currentGame;
+    var state = this.getBoardState();
     
-    for (var pos = 0; pos < game.state.points.length; pos++) {
-      var point = game.state.points[pos];
+    for (var pos = 0; pos < state.points.length; pos++) {
       var pointElem = this.getPointElem(pos);
       pointElem.empty();
     }
@@ -496,6 +681,10 @@ function SimpleBoardUI(client) {
    * @param {Rule} rule - Rule
    */
   this.resetBoard = function (match, rule) {
+    // Board of current game replaces any replay or hint shown
+    this.endReplay();
+    this.endHints();
+
     this.match = match;
     this.rule = rule;
 
@@ -522,6 +711,50 @@ function SimpleBoardUI(client) {
     this.notifyInfo('Player undid last move.');
   };
   
+  /**
+   * Show the result of the opening roll, that decided who starts the game
+   * @param {Object} params - Event parameters
+   * @param {number[]} params.values - Die values, indexed by piece type
+   * @param {Player} params.player - Player that starts the game
+   */
+  this.handleEventOpeningRoll = function (params) {
+    var yourvalue = params.values[this.client.player.currentPieceType];
+    var oppvalue = params.values[(this.client.player.currentPieceType === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE];
+    var message = 'Opening roll: <b>You ' + yourvalue + '</b> / ' + oppvalue + ' Opponent';
+    
+    if (params.rolls && params.rolls.length > 1) {
+      message += ' (' + (params.rolls.length - 1) + ' tie(s) rerolled)';
+    }
+    
+    if (params.player.id === this.client.player.id) {
+      this.notifyPositive(message + '. You start.', 5000);
+    }
+    else {
+      this.notifyInfo(message + '. Opponent starts.', 5000);
+    }
+  };
+  
+  this.handleEventDoubleOffer = function () {
+    var value = this.match.currentGame.cubeValue * 2;
+    this.notifyInfo('Opponent offers a double to <b>' + value + '</b>.', 5000);
+    if (this.match.hints !== false) {
+      this.requestCubeAdvice();
+    }
+  };
+  
+  this.handleEventDoubleAccept = function () {
+    this.notifyPositive('Opponent accepted the double.');
+  };
+  
+  this.handleEventDoubleBeaver = function () {
+    var value = this.match.currentGame.cubeValue;
+    this.notifyNegative('Opponent beavered the double. Cube is at <b>' + value + '</b>.', 5000);
+  };
+  
+  this.handleEventGameAnalysis = function () {
+    this.updateAnalysisButton();
+  };
+
   this.handleEventGameRestart = function () {
     var yourscore = this.match.score[this.client.player.currentPieceType];
     var oppscore = this.match.score[this.client.otherPlayer.currentPieceType];
@@ -547,24 +780,76 @@ function SimpleBoardUI(client) {
 
   this.updateControls = function () {
 
-    if ((!this.match) || (!this.match.currentGame)) {
+    if ((!this.match) || (!this.match.currentGame) || this.replay) {
       $('#btn-roll').hide();
+      $('#btn-hint').hide();
       $('#btn-confirm').hide();
       $('#btn-undo').hide();
+      $('#btn-double').hide();
+      $('#btn-accept-double').hide();
+      $('#btn-reject-double').hide();
+      $('#btn-beaver-double').hide();
+      $('#cube-advice').hide();
+      $('#cube').hide();
       $('#menu-resign').hide();
       $('#menu-undo').hide();
+      $('#menu-position-id').hide();
+      $('#menu-replay').toggle((this.match != null) && (this.match.games.length > 0) && (!this.replay));
+      if (this.replay) {
+        this.updateReplayControls();
+      }
       return;
     }
     
     var game = this.match.currentGame;
 
-    $('#btn-roll').toggle(
+    // Hints are only valid for the position they were received for
+    if (this.hints && (
+        (!model.Game.isPlayerTurn(game, this.client.player)) ||
+        (game.turnNumber !== this.hintContext.turnNumber) ||
+        (game.moveSequence !== this.hintContext.moveSequence))) {
+      this.closeHints();
+    }
+
+    var isDoubleOffered = model.Game.isDoubleOffered(game);
+    
+    var canRoll =
       game.hasStarted &&
       (!game.isOver) &&
       model.Game.isPlayerTurn(game, this.client.player) &&
       (!model.Game.diceWasRolled(game)) &&
-      (!game.turnConfirmed)
-    );
+      (!game.turnConfirmed);
+
+    $('#btn-roll').toggle(canRoll && (!isDoubleOffered));
+
+    var canDouble = canRoll &&
+      (!isDoubleOffered) &&
+      (!game.isCrawford) &&
+      model.Game.hasCubeAccess(game, this.client.player.currentPieceType) &&
+      ((!this.rule) || (game.cubeValue * 2 <= this.rule.maxCubeValue));
+    
+    $('#btn-double').toggle(canDouble);
+    
+    var canAnswerDouble =
+      game.hasStarted &&
+      (!game.isOver) &&
+      isDoubleOffered &&
+      (game.doubleOfferedBy !== this.client.player.currentPieceType);
+    
+    $('#btn-accept-double').toggle(canAnswerDouble);
+    $('#btn-reject-double').toggle(canAnswerDouble);
+    if (!canAnswerDouble) {
+      $('#cube-advice').hide();
+    }
+    
+    var canBeaver = canAnswerDouble &&
+      this.match.beavers &&
+      model.Match.isMoneySession(this.match) &&
+      ((!this.rule) || (game.cubeValue * 4 <= this.rule.maxCubeValue));
+    
+    $('#btn-beaver-double').toggle(canBeaver);
+    
+    this.updateCube(game);
     
     var canConfirmMove =
       game.hasStarted &&
@@ -583,9 +868,23 @@ function SimpleBoardUI(client) {
     
     $('#btn-confirm').toggle(canConfirmMove);
     $('#btn-undo').toggle(canConfirmMove);
+
+    var canGetHint = canUndoMove &&
+      model.Game.hasMoreMoves(game) &&
+      (this.match.hints !== false) &&
+      (!this.hints);
+
+    $('#btn-hint').toggle(canGetHint);
     
     $('#menu-resign').toggle(game.hasStarted && (!game.isOver));
     $('#menu-undo').toggle(canUndoMove);
+    $('#menu-replay').toggle(this.match.games.length > 0);
+
+    var hasPosition = game.hasStarted && (this.rule != null) && (game.state != null) && (game.turnPlayer != null);
+    $('#menu-position-id').toggle(hasPosition);
+    if (hasPosition) {
+      $('#menu-position-id').attr('data-clipboard-text', this.getGnubgID());
+    }
 
     var showDice = game.hasStarted &&
       (!game.isOver) &&
@@ -603,20 +902,98 @@ function SimpleBoardUI(client) {
     console.log('Player:', this.client.player);
   };
   
+  /**
+   * Get current position in the format accepted by gnubg's `set gnubgid`
+   * command - Position ID and Match ID, separated by colon.
+   * @returns {string} - gnubg ID
+   */
+  this.getGnubgID = function () {
+    var game = this.match.currentGame;
+    var positionID = gnubg.Gnubg.encodePositionID(this.rule, game.state, game.turnPlayer.currentPieceType);
+    return positionID + ':' + gnubg.Gnubg.encodeMatchID(this.match);
+  };
+
+  /**
+   * Update the DOM element representing the doubling cube.
+   * The cube is shown in the middle of the bar, while nobody owns it.
+   * Otherwise it is shown at the side of its owner - player's side is
+   * at the bottom of the board.
+   * @param {Game} game - Current game
+   */
+  this.updateCube = function (game) {
+    var cubeElem = $('#cube');
+    
+    cubeElem.toggle(game.hasStarted && (!game.isOver));
+    
+    // The cube starts at 64, but its value is 1
+    var value = (game.cubeValue > 1) ? game.cubeValue : 64;
+    if (model.Game.isDoubleOffered(game)) {
+      value = game.cubeValue * 2;
+    }
+    cubeElem.find('.value').text(value);
+    
+    cubeElem.removeClass('center top bottom offered');
+    if (model.Game.isDoubleOffered(game)) {
+      cubeElem.addClass('offered');
+    }
+    
+    if (game.cubeOwner == null) {
+      cubeElem.addClass('center');
+    }
+    else if (game.cubeOwner === this.getViewPieceType()) {
+      cubeElem.addClass('bottom');
+    }
+    else {
+      cubeElem.addClass('top');
+    }
+    
+    var title = 'Doubling cube';
+    if (game.cubeOwner != null) {
+      title += (game.cubeOwner === this.getViewPieceType()) ? ' (yours)' : ' (opponent\'s)';
+    }
+    cubeElem.attr('title', title);
+  };
+  
   this.updateScoreboard = function () {
     if ((!this.match) || (!this.match.currentGame)) {
       return;
     }
     
     var isInMatch = (this.match.currentGame);
-    var matchText = (isInMatch) ?
-      'Match "' + this.rule.title + '", ' + this.match.length + '/' + this.match.length
-      :
-      'Not in match';
-    var matchTextTitle = (isInMatch) ?
-      'Playing match with length of ' + this.match.length + ' games and rule "' + this.rule.title + '"'
-      :
-      'Match has not been started';
+    var isMoneySession = model.Match.isMoneySession(this.match);
+    
+    // List the match options in effect, eg. 'Crawford game' or 'Jacoby, beavers'
+    var options = [];
+    if (isMoneySession) {
+      if (this.match.jacoby) {
+        options.push('Jacoby');
+      }
+      if (this.match.beavers) {
+        options.push('beavers');
+      }
+    }
+    else if (this.match.currentGame.isCrawford) {
+      options.push('Crawford game');
+    }
+    else if (this.match.crawford && this.match.crawfordPlayed) {
+      options.push('post-Crawford');
+    }
+    var optionsText = (options.length > 0) ? ' (' + options.join(', ') + ')' : '';
+    
+    var matchText;
+    var matchTextTitle;
+    if (!isInMatch) {
+      matchText = 'Not in match';
+      matchTextTitle = 'Match has not been started';
+    }
+    else if (isMoneySession) {
+      matchText = 'Money session "' + this.rule.title + '"' + optionsText;
+      matchTextTitle = 'Playing unlimited money session with rule "' + this.rule.title + '"' + optionsText;
+    }
+    else {
+      matchText = 'Match "' + this.rule.title + '", ' + this.match.length + ' points' + optionsText;
+      matchTextTitle = 'Playing match to ' + this.match.length + ' points with rule "' + this.rule.title + '"' + optionsText;
+    }
     $('#match-state').text(matchText);
     $('#match-state').attr('title', matchTextTitle);
     
@@ -630,6 +1007,32 @@ function SimpleBoardUI(client) {
     else {
       $('#oppscore').text('');
     }
+    
+    this.updatePipCounts();
+  };
+  
+  /**
+   * Show pip counts of both players and race status of the position shown
+   * on the board. Called after each move and undo, as the scoreboard is
+   * updated after every message.
+   */
+  this.updatePipCounts = function () {
+    if (!this.rule || !this.client.player || (!this.replay && !(this.match && this.match.currentGame))) {
+      return;
+    }
+    
+    var status = PipCount.getStatus(this.rule, this.getBoardState());
+    var yourtype = this.client.player.currentPieceType;
+    var opptype = (yourtype === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+    
+    var showPips = function (elem, type) {
+      elem.text(status.pips[type] + ' pips');
+      elem.attr('title', 'Pip count ' + status.pips[type] + ', effective pip count ' + status.effectivePips[type]);
+    };
+    showPips($('#yourpips'), yourtype);
+    showPips($('#opppips'), opptype);
+    
+    $('#race-state').toggle(status.race);
   };
   
   this.showGameEndMessage = function (winner, resigned) {
@@ -662,6 +1065,9 @@ function SimpleBoardUI(client) {
     var oppscore = this.match.score[this.client.otherPlayer.currentPieceType];
     $('.game-result .yourscore').text(yourscore);
     $('.game-result .oppscore').text(oppscore);
+
+    $('#btn-game-continue').toggle(!this.match.isOver);
+    this.updateAnalysisButton();
     
     $('.game-result .text').each(function () {
       fitText($(this));
@@ -672,6 +1078,20 @@ function SimpleBoardUI(client) {
     }
   };
 
+  /**
+   * Enable button that shows analysis of the last game when the analysis
+   * has been received from server
+   */
+  this.updateAnalysisButton = function () {
+    var games = (this.match) ? this.match.games : [];
+    var ready = (games.length > 0) && (games[games.length - 1].analysis != null);
+    $('#btn-game-analysis')
+      .prop('disabled', !ready)
+      .attr('title', ready ?
+        'Show errors and luck of both players in the game that has finished' :
+        'Game is being analyzed...');
+  };
+
   /**
    * Updates the DOM element representing the specified die (specified by index).
    * Changes CSS styles of the element.
@@ -713,7 +1133,7 @@ function SimpleBoardUI(client) {
     // Player's dice are shown in right pane.
     // Other player's dice are shown in left pane.
     var diceElem;
-    if (type === this.client.player.currentPieceType) {
+    if (type === this.getViewPieceType()) {
       diceElem = $('#dice-right');
     }
     else {
@@ -787,7 +1207,7 @@ function SimpleBoardUI(client) {
     pieceElem.detach();
     dstPointElem.append(pieceElem);
 
-    this.compactElement(srcPointElem, action.piece.type === this.client.player.currentPieceType ? 'top' : 'bottom');
+    this.compactElement(srcPointElem, action.piece.type === this.getViewPieceType() ? 'top' : 'bottom');
     this.compactPosition(dstPointElem.data('position'));
   };
   
@@ -804,7 +1224,7 @@ function SimpleBoardUI(client) {
     dstPointElem.append(pieceElem);
 
     this.compactPosition(srcPointElem.data('position'));
-    this.compactElement(dstPointElem, action.piece.type === this.client.player.currentPieceType ? 'top' : 'bottom');
+    this.compactElement(dstPointElem, action.piece.type === this.getViewPieceType() ? 'top' : 'bottom');
   };
   
   this.playBearAction = function (action) {
@@ -820,6 +1240,478 @@ function SimpleBoardUI(client) {
     this.compactPosition(srcPointElem.data('position'));
   };
   
+  /**
+   * Start replay of a finished game. Replay does not need a connection to
+   * the server - any match with game records can be replayed.
+   * @param {Match} match - Match
+   * @param {number} index - Index of game in `match.games`
+   * @param {Rule} [rule] - Rule of match. Rule of current match is used if omitted.
+   */
+  this.startReplay = function (match, index, rule) {
+    this.endReplay();
+    this.endHints();
+
+    this.match = match;
+    this.rule = rule || this.rule;
+
+    // The first game of a practice match starts from its start position
+    var initialState = null;
+    if (match.startPosition && (index === 0)) {
+      var info = match.startPosition.matchID ? gnubg.Gnubg.decodeMatchID(match.startPosition.matchID) : null;
+      var onRoll = info ? info.onRoll : model.PieceType.WHITE;
+      initialState = gnubg.Gnubg.decodePositionID(this.rule, match.startPosition.positionID, onRoll);
+    }
+
+    this.replay = new replay.Replay(this.rule, match.games[index], initialState);
+    this.replayGameIndex = index;
+    this.replayViewType = (this.client.player && (this.client.player.currentPieceType != null)) ?
+      this.client.player.currentPieceType
+      :
+      model.PieceType.WHITE;
+
+    var turnSelect = $('#replay-turn');
+    turnSelect.empty();
+    turnSelect.append($('<option>').val(0).text('Start of game ' + (index + 1)));
+    for (var i = 0; i < this.replay.getTurnCount(); i++) {
+      turnSelect.append($('<option>').val(i + 1).text(this.getReplayTurnText(this.match.games[index].history[i])));
+    }
+
+    $('#game-result-overlay').hide();
+    $('#replay-panel').show();
+
+    this.showReplayPosition();
+  };
+
+  /**
+   * Stop replay and show current game again
+   */
+  this.stopReplay = function () {
+    if (!this.replay) {
+      return;
+    }
+
+    this.removePieces();
+    this.endReplay();
+
+    if (this.match && this.match.currentGame) {
+      this.resetBoard(this.match, this.rule);
+      this.updatePipCounts();
+    }
+  };
+
+  /**
+   * Leave replay mode, without redrawing the board
+   */
+  this.endReplay = function () {
+    this.stopReplayAutoplay();
+    this.replay = null;
+    $('#replay-panel').hide();
+  };
+
+  /**
+   * Get description of a turn, as shown in replay
+   * @param {TurnRecord} turn - Turn record
+   * @returns {string} - Description, eg. `3. White 52: 13/8 13/11`
+   */
+  this.getReplayTurnText = function (turn) {
+    var player = (turn.pieceType === model.PieceType.WHITE) ? this.match.host : this.match.guest;
+    var name = (player && player.name) ? player.name : ((turn.pieceType === model.PieceType.WHITE) ? 'White' : 'Black');
+    return turn.turnNumber + '. ' + name + ' ' + turn.dice.join('') + ': ' + (turn.notation || '(no moves)');
+  };
+
+  /**
+   * Get description of the errors of a turn analyzed after the game
+   * @param {Object} analysis - Analysis of turn (see GameAnalyzer.analyzeTurn)
+   * @returns {string} - Description, eg. `blunder (-0.213), best: 13/7 10/7`.
+   *          Empty if the turn was rated good.
+   */
+  this.getTurnAnalysisText = function (analysis) {
+    if (!analysis || (analysis.rating === 'good')) {
+      return '';
+    }
+    return analysis.rating + ' (-' + analysis.equityLoss.toFixed(3) + '), best: ' + analysis.best;
+  };
+
+  /**
+   * Show analysis of a finished game - error rates and luck of both players
+   * and the turns rated doubtful, errors or blunders
+   * @param {number} index - Index of game in `match.games`
+   */
+  this.showGameAnalysis = function (index) {
+    var self = this;
+    var record = this.match.games[index];
+    var analysis = record.analysis;
+    if (!analysis) {
+      return;
+    }
+
+    var yourtype = this.client.player.currentPieceType;
+    var opptype = (yourtype === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+
+    var table = $('<table class="table table-condensed"></table>');
+    table.append('<tr><th></th><th>You</th><th>Opponent</th></tr>');
+    var addRow = function (label, getValue) {
+      table.append($('<tr></tr>')
+        .append($('<td></td>').text(label))
+        .append($('<td></td>').text(getValue(analysis.players[yourtype])))
+        .append($('<td></td>').text(getValue(analysis.players[opptype]))));
+    };
+    addRow('Error rate (millipoints per move)', function (p) { return p.errorRate.toFixed(1); });
+    addRow('Equity lost', function (p) { return p.equityLoss.toFixed(3); });
+    addRow('Doubtful / errors / blunders', function (p) { return p.doubtful + ' / ' + p.errors + ' / ' + p.blunders; });
+    addRow('Unforced moves', function (p) { return p.unforcedTurns + ' of ' + p.turns; });
+    addRow('Luck', function (p) { return ((p.luck > 0) ? '+' : '') + p.luck.toFixed(3); });
+
+    var list = $('<ul class="list-unstyled"></ul>');
+    for (var i = 0; i < analysis.turns.length; i++) {
+      var turn = analysis.turns[i];
+      if ((turn.rating === 'good') || (!record.history[i])) {
+        continue;
+      }
+      list.append($('<li></li>')
+        .addClass('rating-' + turn.rating)
+        .text(this.getReplayTurnText(record.history[i]) + ' - ' + this.getTurnAnalysisText(turn)));
+    }
+    if (list.children().length === 0) {
+      list.append($('<li></li>').text('No errors.'));
+    }
+
+    BootstrapDialog.show({
+        title: 'Analysis of game ' + (index + 1),
+        type: BootstrapDialog.TYPE_DEFAULT,
+        closable: true,
+        cssClass: 'analysis-dialog',
+        message: $('<div></div>').append(table).append(list),
+        buttons: [{
+          label: 'Replay game',
+          action: function(dialog) {
+            self.startReplay(self.match, index);
+            dialog.close();
+          }
+        }]
+    });
+  };
+
+  /**
+   * Redraw board with the position of the replay
+   */
+  this.showReplayPosition = function () {
+    this.removePieces();
+    this.removePoints();
+
+    this.createPoints();
+    this.createPieces();
+    this.compactAllPositions();
+
+    this.randomizeDiceRotation();
+    this.updateControls();
+  };
+
+  /**
+   * Play next turn of replay, moving the pieces on board
+   * @returns {boolean} - False if replay is at end of game
+   */
+  this.stepReplayForward = function () {
+    var actions = this.replay.stepForward();
+    if (!actions) {
+      return false;
+    }
+
+    this.playActions(actions);
+    this.randomizeDiceRotation();
+    this.updateControls();
+    return true;
+  };
+
+  /**
+   * Go back one turn in replay
+   */
+  this.stepReplayBack = function () {
+    this.replay.stepBack();
+    this.showReplayPosition();
+  };
+
+  /**
+   * Show position of replay after specified number of turns
+   * @param {number} position - Number of turns played
+   */
+  this.jumpReplayTo = function (position) {
+    this.replay.jumpTo(position);
+    this.showReplayPosition();
+  };
+
+  /**
+   * Start or stop playing turns of replay automatically, with the speed
+   * selected
+   */
+  this.toggleReplayAutoplay = function () {
+    if (this.replayTimer) {
+      this.stopReplayAutoplay();
+      this.updateControls();
+      return;
+    }
+
+    if (!this.replay.hasNext()) {
+      this.jumpReplayTo(0);
+    }
+
+    var self = this;
+    var interval = parseInt($('#replay-speed').val(), 10) || 1000;
+    this.replayTimer = setInterval(function () {
+      if (!self.stepReplayForward()) {
+        self.stopReplayAutoplay();
+        self.updateControls();
+      }
+    }, interval);
+
+    this.updateControls();
+  };
+
+  this.stopReplayAutoplay = function () {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+  };
+
+  /**
+   * Update replay panel, dice and cube for current position of replay
+   */
+  this.updateReplayControls = function () {
+    var turn = this.replay.getCurrentTurn();
+    var count = this.replay.getTurnCount();
+
+    $('#replay-turn').val(this.replay.position);
+    var info = turn ? 'Turn ' + this.replay.position + ' of ' + count : count + ' turns';
+    var analysis = this.replay.record.analysis;
+    if (turn && analysis) {
+      var errors = this.getTurnAnalysisText(analysis.turns[this.replay.position - 1]);
+      if (errors) {
+        info += ' - ' + errors;
+      }
+    }
+    $('#replay-info').text(info);
+    $('#btn-replay-first, #btn-replay-back').prop('disabled', this.replay.position === 0);
+    $('#btn-replay-forward, #btn-replay-last').prop('disabled', !this.replay.hasNext());
+    $('#btn-replay-play .glyphicon')
+      .toggleClass('glyphicon-play', !this.replayTimer)
+      .toggleClass('glyphicon-pause', !!this.replayTimer);
+
+    $('.dice-panel').toggle(turn != null);
+    if (turn) {
+      // Show dice of last turn as played
+      this.updateDice({ 'values': turn.dice.slice(), 'movesLeft': [] }, turn.pieceType);
+    }
+
+    var cube = this.replay.getCube();
+    this.updateCube({
+      'hasStarted': true,
+      'isOver': false,
+      'cubeValue': cube.value,
+      'cubeOwner': cube.owner,
+      'doubleOfferedBy': null
+    });
+
+    this.updatePipCounts();
+  };
+
+  /**
+   * Let player choose a finished game of current match to replay
+   */
+  this.chooseReplayGame = function () {
+    var self = this;
+    var games = this.match.games;
+
+    if (games.length === 1) {
+      this.startReplay(this.match, 0);
+      return;
+    }
+
+    var buttons = [];
+    var addButton = function (index) {
+      buttons.push({
+        label: 'Game ' + (index + 1),
+        action: function(dialog) {
+          self.startReplay(self.match, index);
+          dialog.close();
+        }
+      });
+    };
+    for (var i = 0; i < games.length; i++) {
+      addButton(i);
+    }
+
+    BootstrapDialog.show({
+        title: 'Replay game',
+        type: BootstrapDialog.TYPE_DEFAULT,
+        closable: true,
+        cssClass: 'replay-dialog',
+        buttons: buttons
+    });
+  };
+
+  /**
+   * Ask server for the best turns for the dice rolled and show them
+   */
+  this.requestHints = function () {
+    var self = this;
+    this.client.reqGetHint(undefined, function (msg, clientMsgSeq, params) {
+      if (!params.result) {
+        self.notifyError(params.errorMessage, 5000);
+        return;
+      }
+      self.showHints(params.hints);
+    });
+  };
+
+  /**
+   * Ask server to analyze the double offered by opponent and show advice
+   */
+  this.requestCubeAdvice = function () {
+    var self = this;
+    this.client.reqGetHint(undefined, function (msg, clientMsgSeq, params) {
+      if (!params.result || !params.cube) {
+        return;
+      }
+      self.showCubeAdvice(params.cube);
+    });
+  };
+
+  /**
+   * Show advice for answering a double
+   * @param {Object} analysis - Cube analysis, as received from server, from
+   *                            the point of view of the player that doubled
+   */
+  this.showCubeAdvice = function (analysis) {
+    var game = this.match.currentGame;
+    if (!model.Game.isDoubleOffered(game) ||
+        (game.doubleOfferedBy === this.client.player.currentPieceType)) {
+      return;
+    }
+
+    var percent = function (p) {
+      return (100 * p).toFixed(1) + '%';
+    };
+    var chances = 1 - analysis.probabilities.win;
+
+    var advice = $('#cube-advice');
+    advice.empty();
+    advice.append($('<b></b>').text('Advice: ' + (analysis.shouldTake ? 'take' : 'drop')));
+    advice.append($('<div></div>').text(
+      'Your chances to win: ' + percent(chances) + ', take point: ' + percent(analysis.takePoint)));
+    if (analysis.action) {
+      advice.append($('<div></div>').text('Cube action: ' + analysis.action));
+    }
+    // Equities of opponent, in points or in match winning chances
+    var format = function (equity) {
+      return analysis.isMoney ? equity.toFixed(3) : percent(equity);
+    };
+    advice.attr('title', 'Opponent equity - no double: ' + format(analysis.noDouble) +
+      ', double/take: ' + format(analysis.doubleTake) +
+      ', double/pass: ' + format(analysis.doublePass));
+    advice.show();
+  };
+
+  /**
+   * Show list of hints. The best one is previewed on the board.
+   * @param {Array} hints - Hints, as received from server (best first)
+   */
+  this.showHints = function (hints) {
+    var self = this;
+    var game = this.match.currentGame;
+
+    this.hints = hints;
+    this.hintContext = {
+      'turnNumber': game.turnNumber,
+      'moveSequence': game.moveSequence
+    };
+
+    var list = $('#hint-list');
+    list.empty();
+
+    var addItem = function (index) {
+      var hint = hints[index];
+      var value = (index === 0) ? hint.score : hint.difference;
+      var item = $('<a href="#" class="list-group-item"></a>')
+        .text((index + 1) + '. ' + (hint.notation || '(no moves)'))
+        .append($('<span class="badge"></span>').text(value.toFixed(1)));
+      if (hint.expectedRolls != null) {
+        item.attr('title', 'Expected rolls to bear off: ' + hint.expectedRolls.toFixed(2));
+      }
+      item.click(function (e) {
+        e.preventDefault();
+        self.previewHint(index);
+      });
+      list.append(item);
+    };
+    for (var i = 0; i < hints.length; i++) {
+      addItem(i);
+    }
+
+    $('#hint-panel').show();
+    this.updateControls();
+
+    if (hints.length > 0) {
+      this.previewHint(0);
+    }
+  };
+
+  /**
+   * Show position after the moves of a hint, without playing them
+   * @param {number} index - Index of hint
+   */
+  this.previewHint = function (index) {
+    var state = model.State.clone(this.match.currentGame.state);
+    var moves = this.hints[index].moves;
+
+    for (var i = 0; i < moves.length; i++) {
+      var pieces = state.pieces[moves[i].piece.type];
+      for (var p = 0; p < pieces.length; p++) {
+        if (pieces[p].id === moves[i].piece.id) {
+          this.rule.applyMoveActions(state, this.rule.getMoveActions(state, pieces[p], moves[i].steps));
+          break;
+        }
+      }
+    }
+
+    this.hintState = state;
+    this.redrawPieces();
+
+    $('#hint-list .list-group-item').removeClass('active').eq(index).addClass('active');
+  };
+
+  /**
+   * Close list of hints and show current position again
+   */
+  this.closeHints = function () {
+    var previewed = (this.hintState != null);
+    this.endHints();
+    if (previewed) {
+      this.redrawPieces();
+    }
+    this.updateControls();
+  };
+
+  /**
+   * Close list of hints, without redrawing the board
+   */
+  this.endHints = function () {
+    this.hints = null;
+    this.hintContext = null;
+    this.hintState = null;
+    $('#hint-panel').hide();
+  };
+
+  /**
+   * Recreate pieces of the board state shown
+   */
+  this.redrawPieces = function () {
+    this.removePieces();
+    this.createPieces();
+    this.compactAllPositions();
+    this.updatePipCounts();
+  };
+
   /**
    * Compact pieces after UI was resized
    */
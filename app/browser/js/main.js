@@ -61,6 +61,15 @@ this.init=function(config){
 
 var username=getICCJPlayerName();
 
+// Host of a match created with the HTTP API takes over its player
+var params=new URLSearchParams(window.location.search);
+
+if(params.get('token')){
+
+config.playerToken=params.get('token');
+
+}
+
 var client=new cl.Client(config);
 
 
@@ -113,7 +122,20 @@ client.reqCreateMatch("RuleBgCasual");
 });
 
 
-var params=new URLSearchParams(window.location.search);
+$('#btn-play-computer').off().on('click',function(){
+
+client.reqCreateMatchInviteOnly({
+
+playerName: username,
+
+opponent: 'bot',
+
+botDifficulty: $('#bot-difficulty').val()
+
+});
+
+});
+
 
 var host=params.get('host');
 
@@ -0,0 +1,348 @@
+'use strict';
+
+var comm = require('../../lib/comm.js');
+var model = require('../../lib/model.js');
+var heuristic = require('../../lib/heuristic.js');
+var engine = require('../../lib/engine.js');
+var cube = require('../../lib/cube.js');
+var search = require('../../lib/search.js');
+
+/**
+ * Computer opponent, played by the server.
+ *
+ * The bot is connected through a virtual socket, that is registered with the
+ * server like the socket of a human player. It receives the same events and
+ * replies as a human player and makes requests through `Server.handleRequest`,
+ * so that all its actions are validated by the rule, like those of any other
+ * player.
+ *
+ * After each message received the bot checks the state of its match and
+ * makes the next action, if any: it rolls the dice on its turn, submits the
+ * turn chosen by the search engine (see `Engine`) and answers double
+ * offers. The bot never offers doubles itself. Turns are searched in a
+ * worker thread (see `Search`), so that the server is not blocked.
+ *
+ * @constructor
+ * @param {Server} server - Server the bot plays on
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Name of bot player
+ * @param {number} [options.delay] - Delay before each action, in milliseconds
+ * @param {Difficulty} [options.difficulty] - Difficulty level of search engine
+ * @param {Object} [options.weights] - Weights of heuristic evaluator
+ * @param {Object} [options.evaluator] - Evaluator used by search engine. The
+ *                                       heuristic evaluator is used if omitted.
+ * @param {BearoffDatabase} [options.bearoff] - Bear-off database, used in races
+ * @param {CubeAdvisor} [options.advisor] - Advisor used to answer double offers
+ * @param {Search} [options.search] - Search used to choose turns. A search
+ *                                    of its own is created if omitted.
+ */
+function BotPlayer(server, options) {
+  var self = this;
+  options = options || {};
+
+  /**
+   * Server the bot plays on
+   * @type {Server}
+   */
+  this.server = server;
+
+  /**
+   * Name of bot player
+   * @type {string}
+   */
+  this.name = options.name || BotPlayer.DEFAULT_NAME;
+
+  /**
+   * Delay before each action, in milliseconds
+   * @type {number}
+   */
+  this.delay = (options.delay != null) ? options.delay : BotPlayer.DEFAULT_DELAY;
+
+  /**
+   * Heuristic evaluator, used by search engine if no other evaluator is given
+   * @type {HeuristicEvaluator}
+   */
+  this.evaluator = new heuristic.HeuristicEvaluator(options.weights);
+
+  /**
+   * Search engine used to choose turns
+   * @type {Engine}
+   */
+  this.engine = new engine.Engine({
+    'difficulty': options.difficulty,
+    'evaluator': options.evaluator || this.evaluator,
+    'bearoff': options.bearoff
+  });
+
+  /**
+   * Advisor used to answer double offers
+   * @type {CubeAdvisor}
+   */
+  this.advisor = options.advisor || new cube.CubeAdvisor();
+
+  /**
+   * Search used to choose turns, in a worker thread
+   * @type {Search}
+   */
+  this.search = options.search || new search.Search();
+
+  /**
+   * True while a turn is being searched or chances are estimated to answer
+   * a double
+   * @type {boolean}
+   */
+  this.searching = false;
+
+  /**
+   * Virtual socket of bot. Messages sent to it are handled by the bot.
+   * @type {Object}
+   */
+  this.socket = {
+    'id': 'bot-' + model.Utils.generateID(),
+    'handshake': { 'headers': {} },
+    'emit': function (msg, params) {
+      self.handleMessage(msg, params);
+    }
+  };
+
+  /**
+   * Timer of next action
+   * @type {Object}
+   */
+  this.timer = null;
+}
+
+/**
+ * Default name of bot players
+ * @type {string}
+ */
+BotPlayer.DEFAULT_NAME = 'Computer';
+
+/**
+ * Default delay before each action, in milliseconds
+ * @type {number}
+ */
+BotPlayer.DEFAULT_DELAY = 800;
+
+/**
+ * Connect bot to server and join match as guest player
+ * @param {Match} match - Match to join
+ * @returns {boolean} - True if bot joined the match
+ */
+BotPlayer.prototype.join = function (match) {
+  this.server.clients[this.socket.id] = this.socket;
+
+  this.request(comm.Message.CREATE_GUEST, { 'playerName': this.name });
+
+  var player = this.getPlayer();
+  if (player) {
+    player.isBot = true;
+    player.botDifficulty = this.engine.difficulty;
+  }
+
+  this.request(comm.Message.JOIN_MATCH, { 'matchID': match.id });
+
+  if (this.server.getSocketMatch(this.socket) !== match) {
+    this.leave();
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Connect bot to server as a player that has already joined a match, eg.
+ * after server state has been restored from database. The bot continues
+ * the match from its current state.
+ * @param {Match} match - Match of player
+ * @param {Player} player - Bot player
+ */
+BotPlayer.prototype.rejoin = function (match, player) {
+  this.server.clients[this.socket.id] = this.socket;
+
+  player.socketID = this.socket.id;
+  this.server.setSocketPlayer(this.socket, player);
+  this.server.setSocketMatch(this.socket, match);
+  this.server.setSocketRule(this.socket, model.Utils.loadRule(match.ruleName));
+
+  this.handleMessage(comm.Message.EVENT_MATCH_START, { 'match': match });
+};
+
+/**
+ * Disconnect bot from server
+ */
+BotPlayer.prototype.leave = function () {
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  delete this.server.clients[this.socket.id];
+};
+
+/**
+ * Get player object of bot
+ * @returns {Player} - Player, or null if bot is not connected
+ */
+BotPlayer.prototype.getPlayer = function () {
+  return this.server.getSocketPlayer(this.socket) || null;
+};
+
+/**
+ * Make request to server, the same way a client does
+ * @param {string} msg - Message ID
+ * @param {Object} [params] - Parameters of request
+ */
+BotPlayer.prototype.request = function (msg, params) {
+  this.server.handleRequest(msg, this.socket, params || {});
+};
+
+/**
+ * Handle event or reply sent to the bot by the server. The next action is
+ * made after a delay, so that requests are never made while the server is
+ * still sending messages of the previous request.
+ * A failed request is not repeated - the bot waits for the next event.
+ * @param {string} msg - Message ID
+ * @param {Object} params - Parameters of message
+ */
+BotPlayer.prototype.handleMessage = function (msg, params) {
+  var self = this;
+
+  if (params && (params.result === false)) {
+    console.log('Bot request ' + msg + ' failed: ' + params.errorMessage);
+    return;
+  }
+
+  if (this.timer) {
+    clearTimeout(this.timer);
+  }
+  this.timer = setTimeout(function () {
+    self.timer = null;
+    try {
+      self.act();
+    } catch (e) {
+      console.log(e);
+    }
+  }, this.delay);
+};
+
+/**
+ * Make next action in match, depending on its current state
+ */
+BotPlayer.prototype.act = function () {
+  var match = this.server.getSocketMatch(this.socket);
+  var rule = this.server.getSocketRule(this.socket);
+  var player = this.getPlayer();
+
+  if (!match || !player) {
+    return;
+  }
+
+  if (match.isOver) {
+    this.leave();
+    return;
+  }
+
+  var game = match.currentGame;
+  if (!game || !game.hasStarted || game.isOver) {
+    return;
+  }
+
+  var self = this;
+  var type = player.currentPieceType;
+
+  if (model.Game.isDoubleOffered(game)) {
+    if ((game.doubleOfferedBy === type) || this.searching) {
+      return;
+    }
+
+    // The double is answered only if it is still offered after estimating
+    // chances, eg. the opponent has not resigned meanwhile
+    this.searching = true;
+    this.shouldTake(rule, match, type, function (err, take) {
+      self.searching = false;
+      if (err) {
+        console.log('Bot search failed: ' + err.message);
+        return;
+      }
+      if (match.isOver || (match.currentGame !== game) || game.isOver || (!model.Game.isDoubleOffered(game)) ||
+          (self.server.getSocketMatch(self.socket) !== match)) {
+        return;
+      }
+      self.request(take ? comm.Message.ACCEPT_DOUBLE : comm.Message.REJECT_DOUBLE);
+    });
+    return;
+  }
+
+  if (!model.Game.isPlayerTurn(game, player)) {
+    return;
+  }
+
+  if (!model.Game.diceWasRolled(game)) {
+    this.request(comm.Message.ROLL_DICE);
+    return;
+  }
+
+  if (this.searching) {
+    return;
+  }
+
+  // The turn is submitted only if the game has not changed while searching,
+  // eg. the opponent has resigned
+  var turnNumber = game.turnNumber;
+  this.searching = true;
+  this.search.chooseTurn(this.engine, rule, game.state, game.turnDice.movesLeft, type, function (err, turn) {
+    self.searching = false;
+    if (err) {
+      console.log('Bot search failed: ' + err.message);
+      return;
+    }
+    if (match.isOver || (match.currentGame !== game) || game.isOver || (game.turnNumber !== turnNumber) ||
+        (self.server.getSocketMatch(self.socket) !== match)) {
+      return;
+    }
+    self.submitTurn(turn);
+  });
+};
+
+/**
+ * Submit turn chosen by search engine
+ * @param {Object} turn - Turn
+ */
+BotPlayer.prototype.submitTurn = function (turn) {
+  var moves = [];
+  for (var i = 0; turn && (i < turn.moves.length); i++) {
+    moves.push({
+      'piece': turn.moves[i].piece,
+      'steps': turn.moves[i].steps
+    });
+  }
+
+  this.request(comm.Message.SUBMIT_TURN, { 'moves': moves });
+};
+
+/**
+ * Decide whether to take a double offered. The chances of the opponent,
+ * who is on roll, are estimated by the search engine in the worker thread
+ * of the search and the decision is made by the cube advisor, taking the
+ * match score into account.
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {PieceType} type - Type of bot's pieces
+ * @param {function} callback - Called with an error, or null and true if
+ *                              the double should be taken
+ */
+BotPlayer.prototype.shouldTake = function (rule, match, type, callback) {
+  var self = this;
+  var opponentType = engine.Engine.getOpponentType(type);
+  this.search.getProbabilities(this.engine, rule, match.currentGame.state, opponentType, function (err, probabilities) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, self.advisor.analyze(rule, match, opponentType, probabilities).shouldTake);
+  });
+};
+
+module.exports = {
+  'BotPlayer': BotPlayer
+};
@@ -4,7 +4,53 @@ var config = {
     'RuleBgCasual',
     'RuleBgGulbara',
     'RuleBgTapa'
-  ]
+  ],
+  'defaultMatchLength': 5,
+  'maxMatchLength': 25,
+  // Source of dice values for new matches:
+  //   {'type': 'fair'} - provably fair values (commit-reveal, see lib/fairness.js)
+  //   {'type': 'crypto'} - unbiased values from crypto random generator
+  //   {'type': 'seeded', 'seed': 'any'} - reproducible values, for tests and replays
+  //   {'type': 'scripted', 'values': [3, 1, 6, 6]} - fixed sequence of values,
+  //                                                 followed by crypto values
+  'diceSource': {'type': 'fair'},
+  // Dice source types a player may choose when creating a match
+  'allowedDiceSources': ['fair'],
+  // Computer opponents: name of bot player, delay before each action
+  // of the bot, in milliseconds, and default difficulty level
+  // (easy, medium, hard or expert)
+  'bot': {'name': 'Computer', 'delay': 800, 'difficulty': 'medium'},
+  // Evaluator of positions used by computer opponents:
+  //   'heuristic' - weighted features of position (see lib/heuristic.js)
+  //   'neural' - neural network trained with lib/training/train_td.js, loaded
+  //              from weightsPath + ruleName + '.json'
+  'evaluator': 'heuristic',
+  'weightsPath': '../../lib/weights/',
+  // One-sided bear-off database, generated with `npm run bearoff` in lib.
+  // Used by computer players and hints in races, if the file exists.
+  'bearoffPath': '../../lib/databases/bearoff.bin',
+  // Match equity table used for cube decisions of computer players and
+  // cube hints: path to a JSON file with the table (see lib/met.js), or
+  // null for the built-in standard table
+  'matchEquityTable': null,
+  // Post-game analysis: turns of each finished game are rated by equity
+  // lost (see lib/analysis.js) and the analysis is stored in match.games
+  'analysis': {'enabled': true},
+  // Rollouts of positions started with the admin API (see lib/rollout.js):
+  // number of worker threads (null - one per CPU), default and maximum number
+  // of games per rollout, maximum number of rollouts running at once and
+  // number of finished rollouts kept for the API
+  'rollout': {'workers': null, 'trials': 1296, 'maxTrials': 20736, 'maxRunning': 1, 'maxFinished': 20},
+  // Admin API (/admin/...): requests are authorized by the token, sent in an
+  // `Authorization: Bearer` header. The API is disabled if no token is set.
+  'admin': {'token': process.env.ADMIN_TOKEN || null},
+  // HTTP API (/api/...): matches, players and rules can be read by anyone.
+  // Creating matches is authorized by the token, sent in an
+  // `Authorization: Bearer` header, and is disabled if no token is set.
+  'api': {'token': process.env.API_TOKEN || null},
+  // Hints (GET_HINT): set enabled to false to disable hints in all matches,
+  // eg. for rated play. Turns are analyzed at the difficulty level given.
+  'hints': {'enabled': true, 'difficulty': 'hard', 'count': 3, 'maxCount': 10}
 };
 
 module.exports = config;
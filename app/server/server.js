@@ -1,14 +1,30 @@
 'use strict';
 
+var fs = require('fs');
 var path = require('path');
+var crypto = require('crypto');
 var express = require('express');
 var expressServer = express();
 var http = require('http').Server(expressServer);
 var io = require('socket.io')(http);
 var comm = require('../../lib/comm.js');
 var model = require('../../lib/model.js');
+var fairness = require('../../lib/fairness.js');
+var notation = require('../../lib/notation.js');
+var gnubg = require('../../lib/gnubg.js');
+var matfile = require('../../lib/matfile.js');
 // Keep queue_manager require so random can be re-enabled later if desired.
 var queue_manager = require('./queue_manager.js');
+var bot_player = require('./bot_player.js');
+var engine = require('../../lib/engine.js');
+var heuristic = require('../../lib/heuristic.js');
+var neural = require('../../lib/neural.js');
+var bearoff = require('../../lib/bearoff.js');
+var met = require('../../lib/met.js');
+var cube = require('../../lib/cube.js');
+var analysis = require('../../lib/analysis.js');
+var rollout = require('../../lib/rollout.js');
+var search = require('../../lib/search.js');
 require('../../lib/rules/rule.js');
 
 /**
@@ -46,6 +62,103 @@ function iccjSafeDisplayName(name) {
   return name;
 }
 
+/**
+ * Read match options (length, Crawford, Jacoby, beavers, hints) from
+ * CREATE_MATCH parameters. Match length of zero creates an unlimited money
+ * session. Hints can be allowed only if they are enabled in server config.
+ */
+function parseMatchOptions(params, config) {
+  params = params || {};
+
+  var length = config.defaultMatchLength;
+  if (typeof params.matchLength !== 'undefined') {
+    length = parseInt(params.matchLength, 10);
+    if (isNaN(length) || length < 0) length = config.defaultMatchLength;
+    if (length > config.maxMatchLength) length = config.maxMatchLength;
+  }
+
+  return {
+    length: length,
+    crawford: (typeof params.crawford === 'undefined') ? true : !!params.crawford,
+    jacoby: !!params.jacoby,
+    beavers: !!params.beavers,
+    hints: config.hints.enabled && ((typeof params.hints === 'undefined') ? true : !!params.hints)
+  };
+}
+
+/**
+ * Read dice source options for a new match. Players may choose a source in
+ * CREATE_MATCH parameters, but only one of the types allowed in server config.
+ * Otherwise the default source from server config is used.
+ */
+function parseDiceSourceOptions(params, config) {
+  params = params || {};
+
+  var options = params.diceSource;
+  if (options && (config.allowedDiceSources || []).indexOf(options.type) >= 0) {
+    return options;
+  }
+
+  return config.diceSource;
+}
+
+/**
+ * Read options of a computer opponent from CREATE_MATCH parameters. A bot is
+ * requested with `opponent: 'bot'` and its difficulty level is chosen with
+ * `botDifficulty`. Returns null if no bot is requested.
+ * Throws an error if the difficulty level is not known.
+ */
+function parseBotOptions(params, config) {
+  params = params || {};
+
+  if (params.opponent !== 'bot') {
+    return null;
+  }
+
+  var options = model.Utils.shallowCopy(config.bot);
+  if (params.botDifficulty) {
+    if (!engine.Engine.DIFFICULTY_SETTINGS.hasOwnProperty(params.botDifficulty)) {
+      throw new Error('Unknown bot difficulty ' + params.botDifficulty + '!');
+    }
+    options.difficulty = params.botDifficulty;
+  }
+
+  return options;
+}
+
+/**
+ * Read start position of a practice match from CREATE_MATCH parameters.
+ * The first game of the match starts from a position given as gnubg
+ * Position ID (and optionally Match ID), instead of the opening roll.
+ * Returns null if no position is specified.
+ * Throws an error if the IDs are not valid.
+ */
+function parseStartPosition(params, rule, config) {
+  params = params || {};
+
+  if (!params.positionID) {
+    if (params.matchID) {
+      throw new Error('Match ID requires a Position ID!');
+    }
+    return null;
+  }
+
+  var positionID = String(params.positionID).trim();
+  var matchID = params.matchID ? String(params.matchID).trim() : null;
+
+  // Decode both IDs to validate them
+  var info = matchID ? gnubg.Gnubg.decodeMatchID(matchID) : null;
+  if (info && (info.length > config.maxMatchLength)) {
+    throw new Error('Match length should not exceed ' + config.maxMatchLength + '!');
+  }
+  gnubg.Gnubg.decodePositionID(rule, positionID, info ? info.onRoll : model.PieceType.WHITE);
+
+  return {
+    'positionID': positionID,
+    'matchID': matchID
+  };
+}
+
 /**
  * Backgammon server.
  */
@@ -59,6 +172,58 @@ function Server() {
 
   this.config = require('./config');
 
+  /**
+   * Dice sources of matches, indexed by match ID. Sources are kept out of
+   * match objects, so that seeds are neither sent to clients nor saved.
+   */
+  this.diceSources = {};
+
+  /**
+   * Secret server seeds of provably fair matches restored from database,
+   * indexed by match ID
+   */
+  this.restoredServerSeeds = {};
+
+  /**
+   * Secret tokens of players, indexed by token. A player is taken over
+   * (eg. after reconnecting) only with its token, as player IDs are not
+   * secret - they are sent to the opponent and are easy to guess.
+   */
+  this.playerTokens = {};
+
+  /**
+   * Evaluators of positions, indexed by rule name
+   */
+  this.evaluators = {};
+
+  /**
+   * Bear-off database, used by computer players and hints in races. It is
+   * loaded on first use, null if not available.
+   */
+  this.bearoff = undefined;
+
+  /**
+   * Advisor for doubling cube decisions, used by computer players and hints.
+   * It is created on first use.
+   */
+  this.cubeAdvisor = null;
+
+  /**
+   * Searches of hints and computer players, made in a worker thread. It is
+   * created on first use.
+   */
+  this.search = null;
+
+  /**
+   * Rollouts started with the admin API, indexed by rollout ID
+   */
+  this.rollouts = {};
+
+  /**
+   * Number of rollouts started, used to assign rollout IDs
+   */
+  this.rolloutCount = 0;
+
   /**
    * Load enabled rules.
    * ICCJ: we will force RuleBgCasual server-side even if config lists others.
@@ -83,6 +248,28 @@ function Server() {
       matches.remove();
       matches.insert(this.matches);
 
+      // Seeds of provably fair matches are secret, so they are kept apart
+      // from match records
+      var seeds = fairness.Fairness.getSecretSeeds(this.matches, this.diceSources, this.restoredServerSeeds);
+      var serverSeeds = db.collection('serverSeeds');
+      serverSeeds.remove();
+      if (seeds.length > 0) {
+        serverSeeds.insert(seeds);
+      }
+
+      // Tokens of players are secret as well
+      var tokens = [];
+      for (var token in this.playerTokens) {
+        if (this.playerTokens.hasOwnProperty(token)) {
+          tokens.push({ 'token': token, 'playerID': this.playerTokens[token] });
+        }
+      }
+      var playerTokens = db.collection('playerTokens');
+      playerTokens.remove();
+      if (tokens.length > 0) {
+        playerTokens.insert(tokens);
+      }
+
       console.log("State saved.");
     }
   };
@@ -96,9 +283,31 @@ function Server() {
       var matches = db.collection('matches');
       if (!players || !matches) return;
 
+      // Cursors are read asynchronously. Players are linked to matches when
+      // both have been read.
+      var pending = 2;
+      var linkPlayers = function () {
+        pending--;
+        if (pending > 0) return;
+
+        for (var i = 0; i < self.matches.length; i++) {
+          var match = self.matches[i];
+
+          if (match.host && match.host.id) match.host = self.getPlayerByID(match.host.id);
+          if (match.guest && match.guest.id) match.guest = self.getPlayerByID(match.guest.id);
+        }
+
+        self.restoreBotPlayers();
+
+        console.log("State restored.");
+      };
+
       var matchesCursor = matches.find();
       matchesCursor.each(function (err, item) {
-        if (item == null) return;
+        if (item == null) {
+          linkPlayers();
+          return;
+        }
 
         if (item.currentGame && item.currentGame.state) {
           model.State.rebuildRefs(item.currentGame.state);
@@ -117,18 +326,24 @@ function Server() {
 
       var playersCursor = players.find();
       playersCursor.each(function (err, item) {
-        if (item == null) return;
+        if (item == null) {
+          linkPlayers();
+          return;
+        }
         self.players.push(item);
       });
 
-      for (var i = 0; i < self.matches.length; i++) {
-        var match = self.matches[i];
-
-        if (match.host && match.host.id) match.host = self.getPlayerByID(match.host.id);
-        if (match.guest && match.guest.id) match.guest = self.getPlayerByID(match.guest.id);
-      }
+      var seedsCursor = db.collection('serverSeeds').find();
+      seedsCursor.each(function (err, item) {
+        if (item == null) return;
+        self.restoredServerSeeds[item.matchID] = item.serverSeed;
+      });
 
-      console.log("State restored.");
+      var tokensCursor = db.collection('playerTokens').find();
+      tokensCursor.each(function (err, item) {
+        if (item == null) return;
+        self.playerTokens[item.token] = item.playerID;
+      });
     }
   };
 
@@ -140,6 +355,44 @@ function Server() {
 
     expressServer.use(express.static(path.join(__dirname, '../browser')));
 
+    // Download finished games of a match in .mat format
+    expressServer.get('/matches/:id.mat', function (req, res) {
+      self.handleExportMatch(req, res);
+    });
+
+    // Admin API: rollouts of positions
+    expressServer.post('/admin/rollouts', express.json(), function (req, res) {
+      self.handleStartRollout(req, res);
+    });
+    expressServer.get('/admin/rollouts/:id', function (req, res) {
+      self.handleGetRollout(req, res);
+    });
+
+    // HTTP API: matches, players and rules, for other servers
+    expressServer.get('/api/matches', function (req, res) {
+      self.handleApiGetMatches(req, res);
+    });
+    expressServer.post('/api/matches', express.json(), function (req, res) {
+      self.handleApiCreateMatch(req, res);
+    });
+    expressServer.get('/api/matches/:id', function (req, res) {
+      self.handleApiGetMatch(req, res);
+    });
+    expressServer.get('/api/matches/:id/history', function (req, res) {
+      self.handleApiGetMatchHistory(req, res);
+    });
+    expressServer.get('/api/players/:id', function (req, res) {
+      self.handleApiGetPlayer(req, res);
+    });
+    expressServer.get('/api/rules', function (req, res) {
+      self.handleApiGetRules(req, res);
+    });
+
+    // Errors of HTTP requests (eg. malformed JSON bodies)
+    expressServer.use(function (err, req, res, next) {
+      self.handleHttpError(err, req, res, next);
+    });
+
     io.on('connection', function (socket) {
       console.log('Client connected');
       self.clients[socket.id] = socket;
@@ -164,9 +417,15 @@ function Server() {
         m.ROLL_DICE,
         m.MOVE_PIECE,
         m.CONFIRM_MOVES,
+        m.SUBMIT_TURN,
         m.UNDO_MOVES,
         m.RESIGN_GAME,
-        m.RESIGN_MATCH
+        m.RESIGN_MATCH,
+        m.OFFER_DOUBLE,
+        m.ACCEPT_DOUBLE,
+        m.REJECT_DOUBLE,
+        m.BEAVER_DOUBLE,
+        m.GET_HINT
       ];
 
       var createHandler = function (msg) {
@@ -265,6 +524,9 @@ function Server() {
     else if (msg === comm.Message.CONFIRM_MOVES) {
       reply.result = this.handleConfirmMoves(socket, params, reply);
     }
+    else if (msg === comm.Message.SUBMIT_TURN) {
+      reply.result = this.handleSubmitTurn(socket, params, reply);
+    }
     else if (msg === comm.Message.UNDO_MOVES) {
       reply.result = this.handleUndoMoves(socket, params, reply);
     }
@@ -274,11 +536,45 @@ function Server() {
     else if (msg === comm.Message.RESIGN_MATCH) {
       reply.result = this.handleResignMatch(socket, params, reply);
     }
+    else if (msg === comm.Message.OFFER_DOUBLE) {
+      reply.result = this.handleOfferDouble(socket, params, reply);
+    }
+    else if (msg === comm.Message.ACCEPT_DOUBLE) {
+      reply.result = this.handleAcceptDouble(socket, params, reply);
+    }
+    else if (msg === comm.Message.REJECT_DOUBLE) {
+      reply.result = this.handleRejectDouble(socket, params, reply);
+    }
+    else if (msg === comm.Message.BEAVER_DOUBLE) {
+      reply.result = this.handleBeaverDouble(socket, params, reply);
+    }
+    else if (msg === comm.Message.GET_HINT) {
+      reply.result = this.handleGetHint(socket, params, reply);
+    }
     else {
       console.log('Unknown message!');
       return;
     }
 
+    // Handlers that finish in the background set reply.defer, that is
+    // called with a function sending the reply when done
+    if (reply.defer) {
+      var self = this;
+      var defer = reply.defer;
+      delete reply.defer;
+      defer(function () {
+        self.sendReply(socket, msg, reply);
+      });
+      return;
+    }
+
+    this.sendReply(socket, msg, reply);
+  };
+
+  /**
+   * Send reply to a request, followed by messages to other players, if any
+   */
+  this.sendReply = function (socket, msg, reply) {
     var match = this.getSocketMatch(socket);
     if (match) reply.match = match;
 
@@ -297,6 +593,11 @@ function Server() {
   /**
    * CREATE_GUEST
    * ICCJ: accept params.playerName (display) and store on player.name (sanitized)
+   * params: { playerName?, playerToken? }
+   * - playerToken (or `player_token` cookie) takes over the player it was
+   *   issued to, eg. after reconnecting
+   * - reply.playerToken is the secret token of the player, sent only in this
+   *   reply. It is not a field of the player, so it is never sent to others.
    */
   this.handleCreateGuest = function (socket, params, reply) {
     console.log('Creating guest player');
@@ -304,17 +605,17 @@ function Server() {
     var desiredName = (params && params.playerName) ? iccjSafeDisplayName(params.playerName) : '';
 
     var player = null;
+    var token = null;
 
-    if (!this.getSocketPlayer(socket) && params && params.playerID) {
-      player = this.getPlayerByID(params.playerID);
-      if (player) player.socketID = socket.id;
+    if (!this.getSocketPlayer(socket) && params && params.playerToken) {
+      token = String(params.playerToken);
     }
     else if (socket.handshake.headers.cookie) {
       var cookieStr = socket.handshake.headers.cookie;
-      var m = cookieStr.match(/\bplayer_id=([0-9]+)/);
-      var playerID = m ? m[1] : null;
-      player = this.getPlayerByID(playerID);
+      var m = cookieStr.match(/\bplayer_token=([0-9a-f]+)/);
+      token = m ? m[1] : null;
     }
+    player = this.getPlayerByToken(token);
 
     if (player) {
       // Update name if provided
@@ -331,10 +632,14 @@ function Server() {
 
         var self = this;
         reply.sendAfter = function () {
-          self.sendPlayerMessage(player, comm.Message.EVENT_MATCH_START, { 'match': match });
+          self.sendPlayerMessage(player, comm.Message.EVENT_MATCH_START, {
+            'match': match,
+            'serverSeedHash': match.fairness ? match.fairness.serverSeedHash : null
+          });
         };
 
         reply.player = player;
+        reply.playerToken = token;
         reply.reconnected = true;
         return true;
       }
@@ -348,11 +653,35 @@ function Server() {
     this.setSocketPlayer(socket, player);
 
     reply.player = player;
+    reply.playerToken = this.createPlayerToken(player);
     reply.reconnected = false;
 
     return true;
   };
 
+  /**
+   * Create secret token of a player, used to take over the player
+   * @param {Player} player - Player
+   * @returns {string} - Token
+   */
+  this.createPlayerToken = function (player) {
+    var token = crypto.randomBytes(24).toString('hex');
+    this.playerTokens[token] = player.id;
+    return token;
+  };
+
+  /**
+   * Get player by secret token
+   * @param {string} token - Token
+   * @returns {Player} - Player, or null if token is not valid
+   */
+  this.getPlayerByToken = function (token) {
+    if (!token || !this.playerTokens.hasOwnProperty(token)) {
+      return null;
+    }
+    return this.getPlayerByID(this.playerTokens[token]);
+  };
+
   /**
    * GET_MATCH_LIST
    * ICCJ: include match.name + match.slug + match.hostSlug
@@ -380,9 +709,15 @@ function Server() {
 
   /**
    * CREATE_MATCH (invite-only)
-   * params: { playerName?, hostSlug? }
+   * params: { playerName?, hostSlug?, matchLength?, crawford?, jacoby?, beavers?, hints?,
+   *           diceSource?, positionID?, matchID?, opponent?, botDifficulty? }
    * - forces RuleBgCasual only
    * - creates (or reuses) one open match per hostSlug
+   * - matchLength of 0 creates an unlimited money session
+   * - positionID/matchID (gnubg) create a practice match that starts from that position
+   * - opponent: 'bot' seats a computer opponent as guest, botDifficulty
+   *   chooses its difficulty level (easy, medium, hard, expert)
+   * - hints: false disables hints (GET_HINT) in the match
    */
   this.handleCreateMatch = function (socket, params, reply) {
     console.log('Creating new match', params);
@@ -393,6 +728,32 @@ function Server() {
       return false;
     }
 
+    var match = this.createInviteMatch(player, params, reply);
+    if (!match) {
+      return false;
+    }
+
+    this.setSocketMatch(socket, match);
+    this.setSocketRule(socket, model.Utils.loadRule(match.ruleName));
+
+    return true;
+  };
+
+  /**
+   * Create invite match hosted by player, or reuse the open match of the
+   * host slug (see CREATE_MATCH for params). Used by CREATE_MATCH and by
+   * the HTTP API.
+   * @returns {Match} - Match, or null if params are not valid
+   */
+  this.createInviteMatch = function (player, params, reply) {
+    var botOptions;
+    try {
+      botOptions = parseBotOptions(params, this.config);
+    } catch (e) {
+      reply.errorMessage = e.message;
+      return null;
+    }
+
     // Force traditional rules only
     var ruleName = 'RuleBgCasual';
     var rule = model.Utils.loadRule(ruleName);
@@ -410,15 +771,12 @@ function Server() {
 
     if (!hostSlug) {
       reply.errorMessage = 'Host name is required.';
-      return false;
+      return null;
     }
 
     // Reuse existing open match for this hostSlug
     var existing = this.getOpenMatchByHostSlug(hostSlug);
     if (existing) {
-      this.setSocketMatch(socket, existing);
-      this.setSocketRule(socket, rule);
-
       reply.player = player;
       reply.ruleName = ruleName;
       reply.matchID = existing.id;
@@ -426,10 +784,30 @@ function Server() {
       reply.slug = existing.slug || hostSlug;
       reply.matchName = existing.name || player.name;
       reply.reused = true;
-      return true;
+      this.seatRequestedBot(existing, botOptions, reply);
+      return existing;
+    }
+
+    var startPosition;
+    try {
+      startPosition = parseStartPosition(params, rule, this.config);
+    } catch (e) {
+      reply.errorMessage = 'Invalid start position: ' + e.message;
+      return null;
+    }
+
+    var match = model.Match.createNew(rule, parseMatchOptions(params, this.config));
+    match.startPosition = startPosition;
+    if (startPosition && startPosition.matchID) {
+      match.length = gnubg.Gnubg.decodeMatchID(startPosition.matchID).length;
     }
 
-    var match = model.Match.createNew(rule);
+    try {
+      this.createDiceSource(match, parseDiceSourceOptions(params, this.config));
+    } catch (e) {
+      reply.errorMessage = e.message;
+      return null;
+    }
 
     // ICCJ metadata
     match.ruleName = ruleName;
@@ -448,9 +826,6 @@ function Server() {
     // Create game but do not start until guest joins
     model.Match.createNewGame(match, rule);
 
-    this.setSocketMatch(socket, match);
-    this.setSocketRule(socket, rule);
-
     reply.player = player;
     reply.ruleName = ruleName;
     reply.matchID = match.id;
@@ -458,7 +833,161 @@ function Server() {
     reply.slug = match.slug;
     reply.matchName = match.name;
 
-    return true;
+    this.seatRequestedBot(match, botOptions, reply);
+
+    return match;
+  };
+
+  /**
+   * Seat a computer opponent as guest of a match just created, if one was
+   * requested (see `parseBotOptions`). The bot joins after the reply to the
+   * host has been sent.
+   */
+  this.seatRequestedBot = function (match, botOptions, reply) {
+    if (!botOptions || match.guest) {
+      return;
+    }
+
+    var self = this;
+    reply.sendAfter = function () {
+      self.addBotPlayer(match, botOptions);
+    };
+  };
+
+  /**
+   * Add a computer opponent to match, as guest player. The bot plays
+   * through the same requests and events as human players.
+   * @returns {boolean} - True if the bot joined the match
+   */
+  this.addBotPlayer = function (match, botOptions) {
+    var bot = this.createBotPlayer(match, botOptions);
+    return bot.join(match);
+  };
+
+  /**
+   * Create a computer player for match, with options from server config
+   * overridden by `botOptions`
+   * @returns {BotPlayer} - Bot, not yet connected
+   */
+  this.createBotPlayer = function (match, botOptions) {
+    var options = model.Utils.shallowCopy(botOptions || this.config.bot);
+    options.evaluator = this.getEvaluator(match.ruleName);
+    options.bearoff = this.getBearoff();
+    options.advisor = this.getCubeAdvisor();
+    options.search = this.getSearch();
+
+    return new bot_player.BotPlayer(this, options);
+  };
+
+  /**
+   * Connect computer players of restored matches that are not over, so
+   * that they continue playing. Bots play at the difficulty level they
+   * were created with.
+   */
+  this.restoreBotPlayers = function () {
+    for (var i = 0; i < this.matches.length; i++) {
+      var match = this.matches[i];
+      if (match.isOver) {
+        continue;
+      }
+
+      var players = [match.host, match.guest];
+      for (var p = 0; p < players.length; p++) {
+        var player = players[p];
+        if (!player || !player.isBot) {
+          continue;
+        }
+
+        var options = model.Utils.shallowCopy(this.config.bot);
+        options.name = player.name;
+        if (player.botDifficulty) {
+          options.difficulty = player.botDifficulty;
+        }
+
+        console.log('Reconnecting bot ' + player.name + ' to match ' + match.id);
+        this.createBotPlayer(match, options).rejoin(match, player);
+      }
+    }
+  };
+
+  /**
+   * Get evaluator of positions for a rule, used by computer players.
+   * With `evaluator: 'neural'` in server config, the network trained for
+   * the rule is loaded from `weightsPath`. The heuristic evaluator is used
+   * if there is no trained network for the rule.
+   */
+  this.getEvaluator = function (ruleName) {
+    if (!this.evaluators[ruleName]) {
+      var evaluator = null;
+
+      if (this.config.evaluator === 'neural') {
+        var file = this.config.weightsPath + model.Utils.sanitizeName(ruleName) + '.json';
+        try {
+          evaluator = neural.NeuralEvaluator.fromJSON(require(file));
+        } catch (e) {
+          console.log('No trained network for rule ' + ruleName + ' (' + e.message + '). Using heuristic evaluator.');
+        }
+      }
+
+      this.evaluators[ruleName] = evaluator || new heuristic.HeuristicEvaluator();
+    }
+    return this.evaluators[ruleName];
+  };
+
+  /**
+   * Get bear-off database, loaded from `bearoffPath` in server config. The
+   * database is generated with `npm run bearoff` in `lib`.
+   * @returns {BearoffDatabase} - Database, or null if it is not available
+   */
+  this.getBearoff = function () {
+    if (this.bearoff === undefined) {
+      this.bearoff = null;
+      if (this.config.bearoffPath) {
+        var file = path.join(__dirname, this.config.bearoffPath);
+        try {
+          this.bearoff = bearoff.BearoffDatabase.fromBuffer(fs.readFileSync(file));
+        } catch (e) {
+          console.log('No bear-off database (' + e.message + '). Races are played by evaluator.');
+        }
+      }
+    }
+    return this.bearoff;
+  };
+
+  /**
+   * Get search of hints and computer players, made in a worker thread.
+   * The worker loads the bear-off database from `bearoffPath` in server config.
+   * @returns {Search} - Search
+   */
+  this.getSearch = function () {
+    if (!this.search) {
+      this.search = new search.Search({
+        'bearoffPath': this.config.bearoffPath ? path.join(__dirname, this.config.bearoffPath) : null
+      });
+    }
+    return this.search;
+  };
+
+  /**
+   * Get advisor for doubling cube decisions. The match equity table is
+   * loaded from `matchEquityTable` in server config, if set. Otherwise the
+   * built-in standard table is used.
+   * @returns {CubeAdvisor} - Cube advisor
+   */
+  this.getCubeAdvisor = function () {
+    if (!this.cubeAdvisor) {
+      var table = null;
+      if (this.config.matchEquityTable) {
+        var file = path.join(__dirname, this.config.matchEquityTable);
+        try {
+          table = met.MatchEquityTable.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (e) {
+          console.log('Cannot load match equity table (' + e.message + '). Using standard table.');
+        }
+      }
+      this.cubeAdvisor = new cube.CubeAdvisor({ 'met': table });
+    }
+    return this.cubeAdvisor;
   };
 
   /**
@@ -508,9 +1037,7 @@ function Server() {
     match.name = match.hostName + ' vs ' + match.guestName;
 
     // Start match
-    match.currentGame.hasStarted = true;
-    match.currentGame.turnPlayer = match.host;
-    match.currentGame.turnNumber = 1;
+    var opening = this.startGame(match, rule);
 
     this.setSocketMatch(socket, match);
     this.setSocketRule(socket, rule);
@@ -523,12 +1050,61 @@ function Server() {
 
     var self = this;
     reply.sendAfter = function () {
-      self.sendMatchMessage(match, comm.Message.EVENT_MATCH_START, { 'match': match });
+      self.sendMatchMessage(match, comm.Message.EVENT_MATCH_START, {
+        'match': match,
+        'serverSeedHash': match.fairness ? match.fairness.serverSeedHash : null
+      });
+      self.sendOpeningRoll(match, opening);
     };
 
     return true;
   };
 
+  /**
+   * Start current game of match. The opening roll decides which player
+   * starts the game - and, depending on rule, the dice for the first turn.
+   * The first game of a practice match starts from its start position
+   * instead - no opening roll is made and null is returned.
+   */
+  this.startGame = function (match, rule) {
+    var game = match.currentGame;
+    game.hasStarted = true;
+    game.turnNumber = 1;
+
+    if (match.startPosition && (match.games.length === 0)) {
+      gnubg.Gnubg.setupGame(rule, match, match.startPosition.positionID, match.startPosition.matchID);
+      if (model.Game.diceWasRolled(game)) {
+        model.Game.snapshotState(game);
+      }
+      return null;
+    }
+
+    var source = this.getMatchDiceSource(match);
+    source.beginRoll('');
+    var opening = rule.rollOpening(match, source);
+    source.endRoll();
+
+    // The opening roll may have set the dice for the first turn
+    if (model.Game.diceWasRolled(game)) {
+      model.Game.snapshotState(game);
+    }
+
+    return opening;
+  };
+
+  this.sendOpeningRoll = function (match, opening) {
+    if (!opening) {
+      return;
+    }
+
+    this.sendMatchMessage(match, comm.Message.EVENT_OPENING_ROLL, {
+      'match': match,
+      'values': opening.values,
+      'rolls': opening.rolls,
+      'player': match.currentGame.turnPlayer
+    });
+  };
+
   // ---- Original gameplay handlers below (UNCHANGED) ----
 
   this.handleRollDice = function (socket, params, reply) {
@@ -560,7 +1136,19 @@ function Server() {
       return false;
     }
 
-    var dice = rule.rollDice(game);
+    if (model.Game.isDoubleOffered(game)) {
+      reply.errorMessage = 'Cannot roll dice while a double is pending!';
+      return false;
+    }
+
+    // Seed contributed by the client makes provably fair dice unpredictable
+    // for the server
+    var clientSeed = (params && params.clientSeed) ? String(params.clientSeed).slice(0, 128) : '';
+
+    var source = this.getMatchDiceSource(match);
+    source.beginRoll(clientSeed);
+    var dice = rule.rollDice(game, null, source);
+    source.endRoll();
     game.turnDice = dice;
 
     model.Game.snapshotState(match.currentGame);
@@ -609,6 +1197,7 @@ function Server() {
     try {
       rule.applyMoveActions(match.currentGame.state, actionList);
       rule.markAsPlayed(match.currentGame, params.steps);
+      model.Game.addTurnMove(match.currentGame, params.piece, params.steps, actionList);
 
       match.currentGame.moveSequence++;
 
@@ -649,14 +1238,157 @@ function Server() {
       return false;
     }
 
+    this.finishTurn(socket, player, reply);
+
+    return true;
+  };
+
+  /**
+   * Add confirmed turn to game history and pass the turn to the other
+   * player - or end the game, if the player has won.
+   */
+  this.finishTurn = function (socket, player, reply) {
+    var match = this.getSocketMatch(socket);
+    var rule = this.getSocketRule(socket);
+
+    var record = notation.Notation.createTurnRecord(rule, match.currentGame, player);
+    model.Game.addTurnRecord(match.currentGame, record);
+
     if (rule.hasWon(match.currentGame.state, player)) {
       this.endGame(socket, player, false, reply);
     } else {
       rule.nextTurn(match);
-      this.sendMatchMessage(match, comm.Message.EVENT_TURN_START, { 'match': match });
+      this.sendMatchMessage(match, comm.Message.EVENT_TURN_START, {
+        'match': match,
+        'turn': record
+      });
     }
 
-    return true;
+    return record;
+  };
+
+  /**
+   * SUBMIT_TURN
+   * Play and confirm a whole turn with a single request, instead of a
+   * MOVE_PIECE request for each move followed by CONFIRM_MOVES.
+   * params: { moves?: [{ piece, steps }], notation?: string }
+   * - moves can be specified as a list of piece moves or in standard notation
+   *   (eg. '24/18 13/11*'); piece is a piece object or integer piece ID
+   * - the moves must make one of the legal turns for the dice rolled
+   * - either all moves are applied, or none
+   */
+  this.handleSubmitTurn = function (socket, params, reply) {
+    console.log('Submitting turn', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+    var game = (match) ? match.currentGame : null;
+    params = params || {};
+
+    if (!game) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!rule.validateTurn(game, player)) {
+      reply.errorMessage = 'It isn\'t your turn!';
+      return false;
+    }
+
+    if (!model.Game.diceWasRolled(game)) {
+      reply.errorMessage = 'Dice was not rolled!';
+      return false;
+    }
+
+    if (game.turnDice.movesPlayed.length > 0) {
+      reply.errorMessage = 'Some moves have already been played this turn. Undo them first!';
+      return false;
+    }
+
+    var moves = params.moves;
+    if (typeof params.notation === 'string') {
+      try {
+        moves = notation.Notation.parseTurn(rule, game.state, game.turnDice, player.currentPieceType, params.notation);
+      } catch (e) {
+        reply.errorMessage = e.message;
+        return false;
+      }
+    }
+
+    if (!Array.isArray(moves)) {
+      reply.errorMessage = 'No moves specified!';
+      return false;
+    }
+
+    // Each move should have integer steps and a piece, given as piece object
+    // or as integer piece ID
+    var validMoves = [];
+    for (var m = 0; m < moves.length; m++) {
+      var entry = moves[m];
+      var pieceID = (entry && (typeof entry.piece === 'object') && entry.piece) ? entry.piece.id : (entry && entry.piece);
+      if ((!entry) || (typeof entry !== 'object') ||
+          (!Number.isInteger(pieceID)) || (!Number.isInteger(entry.steps))) {
+        reply.errorMessage = 'Move ' + (m + 1) + ' is not valid!';
+        return false;
+      }
+      validMoves.push({ 'piece': { 'id': pieceID }, 'steps': entry.steps });
+    }
+    moves = validMoves;
+
+    var turn = rule.findLegalTurn(game.state, game.turnDice.movesLeft, player.currentPieceType, moves);
+    if (!turn) {
+      reply.errorMessage = 'Moves are not a legal turn for dice ' + game.turnDice.values.join(':') + '!';
+      return false;
+    }
+
+    // Play the moves of the legal turn found. All should be valid, but in case
+    // one is not, restore the state from start of turn.
+    var moveEvents = [];
+    var i;
+    try {
+      for (i = 0; i < turn.moves.length; i++) {
+        var move = turn.moves[i];
+
+        if (!rule.validateMove(game, player, move.piece, move.steps)) {
+          throw new Error('Move ' + (i + 1) + ' of turn is not valid!');
+        }
+
+        var actionList = rule.getMoveActions(game.state, move.piece, move.steps);
+        if (actionList.length === 0) {
+          throw new Error('Move ' + (i + 1) + ' of turn is not allowed!');
+        }
+
+        rule.applyMoveActions(game.state, actionList);
+        rule.markAsPlayed(game, move.steps);
+        model.Game.addTurnMove(game, move.piece, move.steps, actionList);
+        game.moveSequence++;
+
+        moveEvents.push({
+          'piece': move.piece,
+          'type': move.piece.type,
+          'steps': move.steps,
+          'moveActionList': actionList
+        });
+      }
+
+      if (!rule.validateConfirm(game, player)) {
+        throw new Error('Turn cannot be confirmed!');
+      }
+    } catch (e) {
+      model.Game.restoreState(game);
+      reply.errorMessage = e.message;
+      return false;
+    }
+
+    for (i = 0; i < moveEvents.length; i++) {
+      moveEvents[i].match = match;
+      this.sendOthersMessage(match, player.id, comm.Message.EVENT_PIECE_MOVE, moveEvents[i]);
+    }
+
+    reply.turn = this.finishTurn(socket, player, reply);
+
+    return true;
   };
 
   this.handleUndoMoves = function (socket, params, reply) {
@@ -696,44 +1428,322 @@ function Server() {
     var player = this.getSocketPlayer(socket);
     var otherPlayer = (model.Match.isHost(match, player)) ? match.guest : match.host;
 
+    // Keep history of the unfinished game. No points are won for it.
+    if (match.currentGame && match.currentGame.hasStarted) {
+      model.Match.addGameRecord(match, otherPlayer.currentPieceType, 0, true);
+    }
+
+    match.isOver = true;
+    this.releaseDiceSource(match);
+
     var self = this;
     reply.sendAfter = function () {
       self.sendMatchMessage(match, comm.Message.EVENT_MATCH_OVER, {
         'match': match,
         'winner': otherPlayer,
-        'resigned': true
+        'resigned': true,
+        'serverSeed': match.fairness ? match.fairness.serverSeed : null
       });
     };
 
     return true;
   };
 
+  /**
+   * OFFER_DOUBLE
+   * Player on turn offers to double the stakes before rolling dice
+   */
+  this.handleOfferDouble = function (socket, params, reply) {
+    console.log('Offer double', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+
+    if (!match || !match.currentGame) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!rule.validateDouble(match.currentGame, player)) {
+      reply.errorMessage = 'Offering a double is not allowed!';
+      return false;
+    }
+
+    model.Game.offerDouble(match.currentGame, player.currentPieceType);
+
+    this.sendOthersMessage(match, player.id, comm.Message.EVENT_DOUBLE_OFFER, {
+      'match': match,
+      'player': player
+    });
+
+    return true;
+  };
+
+  /**
+   * ACCEPT_DOUBLE
+   * Other player takes the double and becomes owner of the cube
+   */
+  this.handleAcceptDouble = function (socket, params, reply) {
+    console.log('Accept double', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+
+    if (!match || !match.currentGame) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!rule.validateDoubleResponse(match.currentGame, player)) {
+      reply.errorMessage = 'Accepting the double is not allowed!';
+      return false;
+    }
+
+    model.Game.acceptDouble(match.currentGame);
+
+    this.sendOthersMessage(match, player.id, comm.Message.EVENT_DOUBLE_ACCEPT, {
+      'match': match,
+      'player': player
+    });
+
+    return true;
+  };
+
+  /**
+   * REJECT_DOUBLE
+   * Other player drops the double and loses the game at current cube value
+   */
+  this.handleRejectDouble = function (socket, params, reply) {
+    console.log('Reject double', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+
+    if (!match || !match.currentGame) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!rule.validateDoubleResponse(match.currentGame, player)) {
+      reply.errorMessage = 'Rejecting the double is not allowed!';
+      return false;
+    }
+
+    model.Game.rejectDouble(match.currentGame);
+
+    var otherPlayer = (model.Match.isHost(match, player)) ? match.guest : match.host;
+
+    this.endGame(socket, otherPlayer, false, reply);
+    return true;
+  };
+
+  /**
+   * BEAVER_DOUBLE
+   * Other player immediately redoubles and keeps the cube (money sessions only)
+   */
+  this.handleBeaverDouble = function (socket, params, reply) {
+    console.log('Beaver double', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+
+    if (!match || !match.currentGame) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!rule.validateBeaver(match, player)) {
+      reply.errorMessage = 'Beavering the double is not allowed!';
+      return false;
+    }
+
+    model.Game.beaverDouble(match.currentGame);
+
+    this.sendOthersMessage(match, player.id, comm.Message.EVENT_DOUBLE_BEAVER, {
+      'match': match,
+      'player': player
+    });
+
+    return true;
+  };
+
+  /**
+   * GET_HINT
+   * Best turns for the dice rolled, for the player on turn. Turns are
+   * analyzed by the search engine, at the difficulty level set in config,
+   * in a worker thread (see `Search`) - the reply is sent when it is done.
+   * In races covered by the bear-off database, turns are analyzed by the
+   * database and each hint has the expected number of rolls to bear off.
+   * Before the dice are rolled, and when the player has been offered a
+   * double, the cube decision is analyzed instead and there are no hints.
+   * params: { count?: number } - number of turns to return
+   * reply.hints: [{ moves: [{ piece, steps }], notation, score, difference, expectedRolls? }],
+   * best turn first. Difference is the score lost compared to the best turn.
+   * reply.cube: cube analysis (see CubeAdvisor.analyze), from the point of
+   * view of the player on roll, who doubles or has doubled
+   */
+  this.handleGetHint = function (socket, params, reply) {
+    console.log('Get hint', params);
+
+    var match = this.getSocketMatch(socket);
+    var player = this.getSocketPlayer(socket);
+    var rule = this.getSocketRule(socket);
+    var game = (match) ? match.currentGame : null;
+    params = params || {};
+
+    if (!game) {
+      reply.errorMessage = 'Match has no current game!';
+      return false;
+    }
+
+    if (!match.hints) {
+      reply.errorMessage = 'Hints are disabled in this match!';
+      return false;
+    }
+
+    var hintEngine = new engine.Engine({
+      'difficulty': this.config.hints.difficulty,
+      'evaluator': this.getEvaluator(match.ruleName),
+      'bearoff': this.getBearoff(),
+      'noise': 0
+    });
+
+    var self = this;
+
+    if (model.Game.isDoubleOffered(game) && rule.validateDoubleResponse(game, player)) {
+      reply.defer = function (done) {
+        self.analyzeCube(hintEngine, rule, match, game.doubleOfferedBy, reply, done);
+      };
+      return true;
+    }
+
+    if (!rule.validateTurn(game, player)) {
+      reply.errorMessage = 'It isn\'t your turn!';
+      return false;
+    }
+
+    if (!model.Game.diceWasRolled(game)) {
+      reply.defer = function (done) {
+        self.analyzeCube(hintEngine, rule, match, player.currentPieceType, reply, done);
+      };
+      return true;
+    }
+
+    var count = parseInt(params.count, 10);
+    if (isNaN(count) || (count < 1)) count = this.config.hints.count;
+    if (count > this.config.hints.maxCount) count = this.config.hints.maxCount;
+
+    hintEngine.candidates = Math.max(hintEngine.candidates, count);
+
+    // Deeper searches take seconds, so turns are analyzed in the background
+    reply.defer = function (done) {
+      self.getSearch().analyzeTurns(hintEngine, rule, game.state, game.turnDice.movesLeft, player.currentPieceType, function (err, turns) {
+        if (err) {
+          reply.result = false;
+          reply.errorMessage = 'Hints are not available: ' + err.message;
+        }
+        else {
+          reply.hints = self.formatHints(rule, turns, count);
+        }
+        done();
+      });
+    };
+
+    return true;
+  };
+
+  /**
+   * Format turns analyzed as hints
+   * @param {Rule} rule - Rule
+   * @param {Object[]} turns - Turns analyzed, best first
+   * @param {number} count - Maximum number of hints
+   * @returns {Object[]} - Hints (see GET_HINT)
+   */
+  this.formatHints = function (rule, turns, count) {
+    var hints = [];
+    for (var i = 0; (i < turns.length) && (i < count); i++) {
+      var moves = [];
+      var records = [];
+      for (var j = 0; j < turns[i].moves.length; j++) {
+        var move = turns[i].moves[j];
+        moves.push({ 'piece': move.piece, 'steps': move.steps });
+        records.push(notation.Notation.createMoveRecord(rule, move.piece, move.steps, move.actions));
+      }
+
+      var hint = {
+        'moves': moves,
+        'notation': notation.Notation.formatMoves(records),
+        'score': turns[i].score,
+        'difference': turns[i].score - turns[0].score
+      };
+      if (turns[i].expectedRolls != null) {
+        hint.expectedRolls = turns[i].expectedRolls;
+      }
+      hints.push(hint);
+    }
+
+    return hints;
+  };
+
+  /**
+   * Analyze cube decision of the player on roll, before the dice are rolled,
+   * as reply to GET_HINT. Chances of players are estimated in the background.
+   * @param {Engine} cubeEngine - Engine that estimates chances of players
+   * @param {Rule} rule - Rule
+   * @param {Match} match - Match
+   * @param {PieceType} type - Type of pieces of player on roll
+   * @param {Object} reply - Reply to set the cube analysis (`cube`) of
+   * @param {function} done - Called when the reply is ready
+   */
+  this.analyzeCube = function (cubeEngine, rule, match, type, reply, done) {
+    var self = this;
+    this.getSearch().getProbabilities(cubeEngine, rule, match.currentGame.state, type, function (err, probabilities) {
+      if (err) {
+        reply.result = false;
+        reply.errorMessage = 'Cube analysis is not available: ' + err.message;
+      }
+      else {
+        reply.cube = self.getCubeAdvisor().analyze(rule, match, type, probabilities);
+        reply.hints = [];
+      }
+      done();
+    });
+  };
+
   this.endGame = function (socket, winner, resigned, reply) {
     var self = this;
 
     var match = this.getSocketMatch(socket);
     var rule = this.getSocketRule(socket);
 
-    var score = rule.getGameScore(match.currentGame.state, winner);
+    var score = rule.getGamePoints(match, winner);
     match.score[winner.currentPieceType] += score;
 
-    if (match.score[winner.currentPieceType] >= match.length) {
+    model.Match.addGameRecord(match, winner.currentPieceType, score, resigned);
+    this.analyzeGameRecord(match, rule, match.games.length - 1);
+
+    if (model.Match.hasReachedLength(match, winner.currentPieceType)) {
       match.isOver = true;
     }
 
     if (match.isOver) {
+      this.releaseDiceSource(match);
+
       reply.sendAfter = function () {
         self.sendMatchMessage(match, comm.Message.EVENT_MATCH_OVER, {
           'match': match,
           'winner': winner,
-          'resigned': resigned
+          'resigned': resigned,
+          'serverSeed': match.fairness ? match.fairness.serverSeed : null
         });
       };
     } else {
-      var game = model.Match.createNewGame(match, rule);
-      game.hasStarted = true;
-      game.turnPlayer = winner;
-      game.turnNumber = 1;
+      model.Match.createNewGame(match, rule);
+      var opening = this.startGame(match, rule);
 
       reply.sendAfter = function () {
         self.sendMatchMessage(match, comm.Message.EVENT_GAME_OVER, {
@@ -747,12 +1757,62 @@ function Server() {
           'game': match.currentGame,
           'resigned': resigned
         });
+
+        self.sendOpeningRoll(match, opening);
       };
     }
 
     return true;
   };
 
+  /**
+   * Start post-game analysis of a finished game (see GameAnalyzer), if it
+   * is enabled in server config. Analysis runs in the background. When it
+   * is done, it is stored in the game record, as `analysis`, and sent to
+   * players of the match with EVENT_GAME_ANALYSIS.
+   * @param {Match} match - Match
+   * @param {Rule} rule - Rule of match
+   * @param {number} index - Index of game in `match.games`
+   */
+  this.analyzeGameRecord = function (match, rule, index) {
+    if (!this.config.analysis.enabled) {
+      return;
+    }
+
+    var self = this;
+    var record = match.games[index];
+
+    // The first game of a practice match starts from its start position
+    var initialState = null;
+    if (match.startPosition && (index === 0)) {
+      var info = match.startPosition.matchID ? gnubg.Gnubg.decodeMatchID(match.startPosition.matchID) : null;
+      var onRoll = info ? info.onRoll : model.PieceType.WHITE;
+      initialState = gnubg.Gnubg.decodePositionID(rule, match.startPosition.positionID, onRoll);
+    }
+
+    var analyzer = new analysis.GameAnalyzer({
+      'engine': new engine.Engine({
+        'evaluator': this.getEvaluator(match.ruleName),
+        'bearoff': this.getBearoff(),
+        'noise': 0
+      })
+    });
+
+    analyzer.analyzeGame(rule, record, initialState, function (err, result) {
+      if (err) {
+        console.log('Analysis of game ' + record.gameID + ' failed: ' + err.message);
+        return;
+      }
+
+      record.analysis = result;
+      self.sendMatchMessage(match, comm.Message.EVENT_GAME_ANALYSIS, {
+        'match': match,
+        'gameID': record.gameID,
+        'analysis': result
+      });
+    });
+  };
+
   this.getPlayerByID = function (id) {
     for (var i = 0; i < this.players.length; i++) {
       if (this.players[i].id == id) return this.players[i];
@@ -760,6 +1820,539 @@ function Server() {
     return null;
   };
 
+  /**
+   * Create dice source of a new match. Provably fair sources publish
+   * their record in `match.fairness`.
+   */
+  this.createDiceSource = function (match, options) {
+    var source;
+    if (options && options.type === 'fair') {
+      source = new fairness.FairDiceSource();
+      match.fairness = source.record;
+    }
+    else {
+      source = model.DiceSource.create(options);
+    }
+
+    this.diceSources[match.id] = source;
+    return source;
+  };
+
+  /**
+   * Get dice source of match. Matches restored from database have no source
+   * yet - provably fair matches continue with their restored server seed,
+   * others get the default source from server config.
+   */
+  this.getMatchDiceSource = function (match) {
+    if (!this.diceSources[match.id]) {
+      var serverSeed = this.restoredServerSeeds[match.id];
+      if (match.fairness && serverSeed) {
+        this.diceSources[match.id] = new fairness.FairDiceSource(match.fairness, serverSeed);
+      }
+      else if (match.fairness) {
+        // Without the seed the published hash cannot be honoured anymore
+        console.log('Server seed of match ' + match.id + ' was lost. Dice of this match cannot be verified!');
+        this.diceSources[match.id] = model.DiceSource.create({ 'type': 'crypto' });
+      }
+      else {
+        this.createDiceSource(match, this.config.diceSource);
+      }
+    }
+    return this.diceSources[match.id];
+  };
+
+  /**
+   * Release dice source of a match that is over. Provably fair sources
+   * reveal their server seed, so that players can verify the rolls.
+   */
+  this.releaseDiceSource = function (match) {
+    var source = this.getMatchDiceSource(match);
+    if (source.type === 'fair') {
+      source.reveal();
+    }
+    delete this.diceSources[match.id];
+    delete this.restoredServerSeeds[match.id];
+  };
+
+  /**
+   * Respond to a failed HTTP request with a JSON error. Bodies that are not
+   * valid JSON are reported as bad requests. Stack traces are only logged,
+   * never sent to the client.
+   */
+  this.handleHttpError = function (err, req, res, next) {
+    if (res.headersSent) {
+      next(err);
+      return;
+    }
+
+    if (err.type === 'entity.parse.failed') {
+      res.status(400).json({ 'error': 'Request body is not valid JSON!' });
+      return;
+    }
+
+    console.log(err.stack || err);
+    var status = ((err.status >= 400) && (err.status < 500)) ? err.status : 500;
+    res.status(status).json({ 'error': (status === 500) ? 'Internal server error!' : err.message });
+  };
+
+  /**
+   * Send finished games of a match as .mat file
+   */
+  this.handleExportMatch = function (req, res) {
+    var match = this.getMatchByID(req.params.id);
+    if (!match) {
+      res.status(404).send('Match not found!');
+      return;
+    }
+
+    var text;
+    try {
+      text = matfile.MatFile.exportMatch(match);
+    } catch (e) {
+      res.status(400).send(e.message);
+      return;
+    }
+
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.attachment((match.slug || ('match-' + match.id)) + '.mat');
+    res.send(text);
+  };
+
+  /**
+   * Check if a HTTP request is made by an administrator. The token from
+   * `admin.token` in server config is expected in an `Authorization: Bearer`
+   * or `X-Admin-Token` header. The admin API is disabled if no token is set.
+   * Sends an error response and returns false if access is denied.
+   */
+  this.authorizeAdmin = function (req, res) {
+    return this.authorizeToken(req, res, this.config.admin && this.config.admin.token, 'X-Admin-Token', 'Admin');
+  };
+
+  /**
+   * Check if a HTTP request may use the write routes of the HTTP API. The
+   * token from `api.token` in server config is expected in an
+   * `Authorization: Bearer` or `X-API-Token` header. The routes are
+   * disabled if no token is set.
+   * Sends an error response and returns false if access is denied.
+   */
+  this.authorizeApi = function (req, res) {
+    return this.authorizeToken(req, res, this.config.api && this.config.api.token, 'X-API-Token', 'Write');
+  };
+
+  /**
+   * Check the token of a HTTP request, given in an `Authorization: Bearer`
+   * header or in header `header`. Responds with 404 if `token` is not set
+   * and with 401 if the token of the request is not valid.
+   * @returns {boolean} - True if access is granted
+   */
+  this.authorizeToken = function (req, res, token, header, name) {
+    if (!token) {
+      res.status(404).json({ 'error': name + ' API is disabled!' });
+      return false;
+    }
+
+    var authorization = req.get('Authorization') || '';
+    var m = authorization.match(/^Bearer\s+(.+)$/i);
+    var given = m ? m[1] : (req.get(header) || '');
+
+    // Compare digests, so that comparison takes the same time for any token
+    var expected = crypto.createHash('sha256').update(String(token)).digest();
+    var actual = crypto.createHash('sha256').update(given).digest();
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      res.status(401).json({ 'error': 'Invalid ' + name.toLowerCase() + ' token!' });
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Forget oldest finished rollouts, keeping only the given number of them.
+   * Running rollouts are always kept.
+   * @param {number} count - Number of finished rollouts to keep
+   */
+  this.pruneRollouts = function (count) {
+    var finished = [];
+    for (var id in this.rollouts) {
+      if (this.rollouts[id].status !== 'running') {
+        finished.push(this.rollouts[id].id);
+      }
+    }
+
+    finished.sort(function (a, b) { return a - b; });
+    for (var i = 0; i < finished.length - Math.max(count, 0); i++) {
+      delete this.rollouts[finished[i]];
+    }
+  };
+
+  /**
+   * Start rollout of a position (POST /admin/rollouts). The JSON body
+   * contains `ruleName`, the position as `positionID` (gnubg Position ID) or
+   * `state` (`model.State`), `onRoll` ('white' or 'black'), and optionally
+   * `trials`, `difficulty`, `seed` and `varianceReduction`. The starting
+   * position of the rule is rolled out if no position is given.
+   * Responds with the ID of the rollout, while the rollout runs in the
+   * background (see `handleGetRollout`).
+   */
+  this.handleStartRollout = function (req, res) {
+    if (!this.authorizeAdmin(req, res)) {
+      return;
+    }
+
+    var params = req.body || {};
+    var settings = this.config.rollout;
+    var ruleName = params.ruleName || 'RuleBgCasual';
+    if (this.config.enabledRules.indexOf(ruleName) < 0) {
+      res.status(400).json({ 'error': 'Rule ' + ruleName + ' is not enabled!' });
+      return;
+    }
+    if (params.difficulty && !engine.Engine.DIFFICULTY_SETTINGS.hasOwnProperty(params.difficulty)) {
+      res.status(400).json({ 'error': 'Unknown difficulty ' + params.difficulty + '!' });
+      return;
+    }
+
+    var running = 0;
+    for (var id in this.rollouts) {
+      if (this.rollouts[id].status === 'running') running++;
+    }
+    if (running >= settings.maxRunning) {
+      res.status(429).json({ 'error': 'Too many rollouts are running!' });
+      return;
+    }
+
+    var rule = rollout.Rollout.loadRule(ruleName);
+    var onRoll = (params.onRoll === 'black') ? model.PieceType.BLACK : model.PieceType.WHITE;
+    var state;
+    try {
+      if (params.positionID) {
+        state = rollout.Rollout.createState(rule, String(params.positionID).trim(), onRoll);
+      }
+      else if (params.state) {
+        rollout.Rollout.checkState(rule, params.state);
+        state = model.State.clone(params.state);
+      }
+      else {
+        state = new model.State();
+        rule.initialize(state);
+        rule.resetState(state);
+      }
+    } catch (e) {
+      res.status(400).json({ 'error': e.message });
+      return;
+    }
+
+    var trials = parseInt(params.trials, 10) || settings.trials;
+    trials = Math.max(1, Math.min(trials, settings.maxTrials));
+
+    var bearoffPath = this.config.bearoffPath ? path.join(__dirname, this.config.bearoffPath) : null;
+    var task = new rollout.Rollout({
+      'ruleName': ruleName,
+      'trials': trials,
+      'workers': settings.workers,
+      'seed': params.seed,
+      'varianceReduction': params.varianceReduction,
+      'difficulty': params.difficulty,
+      'evaluator': this.getEvaluator(ruleName),
+      'bearoffPath': (bearoffPath && fs.existsSync(bearoffPath)) ? bearoffPath : null
+    });
+
+    this.pruneRollouts(settings.maxFinished - 1);
+
+    this.rolloutCount++;
+    var record = {
+      'id': this.rolloutCount,
+      'status': 'running',
+      'ruleName': ruleName,
+      'onRoll': onRoll,
+      'trials': trials,
+      'seed': task.seed,
+      'done': 0,
+      'results': null,
+      'error': null,
+      'started': Date.now()
+    };
+    this.rollouts[record.id] = record;
+
+    console.log('Rollout ' + record.id + ' started (' + trials + ' games)');
+    task.run(state, onRoll, function (err, results) {
+      if (err) {
+        console.log('Rollout ' + record.id + ' failed: ' + err.message);
+        record.status = 'failed';
+        record.error = err.message;
+        return;
+      }
+      record.status = 'done';
+      record.results = results;
+    }, function (done) {
+      record.done = done;
+    });
+
+    res.status(202).json({ 'id': record.id, 'trials': trials, 'seed': task.seed });
+  };
+
+  /**
+   * Get status of a rollout (GET /admin/rollouts/:id): `running`, `done` or
+   * `failed`, the number of games played and the results, once done
+   */
+  this.handleGetRollout = function (req, res) {
+    if (!this.authorizeAdmin(req, res)) {
+      return;
+    }
+
+    var record = this.rollouts[req.params.id];
+    if (!record) {
+      res.status(404).json({ 'error': 'Rollout not found!' });
+      return;
+    }
+
+    res.json(record);
+  };
+
+  /**
+   * Get public data of a player for the HTTP API. Player IDs are not
+   * included, so that they are not listed for anyone to see.
+   * @returns {Object} - Name and bot flag, or null if there is no player
+   */
+  this.getPlayerSummary = function (player) {
+    if (!player) {
+      return null;
+    }
+    return {
+      'name': player.name,
+      'isBot': !!player.isBot
+    };
+  };
+
+  /**
+   * Get public data of a match for the HTTP API. Unlike match objects sent
+   * to clients, it contains no socket IDs or game state.
+   * @returns {Object} - Match summary
+   */
+  this.getMatchSummary = function (match) {
+    return {
+      'id': match.id,
+      'name': match.name || ('Match ' + match.id),
+      'slug': match.slug || null,
+      'hostSlug': match.hostSlug || null,
+      'ruleName': match.ruleName,
+      'length': match.length,
+      'crawford': match.crawford,
+      'jacoby': match.jacoby,
+      'beavers': match.beavers,
+      'hints': match.hints,
+      'host': this.getPlayerSummary(match.host),
+      'guest': this.getPlayerSummary(match.guest),
+      'score': match.score,
+      'gamesPlayed': match.games.length,
+      'isOpen': !match.guest && !match.isOver,
+      'isOver': match.isOver,
+      'serverSeedHash': match.fairness ? match.fairness.serverSeedHash : null
+    };
+  };
+
+  /**
+   * Get state of current game of a match for the HTTP API. Positions of
+   * standard backgammon (RuleBgCasual) are given as gnubg Position ID and
+   * Match ID - the IDs are left out for other rules, that gnubg does not play.
+   * @returns {Object} - Game state, or null if the match has no game
+   */
+  this.getGameSummary = function (match) {
+    var game = match.currentGame;
+    if (!game) {
+      return null;
+    }
+
+    var summary = {
+      'id': game.id,
+      'hasStarted': game.hasStarted,
+      'isOver': game.isOver,
+      'isCrawford': game.isCrawford,
+      'turnNumber': game.turnNumber,
+      'turnPlayer': game.turnPlayer ? game.turnPlayer.currentPieceType : null,
+      'dice': (game.turnDice && game.turnDice.values) ? game.turnDice.values : null,
+      'cubeValue': game.cubeValue,
+      'cubeOwner': game.cubeOwner,
+      'doubleOfferedBy': game.doubleOfferedBy
+    };
+
+    if (game.state && (match.ruleName === 'RuleBgCasual')) {
+      var rule = require(this.config.rulePath + model.Utils.sanitizeName(match.ruleName) + '.js');
+      var onRoll = game.turnPlayer ? game.turnPlayer.currentPieceType : model.PieceType.WHITE;
+      summary.positionID = gnubg.Gnubg.encodePositionID(rule, game.state, onRoll);
+      summary.matchID = gnubg.Gnubg.encodeMatchID(match);
+    }
+
+    return summary;
+  };
+
+  /**
+   * List matches (GET /api/matches). Query parameter `status` filters
+   * matches: `open` - waiting for a guest, `playing` or `over`.
+   */
+  this.handleApiGetMatches = function (req, res) {
+    var status = req.query.status;
+    if (status && (['open', 'playing', 'over'].indexOf(status) < 0)) {
+      res.status(400).json({ 'error': 'Unknown status ' + status + '!' });
+      return;
+    }
+
+    var list = [];
+    for (var i = 0; i < this.matches.length; i++) {
+      var match = this.matches[i];
+      var matchStatus = match.isOver ? 'over' : (match.guest ? 'playing' : 'open');
+      if (status && (status !== matchStatus)) continue;
+      list.push(this.getMatchSummary(match));
+    }
+
+    res.json({ 'matches': list });
+  };
+
+  /**
+   * Get match with the state of its current game (GET /api/matches/:id)
+   */
+  this.handleApiGetMatch = function (req, res) {
+    var match = this.getMatchByID(req.params.id);
+    if (!match) {
+      res.status(404).json({ 'error': 'Match not found!' });
+      return;
+    }
+
+    var summary = this.getMatchSummary(match);
+    summary.currentGame = this.getGameSummary(match);
+    res.json(summary);
+  };
+
+  /**
+   * Get records of finished games of a match, with turn history and
+   * analysis, and the turns played so far in the current game, without
+   * player IDs (GET /api/matches/:id/history)
+   */
+  this.handleApiGetMatchHistory = function (req, res) {
+    var match = this.getMatchByID(req.params.id);
+    if (!match) {
+      res.status(404).json({ 'error': 'Match not found!' });
+      return;
+    }
+
+    var game = match.currentGame;
+    var history = {
+      'id': match.id,
+      'games': match.games,
+      'currentGame': (game && game.hasStarted && !game.isOver) ? {
+        'id': game.id,
+        'openingRoll': game.openingRoll,
+        'history': game.history,
+        'cubeActions': game.cubeActions
+      } : null
+    };
+
+    // Player IDs are left out of turn records and analysis. Players are
+    // told apart by pieceType.
+    res.type('json').send(JSON.stringify(history, function (key, value) {
+      return (key === 'playerID') ? undefined : value;
+    }));
+  };
+
+  /**
+   * Get player with the matches the player takes part in
+   * (GET /api/players/:id)
+   */
+  this.handleApiGetPlayer = function (req, res) {
+    var player = this.getPlayerByID(req.params.id);
+    if (!player) {
+      res.status(404).json({ 'error': 'Player not found!' });
+      return;
+    }
+
+    var summary = this.getPlayerSummary(player);
+    summary.stats = player.stats;
+    summary.currentMatch = player.currentMatch;
+    summary.matches = [];
+    for (var i = 0; i < this.matches.length; i++) {
+      if (this.matches[i].players.indexOf(player.id) >= 0) {
+        summary.matches.push(this.getMatchSummary(this.matches[i]));
+      }
+    }
+
+    res.json(summary);
+  };
+
+  /**
+   * List enabled rules (GET /api/rules)
+   */
+  this.handleApiGetRules = function (req, res) {
+    var list = [];
+    for (var i = 0; i < this.config.enabledRules.length; i++) {
+      var rule = require(this.config.rulePath + this.config.enabledRules[i] + '.js');
+      list.push({
+        'name': this.config.enabledRules[i],
+        'title': rule.title,
+        'description': rule.description,
+        'country': rule.country,
+        'countryCode': rule.countryCode,
+        'maxPoints': rule.maxPoints,
+        'maxPieces': rule.maxPieces,
+        'maxCubeValue': rule.maxCubeValue
+      });
+    }
+
+    res.json({ 'rules': list });
+  };
+
+  /**
+   * Create invite match (POST /api/matches), for a host that connects
+   * later. The JSON body contains `hostName` and the options of
+   * CREATE_MATCH (`hostSlug`, `matchLength`, `crawford`, ...).
+   * Responds with the match and the secret token of the host player. The
+   * host takes over the match by sending this token as `playerToken` in
+   * CREATE_GUEST, and the guest joins with the host slug, as with matches
+   * created by players.
+   */
+  this.handleApiCreateMatch = function (req, res) {
+    if (!this.authorizeApi(req, res)) {
+      return;
+    }
+
+    var params = req.body || {};
+    var hostName = iccjSafeDisplayName(params.hostName);
+    if (!hostName) {
+      res.status(400).json({ 'error': 'Host name is required!' });
+      return;
+    }
+
+    // Open matches are reused by hosts that create a match again, but the
+    // API must not hand the match of one host over to another
+    var existing = this.getOpenMatchByHostSlug(params.hostSlug || hostName);
+    if (existing) {
+      res.status(409).json({ 'error': 'Host already has an open match!', 'matchID': existing.id });
+      return;
+    }
+
+    var player = model.Player.createNew();
+    player.name = hostName;
+
+    var options = model.Utils.shallowCopy(params);
+    options.playerName = hostName;
+    var reply = {};
+    var match = this.createInviteMatch(player, options, reply);
+    if (!match) {
+      res.status(400).json({ 'error': reply.errorMessage });
+      return;
+    }
+    this.players.push(player);
+
+    console.log('Match ' + match.id + ' created with API');
+    res.status(201).json({
+      'match': this.getMatchSummary(match),
+      'hostToken': this.createPlayerToken(player)
+    });
+
+    if (reply.sendAfter) {
+      reply.sendAfter();
+    }
+    this.snapshotServer();
+  };
+
   this.getMatchByID = function (id) {
     for (var i = 0; i < this.matches.length; i++) {
       if (this.matches[i].id == id) return this.matches[i];
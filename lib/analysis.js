@@ -0,0 +1,304 @@
+var model = require('./model.js');
+var engine = require('./engine.js');
+var notation = require('./notation.js');
+var replay = require('./replay.js');
+
+var Engine = engine.Engine;
+
+/**
+ * Post-game analysis. Replays the turn history of a finished game and
+ * evaluates each turn by the evaluator of a search engine (0-ply, or the
+ * bear-off database in races):
+ *
+ * - equity loss - cubeless equity after the best turn for the dice rolled,
+ *   minus equity after the turn played. Turns are rated as doubtful, errors
+ *   or blunders by the thresholds of the analyzer;
+ * - luck - equity after the best turn for the dice rolled, minus the average
+ *   of the equities after the best turns for all 21 rolls.
+ *
+ * Cubeless equity is `2 * win - 1 + winGammon - loseGammon`, from the point
+ * of view of the player that made the turn. Figures of each player are
+ * summed up, with error rate in millipoints of equity lost per unforced turn.
+ * @constructor
+ * @param {Object} [options] - Options
+ * @param {Engine} [options.engine] - Engine used to evaluate positions
+ * @param {{doubtful: number, error: number, blunder: number}} [options.thresholds] -
+ *        Minimum equity loss of doubtful turns, errors and blunders
+ */
+function GameAnalyzer(options) {
+  options = options || {};
+
+  /**
+   * Engine used to evaluate positions
+   * @type {Engine}
+   */
+  this.engine = options.engine || new Engine({ 'noise': 0 });
+
+  /**
+   * Minimum equity loss of doubtful turns, errors and blunders
+   * @type {{doubtful: number, error: number, blunder: number}}
+   */
+  this.thresholds = options.thresholds || GameAnalyzer.THRESHOLDS;
+}
+
+/**
+ * Rating of a turn by its equity loss
+ * @readonly
+ * @enum {string}
+ */
+GameAnalyzer.Rating = {
+  /** GOOD: Best turn, or equity loss below the doubtful threshold */
+  GOOD: 'good',
+  /** DOUBTFUL: Small equity loss */
+  DOUBTFUL: 'doubtful',
+  /** ERROR: Significant equity loss */
+  ERROR: 'error',
+  /** BLUNDER: Large equity loss */
+  BLUNDER: 'blunder'
+};
+
+/**
+ * Default minimum equity loss of doubtful turns, errors and blunders
+ * @type {{doubtful: number, error: number, blunder: number}}
+ */
+GameAnalyzer.THRESHOLDS = {
+  'doubtful': 0.04,
+  'error': 0.08,
+  'blunder': 0.16
+};
+
+/**
+ * Get move values of dice rolled
+ * @param {number[]} dice - Values of dice
+ * @returns {number[]} - Move values, in descending order
+ */
+GameAnalyzer.getMoves = function (dice) {
+  var moves = (dice[0] === dice[1]) ? [dice[0], dice[0], dice[0], dice[0]] : dice.slice();
+  moves.sort(function (a, b) { return b - a; });
+  return moves;
+};
+
+/**
+ * Get cubeless equity from probabilities of game results
+ * @param {{win: number, winGammon: number, loseGammon: number}} probabilities -
+ *        Probabilities of game results
+ * @returns {number} - Equity, in points
+ */
+GameAnalyzer.getEquity = function (probabilities) {
+  return 2 * probabilities.win - 1 + probabilities.winGammon - probabilities.loseGammon;
+};
+
+/**
+ * Create empty summary of the turns of a player
+ * @returns {Object} - Summary
+ */
+GameAnalyzer.createSummary = function () {
+  return {
+    'turns': 0,
+    'unforcedTurns': 0,
+    'doubtful': 0,
+    'errors': 0,
+    'blunders': 0,
+    'equityLoss': 0,
+    'errorRate': 0,
+    'luck': 0
+  };
+};
+
+/**
+ * Get equity of a position, from the point of view of the player that has
+ * just moved
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Cubeless equity
+ */
+GameAnalyzer.prototype.getPositionEquity = function (rule, state, type) {
+  return GameAnalyzer.getEquity(this.engine.getPositionProbabilities(rule, state, type));
+};
+
+/**
+ * Get all legal turns for the moves, with the equity of resulting positions
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} moves - Move values
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{moves: Object[], state: State, equity: number}[]} - Legal turns,
+ *          best first
+ */
+GameAnalyzer.prototype.rankTurns = function (rule, state, moves, type) {
+  var turns = rule.getLegalTurns(state, moves, type);
+  for (var i = 0; i < turns.length; i++) {
+    turns[i].equity = this.getPositionEquity(rule, turns[i].state, type);
+  }
+  turns.sort(function (a, b) { return b.equity - a.equity; });
+  return turns;
+};
+
+/**
+ * Get equity of the player on roll before rolling the dice - the average
+ * equity after the best turn, over all rolls
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {boolean} [noDoubles] - Leave out doubles, as in the opening roll
+ * @returns {number} - Cubeless equity
+ */
+GameAnalyzer.prototype.getExpectedEquity = function (rule, state, type, noDoubles) {
+  var expected = 0;
+  var total = 0;
+
+  for (var r = 0; r < Engine.ROLLS.length; r++) {
+    var roll = Engine.ROLLS[r];
+    if (noDoubles && (roll.values[0] === roll.values[1])) {
+      continue;
+    }
+    var turns = this.rankTurns(rule, state, roll.moves, type);
+    expected += roll.probability * turns[0].equity;
+    total += roll.probability;
+  }
+
+  return expected / total;
+};
+
+/**
+ * Rate a turn by its equity loss
+ * @param {number} loss - Equity loss
+ * @returns {GameAnalyzer.Rating} - Rating
+ */
+GameAnalyzer.prototype.rate = function (loss) {
+  if (loss >= this.thresholds.blunder) {
+    return GameAnalyzer.Rating.BLUNDER;
+  }
+  if (loss >= this.thresholds.error) {
+    return GameAnalyzer.Rating.ERROR;
+  }
+  if (loss >= this.thresholds.doubtful) {
+    return GameAnalyzer.Rating.DOUBTFUL;
+  }
+  return GameAnalyzer.Rating.GOOD;
+};
+
+/**
+ * Analyze a turn of game history
+ * @param {Rule} rule - Rule
+ * @param {State} state - State before the turn
+ * @param {State} stateAfter - State after the turn
+ * @param {TurnRecord} turn - Record of the turn
+ * @param {boolean} [isOpening] - True if dice of the turn are the opening roll
+ * @returns {Object} - Analysis of turn: `equity` after the turn played,
+ *          `bestEquity`, `equityLoss`, `rating`, `luck`, `forced` (true if
+ *          there was only one way to play) and `best` - notation of the best turn
+ */
+GameAnalyzer.prototype.analyzeTurn = function (rule, state, stateAfter, turn, isOpening) {
+  var turns = this.rankTurns(rule, state, GameAnalyzer.getMoves(turn.dice), turn.pieceType);
+  var best = turns[0];
+
+  var records = [];
+  for (var i = 0; i < best.moves.length; i++) {
+    var move = best.moves[i];
+    records.push(notation.Notation.createMoveRecord(rule, move.piece, move.steps, move.actions));
+  }
+
+  var equity = this.getPositionEquity(rule, stateAfter, turn.pieceType);
+  var loss = Math.max(0, best.equity - equity);
+  var expected = this.getExpectedEquity(rule, state, turn.pieceType, isOpening);
+
+  return {
+    'turnNumber': turn.turnNumber,
+    'playerID': turn.playerID,
+    'pieceType': turn.pieceType,
+    'dice': turn.dice,
+    'notation': turn.notation,
+    'best': notation.Notation.formatMoves(records),
+    'forced': turns.length <= 1,
+    'equity': equity,
+    'bestEquity': best.equity,
+    'equityLoss': loss,
+    'rating': this.rate(loss),
+    'luck': best.equity - expected
+  };
+};
+
+/**
+ * Add analysis of a turn to the summary of the player that made it
+ * @param {Object} summary - Summary of player
+ * @param {Object} turn - Analysis of turn
+ */
+GameAnalyzer.prototype.addToSummary = function (summary, turn) {
+  summary.turns++;
+  summary.luck += turn.luck;
+
+  if (turn.forced) {
+    return;
+  }
+
+  summary.unforcedTurns++;
+  summary.equityLoss += turn.equityLoss;
+  summary.errorRate = 1000 * summary.equityLoss / summary.unforcedTurns;
+
+  if (turn.rating === GameAnalyzer.Rating.DOUBTFUL) {
+    summary.doubtful++;
+  }
+  else if (turn.rating === GameAnalyzer.Rating.ERROR) {
+    summary.errors++;
+  }
+  else if (turn.rating === GameAnalyzer.Rating.BLUNDER) {
+    summary.blunders++;
+  }
+};
+
+/**
+ * Analyze a finished game. Turns are analyzed one at a time, each in a
+ * separate timer callback, so that a server is not blocked during analysis.
+ * @param {Rule} rule - Rule the game was played with
+ * @param {Object} record - Record of game from `match.games`
+ * @param {State} [initialState] - State at start of game. The starting position
+ *                                 of the rule is used if omitted.
+ * @param {function} callback - Called with an error, or null and the analysis:
+ *        `turns` - analysis of each turn (see `analyzeTurn`) and `players` -
+ *        summary of turns of each player, indexed by piece type
+ */
+GameAnalyzer.prototype.analyzeGame = function (rule, record, initialState, callback) {
+  var self = this;
+  var game = new replay.Replay(rule, record, initialState);
+  var analysis = {
+    'gameID': record.gameID,
+    'turns': [],
+    'players': []
+  };
+  analysis.players[model.PieceType.WHITE] = GameAnalyzer.createSummary();
+  analysis.players[model.PieceType.BLACK] = GameAnalyzer.createSummary();
+
+  var step = function () {
+    try {
+      if (!game.hasNext()) {
+        callback(null, analysis);
+        return;
+      }
+
+      // The first turn is played with the opening roll, which has no
+      // doubles, only if the rule uses the opening dice for the first move
+      var isOpening = (game.position === 0) && (record.openingRoll != null) && rule.useOpeningRollForFirstMove;
+      var state = model.State.clone(game.state);
+      var turn = record.history[game.position];
+      game.stepForward();
+
+      var result = self.analyzeTurn(rule, state, game.state, turn, isOpening);
+      analysis.turns.push(result);
+      self.addToSummary(analysis.players[turn.pieceType], result);
+    }
+    catch (e) {
+      callback(e);
+      return;
+    }
+
+    setTimeout(step, 0);
+  };
+
+  setTimeout(step, 0);
+};
+
+module.exports = {
+  'GameAnalyzer': GameAnalyzer
+};
@@ -0,0 +1,505 @@
+var model = require('./model.js');
+
+/**
+ * One-sided bear-off database.
+ *
+ * Holds, for every position of up to `maxPieces` pieces on the lowest
+ * `points` points of a player (15 pieces on 6 points by default), the
+ * probability to bear off all pieces in exactly N rolls, when the pieces
+ * are borne off as fast as possible - each turn is chosen to minimize the
+ * expected number of rolls. The database is exact: it is computed by
+ * `generate` from the positions with fewer pips, taking into account all
+ * 21 rolls and all legal ways to play them.
+ *
+ * The position of one player is looked up regardless of the position of
+ * the opponent, so the database can be used once there is no contact and
+ * all pieces of the player are in the home board. When both players are
+ * bearing off, the chances of each player to win the race are computed
+ * from the distributions of both.
+ *
+ * Databases are saved as binary files (see `toBuffer`) with
+ * `training/gen_bearoff.js`.
+ * @constructor
+ * @param {number} points - Number of points covered
+ * @param {number} maxPieces - Maximum number of pieces
+ */
+function BearoffDatabase(points, maxPieces) {
+  /**
+   * Number of points covered, counted from the deepest point of the home board
+   * @type {number}
+   */
+  this.points = points;
+
+  /**
+   * Maximum number of pieces
+   * @type {number}
+   */
+  this.maxPieces = maxPieces;
+
+  /**
+   * Table used to compute the index of positions (see `getPositionIndex`)
+   * @type {number[][]}
+   */
+  this.offsets = BearoffDatabase.createOffsets(points, maxPieces);
+
+  /**
+   * Number of positions
+   * @type {number}
+   */
+  this.size = BearoffDatabase.getPositionCount(points, maxPieces);
+
+  /**
+   * Expected number of rolls to bear off, for each position
+   * @type {Float32Array}
+   */
+  this.expectedRolls = new Float32Array(this.size);
+
+  /**
+   * Distribution of number of rolls to bear off, for each position. The
+   * probability to bear off in N rolls is at index `N - start` of
+   * `probabilities`.
+   * @type {{start: number, probabilities: Float32Array}[]}
+   */
+  this.distributions = new Array(this.size);
+}
+
+/**
+ * Identifier at start of database files
+ * @type {string}
+ */
+BearoffDatabase.MAGIC = 'BGBO';
+
+/**
+ * Version of file format
+ * @type {number}
+ */
+BearoffDatabase.VERSION = 1;
+
+/**
+ * Size of file header, in bytes
+ * @type {number}
+ */
+BearoffDatabase.HEADER_SIZE = 8;
+
+/**
+ * Probabilities are saved as 16-bit integers, in units of 1/`PROBABILITY_SCALE`
+ * @type {number}
+ */
+BearoffDatabase.PROBABILITY_SCALE = 65535;
+
+/**
+ * Maximum number of rolls kept in distributions during generation. The
+ * tail of a distribution beyond this number is negligible.
+ * @type {number}
+ */
+BearoffDatabase.MAX_ROLLS = 64;
+
+/**
+ * All 21 distinct rolls of two dice, with their probabilities
+ * @type {{moves: number[], probability: number}[]}
+ */
+BearoffDatabase.ROLLS = (function () {
+  var rolls = [];
+  for (var a = 6; a >= 1; a--) {
+    for (var b = a; b >= 1; b--) {
+      rolls.push({
+        'moves': (a === b) ? [a, a, a, a] : [a, b],
+        'probability': (a === b) ? 1 / 36 : 2 / 36
+      });
+    }
+  }
+  return rolls;
+})();
+
+/**
+ * Get number of positions of up to `maxPieces` pieces on `points` points
+ * @param {number} points - Number of points
+ * @param {number} maxPieces - Maximum number of pieces
+ * @returns {number} - Number of positions
+ */
+BearoffDatabase.getPositionCount = function (points, maxPieces) {
+  // Binomial coefficient C(points + maxPieces, points)
+  var count = 1;
+  for (var i = 1; i <= points; i++) {
+    count = count * (maxPieces + i) / i;
+  }
+  return Math.round(count);
+};
+
+/**
+ * Create table used to compute the index of positions. Positions are
+ * ordered by the number of pieces at the highest point, then at the point
+ * below and so on. `offsets[k][m][c]` is the number of positions on the
+ * lowest `k` points, with up to `m` pieces, that have less than `c` pieces
+ * at point `k`.
+ * @param {number} points - Number of points
+ * @param {number} maxPieces - Maximum number of pieces
+ * @returns {number[][][]} - Table of offsets
+ */
+BearoffDatabase.createOffsets = function (points, maxPieces) {
+  var offsets = [];
+  for (var k = 1; k <= points; k++) {
+    offsets[k] = [];
+    for (var m = 0; m <= maxPieces; m++) {
+      offsets[k][m] = [0];
+      for (var c = 1; c <= m + 1; c++) {
+        offsets[k][m][c] = offsets[k][m][c - 1] +
+          BearoffDatabase.getPositionCount(k - 1, m - (c - 1));
+      }
+    }
+  }
+  return offsets;
+};
+
+/**
+ * Get index of a position in the database
+ * @param {number[]} counts - Number of pieces at each point, starting from
+ *                            the deepest point of the home board
+ * @returns {number} - Index of position
+ */
+BearoffDatabase.prototype.getPositionIndex = function (counts) {
+  var index = 0;
+  var m = this.maxPieces;
+  for (var k = this.points; k >= 1; k--) {
+    index += this.offsets[k][m][counts[k - 1]];
+    m -= counts[k - 1];
+  }
+  return index;
+};
+
+/**
+ * Get position of a player in the format used by the database
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number[]} - Number of pieces at each point, starting from the
+ *          deepest point of the home board, or null if the position is not
+ *          covered by the database
+ */
+BearoffDatabase.prototype.getCounts = function (rule, state, type) {
+  if (state.bar[type].length > 0) {
+    return null;
+  }
+
+  var counts = [];
+  var total = 0;
+  for (var pos = 0; pos < state.points.length; pos++) {
+    var count = model.State.countAtPos(state, pos, type);
+    if (count > 0) {
+      var point = rule.normPos(pos, type);
+      if (point >= this.points) {
+        return null;
+      }
+      counts[point] = count;
+      total += count;
+    }
+  }
+
+  if (total > this.maxPieces) {
+    return null;
+  }
+
+  for (var i = 0; i < this.points; i++) {
+    counts[i] = counts[i] || 0;
+  }
+  return counts;
+};
+
+/**
+ * Get index of the position of a player in the database
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Index of position, or -1 if the position is not
+ *          covered by the database
+ */
+BearoffDatabase.prototype.getIndex = function (rule, state, type) {
+  var counts = this.getCounts(rule, state, type);
+  return counts ? this.getPositionIndex(counts) : -1;
+};
+
+/**
+ * Get expected number of rolls for a player to bear off all pieces
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Expected number of rolls, or null if the position is
+ *          not covered by the database
+ */
+BearoffDatabase.prototype.getExpectedRolls = function (rule, state, type) {
+  var index = this.getIndex(rule, state, type);
+  return (index >= 0) ? this.expectedRolls[index] : null;
+};
+
+/**
+ * Get probability that a player, who has just moved, wins the race. Both
+ * players have to be covered by the database. The opponent is on roll.
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player who has just moved
+ * @returns {number} - Probability of win, from 0 to 1, or null if either
+ *          position is not covered by the database
+ */
+BearoffDatabase.prototype.getWinProbability = function (rule, state, type) {
+  var opponentType = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+  var own = this.getIndex(rule, state, type);
+  var opponent = this.getIndex(rule, state, opponentType);
+  if ((own < 0) || (opponent < 0)) {
+    return null;
+  }
+
+  var ownDistribution = this.distributions[own];
+  var opponentDistribution = this.distributions[opponent];
+
+  // Opponent rolls first, so wins by bearing off in N rolls if the player
+  // needs N rolls or more
+  var ownEnd = ownDistribution.start + ownDistribution.probabilities.length;
+  var ownAtLeast = 1;
+  var n = 0;
+  var opponentWins = 0;
+  for (var i = 0; i < opponentDistribution.probabilities.length; i++) {
+    var rolls = opponentDistribution.start + i;
+    for (; (n < rolls) && (n < ownEnd); n++) {
+      if (n >= ownDistribution.start) {
+        ownAtLeast -= ownDistribution.probabilities[n - ownDistribution.start];
+      }
+    }
+    opponentWins += opponentDistribution.probabilities[i] * Math.max(0, ownAtLeast);
+  }
+
+  return Math.min(1, Math.max(0, 1 - opponentWins));
+};
+
+/**
+ * Get all positions reachable from a position with a roll of the dice,
+ * under the rules of bearing off: a piece can be borne off by an exact
+ * roll, or by a higher roll, if there are no pieces at higher points.
+ * @param {number[]} counts - Number of pieces at each point
+ * @param {number[]} moves - Move values of roll
+ * @returns {number[][]} - Distinct positions after the roll
+ */
+BearoffDatabase.getNextPositions = function (counts, moves) {
+  var results = {};
+
+  var play = function (position, remaining) {
+    var highest = position.length - 1;
+    while ((highest >= 0) && (position[highest] === 0)) {
+      highest--;
+    }
+
+    if ((remaining.length === 0) || (highest < 0)) {
+      results[position.join(',')] = position;
+      return;
+    }
+
+    var steps = remaining[0];
+    var rest = remaining.slice(1);
+    for (var point = highest; point >= 0; point--) {
+      if (position[point] === 0) {
+        continue;
+      }
+      var to = point - steps;
+      if ((to < -1) && (point !== highest)) {
+        continue;
+      }
+      var next = position.slice();
+      next[point]--;
+      if (to >= 0) {
+        next[to]++;
+      }
+      play(next, rest);
+    }
+  };
+
+  play(counts, moves);
+  if (moves.length === 2) {
+    play(counts, [moves[1], moves[0]]);
+  }
+
+  var positions = [];
+  for (var key in results) {
+    if (results.hasOwnProperty(key)) {
+      positions.push(results[key]);
+    }
+  }
+  return positions;
+};
+
+/**
+ * Generate database
+ * @param {number} [points] - Number of points covered, 6 by default
+ * @param {number} [maxPieces] - Maximum number of pieces, 15 by default
+ * @param {function} [progress] - Called with the number of positions
+ *                                computed, from time to time
+ * @returns {BearoffDatabase} - Database
+ */
+BearoffDatabase.generate = function (points, maxPieces, progress) {
+  var db = new BearoffDatabase(points || 6, maxPieces || 15);
+  var positions = [];
+
+  var enumerate = function (counts, point, left) {
+    if (point < 0) {
+      positions.push(counts.slice());
+      return;
+    }
+    for (var c = 0; c <= left; c++) {
+      counts[point] = c;
+      enumerate(counts, point - 1, left - c);
+    }
+  };
+  enumerate([], db.points - 1, db.maxPieces);
+
+  // Each roll removes pips, so positions with fewer pips are computed first
+  var getPips = function (counts) {
+    var pips = 0;
+    for (var i = 0; i < counts.length; i++) {
+      pips += counts[i] * (i + 1);
+    }
+    return pips;
+  };
+  positions.sort(function (a, b) { return getPips(a) - getPips(b); });
+
+  var full = new Array(db.size);
+  for (var p = 0; p < positions.length; p++) {
+    var counts = positions[p];
+    var index = db.getPositionIndex(counts);
+    var distribution = new Float64Array(BearoffDatabase.MAX_ROLLS);
+    var expected = 0;
+
+    if (getPips(counts) === 0) {
+      distribution[0] = 1;
+    }
+    else {
+      expected = 1;
+      for (var r = 0; r < BearoffDatabase.ROLLS.length; r++) {
+        var roll = BearoffDatabase.ROLLS[r];
+        var next = BearoffDatabase.getNextPositions(counts, roll.moves);
+        var best = -1;
+        for (var i = 0; i < next.length; i++) {
+          var nextIndex = db.getPositionIndex(next[i]);
+          if ((best < 0) || (db.expectedRolls[nextIndex] < db.expectedRolls[best])) {
+            best = nextIndex;
+          }
+        }
+
+        expected += roll.probability * db.expectedRolls[best];
+        for (var n = 0; n < BearoffDatabase.MAX_ROLLS - 1; n++) {
+          distribution[n + 1] += roll.probability * full[best][n];
+        }
+      }
+    }
+
+    db.expectedRolls[index] = expected;
+    full[index] = distribution;
+
+    if (progress && (p % 1000 === 0)) {
+      progress(p);
+    }
+  }
+
+  for (var j = 0; j < db.size; j++) {
+    db.distributions[j] = BearoffDatabase.trimDistribution(full[j]);
+  }
+
+  return db;
+};
+
+/**
+ * Remove the probabilities at start and end of a distribution that are
+ * too small to be saved
+ * @param {Float64Array} distribution - Probability of each number of rolls
+ * @returns {{start: number, probabilities: Float32Array}} - Trimmed distribution
+ */
+BearoffDatabase.trimDistribution = function (distribution) {
+  var min = 0.5 / BearoffDatabase.PROBABILITY_SCALE;
+  var start = 0;
+  var end = distribution.length;
+  while ((start < end - 1) && (distribution[start] < min)) {
+    start++;
+  }
+  while ((end > start + 1) && (distribution[end - 1] < min)) {
+    end--;
+  }
+  return {
+    'start': start,
+    'probabilities': new Float32Array(distribution.subarray(start, end))
+  };
+};
+
+/**
+ * Save database in binary format.
+ *
+ * The header has 8 bytes: `MAGIC`, the version, the number of points, the
+ * maximum number of pieces and a reserved byte. It is followed by the
+ * positions, in order of index. Each position has the expected number of
+ * rolls (32-bit float), the first number of rolls of the distribution and
+ * the number of probabilities (8-bit integers), and the probabilities
+ * (16-bit integers, see `PROBABILITY_SCALE`). Numbers are little-endian.
+ * @returns {Buffer} - Database
+ */
+BearoffDatabase.prototype.toBuffer = function () {
+  var size = BearoffDatabase.HEADER_SIZE;
+  var i;
+  for (i = 0; i < this.size; i++) {
+    size += 6 + 2 * this.distributions[i].probabilities.length;
+  }
+
+  var buffer = Buffer.alloc(size);
+  buffer.write(BearoffDatabase.MAGIC, 0, 'ascii');
+  buffer.writeUInt8(BearoffDatabase.VERSION, 4);
+  buffer.writeUInt8(this.points, 5);
+  buffer.writeUInt8(this.maxPieces, 6);
+
+  var offset = BearoffDatabase.HEADER_SIZE;
+  for (i = 0; i < this.size; i++) {
+    var distribution = this.distributions[i];
+    buffer.writeFloatLE(this.expectedRolls[i], offset);
+    buffer.writeUInt8(distribution.start, offset + 4);
+    buffer.writeUInt8(distribution.probabilities.length, offset + 5);
+    offset += 6;
+    for (var j = 0; j < distribution.probabilities.length; j++) {
+      buffer.writeUInt16LE(Math.round(distribution.probabilities[j] * BearoffDatabase.PROBABILITY_SCALE), offset);
+      offset += 2;
+    }
+  }
+
+  return buffer;
+};
+
+/**
+ * Load database saved with `toBuffer`
+ * @param {Buffer} buffer - Database
+ * @returns {BearoffDatabase} - Database
+ */
+BearoffDatabase.fromBuffer = function (buffer) {
+  if ((buffer.length < BearoffDatabase.HEADER_SIZE) ||
+      (buffer.toString('ascii', 0, 4) !== BearoffDatabase.MAGIC)) {
+    throw new Error('Not a bear-off database!');
+  }
+  if (buffer.readUInt8(4) !== BearoffDatabase.VERSION) {
+    throw new Error('Unsupported version ' + buffer.readUInt8(4) + ' of bear-off database!');
+  }
+
+  var db = new BearoffDatabase(buffer.readUInt8(5), buffer.readUInt8(6));
+  var offset = BearoffDatabase.HEADER_SIZE;
+  for (var i = 0; i < db.size; i++) {
+    if (offset + 6 > buffer.length) {
+      throw new Error('Bear-off database is truncated!');
+    }
+    db.expectedRolls[i] = buffer.readFloatLE(offset);
+    var start = buffer.readUInt8(offset + 4);
+    var probabilities = new Float32Array(buffer.readUInt8(offset + 5));
+    offset += 6;
+    for (var j = 0; j < probabilities.length; j++) {
+      probabilities[j] = buffer.readUInt16LE(offset) / BearoffDatabase.PROBABILITY_SCALE;
+      offset += 2;
+    }
+    db.distributions[i] = { 'start': start, 'probabilities': probabilities };
+  }
+
+  return db;
+};
+
+module.exports = {
+  'BearoffDatabase': BearoffDatabase
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Previous implementation of `Rule.calculateMoveWeights`, kept for the move
+ * weight benchmark, which compares its speed and results with the current
+ * one. The search is unchanged - it recurses over every piece for every
+ * order of move values and copies the whole state for each branch. Only the
+ * logging has been removed.
+ */
+
+var model = require('../model.js');
+
+/**
+ * Recursively try out all combinations for the specified player (by piece type)
+ * and check the "weight" of each combination. Weight is the sum of all piece
+ * movements for a particular combination of moves (called "branch")
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {number[]} movesLeft - Move values left
+ * @param {PieceType} pieceType - Type of piece (white/black)
+ * @param {Piece} rootPiece - Check only branches starting from a specific piece
+ * @param {boolean} stopAtMax - Stop calculation if a branch that allows all moves to be played has been found.
+ * @returns {Object} - Map containing maximum weight for each branch, indexed by piece ID
+ *                     and total maximum weight for all branches, accessed with 'max' index
+ */
+function calculateMoveWeights(rule, state, movesLeft, pieceType, rootPiece, stopAtMax) {
+  var weight = {};
+  weight.max = 0;
+  weight.playableMoves = [];
+
+  var movesLeftSum = 0;
+  for (var i = 0; i < movesLeft.length; i++) {
+    movesLeftSum += movesLeft[i];
+  }
+
+  function calculateBranchWeights(st, moves, id, branchSum, level, branchMoves) {
+    /** Local copy of moves left */
+    var movesLeft = moves.slice();
+
+    // Get steps (value) for next move
+    var steps = movesLeft.shift();
+    if (!steps) {
+      return;
+    }
+
+    // Iterate all of player's pieces
+    for (var p = 0; p < st.pieces[pieceType].length; p++) {
+      var piece = st.pieces[pieceType][p];
+      if ((!piece) || (piece.type !== pieceType)) {
+        continue;
+      }
+
+      // If a root piece has been specified, check
+      // only the branches that start at this piece.
+      // Ignore other branches
+      if (level === 0 && rootPiece) {
+        if (rootPiece.id !== piece.id) {
+          continue;
+        }
+      }
+
+      // Do not check pieces that are already outside the board
+      if (model.State.isPieceOutside(st, piece)) {
+        continue;
+      }
+
+      // Check if the player has any pieces on bar. If that is the
+      // case only pieces on the bar can be moved
+      if (model.State.havePiecesOnBar(st, pieceType)) {
+        if (model.State.getBarTopPiece(st, pieceType).id !== piece.id) {
+          continue;
+        }
+      }
+      else {
+        // If there are no pieces on the bar, make sure this piece is the
+        // top piece at its position. Only top pieces can be moved
+        var pos = model.State.getPiecePos(st, piece);
+        if (model.State.getTopPiece(st, pos).id !== piece.id) {
+          continue;
+        }
+      }
+
+      // Make a deep copy of the state. Moves will be applied to the copy. The
+      // copy will be passed one level down - to the move (next node of the branch).
+      var tempState = model.Utils.deepCopy(st);
+
+      // Check if current piece can be moved
+      var actions = rule.getMoveActions(tempState, piece, steps);
+      if (actions.length === 0) {
+        continue;
+      }
+
+      // If yes, apply the move action to the temporary state.
+      rule.applyMoveActions(tempState, actions);
+
+      var tempMoves = branchMoves.slice();
+      tempMoves.push(steps);
+
+      // If we are still at level 0, create a new branch
+      var pieceID = (id !== 0) ? id : piece.id;
+      if (!weight[pieceID]) {
+        weight[pieceID] = {
+          max: 0,
+          moves: []
+        };
+      }
+
+      var w = branchSum + steps;
+
+      if (w > weight[pieceID].max) {
+        weight[pieceID].max = w;
+      }
+      weight[pieceID].moves = tempMoves;
+
+      if (w > weight.max) {
+        weight.max = w;
+        weight.playableMoves = tempMoves;
+      }
+
+      // If a branch that allows the player to use all moves
+      // has been found, do not iterate other branches
+      if (stopAtMax && (weight.max >= movesLeftSum)) {
+        return;
+      }
+
+      if (movesLeft.length > 0) {
+        calculateBranchWeights(tempState, movesLeft, pieceID, w, level + 1, tempMoves);
+      }
+    }
+  }
+
+  // Simulate moving the piece with all dice values, starting from highest die value
+  // (eg. for dice 5:3 try moving 5 first and after that 3). Try this for all pieces
+  // (multiple branches)
+  calculateBranchWeights(state, movesLeft, 0, 0, 0, []);
+
+  // Then try playing from lowest die value first
+  // (eg. for dice 5:3 try moving 3 first and after that 5). Also try this for all pieces
+  // (more branches)
+  // No need to do that for pair values (eg. 5:5)
+  if ((movesLeft.length > 1) && (movesLeft[0] != movesLeft[movesLeft.length - 1])) {
+    movesLeft = movesLeft.slice();
+    movesLeft.reverse();
+    calculateBranchWeights(state, movesLeft, 0, 0, 0, []);
+  }
+
+  return weight;
+}
+
+module.exports = {
+  'calculateMoveWeights': calculateMoveWeights
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * Benchmark for move weight calculation (`Rule.calculateMoveWeights`) and
+ * legal turn generation (`Rule.getLegalTurns`), which run on every dice roll
+ * and every move validation at the server.
+ *
+ * Positions used are the worst cases for the search - small doubles with
+ * pieces spread over many points, where almost every piece can move with
+ * every die. Move weights are also calculated with the previous
+ * implementation (see `legacy_move_weights.js`), to show the speedup.
+ *
+ * Then both implementations are run for every roll of random games of each
+ * rule, and the script fails if they give different weights for any
+ * position.
+ *
+ * Usage:
+ *   node benchmarks/move_weights.js [iterations] [games]
+ */
+
+var model = require('../model.js');
+var legacy = require('./legacy_move_weights.js');
+
+var iterations = parseInt(process.argv[2], 10) || 20;
+var games = parseInt(process.argv[3], 10) || 6;
+
+/**
+ * Maximum number of rolls in a random game
+ * @type {number}
+ */
+var MAX_ROLLS = 300;
+
+/**
+ * Create a state for rule with pieces placed at denormalized positions
+ * @param {Rule} rule - Rule
+ * @param {number[][]} white - List of [position, count] pairs for white pieces
+ * @param {number[][]} black - List of [position, count] pairs for black pieces
+ * @returns {State} - New state
+ */
+function createState(rule, white, black) {
+  var state = new model.State();
+  rule.initialize(state);
+  model.State.clear(state);
+
+  var i;
+  for (i = 0; i < white.length; i++) {
+    rule.place(state, white[i][1], model.PieceType.WHITE, white[i][0]);
+  }
+  for (i = 0; i < black.length; i++) {
+    rule.place(state, black[i][1], model.PieceType.BLACK, black[i][0]);
+  }
+  return state;
+}
+
+var casual = require('../rules/RuleBgCasual.js');
+var gulbara = require('../rules/RuleBgGulbara.js');
+var tapa = require('../rules/RuleBgTapa.js');
+
+var cases = [
+  {
+    name: 'Casual, opening position, 1:1',
+    rule: casual,
+    state: createState(casual, [[5, 5], [7, 3], [12, 5], [23, 2]], [[18, 5], [16, 3], [11, 5], [0, 2]]),
+    moves: [1, 1, 1, 1]
+  },
+  {
+    name: 'Casual, spread position, 2:2',
+    rule: casual,
+    state: createState(casual,
+      [[1, 1], [2, 1], [3, 1], [4, 2], [5, 2], [6, 1], [7, 2], [8, 1], [9, 1], [12, 1], [14, 1], [20, 1]],
+      [[22, 2], [21, 2], [19, 2], [18, 3], [16, 3], [11, 3]]),
+    moves: [2, 2, 2, 2]
+  },
+  {
+    name: 'Casual, spread position, 6:5',
+    rule: casual,
+    state: createState(casual,
+      [[1, 1], [2, 1], [3, 1], [4, 2], [5, 2], [6, 1], [7, 2], [8, 1], [9, 1], [12, 1], [14, 1], [20, 1]],
+      [[22, 2], [21, 2], [19, 2], [18, 3], [16, 3], [11, 3]]),
+    moves: [6, 5]
+  },
+  {
+    name: 'Gulbara, spread position, 1:1',
+    rule: gulbara,
+    state: createState(gulbara,
+      [[23, 3], [21, 2], [20, 2], [19, 2], [17, 2], [16, 2], [15, 2]],
+      [[11, 3], [9, 2], [8, 2], [7, 2], [5, 2], [4, 2], [3, 2]]),
+    moves: [1, 1, 1, 1]
+  },
+  {
+    name: 'Tapa, spread position, 3:3',
+    rule: tapa,
+    state: createState(tapa,
+      [[23, 3], [20, 2], [18, 2], [15, 2], [13, 2], [10, 2], [8, 2]],
+      [[0, 3], [2, 2], [4, 2], [7, 2], [9, 2], [12, 2], [14, 2]]),
+    moves: [3, 3, 3, 3]
+  }
+];
+
+/**
+ * Run function several times and return average time in milliseconds
+ * @param {Function} fn - Function to measure
+ * @returns {number} - Average time per call
+ */
+function measure(fn) {
+  var start = process.hrtime();
+  for (var i = 0; i < iterations; i++) {
+    fn();
+  }
+  var diff = process.hrtime(start);
+  return (diff[0] * 1e3 + diff[1] / 1e6) / iterations;
+}
+
+// Logging from rules would dominate measured time
+var log = console.log;
+console.log = function () {};
+console.time = function () {};
+console.timeEnd = function () {};
+
+log('Iterations per case: ' + iterations);
+log('');
+
+/**
+ * Measure and print timings for a single case
+ * @param {Object} test - Case with rule, state and moves
+ */
+function runCase(test) {
+  var legacyTime = measure(function () {
+    legacy.calculateMoveWeights(test.rule, test.state, test.moves, model.PieceType.WHITE, null, false);
+  });
+
+  var weightTime = measure(function () {
+    test.rule.calculateMoveWeights(test.state, test.moves, model.PieceType.WHITE, null, false);
+  });
+  var result = test.rule.calculateMoveWeights(test.state, test.moves, model.PieceType.WHITE, null, false);
+
+  var turnsTime = measure(function () {
+    test.rule.getLegalTurns(test.state, test.moves, model.PieceType.WHITE);
+  });
+  var turns = test.rule.getLegalTurns(test.state, test.moves, model.PieceType.WHITE);
+
+  log(test.name + ': calculateMoveWeights ' + weightTime.toFixed(2) + ' ms (max weight ' + result.max + ')' +
+    ', previous ' + legacyTime.toFixed(2) + ' ms (' + (legacyTime / weightTime).toFixed(0) + 'x)' +
+    ', getLegalTurns ' + turnsTime.toFixed(2) + ' ms (' + turns.length + ' turns)');
+}
+
+for (var c = 0; c < cases.length; c++) {
+  runCase(cases[c]);
+}
+
+/**
+ * Compare results of both implementations of move weight calculation. The
+ * maximum weight, the weight of each piece and the playable moves must be
+ * the same.
+ * @param {Object} expected - Result of previous implementation
+ * @param {Object} actual - Result of current implementation
+ * @returns {boolean} - True if results are the same
+ */
+function isSameWeight(expected, actual) {
+  if ((expected.max !== actual.max) || (expected.playableMoves.join(',') !== actual.playableMoves.join(','))) {
+    return false;
+  }
+
+  var key;
+  for (key in expected) {
+    if (expected[key] && (expected[key].max !== undefined) &&
+        ((!actual[key]) || (actual[key].max !== expected[key].max))) {
+      return false;
+    }
+  }
+  for (key in actual) {
+    if (actual[key] && (actual[key].max !== undefined) && (!expected[key])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Play random games of a rule and compare move weights of both
+ * implementations for each roll
+ * @param {Rule} rule - Rule
+ * @param {DiceSource} source - Source of dice values and random turns
+ * @returns {{positions: number, differences: number, legacyTime: number, time: number}} -
+ *          Number of positions checked and positions with different weights,
+ *          and total time of each implementation in milliseconds
+ */
+function compareGames(rule, source) {
+  var stats = { 'positions': 0, 'differences': 0, 'legacyTime': 0, 'time': 0 };
+
+  for (var g = 0; g < games; g++) {
+    var state = new model.State();
+    rule.initialize(state);
+    rule.resetState(state);
+    var type = g % 2;
+    var isOver = false;
+
+    // Random turns in Tapa can block both players for good, so games are
+    // also ended after a number of rolls
+    for (var roll = 0; (roll < MAX_ROLLS) && !isOver; roll++) {
+      var values = [source.nextValue(), source.nextValue()];
+      var moves = (values[0] === values[1]) ? [values[0], values[0], values[0], values[0]] :
+        [Math.max(values[0], values[1]), Math.min(values[0], values[1])];
+
+      var start = process.hrtime();
+      var expected = legacy.calculateMoveWeights(rule, state, moves, type, null, false);
+      var diff = process.hrtime(start);
+      stats.legacyTime += diff[0] * 1e3 + diff[1] / 1e6;
+
+      start = process.hrtime();
+      var actual = rule.calculateMoveWeights(state, moves, type, null, false);
+      diff = process.hrtime(start);
+      stats.time += diff[0] * 1e3 + diff[1] / 1e6;
+
+      stats.positions++;
+      if (!isSameWeight(expected, actual)) {
+        stats.differences++;
+        log('Different weights for ' + rule.name + ', position ' + model.State.getPositionKey(state) +
+          ', moves ' + moves.join(':'));
+      }
+
+      var turns = rule.getLegalTurns(state, moves, type);
+      if (turns.length > 0) {
+        state = turns[source.nextUint32() % turns.length].state;
+      }
+      isOver = state.outside[type].length >= rule.maxPieces;
+      type = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+    }
+  }
+
+  return stats;
+}
+
+log('');
+log('Comparing weights in ' + games + ' random games per rule');
+
+var failed = false;
+var rules = [casual, gulbara, tapa];
+for (var r = 0; r < rules.length; r++) {
+  rules[r].name = rules[r].constructor.name;
+  var stats = compareGames(rules[r], new model.SeededDiceSource('move_weights:' + r));
+  log(rules[r].name + ': ' + stats.positions + ' positions, ' + stats.differences + ' differences, ' +
+    'calculateMoveWeights ' + stats.time.toFixed(0) + ' ms, previous ' + stats.legacyTime.toFixed(0) + ' ms' +
+    ' (' + (stats.legacyTime / stats.time).toFixed(0) + 'x)');
+  if (stats.differences > 0) {
+    failed = true;
+  }
+}
+
+if (failed) {
+  log('Implementations give different weights!');
+  process.exitCode = 1;
+}
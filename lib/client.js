@@ -3,13 +3,19 @@
 
 var model = require('./model.js');
 var comm = require('./comm.js');
+var fairness = require('./fairness.js');
 var io = require('socket.io-client');
-require('../app/browser/js/SimpleBoardUI.js');
+// Required here, so that the board UI is included in the browser bundle
+if (typeof window !== 'undefined') {
+  require('../app/browser/js/SimpleBoardUI.js');
+}
 require('./rules/rule.js');
 require('./rules/RuleBgCasual.js'); // ICCJ: keep traditional only
 
 /**
- * Backgammon client
+ * Backgammon client. In browsers the board is shown by `SimpleBoardUI`.
+ * Other board UIs, like `TextBoardUI` for terminals, are chosen with
+ * the `boardUI` option - a path to the module or its constructor.
  */
 function Client(config) {
 
@@ -19,6 +25,8 @@ function Client(config) {
   this._msgSubscriptions = {};
 
   this.player = null;
+  // Secret token of player, used to take over the player after reconnecting
+  this.playerToken = null;
   this.otherPlayer = null;
   this.match = null;
   this.rule = null;
@@ -28,7 +36,10 @@ function Client(config) {
     'boardID': 'board',
     'rulePath': './rules/',
     'boardUI': '../app/browser/js/SimpleBoardUI.js',
-    'playerName': null
+    'playerName': null,
+    // Token of player to take over, eg. host of a match created with the HTTP API
+    'playerToken': null,
+    'verbose': true
   };
 
   this.init = function (config) {
@@ -37,7 +48,7 @@ function Client(config) {
       this.config[attrname] = config[attrname];
     }
 
-    var boardUIClass = require(this.config.boardUI);
+    var boardUIClass = (typeof this.config.boardUI === 'function') ? this.config.boardUI : require(this.config.boardUI);
     this.boardUI = new boardUIClass(this);
     this.boardUI.init();
 
@@ -45,6 +56,20 @@ function Client(config) {
   };
 
 
+  /**
+   * Log messages to console, unless `verbose` is turned off in config
+   */
+  this.log = function () {
+
+    if (this.config.verbose) {
+
+      console.log.apply(console, arguments);
+
+    }
+
+  };
+
+
   this._openSocket = function () {
 
     var self = this;
@@ -75,6 +100,11 @@ function Client(config) {
       m.JOIN_MATCH,
       m.ROLL_DICE,
       m.MOVE_PIECE,
+      m.CONFIRM_MOVES,
+      m.SUBMIT_TURN,
+      m.UNDO_MOVES,
+      m.RESIGN_GAME,
+      m.RESIGN_MATCH,
       m.EVENT_PLAYER_JOINED,
       m.EVENT_TURN_START,
       m.EVENT_DICE_ROLL,
@@ -83,7 +113,17 @@ function Client(config) {
       m.EVENT_GAME_OVER,
       m.EVENT_MATCH_OVER,
       m.EVENT_GAME_RESTART,
-      m.EVENT_UNDO_MOVES
+      m.EVENT_OPENING_ROLL,
+      m.EVENT_UNDO_MOVES,
+      m.OFFER_DOUBLE,
+      m.ACCEPT_DOUBLE,
+      m.REJECT_DOUBLE,
+      m.BEAVER_DOUBLE,
+      m.GET_HINT,
+      m.EVENT_DOUBLE_OFFER,
+      m.EVENT_DOUBLE_ACCEPT,
+      m.EVENT_DOUBLE_BEAVER,
+      m.EVENT_GAME_ANALYSIS
 
     ];
 
@@ -114,7 +154,7 @@ function Client(config) {
 
     this._callbackList[params.clientMsgSeq] = callback;
 
-    console.log('Sending message ' + msg + ' with ID ' + params.clientMsgSeq);
+    this.log('Sending message ' + msg + ' with ID ' + params.clientMsgSeq);
 
     this._socket.emit(msg, params);
 
@@ -127,13 +167,18 @@ function Client(config) {
    */
   this.handleConnect = function () {
 
-    console.log('Client connected');
+    this.log('Client connected');
 
     var params = {};
 
-    if (this.player) {
+    if (this.playerToken) {
 
-      params.playerID = this.player.id;
+      params.playerToken = this.playerToken;
+
+    }
+    else if (this.config.playerToken) {
+
+      params.playerToken = this.config.playerToken;
 
     }
 
@@ -156,9 +201,9 @@ function Client(config) {
 
   this.handleMessage = function (msg, params) {
 
-    console.log('Reply/event received: ' + msg);
+    this.log('Reply/event received: ' + msg);
 
-    console.log(params);
+    this.log(params);
 
     if ((params) && (params.match) && (this.match) &&
        (this.match.id == params.match.id)) {
@@ -215,6 +260,36 @@ function Client(config) {
 
     }
 
+    else if (msg == comm.Message.EVENT_OPENING_ROLL) {
+
+      this.boardUI.handleEventOpeningRoll(params);
+
+    }
+
+    else if (msg == comm.Message.EVENT_DOUBLE_OFFER) {
+
+      this.boardUI.handleEventDoubleOffer(params);
+
+    }
+
+    else if (msg == comm.Message.EVENT_DOUBLE_ACCEPT) {
+
+      this.boardUI.handleEventDoubleAccept(params);
+
+    }
+
+    else if (msg == comm.Message.EVENT_DOUBLE_BEAVER) {
+
+      this.boardUI.handleEventDoubleBeaver(params);
+
+    }
+
+    else if (msg == comm.Message.EVENT_GAME_ANALYSIS) {
+
+      this.boardUI.handleEventGameAnalysis(params);
+
+    }
+
     if (params.clientMsgSeq) {
 
       var callback = this._callbackList[params.clientMsgSeq];
@@ -239,8 +314,13 @@ function Client(config) {
   this.handleCreateGuest = function (params) {
 
     this.player = params.player;
+    this.playerToken = params.playerToken || null;
 
-    document.cookie = 'player_id=' + this.player.id;
+    if ((typeof document !== 'undefined') && this.playerToken) {
+
+      document.cookie = 'player_token=' + this.playerToken;
+
+    }
 
   };
 
@@ -279,7 +359,7 @@ function Client(config) {
 
   this.handleEventMatchStart = function (params) {
 
-    console.log('Match started');
+    this.log('Match started');
 
     if (model.Match.isHost(params.match, this.player)) {
 
@@ -306,6 +386,81 @@ function Client(config) {
   };
 
 
+  /**
+   * Game is over, but the match goes on. The next game starts with
+   * EVENT_GAME_RESTART.
+   */
+  this.handleEventGameOver = function (params) {
+
+    this.log('Game is over');
+
+    this.updateMatch(params.match);
+
+    this.boardUI.showGameEndMessage(params.winner, params.resigned);
+
+  };
+
+
+  /**
+   * Next game of match has started
+   */
+  this.handleEventGameRestart = function (params) {
+
+    this.updateMatch(params.match);
+
+    this.resetBoard(this.match, this.rule);
+
+    this.boardUI.handleEventGameRestart(params);
+
+  };
+
+
+  /**
+   * Match is over. The server has revealed its seed, so all dice rolls of
+   * the match can be verified.
+   */
+  this.handleEventMatchOver = function (params) {
+
+    this.log('Match is over');
+
+    this.updateMatch(params.match);
+
+    this.boardUI.showGameEndMessage(params.winner, params.resigned);
+
+    if (params.match.fairness) {
+
+      var verification = fairness.Fairness.verify(params.match.fairness, params.match, this.rule);
+
+      if (verification.valid) {
+
+        this.boardUI.notifySuccess('All ' + params.match.fairness.rolls.length + ' dice rolls verified.', 5000);
+
+      }
+
+      else {
+
+        this.log('Dice verification failed:', verification.errors);
+
+        this.boardUI.notifyError('Dice verification failed! ' + verification.errors[0], 10000);
+
+      }
+
+    }
+
+  };
+
+
+  /**
+   * Moves of current turn were undone. The match in the event has the
+   * state of the board, the scoreboard is updated after the event.
+   */
+  this.handleEventUndoMoves = function (params) {
+
+    this.boardUI.handleEventUndoMoves(params);
+
+  };
+
+
   this.loadRule = function (ruleName) {
 
     var fileName = model.Utils.sanitizeName(ruleName);
@@ -410,7 +565,27 @@ function Client(config) {
 
         hostSlug: options.hostSlug,
 
-        ruleName: "RuleBgCasual"
+        ruleName: "RuleBgCasual",
+
+        matchLength: options.matchLength,
+
+        crawford: options.crawford,
+
+        jacoby: options.jacoby,
+
+        beavers: options.beavers,
+
+        hints: options.hints,
+
+        diceSource: options.diceSource,
+
+        positionID: options.positionID,
+
+        matchID: options.matchID,
+
+        opponent: options.opponent,
+
+        botDifficulty: options.botDifficulty
 
       },
 
@@ -442,7 +617,9 @@ function Client(config) {
 
   this.reqRollDice = function (callback) {
 
-    this.sendMessage(comm.Message.ROLL_DICE, undefined, callback);
+    // Client seed is mixed in the roll, so that the server cannot choose dice values
+
+    this.sendMessage(comm.Message.ROLL_DICE, { clientSeed: fairness.Fairness.generateSeed(16) }, callback);
 
   };
 
@@ -454,6 +631,83 @@ function Client(config) {
   };
 
 
+  /**
+   * Play and confirm a whole turn at once
+   * @param {string|Array} moves - Moves in standard notation (eg. '24/18 13/11*')
+   *                               or list of {piece, steps} objects
+   * @param {Function} [callback] - Called when server replies
+   */
+  this.reqSubmitTurn = function (moves, callback) {
+
+    var params = (typeof moves === 'string') ? { notation: moves } : { moves: moves };
+
+    this.sendMessage(comm.Message.SUBMIT_TURN, params, callback);
+
+  };
+
+
+  this.reqUndoMoves = function (callback) {
+
+    this.sendMessage(comm.Message.UNDO_MOVES, undefined, callback);
+
+  };
+
+
+  this.reqResignGame = function (callback) {
+
+    this.sendMessage(comm.Message.RESIGN_GAME, undefined, callback);
+
+  };
+
+
+  this.reqResignMatch = function (callback) {
+
+    this.sendMessage(comm.Message.RESIGN_MATCH, undefined, callback);
+
+  };
+
+
+  this.reqOfferDouble = function (callback) {
+
+    this.sendMessage(comm.Message.OFFER_DOUBLE, undefined, callback);
+
+  };
+
+
+  this.reqAcceptDouble = function (callback) {
+
+    this.sendMessage(comm.Message.ACCEPT_DOUBLE, undefined, callback);
+
+  };
+
+
+  this.reqRejectDouble = function (callback) {
+
+    this.sendMessage(comm.Message.REJECT_DOUBLE, undefined, callback);
+
+  };
+
+
+  this.reqBeaverDouble = function (callback) {
+
+    this.sendMessage(comm.Message.BEAVER_DOUBLE, undefined, callback);
+
+  };
+
+
+  /**
+   * Ask server for the best turns for the dice rolled
+   * @param {number} [count] - Number of turns
+   * @param {Function} [callback] - Called when server replies, with the
+   *                                turns in `params.hints`
+   */
+  this.reqGetHint = function (count, callback) {
+
+    this.sendMessage(comm.Message.GET_HINT, { count: count }, callback);
+
+  };
+
+
   this.reqMove = function(piece, steps, callback){
 
     this.sendMessage(
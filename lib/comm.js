@@ -25,9 +25,15 @@ var Message = {
   ROLL_DICE: 'rollDice',
   MOVE_PIECE: 'movePiece',
   CONFIRM_MOVES: 'confirmMoves',
+  SUBMIT_TURN: 'submitTurn',
   UNDO_MOVES: 'undoMoves',
   RESIGN_GAME: 'resignGame',
   RESIGN_MATCH: 'resignMatch',
+  OFFER_DOUBLE: 'offerDouble',
+  ACCEPT_DOUBLE: 'acceptDouble',
+  REJECT_DOUBLE: 'rejectDouble',
+  BEAVER_DOUBLE: 'beaverDouble',
+  GET_HINT: 'getHint',
   EVENT_PLAYER_JOINED: 'eventPlayerJoined',
   EVENT_TURN_START: 'eventTurnStart',
   EVENT_DICE_ROLL: 'eventDiceRoll',
@@ -36,7 +42,12 @@ var Message = {
   EVENT_MATCH_OVER: 'eventMatchOver',
   EVENT_GAME_OVER: 'eventGameOver',
   EVENT_GAME_RESTART: 'eventGameRestart',
+  EVENT_OPENING_ROLL: 'eventOpeningRoll',
   EVENT_UNDO_MOVES: 'eventUndoMoves',
+  EVENT_DOUBLE_OFFER: 'eventDoubleOffer',
+  EVENT_DOUBLE_ACCEPT: 'eventDoubleAccept',
+  EVENT_DOUBLE_BEAVER: 'eventDoubleBeaver',
+  EVENT_GAME_ANALYSIS: 'eventGameAnalysis',
 };
 
 module.exports.Message = Message;
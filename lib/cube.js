@@ -0,0 +1,204 @@
+var model = require('./model.js');
+var met = require('./met.js');
+
+var CubefulModel = met.CubefulModel;
+var MatchEquityTable = met.MatchEquityTable;
+
+/**
+ * Advisor for doubling cube decisions.
+ *
+ * Given the probabilities of the player on roll to win the game and to win
+ * or lose a gammon, the advisor computes the equity of not doubling, of
+ * doubling when the opponent takes and when the opponent drops, and finds
+ * the right action of both players. In matches equities are match winning
+ * chances, taken from the match equity table for the score after the game.
+ * In money sessions equities are points won, for a cube value of one.
+ * Cubeful equities are computed with `CubefulModel`.
+ * @constructor
+ * @param {Object} [options] - Options
+ * @param {MatchEquityTable} [options.met] - Match equity table, the built-in
+ *                                          one by default
+ * @param {number} [options.efficiency] - Cube efficiency
+ */
+function CubeAdvisor(options) {
+  options = options || {};
+
+  /**
+   * Match equity table
+   * @type {MatchEquityTable}
+   */
+  this.met = options.met || MatchEquityTable.getStandard();
+
+  /**
+   * Cube efficiency
+   * @type {number}
+   */
+  this.efficiency = (options.efficiency != null) ? options.efficiency : CubefulModel.DEFAULT_EFFICIENCY;
+}
+
+/**
+ * Cube actions advised
+ * @readonly
+ * @enum {string}
+ */
+CubeAdvisor.Action = {
+  /** NO_DOUBLE: Player should not double, opponent should take a double */
+  NO_DOUBLE: 'no double, take',
+  /** DOUBLE_TAKE: Player should double, opponent should take */
+  DOUBLE_TAKE: 'double, take',
+  /** DOUBLE_PASS: Player should double, opponent should drop */
+  DOUBLE_PASS: 'double, pass',
+  /** TOO_GOOD_PASS: Player should play on for a gammon, opponent should drop a double */
+  TOO_GOOD_PASS: 'too good, pass',
+  /** TOO_GOOD_TAKE: Player should play on for a gammon, opponent should take a double */
+  TOO_GOOD_TAKE: 'too good, take'
+};
+
+/**
+ * Maximum cube value, if rule does not define one
+ * @type {number}
+ */
+CubeAdvisor.MAX_CUBE_VALUE = 64;
+
+/**
+ * Create cubeful model for the current game of a match, from the point of
+ * view of a player
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {PieceType} type - Type of player's pieces
+ * @param {{win: number, winGammon: number, loseGammon: number}} probabilities -
+ *        Probabilities that the player wins the game, wins a gammon and loses a gammon
+ * @returns {CubefulModel} - Model
+ */
+CubeAdvisor.prototype.createModel = function (rule, match, type, probabilities) {
+  var self = this;
+  var game = match.currentGame;
+  var opponentType = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+  var maxCube = (rule && rule.maxCubeValue) || CubeAdvisor.MAX_CUBE_VALUE;
+  var isMoney = model.Match.isMoneySession(match);
+
+  var getOutcomes;
+  var canDouble;
+
+  if (isMoney) {
+    getOutcomes = function (cube, centered) {
+      var gammon = (match.jacoby && centered) ? cube : 2 * cube;
+      return { 'win': cube, 'winGammon': gammon, 'lose': -cube, 'loseGammon': -gammon };
+    };
+    canDouble = function (side, cube) {
+      return 2 * cube <= maxCube;
+    };
+  }
+  else {
+    var away = match.length - match.score[type];
+    var opponentAway = match.length - match.score[opponentType];
+    var postCrawford = (!match.crawford) || match.crawfordPlayed;
+    var getEquity = function (a, b) {
+      return self.met.getEquity(a, b, postCrawford);
+    };
+
+    getOutcomes = function (cube) {
+      return {
+        'win': getEquity(away - cube, opponentAway),
+        'winGammon': getEquity(away - 2 * cube, opponentAway),
+        'lose': getEquity(away, opponentAway - cube),
+        'loseGammon': getEquity(away, opponentAway - 2 * cube)
+      };
+    };
+    canDouble = function (side, cube) {
+      return (!game || !game.isCrawford) &&
+        (2 * cube <= maxCube) &&
+        (cube < ((side === CubefulModel.Owner.PLAYER) ? away : opponentAway));
+    };
+  }
+
+  var win = probabilities.win;
+  return new CubefulModel({
+    'getOutcomes': getOutcomes,
+    'canDouble': canDouble,
+    'winGammonRate': (win > 0) ? Math.min(1, probabilities.winGammon / win) : 0,
+    'loseGammonRate': (win < 1) ? Math.min(1, probabilities.loseGammon / (1 - win)) : 0,
+    'efficiency': this.efficiency
+  });
+};
+
+/**
+ * Analyze cube decision of the player on roll, before rolling the dice.
+ * The same analysis tells if the opponent should take a double.
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {{win: number, winGammon: number, loseGammon: number}} probabilities -
+ *        Probabilities that the player wins the game, wins a gammon and loses a gammon
+ * @returns {Object} - Analysis: equities of `noDouble`, `doubleTake` and
+ *          `doublePass`, the `action` advised (see `Action`, null if the
+ *          rules do not allow the player to double now), `shouldDouble`,
+ *          `shouldTake`, the `takePoint` of the opponent (minimum probability
+ *          to win the game for a take) and `canDouble`
+ */
+CubeAdvisor.prototype.analyze = function (rule, match, type, probabilities) {
+  var game = match.currentGame;
+  var cube = game ? game.cubeValue : 1;
+  var maxCube = (rule && rule.maxCubeValue) || CubeAdvisor.MAX_CUBE_VALUE;
+  var cubeful = this.createModel(rule, match, type, probabilities);
+  var p = probabilities.win;
+
+  var owner = CubefulModel.Owner.CENTERED;
+  if (game && (game.cubeOwner != null)) {
+    owner = (game.cubeOwner === type) ? CubefulModel.Owner.PLAYER : CubefulModel.Owner.OPPONENT;
+  }
+
+  var noDouble = cubeful.getEquity(p, cube, owner);
+  var doubleTake = cubeful.getEquity(p, 2 * cube, CubefulModel.Owner.OPPONENT);
+  var doublePass = cubeful.getResults(cube, owner).cash;
+
+  var canDouble = (!game || !game.isCrawford) &&
+    (owner !== CubefulModel.Owner.OPPONENT) &&
+    (2 * cube <= maxCube);
+  var shouldTake = doubleTake < doublePass;
+  // If the cube cannot be turned, only the take decision is of interest
+  var action = null;
+  if (canDouble) {
+    if (Math.min(doubleTake, doublePass) > noDouble) {
+      action = shouldTake ? CubeAdvisor.Action.DOUBLE_TAKE : CubeAdvisor.Action.DOUBLE_PASS;
+    }
+    else if (noDouble >= doublePass) {
+      action = shouldTake ? CubeAdvisor.Action.TOO_GOOD_TAKE : CubeAdvisor.Action.TOO_GOOD_PASS;
+    }
+    else {
+      action = CubeAdvisor.Action.NO_DOUBLE;
+    }
+  }
+
+  // Equity after a take grows with the chances of the player, so the take
+  // point is found by bisection
+  var low = 0;
+  var high = 1;
+  for (var i = 0; i < 40; i++) {
+    var middle = (low + high) / 2;
+    if (cubeful.getEquity(middle, 2 * cube, CubefulModel.Owner.OPPONENT) < doublePass) {
+      low = middle;
+    }
+    else {
+      high = middle;
+    }
+  }
+
+  return {
+    'probabilities': probabilities,
+    'cubeValue': cube,
+    'isMoney': model.Match.isMoneySession(match),
+    'canDouble': canDouble,
+    'noDouble': noDouble,
+    'doubleTake': doubleTake,
+    'doublePass': doublePass,
+    'action': action,
+    'shouldDouble': (action === CubeAdvisor.Action.DOUBLE_TAKE) || (action === CubeAdvisor.Action.DOUBLE_PASS),
+    'shouldTake': shouldTake,
+    'takePoint': 1 - (low + high) / 2
+  };
+};
+
+module.exports = {
+  'CubeAdvisor': CubeAdvisor
+};
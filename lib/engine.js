@@ -0,0 +1,458 @@
+var model = require('./model.js');
+var heuristic = require('./heuristic.js');
+
+/**
+ * Search engine of computer players. Chooses turns by expectimax search over
+ * the dice rolls of the players, with positions at the leaves scored by an
+ * evaluator (by default `HeuristicEvaluator`).
+ *
+ * - 0-ply: the turn with the best score of the resulting position is chosen;
+ * - 1-ply: each candidate turn is scored by the average, over all 21 rolls
+ *   of the opponent, of the position after the opponent's best reply;
+ * - 2-ply: as 1-ply, but positions after the opponent's replies are scored
+ *   by the average over all 21 rolls of the player.
+ *
+ * Only the best candidates by 0-ply score are searched deeper (move
+ * pruning). The engine works with any rule, as positions are generated
+ * through `Rule.getLegalTurns` only.
+ *
+ * With a bear-off database, turns in races where all pieces of the player
+ * are in the database are chosen by the database instead (see
+ * `rankBearoffTurns`), so endgames are played perfectly.
+ *
+ * An evaluator is an object with method `evaluate(rule, state, type)`,
+ * that scores a position from the point of view of the player that has just
+ * moved. The score for the player on roll is taken to be the negated score
+ * for the player that has just moved. Method `getWinProbability(rule, state,
+ * type)` estimates the chances of that player, for cube decisions.
+ * @constructor
+ * @param {Object} [options] - Options. Options not specified are taken
+ *                             from the settings of the difficulty level.
+ * @param {Difficulty} [options.difficulty] - Difficulty level, MEDIUM by default
+ * @param {number} [options.plies] - Depth of search - 0, 1 or 2
+ * @param {number} [options.candidates] - Number of turns searched deeper than 0-ply
+ * @param {number} [options.replyCandidates] - Number of opponent replies searched
+ *                                            deeper than 0-ply, in 2-ply search
+ * @param {number} [options.noise] - Standard deviation of random noise added to
+ *                                   score of turns, used to make mistakes on purpose
+ * @param {Object} [options.evaluator] - Evaluator of positions
+ * @param {BearoffDatabase} [options.bearoff] - Bear-off database
+ * @param {function} [options.random] - Random generator, returning numbers in [0, 1)
+ */
+function Engine(options) {
+  options = options || {};
+
+  var difficulty = options.difficulty || Engine.Difficulty.MEDIUM;
+  var settings = Engine.DIFFICULTY_SETTINGS[difficulty];
+  if (!settings) {
+    throw new Error('Unknown difficulty ' + difficulty + '!');
+  }
+
+  /**
+   * Difficulty level
+   * @type {Difficulty}
+   */
+  this.difficulty = difficulty;
+
+  /**
+   * Depth of search - 0, 1 or 2
+   * @type {number}
+   */
+  this.plies = (options.plies != null) ? options.plies : settings.plies;
+
+  /**
+   * Number of turns searched deeper than 0-ply
+   * @type {number}
+   */
+  this.candidates = options.candidates || settings.candidates;
+
+  /**
+   * Number of opponent replies searched deeper than 0-ply, in 2-ply search
+   * @type {number}
+   */
+  this.replyCandidates = options.replyCandidates || settings.replyCandidates;
+
+  /**
+   * Standard deviation of random noise added to score of turns
+   * @type {number}
+   */
+  this.noise = (options.noise != null) ? options.noise : settings.noise;
+
+  /**
+   * Evaluator of positions
+   * @type {Object}
+   */
+  this.evaluator = options.evaluator || new heuristic.HeuristicEvaluator();
+
+  /**
+   * Bear-off database, used in races
+   * @type {BearoffDatabase}
+   */
+  this.bearoff = options.bearoff || null;
+
+  /**
+   * Random generator used for noise
+   * @type {function}
+   */
+  this.random = options.random || Math.random;
+}
+
+/**
+ * Difficulty levels of computer players
+ * @readonly
+ * @enum {string}
+ */
+Engine.Difficulty = {
+  /** EASY: 0-ply search with a lot of noise */
+  EASY: 'easy',
+  /** MEDIUM: 0-ply search with some noise */
+  MEDIUM: 'medium',
+  /** HARD: 1-ply search */
+  HARD: 'hard',
+  /** EXPERT: 2-ply search */
+  EXPERT: 'expert'
+};
+
+/**
+ * Search settings of each difficulty level
+ * @type {Object}
+ */
+Engine.DIFFICULTY_SETTINGS = {
+  'easy': { 'plies': 0, 'candidates': 1, 'replyCandidates': 1, 'noise': 12 },
+  'medium': { 'plies': 0, 'candidates': 1, 'replyCandidates': 1, 'noise': 4 },
+  'hard': { 'plies': 1, 'candidates': 8, 'replyCandidates': 1, 'noise': 0 },
+  'expert': { 'plies': 2, 'candidates': 3, 'replyCandidates': 1, 'noise': 0 }
+};
+
+/**
+ * Score of a won game. The score of a finished game is this value, plus
+ * or minus the score of the final position, so that faster wins are preferred.
+ * @type {number}
+ */
+Engine.WIN_SCORE = 1000;
+
+/**
+ * Scores of turns chosen by the bear-off database are between `-SCORE_SCALE`
+ * (sure loss) and `SCORE_SCALE` (sure win)
+ * @type {number}
+ */
+Engine.SCORE_SCALE = 100;
+
+/**
+ * Part of the wins that are gammons while there is contact and the loser
+ * has not borne off any piece. Evaluators do not estimate gammons, so this
+ * average is used instead.
+ * @type {number}
+ */
+Engine.GAMMON_RATE = 0.2;
+
+/**
+ * All 21 distinct rolls of two dice, with their probabilities. Moves are
+ * listed in descending order, as in `Dice.moves`.
+ * @type {{values: number[], moves: number[], probability: number}[]}
+ */
+Engine.ROLLS = (function () {
+  var rolls = [];
+  for (var a = 6; a >= 1; a--) {
+    for (var b = a; b >= 1; b--) {
+      rolls.push({
+        'values': [a, b],
+        'moves': (a === b) ? [a, a, a, a] : [a, b],
+        'probability': (a === b) ? 1 / 36 : 2 / 36
+      });
+    }
+  }
+  return rolls;
+})();
+
+/**
+ * Get type of opponent's pieces
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {PieceType} - Type of opponent's pieces
+ */
+Engine.getOpponentType = function (type) {
+  return (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+};
+
+/**
+ * Check if player has borne off all pieces
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {boolean} - True if player has won
+ */
+Engine.hasWon = function (rule, state, type) {
+  return state.outside[type].length === rule.maxPieces;
+};
+
+/**
+ * Score position from the point of view of the player that has just moved.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Score of position
+ */
+Engine.prototype.evaluate = function (rule, state, type) {
+  var score = this.evaluator.evaluate(rule, state, type);
+  if (Engine.hasWon(rule, state, type)) {
+    score += Engine.WIN_SCORE;
+  }
+  return score;
+};
+
+/**
+ * Get all legal turns for the moves left, sorted by 0-ply score
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{moves: Object[], state: State, score: number}[]} - Legal turns
+ *          (see `Rule.getLegalTurns`), with the score of the resulting position.
+ *          Best turn is first.
+ */
+Engine.prototype.rankTurns = function (rule, state, movesLeft, type) {
+  var turns = rule.getLegalTurns(state, movesLeft, type);
+  for (var i = 0; i < turns.length; i++) {
+    turns[i].score = this.evaluate(rule, turns[i].state, type);
+    turns[i].tieBreak = Engine.getTieBreak(rule, turns[i].state, type);
+  }
+  turns.sort(function (a, b) { return (b.score - a.score) || (a.tieBreak - b.tieBreak); });
+  return turns;
+};
+
+/**
+ * Get key used to order turns with equal scores. Legal turns are generated
+ * in a different order for each player, so without the key ties would be
+ * broken differently for white and black - and rollouts of symmetric
+ * positions would not be symmetric. Turns that leave the pieces closer to
+ * home, by sum of squared pip counts of pieces, are preferred.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State after the turn
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Key, lower is preferred
+ */
+Engine.getTieBreak = function (rule, state, type) {
+  // Pieces on the bar are one pip further away than the furthest point
+  var barPips = rule.maxPoints + 1;
+  var key = state.bar[type].length * barPips * barPips;
+  for (var pos = 0; pos < rule.maxPoints; pos++) {
+    var pips = rule.normPos(pos, type) + 1;
+    key += model.State.countAtPos(state, pos, type) * pips * pips;
+  }
+  return key;
+};
+
+/**
+ * Get all legal turns for the moves left, scored by the bear-off database.
+ * The database is used if there is no contact and all pieces of the player
+ * are in it.
+ *
+ * When the opponent is in the database too, the score of a turn is
+ * `SCORE_SCALE * (2p - 1)`, where `p` is the probability to win the race.
+ * Otherwise the score is the negated expected number of rolls to bear off.
+ * Turns with equal scores are ordered by expected number of rolls.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{moves: Object[], state: State, score: number, expectedRolls: number}[]} -
+ *          Legal turns, best first, or null if the database cannot be used
+ */
+Engine.prototype.rankBearoffTurns = function (rule, state, movesLeft, type) {
+  if (!this.bearoff || rule.hasContact(state) || (this.bearoff.getIndex(rule, state, type) < 0)) {
+    return null;
+  }
+
+  var twoSided = this.bearoff.getIndex(rule, state, Engine.getOpponentType(type)) >= 0;
+  var turns = rule.getLegalTurns(state, movesLeft, type);
+  for (var i = 0; i < turns.length; i++) {
+    var turn = turns[i];
+    turn.expectedRolls = this.bearoff.getExpectedRolls(rule, turn.state, type);
+    turn.score = twoSided ?
+      Engine.SCORE_SCALE * (2 * this.bearoff.getWinProbability(rule, turn.state, type) - 1) :
+      -turn.expectedRolls;
+  }
+  turns.sort(function (a, b) { return (b.score - a.score) || (a.expectedRolls - b.expectedRolls); });
+
+  return turns;
+};
+
+/**
+ * Score position after a turn, by searching the rolls that follow.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State after the turn
+ * @param {PieceType} type - Type of pieces of player that made the turn
+ * @param {number} depth - Number of plies to search
+ * @returns {number} - Expected score of position, from the point of view
+ *          of the player that made the turn
+ */
+Engine.prototype.searchAfterTurn = function (rule, state, type, depth) {
+  if ((depth <= 0) || Engine.hasWon(rule, state, type)) {
+    return this.evaluate(rule, state, type);
+  }
+
+  var opponentType = Engine.getOpponentType(type);
+  var expected = 0;
+
+  for (var r = 0; r < Engine.ROLLS.length; r++) {
+    var roll = Engine.ROLLS[r];
+    var replies = this.rankTurns(rule, state, roll.moves, opponentType);
+
+    // The opponent plays the best reply. Only the best replies by 0-ply
+    // score are searched deeper.
+    var best = replies[0].score;
+    if (depth > 1) {
+      best = -Infinity;
+      var count = Math.min(replies.length, this.replyCandidates);
+      for (var i = 0; i < count; i++) {
+        best = Math.max(best, this.searchAfterTurn(rule, replies[i].state, opponentType, depth - 1));
+      }
+    }
+
+    expected += roll.probability * best;
+  }
+
+  return -expected;
+};
+
+/**
+ * Analyze legal turns for the moves left, at the depth of search of the
+ * engine, or by the bear-off database, if it can be used. No noise is added
+ * to scores.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{moves: Object[], state: State, score: number}[]} - Turns analyzed,
+ *          best first. When searching deeper than 0-ply, only the candidate
+ *          turns are returned.
+ */
+Engine.prototype.analyzeTurns = function (rule, state, movesLeft, type) {
+  var bearoffTurns = this.rankBearoffTurns(rule, state, movesLeft, type);
+  if (bearoffTurns) {
+    return bearoffTurns;
+  }
+
+  var turns = this.rankTurns(rule, state, movesLeft, type);
+
+  if ((this.plies <= 0) || (turns.length <= 1)) {
+    return turns;
+  }
+
+  turns = turns.slice(0, this.candidates);
+  for (var i = 0; i < turns.length; i++) {
+    turns[i].score = this.searchAfterTurn(rule, turns[i].state, type, this.plies);
+  }
+  turns.sort(function (a, b) { return b.score - a.score; });
+
+  return turns;
+};
+
+/**
+ * Estimate probabilities of game results, from the point of view of the
+ * player that has just moved. Chances in races covered by the bear-off
+ * database are exact. Gammons are estimated with `GAMMON_RATE`.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{win: number, winGammon: number, loseGammon: number}} - Probabilities
+ *          that the player wins the game, wins a gammon and loses a gammon
+ */
+Engine.prototype.getPositionProbabilities = function (rule, state, type) {
+  var opponentType = Engine.getOpponentType(type);
+
+  if (Engine.hasWon(rule, state, type)) {
+    return {
+      'win': 1,
+      'winGammon': (state.outside[opponentType].length === 0) ? 1 : 0,
+      'loseGammon': 0
+    };
+  }
+
+  var win = this.bearoff ? this.bearoff.getWinProbability(rule, state, type) : null;
+  if (win === null) {
+    win = this.evaluator.getWinProbability(rule, state, type);
+  }
+
+  var contact = rule.hasContact(state);
+  return {
+    'win': win,
+    'winGammon': (contact && (state.outside[opponentType].length === 0)) ? win * Engine.GAMMON_RATE : 0,
+    'loseGammon': (contact && (state.outside[type].length === 0)) ? (1 - win) * Engine.GAMMON_RATE : 0
+  };
+};
+
+/**
+ * Estimate probabilities of game results for the player on roll, before
+ * rolling the dice - the average, over all 21 rolls, of the probabilities
+ * after the best turn for the roll
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @returns {{win: number, winGammon: number, loseGammon: number}} - Probabilities
+ *          that the player wins the game, wins a gammon and loses a gammon
+ */
+Engine.prototype.getProbabilities = function (rule, state, type) {
+  var result = { 'win': 0, 'winGammon': 0, 'loseGammon': 0 };
+
+  for (var r = 0; r < Engine.ROLLS.length; r++) {
+    var roll = Engine.ROLLS[r];
+    var turns = this.rankBearoffTurns(rule, state, roll.moves, type) ||
+      this.rankTurns(rule, state, roll.moves, type);
+    var probabilities = this.getPositionProbabilities(rule, turns[0].state, type);
+    for (var key in result) {
+      if (result.hasOwnProperty(key)) {
+        result[key] += roll.probability * probabilities[key];
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get random number from normal distribution (Box-Muller transform)
+ * @returns {number} - Random number with mean 0 and standard deviation 1
+ */
+Engine.prototype.randomNormal = function () {
+  var u = 1 - this.random();
+  var v = this.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Choose turn to play for the moves left. Random noise, depending on the
+ * difficulty level, is added to the scores of turns before choosing. No
+ * noise is added to turns chosen by the bear-off database.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{moves: Object[], state: State, score: number}} - Turn chosen
+ */
+Engine.prototype.chooseTurn = function (rule, state, movesLeft, type) {
+  var bearoffTurns = this.rankBearoffTurns(rule, state, movesLeft, type);
+  if (bearoffTurns) {
+    return bearoffTurns[0];
+  }
+
+  var turns = this.analyzeTurns(rule, state, movesLeft, type);
+  var best = turns[0];
+
+  if (this.noise > 0) {
+    var bestScore = -Infinity;
+    for (var i = 0; i < turns.length; i++) {
+      var score = turns[i].score + this.noise * this.randomNormal();
+      if (score > bestScore) {
+        best = turns[i];
+        bestScore = score;
+      }
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  'Engine': Engine
+};
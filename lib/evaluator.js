@@ -0,0 +1,49 @@
+var heuristic = require('./heuristic.js');
+var neural = require('./neural.js');
+
+/**
+ * Descriptions of evaluators of positions. Evaluators cannot be sent to
+ * worker threads as they are, so they are described by plain objects - the
+ * weights of a `HeuristicEvaluator` or the network of a `NeuralEvaluator` -
+ * and created again from the description in the worker.
+ * @constructor
+ */
+function Evaluator() {
+
+}
+
+/**
+ * Describe evaluator of positions, so that it can be sent to worker threads
+ * @param {Object} [evaluator] - Evaluator (`HeuristicEvaluator` or
+ *                               `NeuralEvaluator`), or its description.
+ *                               Heuristic evaluator with default weights if omitted.
+ * @returns {{type: string, weights: Object, network: Object}} - Description
+ */
+Evaluator.describe = function (evaluator) {
+  if (!evaluator) {
+    return { 'type': 'heuristic', 'weights': null };
+  }
+  if (evaluator instanceof neural.NeuralEvaluator) {
+    return { 'type': 'neural', 'network': evaluator.network.toJSON() };
+  }
+  if (evaluator instanceof heuristic.HeuristicEvaluator) {
+    return { 'type': 'heuristic', 'weights': evaluator.weights };
+  }
+  return evaluator;
+};
+
+/**
+ * Create evaluator of positions from its description
+ * @param {Object} description - Description (see `Evaluator.describe`)
+ * @returns {Object} - Evaluator
+ */
+Evaluator.create = function (description) {
+  if (description.type === 'neural') {
+    return neural.NeuralEvaluator.fromJSON(description.network);
+  }
+  return new heuristic.HeuristicEvaluator(description.weights);
+};
+
+module.exports = {
+  'Evaluator': Evaluator
+};
@@ -0,0 +1,331 @@
+var crypto = require('crypto');
+var model = require('./model.js');
+var gnubg = require('./gnubg.js');
+
+/**
+ * Provably fair dice, based on a commit-reveal scheme.
+ *
+ * 1. When a match is created the server generates a secret server seed and
+ *    publishes its SHA-256 hash (the commitment) with `EVENT_MATCH_START`.
+ * 2. With each `ROLL_DICE` request the client sends a seed of its own. Values
+ *    of the roll are derived from HMAC-SHA256 of the server seed and the
+ *    message `clientSeed:nonce:round`, where nonce is the index of the roll
+ *    in the match.
+ * 3. The server seed is revealed with `EVENT_MATCH_OVER`. Anyone can then
+ *    check that it matches the commitment, recompute every roll of the
+ *    match and compare the rolls with the dice played with `Fairness.verify`.
+ *
+ * As the server cannot change the seed after publishing its hash and does not
+ * know the client seed in advance, it cannot choose the values of the dice.
+ * @constructor
+ */
+function Fairness() {
+
+}
+
+/**
+ * Generate a random seed
+ * @param {number} [size] - Number of random bytes. Defaults to 32.
+ * @returns {string} - Seed as hex string
+ */
+Fairness.generateSeed = function (size) {
+  return crypto.randomBytes(size || 32).toString('hex');
+};
+
+/**
+ * Calculate the commitment published for a server seed
+ * @param {string} serverSeed - Server seed
+ * @returns {string} - SHA-256 hash of seed as hex string
+ */
+Fairness.hashSeed = function (serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+};
+
+/**
+ * Compute die values of a roll. Bytes of the HMAC greater than or equal to 252
+ * are rejected, so that all die values are equally likely. If a digest runs
+ * out of bytes, a new one is generated with the next round number.
+ * @param {string} serverSeed - Server seed
+ * @param {string} clientSeed - Client seed sent with the roll
+ * @param {number} nonce - Index of the roll in the match
+ * @param {number} count - Number of values to compute
+ * @returns {number[]} - Die values from 1 to 6
+ */
+Fairness.computeValues = function (serverSeed, clientSeed, nonce, count) {
+  var values = [];
+  var round = 0;
+
+  while (values.length < count) {
+    var digest = crypto.createHmac('sha256', serverSeed)
+      .update(clientSeed + ':' + nonce + ':' + round)
+      .digest();
+
+    for (var i = 0; (i < digest.length) && (values.length < count); i++) {
+      if (digest[i] < 252) {
+        values.push((digest[i] % 6) + 1);
+      }
+    }
+
+    round++;
+  }
+
+  return values;
+};
+
+/**
+ * Create a fairness record for a new match. The record is public - it is
+ * stored in the match and sent to clients. The server seed is not part of it
+ * until it is revealed at the end of the match.
+ * @param {string} serverSeed - Server seed
+ * @returns {Object} - Fairness record
+ */
+Fairness.createRecord = function (serverSeed) {
+  return {
+    'serverSeedHash': Fairness.hashSeed(serverSeed),
+    'serverSeed': null,
+    'rolls': []
+  };
+};
+
+/**
+ * Get the dice rolls that were played in the games of a match, in the order
+ * they should have been rolled: the opening roll of each game, with all of
+ * its rerolls, and a roll for each turn. The first turn is not a roll of its
+ * own, if it is played with the opening roll (see
+ * `Rule.useOpeningRollForFirstMove`) or with the dice of the start position
+ * of a practice match.
+ * @param {Match} match - Match
+ * @param {Rule} rule - Rule of match
+ * @returns {{values: number[], description: string}[]} - Values of rolls
+ *          and descriptions, used in error messages
+ */
+Fairness.getPlayedRolls = function (match, rule) {
+  var rolls = [];
+
+  for (var g = 0; g < match.games.length; g++) {
+    var game = match.games[g];
+    var name = ' of game ' + (g + 1);
+
+    var turns = [];
+    for (var t = 0; t < game.history.length; t++) {
+      turns.push(game.history[t].dice);
+    }
+    if (game.unfinishedTurnDice) {
+      turns.push(game.unfinishedTurnDice);
+    }
+
+    var first = 0;
+    if (game.openingRoll) {
+      var values = [];
+      for (var r = 0; r < game.openingRoll.rolls.length; r++) {
+        values = values.concat(game.openingRoll.rolls[r]);
+      }
+      rolls.push({ 'values': values, 'description': 'opening roll' + name });
+
+      // A first turn with other dice than the opening roll is checked as a
+      // roll of its own, so it fails verification
+      if (rule.useOpeningRollForFirstMove && (turns.length > 0) &&
+          (Fairness.formatRoll(turns[0]) === Fairness.formatRoll(game.openingRoll.values))) {
+        first = 1;
+      }
+    }
+    else if ((g === 0) && match.startPosition && match.startPosition.matchID) {
+      // The first turn of a practice match may have the dice of its start position
+      var dice = gnubg.Gnubg.decodeMatchID(match.startPosition.matchID).dice;
+      if (dice && (turns.length > 0) && (Fairness.formatRoll(turns[0]) === Fairness.formatRoll(dice))) {
+        first = 1;
+      }
+    }
+
+    for (t = first; t < turns.length; t++) {
+      rolls.push({ 'values': turns[t], 'description': 'turn ' + (t + 1) + name });
+    }
+  }
+
+  return rolls;
+};
+
+/**
+ * Format dice of a roll for comparison, regardless of order of the dice
+ * @param {number[]} values - Dice values
+ * @returns {string} - Values, sorted and separated with commas
+ */
+Fairness.formatRoll = function (values) {
+  return values.slice().sort().join(',');
+};
+
+/**
+ * Verify all rolls in a fairness record, after the server seed has been
+ * revealed. If the match is given, the dice played in its games are also
+ * checked against the rolls of the record, so that the server cannot play
+ * other dice than the ones it committed to.
+ * @param {Object} record - Fairness record of a match (`match.fairness`)
+ * @param {Match} [match] - Match, with records of all games
+ * @param {Rule} [rule] - Rule of match. Required if match is given.
+ * @returns {{valid: boolean, errors: string[]}} - Result of verification
+ *          and list of problems found
+ */
+Fairness.verify = function (record, match, rule) {
+  var errors = [];
+
+  if (!record) {
+    errors.push('Match has no fairness record');
+  }
+  else if (!record.serverSeed) {
+    errors.push('Server seed has not been revealed yet');
+  }
+  else {
+    if (Fairness.hashSeed(record.serverSeed) !== record.serverSeedHash) {
+      errors.push('Server seed does not match the published hash');
+    }
+
+    var i;
+    for (i = 0; i < record.rolls.length; i++) {
+      var roll = record.rolls[i];
+      if (roll.nonce !== i) {
+        errors.push('Roll ' + i + ' has nonce ' + roll.nonce);
+        continue;
+      }
+
+      var values = Fairness.computeValues(record.serverSeed, roll.clientSeed, roll.nonce, roll.values.length);
+      if (values.join(',') !== roll.values.join(',')) {
+        errors.push('Roll ' + i + ' should be ' + values.join(',') + ', but was ' + roll.values.join(','));
+      }
+    }
+
+    if (match) {
+      var played = Fairness.getPlayedRolls(match, rule);
+      for (i = 0; i < played.length; i++) {
+        if (i >= record.rolls.length) {
+          errors.push('Dice of ' + played[i].description + ' (' + played[i].values.join(',') + ') were not rolled');
+        }
+        else if (Fairness.formatRoll(played[i].values) !== Fairness.formatRoll(record.rolls[i].values)) {
+          errors.push('Dice of ' + played[i].description + ' were ' + played[i].values.join(',') +
+            ', but roll ' + i + ' was ' + record.rolls[i].values.join(','));
+        }
+      }
+      if (record.rolls.length > played.length) {
+        errors.push((record.rolls.length - played.length) + ' rolls were not played');
+      }
+    }
+  }
+
+  return {
+    'valid': errors.length === 0,
+    'errors': errors
+  };
+};
+
+/**
+ * Collect secret server seeds of provably fair matches that are not over,
+ * so that they can be saved apart from match records. Seeds are taken from
+ * live dice sources. Matches restored after a restart that have not rolled
+ * yet have no source - their seeds are taken from the restored ones, or they
+ * would be lost with the next save.
+ * @param {Match[]} matches - Matches of server
+ * @param {Object} sources - Dice sources, indexed by match ID
+ * @param {Object} restoredSeeds - Server seeds restored from database,
+ *                                 indexed by match ID
+ * @returns {{matchID: number, serverSeed: string}[]} - Seeds to save
+ */
+Fairness.getSecretSeeds = function (matches, sources, restoredSeeds) {
+  var seeds = [];
+  for (var i = 0; i < matches.length; i++) {
+    var match = matches[i];
+    if (!match.fairness || match.isOver) {
+      continue;
+    }
+
+    var source = sources[match.id];
+    var serverSeed = (source && source.type === 'fair') ? source.serverSeed : restoredSeeds[match.id];
+    if (serverSeed) {
+      seeds.push({ 'matchID': match.id, 'serverSeed': serverSeed });
+    }
+  }
+  return seeds;
+};
+
+/**
+ * Dice source for provably fair dice. Every roll is recorded in the
+ * fairness record, together with the client seed used.
+ * @constructor
+ * @extends DiceSource
+ * @param {Object} [record] - Fairness record to continue (eg. after the server
+ *                            has been restarted). A new record is created if omitted.
+ * @param {string} [serverSeed] - Server seed of the record. Required if record is specified.
+ */
+function FairDiceSource(record, serverSeed) {
+  model.DiceSource.call(this);
+  this.type = 'fair';
+
+  /**
+   * Secret server seed. Must not be sent to clients before the match is over.
+   * @type {string}
+   */
+  this.serverSeed = serverSeed || Fairness.generateSeed();
+
+  /**
+   * Public record of rolls
+   * @type {Object}
+   */
+  this.record = record || Fairness.createRecord(this.serverSeed);
+
+  /**
+   * Roll in progress
+   * @type {Object}
+   */
+  this.currentRoll = null;
+}
+
+FairDiceSource.prototype = Object.create(model.DiceSource.prototype);
+FairDiceSource.prototype.constructor = FairDiceSource;
+
+/**
+ * Start a new roll, mixing in a seed sent by the client
+ * @param {string} [clientSeed] - Client seed. Empty if omitted.
+ */
+FairDiceSource.prototype.beginRoll = function (clientSeed) {
+  this.currentRoll = {
+    'nonce': this.record.rolls.length,
+    'clientSeed': clientSeed || '',
+    'values': []
+  };
+  this.record.rolls.push(this.currentRoll);
+};
+
+/**
+ * Finish current roll
+ */
+FairDiceSource.prototype.endRoll = function () {
+  this.currentRoll = null;
+};
+
+/**
+ * Get next die value of current roll. A roll with empty client seed
+ * is started if no roll is in progress.
+ * @returns {number} - Value from 1 to 6
+ */
+FairDiceSource.prototype.nextValue = function () {
+  if (!this.currentRoll) {
+    this.beginRoll('');
+  }
+
+  var roll = this.currentRoll;
+  var values = Fairness.computeValues(this.serverSeed, roll.clientSeed, roll.nonce, roll.values.length + 1);
+  var value = values[values.length - 1];
+  roll.values.push(value);
+
+  return value;
+};
+
+/**
+ * Reveal server seed by adding it to the public record
+ */
+FairDiceSource.prototype.reveal = function () {
+  this.record.serverSeed = this.serverSeed;
+};
+
+module.exports = {
+  'Fairness': Fairness,
+  'FairDiceSource': FairDiceSource
+};
@@ -0,0 +1,420 @@
+var model = require('./model.js');
+
+/**
+ * Conversion between backgammon.js model and the Position ID and Match ID
+ * used by GNU Backgammon (gnubg).
+ *
+ * A Position ID is a 14 character base64 string that encodes the checkers of
+ * both players - first those of the player on roll, then those of the opponent.
+ * For each of the 24 points (counted from the point of view of the player,
+ * starting at their ace point) and for the bar, as many 1 bits are written as
+ * there are checkers of the player there, followed by a 0 bit.
+ *
+ * A Match ID is a 12 character base64 string that encodes cube, dice, score
+ * and turn. Player 0 is white and player 1 is black.
+ *
+ * Both keys are packed little-endian - the first bit is the lowest bit of the
+ * first byte. Only standard backgammon positions (RuleBgCasual) can be
+ * exchanged with gnubg - positions of other rules cannot be represented.
+ * @constructor
+ */
+function Gnubg() {
+
+}
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Number of bytes in a Position ID key
+ * @type {number}
+ */
+Gnubg.POSITION_KEY_SIZE = 10;
+
+/**
+ * Number of bytes in a Match ID key
+ * @type {number}
+ */
+Gnubg.MATCH_KEY_SIZE = 9;
+
+/**
+ * State of game, as encoded in Match ID
+ * @readonly
+ * @enum {number}
+ */
+Gnubg.GameState = {
+  /** No game started */
+  NONE: 0,
+  /** Game is being played */
+  PLAYING: 1,
+  /** Game is over */
+  OVER: 2,
+  /** Game was resigned */
+  RESIGNED: 3,
+  /** Game was ended by a dropped cube */
+  DROPPED: 4
+};
+
+/**
+ * Encode bytes as base64, without padding
+ * @param {number[]} bytes - Bytes
+ * @returns {string} - Base64 string
+ */
+Gnubg.encodeBase64 = function (bytes) {
+  var result = '';
+  for (var i = 0; i < bytes.length; i += 3) {
+    var chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    var chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+    for (var c = 0; c < chars; c++) {
+      result += BASE64.charAt((chunk >> (18 - c * 6)) & 63);
+    }
+  }
+  return result;
+};
+
+/**
+ * Decode base64 string (padding is optional)
+ * @param {string} text - Base64 string
+ * @param {number} size - Expected number of bytes
+ * @returns {number[]} - Bytes
+ * @throws Throws an error if string is not valid base64 of the expected size
+ */
+Gnubg.decodeBase64 = function (text, size) {
+  text = String(text || '').trim().replace(/=+$/, '');
+
+  var bytes = [];
+  var buffer = 0;
+  var bits = 0;
+  for (var i = 0; i < text.length; i++) {
+    var value = BASE64.indexOf(text.charAt(i));
+    if (value < 0) {
+      throw new Error('Invalid character "' + text.charAt(i) + '" in ID!');
+    }
+    buffer = ((buffer << 6) | value) & 0xFFFFFF;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xFF);
+    }
+  }
+
+  if (bytes.length !== size) {
+    throw new Error('ID should encode ' + size + ' bytes, but encodes ' + bytes.length + '!');
+  }
+  return bytes;
+};
+
+/**
+ * Writes bits to a little-endian key
+ * @constructor
+ * @param {number} size - Size of key in bytes
+ */
+function BitWriter(size) {
+  this.bytes = [];
+  for (var i = 0; i < size; i++) {
+    this.bytes.push(0);
+  }
+  this.position = 0;
+}
+
+BitWriter.prototype.writeBit = function (bit) {
+  if (bit) {
+    this.bytes[this.position >> 3] |= (1 << (this.position & 7));
+  }
+  this.position++;
+};
+
+BitWriter.prototype.write = function (value, count) {
+  for (var i = 0; i < count; i++) {
+    this.writeBit((value >> i) & 1);
+  }
+};
+
+/**
+ * Reads bits from a little-endian key
+ * @constructor
+ * @param {number[]} bytes - Key
+ */
+function BitReader(bytes) {
+  this.bytes = bytes;
+  this.position = 0;
+}
+
+BitReader.prototype.readBit = function () {
+  if (this.position >= this.bytes.length * 8) {
+    throw new Error('Unexpected end of ID!');
+  }
+  var bit = (this.bytes[this.position >> 3] >> (this.position & 7)) & 1;
+  this.position++;
+  return bit;
+};
+
+BitReader.prototype.read = function (count) {
+  var value = 0;
+  for (var i = 0; i < count; i++) {
+    value |= this.readBit() << i;
+  }
+  return value;
+};
+
+/**
+ * Count pieces of a player at a point, from their point of view
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @param {number} point - Point index (0 to 23), or 24 for the bar
+ * @returns {number} - Number of pieces
+ */
+Gnubg.countAtPoint = function (rule, state, type, point) {
+  if (point === 24) {
+    return state.bar[type].length;
+  }
+  return model.State.countAtPos(state, rule.denormPos(point, type), type);
+};
+
+/**
+ * Encode board state as gnubg Position ID
+ * @param {Rule} rule - Rule, used to number points from each player's point of view
+ * @param {State} state - State to encode
+ * @param {PieceType} onRoll - Type of pieces of the player on roll
+ * @returns {string} - Position ID (eg. `4HPwATDgc/ABMA` for the starting position)
+ */
+Gnubg.encodePositionID = function (rule, state, onRoll) {
+  var writer = new BitWriter(Gnubg.POSITION_KEY_SIZE);
+  var types = [onRoll, (onRoll === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE];
+
+  for (var t = 0; t < types.length; t++) {
+    for (var point = 0; point < 25; point++) {
+      var count = Gnubg.countAtPoint(rule, state, types[t], point);
+      for (var i = 0; i < count; i++) {
+        writer.writeBit(1);
+      }
+      writer.writeBit(0);
+    }
+  }
+
+  return Gnubg.encodeBase64(writer.bytes);
+};
+
+/**
+ * Decode gnubg Position ID into checker counts
+ * @param {string} positionID - Position ID
+ * @returns {number[][]} - Two lists of 25 checker counts (points 1 to 24 and
+ *          bar) - first of the player on roll, then of the opponent
+ * @throws Throws an error if ID is not valid
+ */
+Gnubg.decodePositionKey = function (positionID) {
+  var reader = new BitReader(Gnubg.decodeBase64(positionID, Gnubg.POSITION_KEY_SIZE));
+  var counts = [[], []];
+
+  for (var t = 0; t < 2; t++) {
+    var total = 0;
+    for (var point = 0; point < 25; point++) {
+      var count = 0;
+      while (reader.readBit() === 1) {
+        count++;
+      }
+      total += count;
+      counts[t].push(count);
+    }
+
+    if (total > 15) {
+      throw new Error('Position ID has more than 15 checkers for a player!');
+    }
+    if (total === 0) {
+      throw new Error('Position ID has no checkers left for a player!');
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Decode gnubg Position ID into a new board state. Checkers missing from
+ * the position (up to 15 for each player) are placed outside, as borne off.
+ * @param {Rule} rule - Rule, used to place pieces
+ * @param {string} positionID - Position ID
+ * @param {PieceType} onRoll - Type of pieces of the player on roll
+ * @returns {State} - New state
+ * @throws Throws an error if ID is not valid
+ */
+Gnubg.decodePositionID = function (rule, positionID, onRoll) {
+  var counts = Gnubg.decodePositionKey(positionID);
+  var types = [onRoll, (onRoll === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE];
+
+  var state = new model.State();
+  rule.initialize(state);
+
+  for (var t = 0; t < types.length; t++) {
+    var type = types[t];
+    var total = 0;
+
+    for (var point = 0; point < 24; point++) {
+      if (counts[t][point] > 0) {
+        var position = rule.denormPos(point, type);
+        var opponent = 1 - t;
+        if (counts[opponent][rule.normPos(position, types[opponent])] > 0) {
+          throw new Error('Position ID has checkers of both players on the same point!');
+        }
+        rule.place(state, counts[t][point], type, position);
+        total += counts[t][point];
+      }
+    }
+
+    Gnubg.addPieces(state, state.bar[type], type, counts[t][24]);
+    total += counts[t][24];
+
+    Gnubg.addPieces(state, state.outside[type], type, 15 - total);
+  }
+
+  return state;
+};
+
+/**
+ * Create new pieces and add them to bar or outside
+ * @param {State} state - State
+ * @param {Piece[]} list - Bar or outside list of state
+ * @param {PieceType} type - Type of pieces
+ * @param {number} count - Number of pieces to add
+ */
+Gnubg.addPieces = function (state, list, type, count) {
+  for (var i = 0; i < count; i++) {
+    var piece = new model.Piece(type, state.nextPieceID);
+    state.pieces[type].push(piece);
+    list.push(piece);
+    state.nextPieceID++;
+  }
+};
+
+/**
+ * Encode state of match and its current game as gnubg Match ID
+ * @param {Match} match - Match
+ * @returns {string} - Match ID
+ */
+Gnubg.encodeMatchID = function (match) {
+  var game = match.currentGame;
+  var writer = new BitWriter(Gnubg.MATCH_KEY_SIZE);
+
+  var cubeValue = (game) ? game.cubeValue : 1;
+  var cubeOwner = (game && (game.cubeOwner != null)) ? game.cubeOwner : 3;
+  var onRoll = (game && game.turnPlayer) ? game.turnPlayer.currentPieceType : model.PieceType.WHITE;
+
+  var gameState = Gnubg.GameState.NONE;
+  if (game && game.hasStarted) {
+    gameState = Gnubg.GameState.PLAYING;
+    if (game.isOver) {
+      gameState = (game.doubleRejected) ? Gnubg.GameState.DROPPED : Gnubg.GameState.OVER;
+    }
+  }
+
+  // Player that has to make a decision - the opponent, when a double is offered
+  var doubleOffered = game && model.Game.isDoubleOffered(game);
+  var turn = (doubleOffered) ? 1 - game.doubleOfferedBy : onRoll;
+
+  var dice = (game && model.Game.diceWasRolled(game)) ? game.turnDice.values : [0, 0];
+
+  writer.write(Math.round(Math.log(cubeValue) / Math.LN2), 4);
+  writer.write(cubeOwner, 2);
+  writer.write(onRoll, 1);
+  writer.write((game && game.isCrawford) ? 1 : 0, 1);
+  writer.write(gameState, 3);
+  writer.write(turn, 1);
+  writer.write(doubleOffered ? 1 : 0, 1);
+  writer.write(0, 2);
+  writer.write(dice[0], 3);
+  writer.write(dice[1], 3);
+  writer.write(match.length, 15);
+  writer.write(match.score[model.PieceType.WHITE] || 0, 15);
+  writer.write(match.score[model.PieceType.BLACK] || 0, 15);
+
+  return Gnubg.encodeBase64(writer.bytes);
+};
+
+/**
+ * Decode gnubg Match ID
+ * @param {string} matchID - Match ID
+ * @returns {{cubeValue: number, cubeOwner: PieceType, onRoll: PieceType, isCrawford: boolean,
+ *            gameState: Gnubg.GameState, turn: PieceType, doubleOffered: boolean, resign: number,
+ *            dice: number[], length: number, score: number[]}} - Decoded values.
+ *          Cube owner is null if the cube is centered. Dice is null if dice have not been rolled.
+ * @throws Throws an error if ID is not valid
+ */
+Gnubg.decodeMatchID = function (matchID) {
+  var reader = new BitReader(Gnubg.decodeBase64(matchID, Gnubg.MATCH_KEY_SIZE));
+
+  var info = {};
+  info.cubeValue = Math.pow(2, reader.read(4));
+  info.cubeOwner = reader.read(2);
+  info.onRoll = reader.read(1);
+  info.isCrawford = reader.read(1) === 1;
+  info.gameState = reader.read(3);
+  info.turn = reader.read(1);
+  info.doubleOffered = reader.read(1) === 1;
+  info.resign = reader.read(2);
+  var die1 = reader.read(3);
+  var die2 = reader.read(3);
+  info.length = reader.read(15);
+  info.score = [reader.read(15), reader.read(15)];
+
+  if (info.cubeOwner === 2) {
+    throw new Error('Match ID has invalid cube owner!');
+  }
+  if (info.cubeOwner === 3) {
+    info.cubeOwner = null;
+  }
+
+  if ((die1 > 6) || (die2 > 6) || ((die1 === 0) !== (die2 === 0))) {
+    throw new Error('Match ID has invalid dice!');
+  }
+  info.dice = (die1 > 0) ? [die1, die2] : null;
+
+  if ((info.length > 0) && ((info.score[0] >= info.length) || (info.score[1] >= info.length))) {
+    throw new Error('Match ID has score beyond match length!');
+  }
+
+  return info;
+};
+
+/**
+ * Set up current game of a match from gnubg IDs, instead of starting
+ * the game with an opening roll. Used to practice positions.
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match with both players joined and a current game
+ * @param {string} positionID - Position ID
+ * @param {string} [matchID] - Match ID. If omitted, white is on roll,
+ *                             has not rolled yet and the cube is centered.
+ * @throws Throws an error if IDs are not valid
+ */
+Gnubg.setupGame = function (rule, match, positionID, matchID) {
+  var info = (matchID) ? Gnubg.decodeMatchID(matchID) : null;
+  var onRoll = (info) ? info.onRoll : model.PieceType.WHITE;
+
+  var game = match.currentGame;
+  game.state = Gnubg.decodePositionID(rule, positionID, onRoll);
+  game.turnPlayer = (match.host.currentPieceType === onRoll) ? match.host : match.guest;
+
+  if (info) {
+    game.cubeValue = info.cubeValue;
+    game.cubeOwner = info.cubeOwner;
+    game.isCrawford = info.isCrawford;
+    if (info.isCrawford) {
+      match.crawfordPlayed = true;
+    }
+    if (info.doubleOffered) {
+      game.doubleOfferedBy = 1 - info.turn;
+    }
+
+    match.length = info.length;
+    match.score[model.PieceType.WHITE] = info.score[0];
+    match.score[model.PieceType.BLACK] = info.score[1];
+
+    if (info.dice) {
+      var values = info.dice.slice();
+      values.sort(function (a, b) { return b - a; });
+      game.turnDice = rule.rollDice(game, values);
+    }
+  }
+};
+
+module.exports = {
+  'Gnubg': Gnubg
+};
@@ -0,0 +1,247 @@
+var model = require('./model.js');
+var PipCount = require('./pips.js').PipCount;
+
+/**
+ * Heuristic evaluation of backgammon positions, used by computer players.
+ *
+ * A position is scored from the point of view of one player, right after
+ * that player has moved - the opponent is on roll. Higher scores are better.
+ * Scores are in pips: the pip count difference is the base of the score,
+ * and each other feature of the position (blots, made points, primes,
+ * anchors, pieces on the bar) adds or subtracts an amount of pips, defined
+ * by a weight.
+ *
+ * Once there is no contact between the players, only the race matters and
+ * the position is scored by the pip count and the pieces borne off.
+ * @constructor
+ * @param {Object} [weights] - Weights to override, see `DEFAULT_WEIGHTS`
+ */
+function HeuristicEvaluator(weights) {
+  /**
+   * Weights of position features
+   * @type {Object}
+   */
+  this.weights = model.Utils.shallowCopy(HeuristicEvaluator.DEFAULT_WEIGHTS);
+
+  for (var key in weights) {
+    if (weights.hasOwnProperty(key)) {
+      this.weights[key] = weights[key];
+    }
+  }
+}
+
+/**
+ * Default weights of position features, in pips
+ * @type {Object}
+ */
+HeuristicEvaluator.DEFAULT_WEIGHTS = {
+  /** Each pip the player is ahead in the race */
+  'pips': 1,
+  /** Each blot the opponent can hit */
+  'blot': -4,
+  /** Each opponent piece that hits a blot with a single die */
+  'directShot': -1.5,
+  /** Each opponent piece that hits a blot with both dice only */
+  'indirectShot': -0.5,
+  /** Each made point (two or more pieces) */
+  'madePoint': 2,
+  /** Each made point in own home board, in addition to `madePoint` */
+  'homePoint': 3,
+  /** Each point of the longest prime, beyond the first one */
+  'prime': 3,
+  /** Each made point in opponent's home board */
+  'anchor': 4,
+  /** Each own piece on the bar */
+  'bar': -6,
+  /** Each piece borne off */
+  'borneOff': 2,
+  /** Each piece above three on a point in a race */
+  'stack': -1
+};
+
+/**
+ * Scale of the logistic function that turns scores into probabilities of
+ * winning (see `getWinProbability`) - a score of this many pips gives about
+ * 73% chances
+ * @type {number}
+ */
+HeuristicEvaluator.PROBABILITY_SCALE = 15;
+
+/**
+ * Get board of a player, as number of own and opponent's pieces at each
+ * normalized position of the player (0 is the deepest point of own home
+ * board, 23 the deepest point of opponent's home board)
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {{own: number[], opponent: number[]}} - Number of pieces at each position
+ */
+HeuristicEvaluator.getBoard = function (rule, state, type) {
+  var opponentType = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+  var board = { 'own': [], 'opponent': [] };
+
+  for (var pos = 0; pos < 24; pos++) {
+    var norm = rule.normPos(pos, type);
+    board.own[norm] = model.State.countAtPos(state, pos, type);
+    board.opponent[norm] = model.State.countAtPos(state, pos, opponentType);
+  }
+
+  return board;
+};
+
+/**
+ * Get length of the longest row of consecutive made points
+ * @param {number[]} counts - Number of pieces at each position
+ * @returns {number} - Length of longest prime
+ */
+HeuristicEvaluator.getLongestPrime = function (counts) {
+  var longest = 0;
+  var length = 0;
+  for (var i = 0; i < counts.length; i++) {
+    length = (counts[i] >= 2) ? length + 1 : 0;
+    if (length > longest) {
+      longest = length;
+    }
+  }
+  return longest;
+};
+
+/**
+ * Get features of a position, from the point of view of a player that has
+ * just moved
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {Object} - Features of position
+ */
+HeuristicEvaluator.prototype.getFeatures = function (rule, state, type) {
+  var opponentType = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+  var board = HeuristicEvaluator.getBoard(rule, state, type);
+  var own = board.own;
+  var opponent = board.opponent;
+  var ownBar = state.bar[type].length;
+  var opponentBar = state.bar[opponentType].length;
+
+  var features = {
+    'pips': PipCount.getPips(rule, state, type),
+    'opponentPips': PipCount.getPips(rule, state, opponentType),
+    'blots': 0,
+    'directShots': 0,
+    'indirectShots': 0,
+    'madePoints': 0,
+    'opponentMadePoints': 0,
+    'homePoints': 0,
+    'opponentHomePoints': 0,
+    'prime': HeuristicEvaluator.getLongestPrime(own),
+    'opponentPrime': HeuristicEvaluator.getLongestPrime(opponent),
+    'anchors': 0,
+    'opponentAnchors': 0,
+    'bar': ownBar,
+    'opponentBar': opponentBar,
+    'borneOff': state.outside[type].length,
+    'opponentBorneOff': state.outside[opponentType].length,
+    'stack': 0,
+    'contact': PipCount.hasContact(rule, state)
+  };
+
+  for (var pos = 0; pos < 24; pos++) {
+    if (own[pos] >= 2) {
+      features.madePoints++;
+      if (pos < 6) {
+        features.homePoints++;
+      }
+      if (pos >= 18) {
+        features.anchors++;
+      }
+      features.stack += Math.max(0, own[pos] - 3);
+    }
+
+    if (opponent[pos] >= 2) {
+      features.opponentMadePoints++;
+      if (pos >= 18) {
+        features.opponentHomePoints++;
+      }
+      if (pos < 6) {
+        features.opponentAnchors++;
+      }
+    }
+  }
+
+  // Count the shots at each blot - opponent's pieces (or pieces on the bar)
+  // up to 6 pips behind the blot hit it directly, up to 12 pips only by
+  // combining both dice
+  for (pos = 0; pos < 24; pos++) {
+    if (own[pos] !== 1) {
+      continue;
+    }
+
+    var direct = 0;
+    var indirect = 0;
+    for (var distance = 1; distance <= 12; distance++) {
+      var from = pos - distance;
+      var count = (from === -1) ? opponentBar : ((from >= 0) ? opponent[from] : 0);
+      if (distance <= 6) {
+        direct += count;
+      }
+      else {
+        indirect += count;
+      }
+    }
+
+    if (direct + indirect > 0) {
+      features.blots++;
+      features.directShots += direct;
+      features.indirectShots += indirect;
+    }
+  }
+
+  return features;
+};
+
+/**
+ * Evaluate position from the point of view of a player that has just moved
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Score of position. Higher is better for the player.
+ */
+HeuristicEvaluator.prototype.evaluate = function (rule, state, type) {
+  var w = this.weights;
+  var f = this.getFeatures(rule, state, type);
+
+  var score = w.pips * (f.opponentPips - f.pips) +
+    w.borneOff * (f.borneOff - f.opponentBorneOff);
+
+  if (!f.contact) {
+    return score + w.stack * f.stack;
+  }
+
+  score += w.blot * f.blots +
+    w.directShot * f.directShots +
+    w.indirectShot * f.indirectShots +
+    w.madePoint * (f.madePoints - f.opponentMadePoints) +
+    w.homePoint * (f.homePoints - f.opponentHomePoints) +
+    w.prime * (Math.max(0, f.prime - 1) - Math.max(0, f.opponentPrime - 1)) +
+    w.anchor * (f.anchors - f.opponentAnchors) +
+    w.bar * (f.bar - f.opponentBar);
+
+  return score;
+};
+
+/**
+ * Estimate probability that a player, who has just moved, wins the game.
+ * The score of the position is turned into a probability by a logistic
+ * function, so this is a rough estimate only.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Probability of win, from 0 to 1
+ */
+HeuristicEvaluator.prototype.getWinProbability = function (rule, state, type) {
+  var score = this.evaluate(rule, state, type);
+  return 1 / (1 + Math.exp(-score / HeuristicEvaluator.PROBABILITY_SCALE));
+};
+
+module.exports = {
+  'HeuristicEvaluator': HeuristicEvaluator
+};
@@ -0,0 +1,498 @@
+var model = require('./model.js');
+var Notation = require('./notation.js').Notation;
+
+/**
+ * Export and import of matches in the `.mat` text format, introduced by
+ * Jellyfish and used by GNU Backgammon and most other backgammon software.
+ *
+ * ```
+ *  7 point match
+ *
+ *  Game 1
+ *  alice : 0                          bob : 0
+ *   1) 31: 8/5 6/5                     64: 24/18 18/14
+ *   2) 52: 13/8 13/11                  Doubles => 2
+ *   3)  Takes                          44: 25/21 13/9 13/9 6/2*
+ *   ...
+ *                                      Wins 2 points
+ * ```
+ *
+ * Each line holds an action of the first player (white, host) on the left
+ * and of the second player (black, guest) on the right. Points are numbered
+ * from the point of view of the player moving. Moves are listed by die, in
+ * the order played. The bar is point 25 and bearing off is moving to point 0.
+ *
+ * Only standard backgammon (RuleBgCasual) matches can be exchanged with
+ * other software. Games start from the standard starting position.
+ * @constructor
+ */
+function MatFile() {
+
+}
+
+/**
+ * Column where actions of the second player start
+ * @type {number}
+ */
+MatFile.RIGHT_COLUMN = 35;
+
+/**
+ * Pad text with spaces on the right
+ * @param {string} text - Text
+ * @param {number} width - Width of result
+ * @returns {string} - Padded text
+ */
+function padRight(text, width) {
+  while (text.length < width) {
+    text += ' ';
+  }
+  return text;
+}
+
+/**
+ * Pad text with spaces on the left
+ * @param {string} text - Text
+ * @param {number} width - Width of result
+ * @returns {string} - Padded text
+ */
+function padLeft(text, width) {
+  while (text.length < width) {
+    text = ' ' + text;
+  }
+  return text;
+}
+
+/**
+ * Get name of a player, as written in .mat files
+ * @param {Player} player - Player
+ * @param {string} defaultName - Name used if player has no name
+ * @returns {string} - Name
+ */
+function formatName(player, defaultName) {
+  var name = (player && player.name) ? String(player.name) : defaultName;
+  // Colon separates name from score
+  return name.replace(/:/g, '-').replace(/\s+/g, ' ').trim() || defaultName;
+}
+
+/**
+ * Format moves of a turn as single die moves, in the order played
+ * @param {TurnRecord} record - Turn record
+ * @returns {string} - Moves, eg. `13/8 8/6*`
+ */
+MatFile.formatTurnMoves = function (record) {
+  var moves = [];
+  for (var i = 0; i < record.moves.length; i++) {
+    var move = record.moves[i];
+    moves.push(move.from + '/' + move.to + (move.hit ? '*' : ''));
+  }
+  return moves.join(' ');
+};
+
+/**
+ * Format a cube action
+ * @param {{type: CubeActionType, cubeValue: number}} action - Cube action
+ * @returns {string} - Action, eg. `Doubles => 2` or `Takes`
+ */
+MatFile.formatCubeAction = function (action) {
+  switch (action.type) {
+    case model.CubeActionType.DOUBLE:
+      return 'Doubles => ' + action.cubeValue;
+    case model.CubeActionType.BEAVER:
+      return 'Beavers => ' + action.cubeValue;
+    case model.CubeActionType.TAKE:
+      return 'Takes';
+    case model.CubeActionType.DROP:
+      return 'Drops';
+  }
+  throw new Error('Unknown cube action "' + action.type + '"!');
+};
+
+/**
+ * Get actions of a finished game in the order they were made - cube
+ * actions of a turn are made before the dice are rolled.
+ * @param {Object} record - Record of game from `match.games`
+ * @returns {Array.<{pieceType: PieceType, text: string}>} - Actions
+ */
+MatFile.getGameActions = function (record) {
+  var entries = [];
+  var i;
+  var cubeActions = record.cubeActions || [];
+
+  for (i = 0; i < cubeActions.length; i++) {
+    entries.push({
+      'turnNumber': cubeActions[i].turnNumber,
+      'order': 0,
+      'index': i,
+      'pieceType': cubeActions[i].pieceType,
+      'text': MatFile.formatCubeAction(cubeActions[i])
+    });
+  }
+
+  for (i = 0; i < record.history.length; i++) {
+    var turn = record.history[i];
+    entries.push({
+      'turnNumber': turn.turnNumber,
+      'order': 1,
+      'index': i,
+      'pieceType': turn.pieceType,
+      'text': (turn.dice[0] + '' + turn.dice[1] + ': ' + MatFile.formatTurnMoves(turn)).trim()
+    });
+  }
+
+  entries.sort(function (a, b) {
+    return (a.turnNumber - b.turnNumber) || (a.order - b.order) || (a.index - b.index);
+  });
+
+  return entries;
+};
+
+/**
+ * Format a finished game
+ * @param {Match} match - Match
+ * @param {number} index - Index of game in `match.games`
+ * @returns {string[]} - Lines of text
+ */
+MatFile.formatGame = function (match, index) {
+  var record = match.games[index];
+  var score = record.score || [0, 0];
+  var lines = [];
+
+  lines.push(' Game ' + (index + 1));
+  lines.push(' ' + padRight(formatName(match.host, 'White') + ' : ' + score[model.PieceType.WHITE], MatFile.RIGHT_COLUMN - 1) +
+    formatName(match.guest, 'Black') + ' : ' + score[model.PieceType.BLACK]);
+
+  var width = MatFile.RIGHT_COLUMN - 5;
+  var actions = MatFile.getGameActions(record);
+  var number = 0;
+  var left = null;
+
+  for (var i = 0; i < actions.length; i++) {
+    var action = actions[i];
+    if (action.pieceType === model.PieceType.WHITE) {
+      if (left !== null) {
+        lines.push(padLeft(number + ')', 4) + ' ' + left);
+      }
+      number++;
+      left = action.text;
+    }
+    else {
+      if (left === null) {
+        number++;
+      }
+      // Long moves may not fit in the column, but columns are always separated
+      lines.push(padLeft(number + ')', 4) + ' ' + padRight((left || '') + ' ', width) + action.text);
+      left = null;
+    }
+  }
+  if (left !== null) {
+    lines.push(padLeft(number + ')', 4) + ' ' + left);
+  }
+
+  var result = 'Wins ' + record.points + ' point' + ((record.points === 1) ? '' : 's');
+  if (match.isOver && (index === match.games.length - 1)) {
+    result += ' and the match';
+  }
+  var indent = (record.winner === model.PieceType.WHITE) ? 5 : MatFile.RIGHT_COLUMN;
+  lines.push(padLeft('', indent) + result);
+
+  return lines;
+};
+
+/**
+ * Export finished games of a match in .mat format
+ * @param {Match} match - Match to export
+ * @returns {string} - Text of .mat file
+ * @throws Throws an error if match is not a standard backgammon
+ *         (RuleBgCasual) match or did not start from the standard position
+ */
+MatFile.exportMatch = function (match) {
+  if (match.ruleName !== 'RuleBgCasual') {
+    throw new Error('Only RuleBgCasual matches can be exported!');
+  }
+  if (match.startPosition) {
+    throw new Error('Practice matches cannot be exported!');
+  }
+
+  var lines = [' ' + Math.max(0, match.length) + ' point match', ''];
+
+  for (var i = 0; i < match.games.length; i++) {
+    lines = lines.concat(MatFile.formatGame(match, i));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse a single action written in a .mat file
+ * @param {string} text - Action text
+ * @returns {Object} - Action, or null if text is not an action
+ */
+MatFile.parseAction = function (text) {
+  var m;
+
+  if ((m = /^(\d)(\d):\s*(.*)$/.exec(text))) {
+    return {
+      'type': 'roll',
+      'dice': [parseInt(m[1], 10), parseInt(m[2], 10)],
+      'moves': m[3].trim()
+    };
+  }
+  if ((m = /^doubles\s*=>\s*(\d+)$/i.exec(text))) {
+    return { 'type': model.CubeActionType.DOUBLE, 'cubeValue': parseInt(m[1], 10) };
+  }
+  if ((m = /^beavers\s*=>\s*(\d+)$/i.exec(text))) {
+    return { 'type': model.CubeActionType.BEAVER, 'cubeValue': parseInt(m[1], 10) };
+  }
+  if (/^(takes|accepts)$/i.test(text)) {
+    return { 'type': model.CubeActionType.TAKE };
+  }
+  if (/^(drops|passes|rejects)$/i.test(text)) {
+    return { 'type': model.CubeActionType.DROP };
+  }
+  if ((m = /^wins\s+(\d+)\s+points?/i.exec(text))) {
+    return { 'type': 'win', 'points': parseInt(m[1], 10) };
+  }
+
+  return null;
+};
+
+/**
+ * Split a line of a game into actions and decide the column (player)
+ * of each one by its position in the line
+ * @param {string} line - Line, without move number
+ * @param {number} offset - Position of line in the original line
+ * @param {number} rightColumn - Column where actions of second player start
+ * @returns {Array.<{side: number, text: string}>} - Actions found
+ */
+function splitActions(line, offset, rightColumn) {
+  var pattern = /\d\d:(?:\s+[^\s:]*\/[^\s:]*)*|doubles\s*=>\s*\d+|beavers\s*=>\s*\d+|takes|accepts|drops|passes|rejects|wins\s+\d+\s+points?(?:\s+and\s+the\s+match)?/gi;
+  var found = [];
+  var m;
+
+  while ((m = pattern.exec(line)) !== null) {
+    found.push({
+      'column': offset + m.index,
+      'text': m[0]
+    });
+  }
+
+  var rest = line.replace(pattern, '').trim();
+  if (rest !== '') {
+    throw new Error('Unknown text "' + rest + '"!');
+  }
+
+  for (var i = 0; i < found.length; i++) {
+    if (found.length === 2) {
+      found[i].side = i;
+    }
+    else {
+      // Columns of other software may be aligned differently
+      found[i].side = (found[i].column >= rightColumn / 2) ? 1 : 0;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Parse text of a .mat file, without checking the moves
+ * @param {string} text - Text of .mat file
+ * @returns {{length: number, games: Array.<{number: number, names: string[], score: number[], actions: Array}>}} - Match
+ *          length and games. Actions of a game are listed in order, each with `side`
+ *          (0 for first, 1 for second player), `type`, `line` and values depending on type
+ * @throws Throws an error if text is not a valid .mat file
+ */
+MatFile.parse = function (text) {
+  var lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  var result = {
+    'length': null,
+    'games': []
+  };
+  var game = null;
+  var rightColumn = MatFile.RIGHT_COLUMN;
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var trimmed = line.trim();
+    var m;
+
+    try {
+      if ((trimmed === '') || (trimmed.charAt(0) === ';')) {
+        continue;
+      }
+
+      if ((m = /^(\d+)\s+point\s+match$/i.exec(trimmed))) {
+        result.length = parseInt(m[1], 10);
+        continue;
+      }
+
+      if ((m = /^game\s+(\d+)$/i.exec(trimmed))) {
+        game = {
+          'number': parseInt(m[1], 10),
+          'names': null,
+          'score': null,
+          'actions': []
+        };
+        result.games.push(game);
+        continue;
+      }
+
+      if (!game) {
+        throw new Error('Unexpected text before first game!');
+      }
+
+      if (!game.names) {
+        m = /^(\s*(.+?)\s*:\s*(\d+)\s+)(.+?)\s*:\s*(\d+)\s*$/.exec(line);
+        if (!m) {
+          throw new Error('Names and scores of players expected!');
+        }
+        game.names = [m[2], m[4]];
+        game.score = [parseInt(m[3], 10), parseInt(m[5], 10)];
+        rightColumn = m[1].length;
+        continue;
+      }
+
+      var offset = 0;
+      if ((m = /^(\s*\d+\))(.*)$/.exec(line))) {
+        offset = m[1].length;
+        line = m[2];
+      }
+
+      var found = splitActions(line, offset, rightColumn);
+      for (var f = 0; f < found.length; f++) {
+        var action = MatFile.parseAction(found[f].text.trim());
+        action.side = found[f].side;
+        action.line = i + 1;
+        game.actions.push(action);
+      }
+    } catch (e) {
+      throw new Error('Line ' + (i + 1) + ': ' + e.message);
+    }
+  }
+
+  if (result.length === null) {
+    throw new Error('Match length not found!');
+  }
+
+  return result;
+};
+
+/**
+ * Play a turn given in .mat notation on current game
+ * @param {Rule} rule - Rule
+ * @param {Game} game - Game, with turn player set
+ * @param {number[]} dice - Dice values
+ * @param {string} text - Moves
+ * @throws Throws an error if moves are not a legal turn
+ */
+MatFile.playTurn = function (rule, game, dice, text) {
+  var player = game.turnPlayer;
+  var type = player.currentPieceType;
+
+  game.turnDice = rule.rollDice(game, dice);
+
+  var moves = Notation.parseTurn(rule, game.state, game.turnDice, type, text);
+  var turn = rule.findLegalTurn(game.state, game.turnDice.movesLeft, type, moves);
+  if (!turn) {
+    throw new Error('Moves "' + text + '" are not a legal turn for dice ' + dice.join(':') + '!');
+  }
+
+  for (var i = 0; i < turn.moves.length; i++) {
+    var move = turn.moves[i];
+    var actions = rule.getMoveActions(game.state, move.piece, move.steps);
+    rule.applyMoveActions(game.state, actions);
+    rule.markAsPlayed(game, move.steps);
+    model.Game.addTurnMove(game, move.piece, move.steps, actions);
+  }
+
+  model.Game.addTurnRecord(game, Notation.createTurnRecord(rule, game, player));
+  game.turnDice = null;
+  game.turnNumber++;
+};
+
+/**
+ * Import a match from a .mat file. All games are replayed from the starting
+ * position, so that they have the same records (`match.games`) as games
+ * played on the server. The last game is left as current game if it
+ * has not finished.
+ * @param {Rule} rule - Rule (RuleBgCasual)
+ * @param {string} text - Text of .mat file
+ * @returns {Match} - Match, with host and guest players named as in file
+ * @throws Throws an error if text is not a valid .mat file or contains moves
+ *         that are not legal
+ */
+MatFile.importMatch = function (rule, text) {
+  var parsed = MatFile.parse(text);
+
+  var match = model.Match.createNew(rule, { 'length': parsed.length });
+  var players = [model.Player.createNew(), model.Player.createNew()];
+  players[0].currentPieceType = model.PieceType.WHITE;
+  players[1].currentPieceType = model.PieceType.BLACK;
+  model.Match.addHostPlayer(match, players[0]);
+  model.Match.addGuestPlayer(match, players[1]);
+
+  for (var g = 0; g < parsed.games.length; g++) {
+    var gameInfo = parsed.games[g];
+    if (!gameInfo.names) {
+      continue;
+    }
+
+    players[0].name = gameInfo.names[0];
+    players[1].name = gameInfo.names[1];
+    match.score = gameInfo.score.slice();
+
+    var game = model.Match.createNewGame(match, rule);
+    game.hasStarted = true;
+    game.turnNumber = 1;
+
+    for (var a = 0; a < gameInfo.actions.length; a++) {
+      var action = gameInfo.actions[a];
+      var player = players[action.side];
+
+      try {
+        if (game.isOver) {
+          throw new Error('Game is already over!');
+        }
+
+        if (action.type === 'roll') {
+          game.turnPlayer = player;
+          MatFile.playTurn(rule, game, action.dice, action.moves);
+        }
+        else if (action.type === model.CubeActionType.DOUBLE) {
+          model.Game.offerDouble(game, player.currentPieceType);
+        }
+        else if (action.type === model.CubeActionType.TAKE) {
+          model.Game.acceptDouble(game);
+        }
+        else if (action.type === model.CubeActionType.BEAVER) {
+          model.Game.beaverDouble(game);
+        }
+        else if (action.type === model.CubeActionType.DROP) {
+          model.Game.rejectDouble(game);
+        }
+        else if (action.type === 'win') {
+          var type = player.currentPieceType;
+          var resigned = (!game.doubleRejected) &&
+            (game.state.outside[type].length !== rule.maxPieces);
+
+          game.isOver = true;
+          match.score[type] += action.points;
+          model.Match.addGameRecord(match, type, action.points, resigned);
+        }
+      } catch (e) {
+        throw new Error('Game ' + gameInfo.number + ', line ' + action.line + ': ' + e.message);
+      }
+    }
+  }
+
+  match.isOver = (match.length > 0) &&
+    (model.Match.hasReachedLength(match, model.PieceType.WHITE) ||
+    model.Match.hasReachedLength(match, model.PieceType.BLACK));
+
+  return match;
+};
+
+module.exports = {
+  'MatFile': MatFile
+};
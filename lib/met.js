@@ -0,0 +1,437 @@
+/**
+ * Model of cubeful equities, used to build match equity tables and to
+ * analyze cube decisions.
+ *
+ * Equities are computed from the point of view of one player (the
+ * "player"), for a cubeless probability `p` that the player wins the game.
+ * The model is Janowski's: the equity is a weighted average of the equity
+ * with a dead cube (the cube is never turned again) and the equity with a
+ * fully live cube, where the probability of winning changes continuously
+ * and each player doubles exactly at the opponent's take point. The weight
+ * of the live cube is the cube efficiency.
+ *
+ * The model does not depend on the kind of play - results of a game are
+ * given by a function that returns the equities of winning and losing a
+ * game, single or gammon, for a cube value. For matches they are match
+ * winning chances, for money sessions the points won.
+ * @constructor
+ * @param {Object} options - Options
+ * @param {function} options.getOutcomes - Function (cube, centered), returning
+ *        equities of game results `{win, winGammon, lose, loseGammon}` for
+ *        the cube value. `centered` is true if the cube has not been turned.
+ * @param {function} options.canDouble - Function (side, cube), returning true
+ *        if the side (see `Owner`) owning the cube can redouble usefully
+ * @param {number} [options.winGammonRate] - Part of the wins that are gammons
+ * @param {number} [options.loseGammonRate] - Part of the losses that are gammons
+ * @param {number} [options.efficiency] - Cube efficiency, from 0 (dead cube)
+ *                                        to 1 (fully live cube)
+ */
+function CubefulModel(options) {
+  /**
+   * Equities of game results for a cube value
+   * @type {function}
+   */
+  this.getOutcomes = options.getOutcomes;
+
+  /**
+   * Check if a side can redouble usefully
+   * @type {function}
+   */
+  this.canDouble = options.canDouble;
+
+  /**
+   * Part of the wins of the player that are gammons
+   * @type {number}
+   */
+  this.winGammonRate = options.winGammonRate || 0;
+
+  /**
+   * Part of the losses of the player that are gammons
+   * @type {number}
+   */
+  this.loseGammonRate = options.loseGammonRate || 0;
+
+  /**
+   * Cube efficiency
+   * @type {number}
+   */
+  this.efficiency = (options.efficiency != null) ? options.efficiency : CubefulModel.DEFAULT_EFFICIENCY;
+
+  /**
+   * Cash points computed, indexed by side and cube value
+   * @type {Object}
+   */
+  this.cashPoints = {};
+}
+
+/**
+ * Owner of the cube, from the point of view of the player
+ * @readonly
+ * @enum {string}
+ */
+CubefulModel.Owner = {
+  /** CENTERED: Cube has not been turned, both sides can double */
+  CENTERED: 'centered',
+  /** PLAYER: Player owns the cube */
+  PLAYER: 'player',
+  /** OPPONENT: Opponent owns the cube */
+  OPPONENT: 'opponent'
+};
+
+/**
+ * Default cube efficiency, as commonly used for Janowski's model
+ * @type {number}
+ */
+CubefulModel.DEFAULT_EFFICIENCY = 0.68;
+
+/**
+ * Get equities of the game results for a cube value, with gammons weighted
+ * by the gammon rates
+ * @param {number} cube - Cube value
+ * @param {Owner} owner - Owner of cube
+ * @returns {{win: number, lose: number, cash: number, drop: number}} - Average
+ *          equity of a win and a loss, equity of a single win (opponent drops
+ *          a double) and of a single loss (player drops a double)
+ */
+CubefulModel.prototype.getResults = function (cube, owner) {
+  var outcomes = this.getOutcomes(cube, owner === CubefulModel.Owner.CENTERED);
+  return {
+    'win': (1 - this.winGammonRate) * outcomes.win + this.winGammonRate * outcomes.winGammon,
+    'lose': (1 - this.loseGammonRate) * outcomes.lose + this.loseGammonRate * outcomes.loseGammon,
+    'cash': outcomes.win,
+    'drop': outcomes.lose
+  };
+};
+
+/**
+ * Get equity with a dead cube
+ * @param {number} p - Probability that player wins the game
+ * @param {number} cube - Cube value
+ * @param {Owner} owner - Owner of cube
+ * @returns {number} - Equity
+ */
+CubefulModel.prototype.getDeadEquity = function (p, cube, owner) {
+  var results = this.getResults(cube, owner);
+  return p * results.win + (1 - p) * results.lose;
+};
+
+/**
+ * Get equity with a fully live cube. It is linear between the cash points of
+ * the opponent and the player, or the end of the game for a side that
+ * cannot double.
+ * @param {number} p - Probability that player wins the game
+ * @param {number} cube - Cube value
+ * @param {Owner} owner - Owner of cube
+ * @returns {number} - Equity
+ */
+CubefulModel.prototype.getLiveEquity = function (p, cube, owner) {
+  var results = this.getResults(cube, owner);
+  var low = 0;
+  var lowEquity = results.lose;
+  var high = 1;
+  var highEquity = results.win;
+
+  if ((owner !== CubefulModel.Owner.OPPONENT) && this.canDouble(CubefulModel.Owner.PLAYER, cube)) {
+    high = this.getCashPoint(CubefulModel.Owner.PLAYER, cube);
+    highEquity = results.cash;
+  }
+  if ((owner !== CubefulModel.Owner.PLAYER) && this.canDouble(CubefulModel.Owner.OPPONENT, cube)) {
+    low = this.getCashPoint(CubefulModel.Owner.OPPONENT, cube);
+    lowEquity = results.drop;
+  }
+
+  if (p >= high) {
+    return highEquity;
+  }
+  if ((p <= low) || (high <= low)) {
+    return lowEquity;
+  }
+  return lowEquity + (highEquity - lowEquity) * (p - low) / (high - low);
+};
+
+/**
+ * Get cash point of a side - the probability of the player to win, at which
+ * a double by the side should be dropped, as the live cube equity after a
+ * take is equal to the equity of a drop
+ * @param {Owner} side - Side doubling (PLAYER or OPPONENT)
+ * @param {number} cube - Cube value before the double
+ * @returns {number} - Probability that the player wins the game
+ */
+CubefulModel.prototype.getCashPoint = function (side, cube) {
+  var key = side + ':' + cube;
+  if (this.cashPoints[key] != null) {
+    return this.cashPoints[key];
+  }
+
+  var results = this.getResults(cube, CubefulModel.Owner.CENTERED);
+  var point;
+
+  if (side === CubefulModel.Owner.PLAYER) {
+    // Equity after opponent takes is linear from opponent's cash point to
+    // the end of the game
+    var taken = this.getResults(2 * cube, CubefulModel.Owner.OPPONENT);
+    var low = 0;
+    var lowEquity = taken.lose;
+    if (this.canDouble(CubefulModel.Owner.OPPONENT, 2 * cube)) {
+      low = this.getCashPoint(CubefulModel.Owner.OPPONENT, 2 * cube);
+      lowEquity = taken.drop;
+    }
+    point = (results.cash <= lowEquity) ? low :
+      low + (1 - low) * (results.cash - lowEquity) / (taken.win - lowEquity);
+  }
+  else {
+    var accepted = this.getResults(2 * cube, CubefulModel.Owner.PLAYER);
+    var high = 1;
+    var highEquity = accepted.win;
+    if (this.canDouble(CubefulModel.Owner.PLAYER, 2 * cube)) {
+      high = this.getCashPoint(CubefulModel.Owner.PLAYER, 2 * cube);
+      highEquity = accepted.cash;
+    }
+    point = (results.drop >= highEquity) ? high :
+      high * (results.drop - accepted.lose) / (highEquity - accepted.lose);
+  }
+
+  point = Math.min(1, Math.max(0, point));
+  this.cashPoints[key] = point;
+  return point;
+};
+
+/**
+ * Get cubeful equity - the average of the live and dead cube equities,
+ * weighted by the cube efficiency
+ * @param {number} p - Probability that player wins the game
+ * @param {number} cube - Cube value
+ * @param {Owner} owner - Owner of cube
+ * @returns {number} - Equity
+ */
+CubefulModel.prototype.getEquity = function (p, cube, owner) {
+  return this.efficiency * this.getLiveEquity(p, cube, owner) +
+    (1 - this.efficiency) * this.getDeadEquity(p, cube, owner);
+};
+
+/**
+ * Match equity table - the probability to win a match, for each score.
+ *
+ * Scores are given as the number of points each player still needs to win
+ * the match ("away"). The table has an entry for each pair of scores up to
+ * `maxLength`, where scores of 1-away are those of the Crawford game, and a
+ * separate list for scores after the Crawford game, where the leader is
+ * 1-away. Scores above `maxLength` use the entry of `maxLength`.
+ *
+ * Tables can be loaded from JSON (see `toJSON`). The built-in table (see
+ * `getStandard`) is computed by `create`, with common assumptions: gammons
+ * in 26% of games and cube efficiency of 0.68.
+ * @constructor
+ * @param {Object} data - Table
+ * @param {string} [data.name] - Name of table
+ * @param {number[][]} data.preCrawford - Probability that a player `i + 1`
+ *        away wins against an opponent `j + 1` away, at index `[i][j]`
+ * @param {number[]} data.postCrawford - Probability that the trailer `i + 1`
+ *        away wins after the Crawford game, at index `i`
+ */
+function MatchEquityTable(data) {
+  var size = data.preCrawford ? data.preCrawford.length : 0;
+  if ((size === 0) || (!data.postCrawford) || (data.postCrawford.length < size)) {
+    throw new Error('Match equity table should have pre-Crawford and post-Crawford entries!');
+  }
+  for (var i = 0; i < size; i++) {
+    if (data.preCrawford[i].length !== size) {
+      throw new Error('Pre-Crawford match equity table should be square!');
+    }
+  }
+
+  /**
+   * Name of table
+   * @type {string}
+   */
+  this.name = data.name || 'Custom';
+
+  /**
+   * Highest score in table
+   * @type {number}
+   */
+  this.maxLength = size;
+
+  /**
+   * Match winning chances before the Crawford game, indexed by score of
+   * player and opponent, minus one
+   * @type {number[][]}
+   */
+  this.preCrawford = data.preCrawford;
+
+  /**
+   * Match winning chances of the trailer after the Crawford game, indexed
+   * by score of trailer, minus one
+   * @type {number[]}
+   */
+  this.postCrawford = data.postCrawford;
+}
+
+/**
+ * Length of the built-in table
+ * @type {number}
+ */
+MatchEquityTable.DEFAULT_LENGTH = 25;
+
+/**
+ * Part of games that end with a gammon, used to build the built-in table
+ * @type {number}
+ */
+MatchEquityTable.DEFAULT_GAMMON_RATE = 0.26;
+
+/**
+ * Build match equity table.
+ *
+ * After the Crawford game the trailer doubles at once and the leader takes,
+ * unless dropping is better. In the Crawford game there is no cube. Other
+ * scores are computed with `CubefulModel`, for a game with equal chances,
+ * from the entries of lower scores.
+ * @param {Object} [options] - Options
+ * @param {number} [options.length] - Highest score in table
+ * @param {number} [options.gammonRate] - Part of games that end with a gammon
+ * @param {number} [options.efficiency] - Cube efficiency
+ * @returns {MatchEquityTable} - Table
+ */
+MatchEquityTable.create = function (options) {
+  options = options || {};
+  var size = options.length || MatchEquityTable.DEFAULT_LENGTH;
+  var g = (options.gammonRate != null) ? options.gammonRate : MatchEquityTable.DEFAULT_GAMMON_RATE;
+  var i;
+  var j;
+
+  var post = [0.5];
+  var getPost = function (away) {
+    return (away <= 0) ? 1 : post[away - 1];
+  };
+  for (i = 2; i <= size; i++) {
+    var take = 0.5 * ((1 - g) * getPost(i - 2) + g * getPost(i - 4));
+    post[i - 1] = Math.min(take, getPost(i - 1));
+  }
+
+  var pre = [];
+  for (i = 0; i < size; i++) {
+    pre[i] = [];
+  }
+  var getPre = function (away, opponentAway) {
+    if (away <= 0) {
+      return 1;
+    }
+    if (opponentAway <= 0) {
+      return 0;
+    }
+    return pre[away - 1][opponentAway - 1];
+  };
+
+  // Crawford game - no cube, a single win leads to the post-Crawford score
+  pre[0][0] = 0.5;
+  for (i = 2; i <= size; i++) {
+    pre[i - 1][0] = 0.5 * ((1 - g) * getPost(i - 1) + g * getPost(i - 2));
+    pre[0][i - 1] = 1 - pre[i - 1][0];
+  }
+
+  var createModel = function (away, opponentAway) {
+    return new CubefulModel({
+      'getOutcomes': function (cube) {
+        return {
+          'win': getPre(away - cube, opponentAway),
+          'winGammon': getPre(away - 2 * cube, opponentAway),
+          'lose': getPre(away, opponentAway - cube),
+          'loseGammon': getPre(away, opponentAway - 2 * cube)
+        };
+      },
+      'canDouble': function (side, cube) {
+        return cube < ((side === CubefulModel.Owner.PLAYER) ? away : opponentAway);
+      },
+      'winGammonRate': g,
+      'loseGammonRate': g,
+      'efficiency': options.efficiency
+    });
+  };
+
+  for (var total = 4; total <= 2 * size; total++) {
+    for (i = 2; i <= size; i++) {
+      j = total - i;
+      if ((j >= 2) && (j <= size)) {
+        pre[i - 1][j - 1] = createModel(i, j).getEquity(0.5, 1, CubefulModel.Owner.CENTERED);
+      }
+    }
+  }
+
+  return new MatchEquityTable({
+    'name': 'Built-in',
+    'preCrawford': pre,
+    'postCrawford': post
+  });
+};
+
+/**
+ * Built-in table, created on first use
+ * @type {MatchEquityTable}
+ */
+MatchEquityTable.standard = null;
+
+/**
+ * Get built-in match equity table
+ * @returns {MatchEquityTable} - Table
+ */
+MatchEquityTable.getStandard = function () {
+  if (!MatchEquityTable.standard) {
+    MatchEquityTable.standard = MatchEquityTable.create();
+    MatchEquityTable.standard.name = 'Standard';
+  }
+  return MatchEquityTable.standard;
+};
+
+/**
+ * Load table saved with `toJSON`
+ * @param {Object} data - Saved table
+ * @returns {MatchEquityTable} - Table
+ */
+MatchEquityTable.fromJSON = function (data) {
+  return new MatchEquityTable(data);
+};
+
+/**
+ * Get object with entries of the table, that can be saved as JSON
+ * @returns {{name: string, preCrawford: number[][], postCrawford: number[]}} - Table data
+ */
+MatchEquityTable.prototype.toJSON = function () {
+  return {
+    'name': this.name,
+    'preCrawford': this.preCrawford,
+    'postCrawford': this.postCrawford
+  };
+};
+
+/**
+ * Get probability to win the match
+ * @param {number} away - Points the player needs to win the match
+ * @param {number} opponentAway - Points the opponent needs to win the match
+ * @param {boolean} postCrawford - True if the Crawford game has been played
+ *                                 (or the Crawford rule is not used)
+ * @returns {number} - Probability that the player wins the match
+ */
+MatchEquityTable.prototype.getEquity = function (away, opponentAway, postCrawford) {
+  if (away <= 0) {
+    return 1;
+  }
+  if (opponentAway <= 0) {
+    return 0;
+  }
+
+  away = Math.min(away, this.maxLength);
+  opponentAway = Math.min(opponentAway, this.maxLength);
+
+  if (postCrawford && (away === 1) && (opponentAway > 1)) {
+    return 1 - this.postCrawford[opponentAway - 1];
+  }
+  if (postCrawford && (opponentAway === 1) && (away > 1)) {
+    return this.postCrawford[away - 1];
+  }
+  return this.preCrawford[away - 1][opponentAway - 1];
+};
+
+module.exports = {
+  'CubefulModel': CubefulModel,
+  'MatchEquityTable': MatchEquityTable
+};
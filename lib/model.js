@@ -163,6 +163,238 @@ Utils.includes = function (array, value) {
   return false;
 };
 
+/**
+ * Source of dice values. Dice sources produce values from 1 to 6 and can be
+ * plugged in `Dice.roll` and `Rule.rollDice` to control how dice are rolled.
+ * Implementations should override `nextValue`.
+ * @constructor
+ */
+function DiceSource() {
+  /**
+   * Type of source, as accepted by `DiceSource.create`
+   * @type {string}
+   */
+  this.type = null;
+}
+
+/**
+ * Get next die value
+ * @abstract
+ * @returns {number} - Value from 1 to 6
+ */
+DiceSource.prototype.nextValue = function () {
+  throw new Error("Dice source does not implement nextValue!");
+};
+
+/**
+ * Called before the values of a roll are requested. Sources that keep
+ * a record of rolls override this method.
+ * @param {string} [clientSeed] - Seed contributed by the client for this roll
+ */
+DiceSource.prototype.beginRoll = function (clientSeed) {
+};
+
+/**
+ * Called after all values of a roll have been requested
+ */
+DiceSource.prototype.endRoll = function () {
+};
+
+/**
+ * Unbiased dice source based on crypto random generator.
+ *
+ * Random bytes greater than or equal to 252 (the largest multiple of 6 that
+ * fits in a byte) are rejected, so that every die value is equally likely.
+ * @constructor
+ * @extends DiceSource
+ */
+function CryptoDiceSource() {
+  DiceSource.call(this);
+  this.type = 'crypto';
+}
+
+CryptoDiceSource.prototype = Object.create(DiceSource.prototype);
+CryptoDiceSource.prototype.constructor = CryptoDiceSource;
+
+/**
+ * Get next die value
+ * @returns {number} - Value from 1 to 6
+ */
+CryptoDiceSource.prototype.nextValue = function () {
+  var value;
+  do {
+    value = crypto.randomBytes(1).readUInt8(0);
+  } while (value >= 252);
+
+  return (value % 6) + 1;
+};
+
+/**
+ * Deterministic dice source. The same seed always produces the same
+ * sequence of values, so games can be reproduced in tests and replays.
+ * Not suitable for real matches, as values can be predicted by anyone
+ * who knows the seed.
+ *
+ * Uses the Mulberry32 generator with rejection sampling.
+ * @constructor
+ * @extends DiceSource
+ * @param {number|string} [seed] - Seed. Strings are hashed to a number.
+ *                                 A random seed is used if omitted.
+ */
+function SeededDiceSource(seed) {
+  DiceSource.call(this);
+  this.type = 'seeded';
+
+  if ((seed === undefined) || (seed === null)) {
+    seed = crypto.randomBytes(4).readUInt32LE(0);
+  }
+
+  /**
+   * Seed the source was created with
+   * @type {number|string}
+   */
+  this.seed = seed;
+
+  /**
+   * Current state of the generator
+   * @type {number}
+   */
+  this.state = SeededDiceSource.hashSeed(seed);
+}
+
+SeededDiceSource.prototype = Object.create(DiceSource.prototype);
+SeededDiceSource.prototype.constructor = SeededDiceSource;
+
+/**
+ * Convert seed to a 32-bit unsigned integer (FNV-1a hash for strings)
+ * @param {number|string} seed - Seed
+ * @returns {number} - 32-bit unsigned integer
+ */
+SeededDiceSource.hashSeed = function (seed) {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+
+  var str = String(seed);
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Get next 32-bit unsigned integer from generator
+ * @returns {number} - Integer from 0 to 2^32 - 1
+ */
+SeededDiceSource.prototype.nextUint32 = function () {
+  this.state = (this.state + 0x6D2B79F5) >>> 0;
+  var t = this.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return (t ^ (t >>> 14)) >>> 0;
+};
+
+/**
+ * Get next die value
+ * @returns {number} - Value from 1 to 6
+ */
+SeededDiceSource.prototype.nextValue = function () {
+  // Largest multiple of 6 not greater than 2^32
+  var limit = 4294967296 - (4294967296 % 6);
+  var value;
+  do {
+    value = this.nextUint32();
+  } while (value >= limit);
+
+  return (value % 6) + 1;
+};
+
+/**
+ * Dice source that returns a fixed sequence of values. Used for testing
+ * specific positions and for replaying recorded games. When all values of
+ * the sequence have been used, the source continues with random values
+ * (see `CryptoDiceSource`), so that the game can go on.
+ * @constructor
+ * @extends DiceSource
+ * @param {number[]} values - Die values, from 1 to 6, in the order they should be rolled
+ * @throws Throws an error if a value is not from 1 to 6
+ */
+function ScriptedDiceSource(values) {
+  DiceSource.call(this);
+  this.type = 'scripted';
+
+  values = values || [];
+  for (var i = 0; i < values.length; i++) {
+    if ((values[i] !== Math.floor(values[i])) || (values[i] < 1) || (values[i] > 6)) {
+      throw new Error("Invalid die value in script: " + values[i]);
+    }
+  }
+
+  /**
+   * Values to roll
+   * @type {number[]}
+   */
+  this.values = values.slice();
+
+  /**
+   * Index of next value
+   * @type {number}
+   */
+  this.index = 0;
+
+  /**
+   * Source of values after the sequence has been used, created when needed
+   * @type {DiceSource}
+   */
+  this.fallback = null;
+}
+
+ScriptedDiceSource.prototype = Object.create(DiceSource.prototype);
+ScriptedDiceSource.prototype.constructor = ScriptedDiceSource;
+
+/**
+ * Get next die value - the next value of the sequence, or a random value if
+ * all values of the sequence have been used
+ * @returns {number} - Value from 1 to 6
+ */
+ScriptedDiceSource.prototype.nextValue = function () {
+  if (this.index >= this.values.length) {
+    if (!this.fallback) {
+      this.fallback = new CryptoDiceSource();
+    }
+    return this.fallback.nextValue();
+  }
+  return this.values[this.index++];
+};
+
+/**
+ * Create dice source from options.
+ * @param {Object} options - Source options
+ * @param {string} options.type - Type of source: `crypto`, `seeded` or `scripted`
+ * @param {number|string} [options.seed] - Seed for `seeded` source
+ * @param {number[]} [options.values] - Values for `scripted` source
+ * @returns {DiceSource} - New dice source
+ * @throws Throws an error if type of source is unknown
+ */
+DiceSource.create = function (options) {
+  options = options || {};
+  var type = options.type || 'crypto';
+
+  if (type === 'crypto') {
+    return new CryptoDiceSource();
+  }
+  else if (type === 'seeded') {
+    return new SeededDiceSource(options.seed);
+  }
+  else if (type === 'scripted') {
+    return new ScriptedDiceSource(options.values);
+  }
+
+  throw new Error("Unknown dice source type: " + type);
+};
+
 /**
  * Random generator.
  * @constructor
@@ -171,23 +403,19 @@ function Random() {
 
 }
 
+/**
+ * Default dice source, used when no source is specified
+ * @type {DiceSource}
+ */
+Random.source = new CryptoDiceSource();
+
 /**
  * Get random number from 1 to 6
+ * @param {DiceSource} [source] - Source to use instead of the default one
  * @returns {number} - Random value from 1 to 6
  */
-Random.get = function() {
-  // TODO: replace with quality random generator
-  
-  // Combine Math random generator with crypto one
-  var buffer = crypto.randomBytes(1);
-  var value = buffer.readUInt8(0);
-  console.log(value);
-  if (value > 255) {
-    value = 255;
-  }
-  var k = value / 256;
-  
-  return (Math.floor(k * 6) + 1);
+Random.get = function(source) {
+  return (source || Random.source).nextValue();
 };
 
 /**
@@ -248,13 +476,14 @@ function Dice() {
 
 /**
  * Roll dice and return result as a new Dice object
+ * @param {DiceSource} [source] - Source of dice values. Default source is used if omitted.
  * @returns {Dice} - New dice with random values
  */
-Dice.roll = function() {
+Dice.roll = function(source) {
   var dice = new Dice();
   
-  dice.values[0] = Random.get();
-  dice.values[1] = Random.get();
+  dice.values[0] = Random.get(source);
+  dice.values[1] = Random.get(source);
   dice.values.sort(function (a, b) { return b - a; });
   return dice;
 };
@@ -562,6 +791,36 @@ State.clone = function (state) {
   return newState;
 };
 
+/**
+ * Get a string key describing the position of pieces in state. Two states
+ * have equal keys, if they have the same number and types of pieces at
+ * each point (in the same order), on the bar and outside, regardless of
+ * the IDs of the pieces.
+ * @param {State} state - Game state
+ * @returns {string} - Position key
+ */
+State.getPositionKey = function (state) {
+  var key = '';
+  var i, k;
+
+  for (i = 0; i < state.points.length; i++) {
+    for (k = 0; k < state.points[i].length; k++) {
+      key += state.points[i][k].type;
+    }
+    key += '|';
+  }
+
+  for (i = 0; i < state.bar.length; i++) {
+    key += state.bar[i].length + '|';
+  }
+
+  for (i = 0; i < state.outside.length; i++) {
+    key += state.outside[i].length + '|';
+  }
+
+  return key;
+};
+
 State.rebuildRefs = function (state) {
   state.whiteBar = state.bar[PieceType.WHITE];
   state.blackBar = state.bar[PieceType.BLACK];
@@ -636,6 +895,18 @@ function Player() {
    */
   this.stats = new PlayerStats();
 
+  /**
+   * True if player is a computer opponent, played by the server
+   * @type {boolean}
+   */
+  this.isBot = false;
+
+  /**
+   * Difficulty level of computer opponent, null for human players
+   * @type {Difficulty}
+   */
+  this.botDifficulty = null;
+
   // TODO: Remove socketID from this class
   /**
    * ID of player's socket
@@ -655,6 +926,22 @@ Player.createNew = function() {
   return player;
 };
 
+/**
+ * Types of doubling cube actions, recorded in game history
+ * @readonly
+ * @enum {string}
+ */
+var CubeActionType = {
+  /** DOUBLE: Player offers a double */
+  DOUBLE: 'double',
+  /** TAKE: Player accepts a double */
+  TAKE: 'take',
+  /** DROP: Player rejects a double and loses the game */
+  DROP: 'drop',
+  /** BEAVER: Player accepts a double and immediately redoubles */
+  BEAVER: 'beaver'
+};
+
 /**
  * Game
  * @constructor
@@ -722,6 +1009,70 @@ function Game() {
    * Sequence number that is incremented each time a piece is moved during the game
    */
   this.moveSequence = 0;
+
+  /**
+   * Current value of the doubling cube. Points won at the end of the game are
+   * multiplied by this value.
+   * @type {number}
+   */
+  this.cubeValue = 1;
+
+  /**
+   * Type of pieces of the player that owns the doubling cube. Only the owner of
+   * the cube can offer the next double. Null if the cube is in the middle and
+   * both players can double.
+   * @type {PieceType}
+   */
+  this.cubeOwner = null;
+
+  /**
+   * Type of pieces of the player that has offered a double, which the other
+   * player has not accepted or rejected yet. Null if no double is pending.
+   * @type {PieceType}
+   */
+  this.doubleOfferedBy = null;
+
+  /**
+   * Flag that shows if the game was ended by a player rejecting a double
+   * @type {boolean}
+   */
+  this.doubleRejected = false;
+
+  /**
+   * Doubling cube actions made during the game, in order. Turn number is
+   * the number of the turn during (or before) which the action was made.
+   * Cube value is the value offered (double, beaver) or resulting (take, drop).
+   * @type {Array.<{turnNumber: number, pieceType: PieceType, type: CubeActionType, cubeValue: number}>}
+   */
+  this.cubeActions = [];
+
+  /**
+   * Result of the opening roll that decided which player starts the game.
+   * Values of the final roll are indexed by piece type. All rolls made,
+   * including ties that had to be rerolled, are listed in `rolls`.
+   * @type {{values: number[], rolls: Array.<number[]>}}
+   */
+  this.openingRoll = null;
+
+  /**
+   * Flag that shows if this is the Crawford game of the match - the doubling
+   * cube cannot be used in this game.
+   * @type {boolean}
+   */
+  this.isCrawford = false;
+
+  /**
+   * Records of all confirmed turns of the game, in the order they were played
+   * @type {TurnRecord[]}
+   */
+  this.history = [];
+
+  /**
+   * Moves made in current turn, that have not been confirmed yet. Each item
+   * contains the piece moved, move value (steps) and the resulting move actions.
+   * @type {Array.<{piece: Piece, steps: number, actions: MoveAction[]}>}
+   */
+  this.turnMoves = [];
 }
 
 /**
@@ -817,6 +1168,145 @@ Game.snapshotState = function (game) {
 Game.restoreState = function (game) {
   game.state = State.clone(game.previousState);
   game.turnDice = Utils.deepCopy(game.previousTurnDice);
+  game.turnMoves = [];
+};
+
+/**
+ * Remember a move made in current turn, so that it can be added to
+ * game history when the turn is confirmed
+ * @param {Game} game - Game
+ * @param {Piece} piece - Piece moved
+ * @param {number} steps - Move value used
+ * @param {MoveAction[]} actions - Actions that resulted from the move
+ */
+Game.addTurnMove = function (game, piece, steps, actions) {
+  game.turnMoves.push({
+    'piece': piece,
+    'steps': steps,
+    'actions': actions
+  });
+};
+
+/**
+ * Add record of a confirmed turn to game history and clear the moves
+ * of current turn
+ * @param {Game} game - Game
+ * @param {TurnRecord} record - Record of the turn
+ */
+Game.addTurnRecord = function (game, record) {
+  game.history.push(record);
+  game.turnMoves = [];
+};
+
+/**
+ * Check if a double has been offered and is still waiting for an answer
+ * @param {Game} game - Game
+ * @returns {boolean} - True if there is a pending double offer
+ */
+Game.isDoubleOffered = function (game) {
+  return (game.doubleOfferedBy != null);
+};
+
+/**
+ * Check if player with specified piece type is allowed to turn the cube -
+ * the cube is in the middle or is owned by that player
+ * @param {Game} game - Game
+ * @param {PieceType} type - Player's piece type
+ * @returns {boolean} - True if the player has access to the cube
+ */
+Game.hasCubeAccess = function (game, type) {
+  return (game.cubeOwner == null) ||
+    (game.cubeOwner === type);
+};
+
+/**
+ * Mark a double as offered by player with specified piece type.
+ * Validation should be made by the rule before calling this method.
+ * @param {Game} game - Game
+ * @param {PieceType} type - Piece type of player offering the double
+ */
+Game.offerDouble = function (game, type) {
+  game.doubleOfferedBy = type;
+  Game.addCubeAction(game, type, CubeActionType.DOUBLE, game.cubeValue * 2);
+};
+
+/**
+ * Add a doubling cube action to game history
+ * @param {Game} game - Game
+ * @param {PieceType} type - Piece type of player making the action
+ * @param {CubeActionType} actionType - Type of action
+ * @param {number} cubeValue - Cube value offered or resulting from the action
+ */
+Game.addCubeAction = function (game, type, actionType, cubeValue) {
+  game.cubeActions.push({
+    'turnNumber': game.turnNumber,
+    'pieceType': type,
+    'type': actionType,
+    'cubeValue': cubeValue
+  });
+};
+
+/**
+ * Accept pending double - double the value of the cube and pass
+ * its ownership to the player that accepted the offer.
+ * @param {Game} game - Game
+ * @throws Throws error if no double has been offered
+ */
+Game.acceptDouble = function (game) {
+  Game.takeCube(game, 2, CubeActionType.TAKE);
+};
+
+/**
+ * Beaver pending double - the player that has been offered a double
+ * immediately redoubles and keeps ownership of the cube.
+ * @param {Game} game - Game
+ * @throws Throws error if no double has been offered
+ */
+Game.beaverDouble = function (game) {
+  Game.takeCube(game, 4, CubeActionType.BEAVER);
+};
+
+/**
+ * Pass ownership of the cube to the player that has been offered a double
+ * and multiply its value
+ * @param {Game} game - Game
+ * @param {number} multiplier - Multiplier of cube value
+ * @param {CubeActionType} actionType - Action recorded in game history
+ * @throws Throws error if no double has been offered
+ */
+Game.takeCube = function (game, multiplier, actionType) {
+  if (!Game.isDoubleOffered(game)) {
+    throw new Error("No double has been offered!");
+  }
+
+  game.cubeOwner = (game.doubleOfferedBy === PieceType.WHITE) ?
+    PieceType.BLACK
+    :
+    PieceType.WHITE;
+  game.cubeValue *= multiplier;
+  game.doubleOfferedBy = null;
+
+  Game.addCubeAction(game, game.cubeOwner, actionType, game.cubeValue);
+};
+
+/**
+ * Reject pending double. The game is lost by the player that rejected it,
+ * but the current cube value is not doubled.
+ * @param {Game} game - Game
+ * @throws Throws error if no double has been offered
+ */
+Game.rejectDouble = function (game) {
+  if (!Game.isDoubleOffered(game)) {
+    throw new Error("No double has been offered!");
+  }
+
+  game.doubleRejected = true;
+
+  var type = (game.doubleOfferedBy === PieceType.WHITE) ?
+    PieceType.BLACK
+    :
+    PieceType.WHITE;
+  Game.addCubeAction(game, type, CubeActionType.DROP, game.cubeValue);
 };
 
 /**
@@ -857,9 +1347,47 @@ function Match() {
   
   /**
    * Match length - the score needed to win the match.
+   * Zero means an unlimited money session, that is never over, unless
+   * a player resigns from the match.
    * @type {number}
    */
   this.length = 5;
+
+  /**
+   * Apply the Crawford rule - the doubling cube cannot be used in the first
+   * game after one of the players reaches one point from match length.
+   * Not used in money sessions.
+   * @type {boolean}
+   */
+  this.crawford = true;
+
+  /**
+   * Flag that shows if the Crawford game of the match has already been played
+   * (or is being played now).
+   * @type {boolean}
+   */
+  this.crawfordPlayed = false;
+
+  /**
+   * Apply the Jacoby rule - gammons and backgammons count only if the cube
+   * has been turned. Used only in money sessions.
+   * @type {boolean}
+   */
+  this.jacoby = false;
+
+  /**
+   * Allow beavers - a player that has been offered a double can immediately
+   * redouble and keep the cube. Used only in money sessions.
+   * @type {boolean}
+   */
+  this.beavers = false;
+
+  /**
+   * Allow hints - players can ask the server for the best turns for
+   * the dice rolled (GET_HINT). Should be disabled for rated games.
+   * @type {boolean}
+   */
+  this.hints = true;
   
   /**
    * Score of players for current match
@@ -872,6 +1400,21 @@ function Match() {
    * @type {Game}
    */
   this.currentGame = null;
+
+  /**
+   * Records of finished games, including turn history of each game.
+   * Score is the score of the match before the game was played.
+   * @type {Array.<{gameID: number, winner: PieceType, points: number, resigned: boolean, score: number[], cubeValue: number, doubleRejected: boolean, isCrawford: boolean, openingRoll: Object, history: TurnRecord[], cubeActions: Array, unfinishedTurnDice: number[]}>}
+   */
+  this.games = [];
+
+  /**
+   * Start position of a practice match, as gnubg Position ID and Match ID.
+   * The first game starts from this position instead of an opening roll.
+   * Null for normal matches.
+   * @type {{positionID: string, matchID: string}}
+   */
+  this.startPosition = null;
   
   /**
    * Is match over
@@ -884,13 +1427,38 @@ function Match() {
  * Create new match object with unique ID and initialize it.
  * Match object is not saved in database.
  * @param {Rule} rule - Rule object to use
+ * @param {Object} [options] - Optional match options
+ * @param {number} [options.length] - Match length, zero for unlimited money session
+ * @param {boolean} [options.crawford] - Apply Crawford rule
+ * @param {boolean} [options.jacoby] - Apply Jacoby rule (money sessions only)
+ * @param {boolean} [options.beavers] - Allow beavers (money sessions only)
+ * @param {boolean} [options.hints] - Allow hints
  * @returns {Match} - A new match object with unique ID
  */
-Match.createNew = function(rule) {
+Match.createNew = function(rule, options) {
   var match = new Match();
   match.id = Utils.generateID();
   match.ruleName = rule.name;
   match.score = [0, 0];
+
+  if (options) {
+    if (typeof options.length !== 'undefined') {
+      match.length = options.length;
+    }
+    if (typeof options.crawford !== 'undefined') {
+      match.crawford = !!options.crawford;
+    }
+    if (typeof options.jacoby !== 'undefined') {
+      match.jacoby = !!options.jacoby;
+    }
+    if (typeof options.beavers !== 'undefined') {
+      match.beavers = !!options.beavers;
+    }
+    if (typeof options.hints !== 'undefined') {
+      match.hints = !!options.hints;
+    }
+  }
+
   return match;
 };
 
@@ -902,10 +1470,96 @@ Match.createNew = function(rule) {
  */
 Match.createNewGame = function(match, rule) {
   var game = Game.createNew(rule);
+
+  if (Match.isCrawfordGameDue(match)) {
+    game.isCrawford = true;
+    match.crawfordPlayed = true;
+  }
+
   match.currentGame = game;
   return game;
 };
 
+/**
+ * Add record of current game to the list of finished games of the match.
+ * Should be called when current game is over and the points won have been
+ * added to match score, before a new game is created.
+ * @param {Match} match - Match
+ * @param {PieceType} winner - Piece type of the player that won the game
+ * @param {number} points - Points won
+ * @param {boolean} resigned - True if the other player resigned
+ */
+Match.addGameRecord = function (match, winner, points, resigned) {
+  var game = match.currentGame;
+
+  var score = match.score.slice();
+  score[winner] -= points;
+
+  match.games.push({
+    'gameID': game.id,
+    'winner': winner,
+    'points': points,
+    'resigned': resigned,
+    'score': score,
+    'cubeValue': game.cubeValue,
+    'doubleRejected': game.doubleRejected,
+    'isCrawford': game.isCrawford,
+    'openingRoll': game.openingRoll,
+    'history': game.history,
+    'cubeActions': game.cubeActions,
+    // Dice of a turn that was rolled, but not finished, eg. when a player
+    // resigns. Needed to verify the dice of provably fair matches.
+    'unfinishedTurnDice': (game.turnDice && (game.history.length < game.turnNumber)) ?
+      game.turnDice.values.slice() : null
+  });
+};
+
+/**
+ * Check if match is an unlimited money session
+ * @param {Match} match - Match
+ * @returns {boolean} - True if match has no length limit
+ */
+Match.isMoneySession = function (match) {
+  return match.length <= 0;
+};
+
+/**
+ * Check if next game of the match should be the Crawford game - Crawford rule
+ * is enabled, the Crawford game has not been played yet and one of the players
+ * has just reached match point - is one point away from winning the match
+ * after the last game, but was not before it. There is no Crawford game in
+ * matches to one point.
+ * @param {Match} match - Match
+ * @returns {boolean} - True if next game should be played without doubling cube
+ */
+Match.isCrawfordGameDue = function (match) {
+  if (!match.crawford || match.crawfordPlayed || Match.isMoneySession(match) || (match.length <= 1)) {
+    return false;
+  }
+
+  // Records keep the score at start of each game
+  var last = match.games[match.games.length - 1];
+  for (var i = 0; i < match.score.length; i++) {
+    if ((match.score[i] === match.length - 1) && ((!last) || (last.score[i] < match.length - 1))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check if a player has reached the score needed to win the match.
+ * Money sessions are never won by score.
+ * @param {Match} match - Match
+ * @param {PieceType} type - Piece type of player
+ * @returns {boolean} - True if player has won the match
+ */
+Match.hasReachedLength = function (match, type) {
+  return (!Match.isMoneySession(match)) &&
+    (match.score[type] >= match.length);
+};
+
 /**
  * Add host player to match
  * @param {Match} match - Match to add player to
@@ -990,10 +1644,72 @@ function MoveAction() {
   this.type = '';
 }
 
+/**
+ * Record of a confirmed turn, kept in game history.
+ *
+ * Points are numbered from the point of view of the player that made the turn,
+ * as in standard backgammon notation - from 1 (deepest point in home board)
+ * to 24. The bar is point 25 and bearing off is moving to point 0.
+ * @constructor
+ */
+function TurnRecord() {
+  /**
+   * Number of turn in game
+   * @type {number}
+   */
+  this.turnNumber = 0;
+
+  /**
+   * ID of player that made the turn
+   * @type {number}
+   */
+  this.playerID = 0;
+
+  /**
+   * Type of pieces of player that made the turn
+   * @type {PieceType}
+   */
+  this.pieceType = null;
+
+  /**
+   * Values of dice rolled
+   * @type {number[]}
+   */
+  this.dice = [];
+
+  /**
+   * Moves made, in the order they were played
+   * @type {Array.<{pieceID: number, steps: number, from: number, to: number, hit: boolean, bearOff: boolean}>}
+   */
+  this.moves = [];
+
+  /**
+   * Number of opponent's pieces hit
+   * @type {number}
+   */
+  this.hits = 0;
+
+  /**
+   * Number of pieces borne off
+   * @type {number}
+   */
+  this.bearOffs = 0;
+
+  /**
+   * Moves in standard notation (eg. `8/5 6/5*`). Empty if no moves could be played.
+   * @type {string}
+   */
+  this.notation = '';
+}
+
 module.exports = {
   'PieceType': PieceType,
   'Utils': Utils,
   'Random': Random,
+  'DiceSource': DiceSource,
+  'CryptoDiceSource': CryptoDiceSource,
+  'SeededDiceSource': SeededDiceSource,
+  'ScriptedDiceSource': ScriptedDiceSource,
   'Piece': Piece,
   'Dice': Dice,
   'State': State,
@@ -1001,6 +1717,8 @@ module.exports = {
   'Player': Player,
   'Game': Game,
   'Match': Match,
+  'CubeActionType': CubeActionType,
   'MoveActionType': MoveActionType,
-  'MoveAction': MoveAction
+  'MoveAction': MoveAction,
+  'TurnRecord': TurnRecord
 };
@@ -0,0 +1,285 @@
+var model = require('./model.js');
+
+/**
+ * Small dense neural network with one hidden layer and a single output.
+ * Hidden and output units use the sigmoid activation function.
+ *
+ * All parameters are kept in a single flat array, so that the network can
+ * easily be trained and saved:
+ *
+ * - weights of hidden units (`hiddenCount` rows of `inputCount` values);
+ * - biases of hidden units (`hiddenCount` values);
+ * - weights of the output unit (`hiddenCount` values);
+ * - bias of the output unit (one value).
+ * @constructor
+ * @param {number} inputCount - Number of inputs
+ * @param {number} hiddenCount - Number of hidden units
+ * @param {number[]} [weights] - Parameters of network. All are zero if omitted.
+ */
+function NeuralNetwork(inputCount, hiddenCount, weights) {
+  /**
+   * Number of inputs
+   * @type {number}
+   */
+  this.inputCount = inputCount;
+
+  /**
+   * Number of hidden units
+   * @type {number}
+   */
+  this.hiddenCount = hiddenCount;
+
+  var size = NeuralNetwork.getWeightCount(inputCount, hiddenCount);
+  if (weights && (weights.length !== size)) {
+    throw new Error('Network should have ' + size + ' weights, but has ' + weights.length + '!');
+  }
+
+  /**
+   * Parameters of network
+   * @type {Float64Array}
+   */
+  this.weights = new Float64Array(weights || size);
+}
+
+/**
+ * Get number of parameters of a network
+ * @param {number} inputCount - Number of inputs
+ * @param {number} hiddenCount - Number of hidden units
+ * @returns {number} - Number of parameters
+ */
+NeuralNetwork.getWeightCount = function (inputCount, hiddenCount) {
+  return hiddenCount * inputCount + 2 * hiddenCount + 1;
+};
+
+/**
+ * Create network with small random weights
+ * @param {number} inputCount - Number of inputs
+ * @param {number} hiddenCount - Number of hidden units
+ * @param {function} [random] - Random generator, returning numbers in [0, 1)
+ * @returns {NeuralNetwork} - New network
+ */
+NeuralNetwork.createRandom = function (inputCount, hiddenCount, random) {
+  random = random || Math.random;
+  var network = new NeuralNetwork(inputCount, hiddenCount);
+  for (var i = 0; i < network.weights.length; i++) {
+    network.weights[i] = (random() - 0.5) * 0.2;
+  }
+  return network;
+};
+
+/**
+ * Create network from an object saved with `toJSON`
+ * @param {Object} data - Saved network
+ * @returns {NeuralNetwork} - Network
+ */
+NeuralNetwork.fromJSON = function (data) {
+  return new NeuralNetwork(data.inputCount, data.hiddenCount, data.weights);
+};
+
+/**
+ * Get object with parameters of network, that can be saved as JSON
+ * @returns {{inputCount: number, hiddenCount: number, weights: number[]}} - Network data
+ */
+NeuralNetwork.prototype.toJSON = function () {
+  var weights = [];
+  for (var i = 0; i < this.weights.length; i++) {
+    weights.push(Math.round(this.weights[i] * 1e6) / 1e6);
+  }
+
+  return {
+    'inputCount': this.inputCount,
+    'hiddenCount': this.hiddenCount,
+    'weights': weights
+  };
+};
+
+/**
+ * Sigmoid function
+ * @param {number} x - Value
+ * @returns {number} - Value in (0, 1)
+ */
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Compute output of network
+ * @param {number[]} inputs - Input values
+ * @returns {{hidden: Float64Array, output: number}} - Activations of hidden
+ *          units and output of network
+ */
+NeuralNetwork.prototype.activate = function (inputs) {
+  var w = this.weights;
+  var n = this.inputCount;
+  var biases = this.hiddenCount * n;
+  var outputWeights = biases + this.hiddenCount;
+  var hidden = new Float64Array(this.hiddenCount);
+  var sum = w[outputWeights + this.hiddenCount];
+
+  for (var j = 0; j < this.hiddenCount; j++) {
+    var row = j * n;
+    var a = w[biases + j];
+    for (var i = 0; i < n; i++) {
+      if (inputs[i] !== 0) {
+        a += w[row + i] * inputs[i];
+      }
+    }
+    hidden[j] = sigmoid(a);
+    sum += w[outputWeights + j] * hidden[j];
+  }
+
+  return {
+    'hidden': hidden,
+    'output': sigmoid(sum)
+  };
+};
+
+/**
+ * Compute gradient of output of network, with respect to each parameter
+ * @param {number[]} inputs - Input values
+ * @param {{hidden: Float64Array, output: number}} activation - Result of `activate` for the inputs
+ * @param {Float64Array} gradient - Array to store gradient into, of the same size as `weights`
+ */
+NeuralNetwork.prototype.getGradient = function (inputs, activation, gradient) {
+  var w = this.weights;
+  var n = this.inputCount;
+  var biases = this.hiddenCount * n;
+  var outputWeights = biases + this.hiddenCount;
+  var y = activation.output;
+  var g = y * (1 - y);
+
+  gradient[outputWeights + this.hiddenCount] = g;
+
+  for (var j = 0; j < this.hiddenCount; j++) {
+    var h = activation.hidden[j];
+    var gh = g * w[outputWeights + j] * h * (1 - h);
+    var row = j * n;
+
+    gradient[outputWeights + j] = g * h;
+    gradient[biases + j] = gh;
+    for (var i = 0; i < n; i++) {
+      gradient[row + i] = gh * inputs[i];
+    }
+  }
+};
+
+/**
+ * Evaluation of positions by a neural network, in the spirit of TD-Gammon.
+ * The network estimates the probability that the player who has just moved
+ * wins the game. Networks are trained by self-play, with
+ * `training/train_td.js`.
+ *
+ * Positions are encoded from the point of view of the player who has just
+ * moved, using normalized positions, so the same encoding works for all
+ * rules. Each rule should have its own trained network.
+ * @constructor
+ * @param {NeuralNetwork} network - Trained network
+ */
+function NeuralEvaluator(network) {
+  if (network.inputCount !== NeuralEvaluator.INPUT_COUNT) {
+    throw new Error('Network should have ' + NeuralEvaluator.INPUT_COUNT + ' inputs!');
+  }
+
+  /**
+   * Network used for evaluation
+   * @type {NeuralNetwork}
+   */
+  this.network = network;
+}
+
+/**
+ * Number of inputs for each player: four for each of the 24 points, one
+ * for pieces on the bar and one for pieces borne off
+ * @type {number}
+ */
+NeuralEvaluator.PLAYER_INPUT_COUNT = 24 * 4 + 2;
+
+/**
+ * Number of network inputs
+ * @type {number}
+ */
+NeuralEvaluator.INPUT_COUNT = 2 * NeuralEvaluator.PLAYER_INPUT_COUNT;
+
+/**
+ * Scores returned by `evaluate` are between `-SCORE_SCALE` (sure loss) and
+ * `SCORE_SCALE` (sure win)
+ * @type {number}
+ */
+NeuralEvaluator.SCORE_SCALE = 100;
+
+/**
+ * Encode pieces of one player as network inputs. The number of pieces at
+ * each point is encoded in four units, like in TD-Gammon: one for each of
+ * the first three pieces and one for half of the pieces above three.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @param {number[]} inputs - Array to store inputs into
+ * @param {number} offset - Index of first input of player
+ */
+NeuralEvaluator.encodePlayer = function (rule, state, type, inputs, offset) {
+  for (var pos = 0; pos < 24; pos++) {
+    var count = model.State.countAtPos(state, pos, type);
+    var index = offset + rule.normPos(pos, type) * 4;
+    inputs[index] = (count >= 1) ? 1 : 0;
+    inputs[index + 1] = (count >= 2) ? 1 : 0;
+    inputs[index + 2] = (count >= 3) ? 1 : 0;
+    inputs[index + 3] = (count > 3) ? (count - 3) / 2 : 0;
+  }
+  inputs[offset + 96] = state.bar[type].length / 2;
+  inputs[offset + 97] = state.outside[type].length / rule.maxPieces;
+};
+
+/**
+ * Encode state as network inputs, from the point of view of the player who
+ * has just moved. Inputs of that player come first.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player who has just moved
+ * @returns {number[]} - Network inputs
+ */
+NeuralEvaluator.encodeState = function (rule, state, type) {
+  var opponentType = (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+  var inputs = new Array(NeuralEvaluator.INPUT_COUNT);
+  NeuralEvaluator.encodePlayer(rule, state, type, inputs, 0);
+  NeuralEvaluator.encodePlayer(rule, state, opponentType, inputs, NeuralEvaluator.PLAYER_INPUT_COUNT);
+  return inputs;
+};
+
+/**
+ * Create evaluator from network saved as JSON
+ * @param {Object} data - Saved network (see `NeuralNetwork.toJSON`)
+ * @returns {NeuralEvaluator} - Evaluator
+ */
+NeuralEvaluator.fromJSON = function (data) {
+  return new NeuralEvaluator(NeuralNetwork.fromJSON(data));
+};
+
+/**
+ * Estimate probability that the player who has just moved wins the game
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player who has just moved
+ * @returns {number} - Probability of win, from 0 to 1
+ */
+NeuralEvaluator.prototype.getWinProbability = function (rule, state, type) {
+  return this.network.activate(NeuralEvaluator.encodeState(rule, state, type)).output;
+};
+
+/**
+ * Evaluate position from the point of view of the player who has just moved
+ * @param {Rule} rule - Rule
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Score of position, from `-SCORE_SCALE` to `SCORE_SCALE`.
+ *          Higher is better for the player.
+ */
+NeuralEvaluator.prototype.evaluate = function (rule, state, type) {
+  var p = this.getWinProbability(rule, state, type);
+  return NeuralEvaluator.SCORE_SCALE * (2 * p - 1);
+};
+
+module.exports = {
+  'NeuralNetwork': NeuralNetwork,
+  'NeuralEvaluator': NeuralEvaluator
+};
@@ -0,0 +1,491 @@
+var model = require('./model.js');
+
+/**
+ * Standard backgammon notation.
+ *
+ * Each player numbers points from their own point of view - from 1 (the
+ * deepest point in their home board) to 24. Moves are written as
+ * `from/to`, eg. `8/5 6/5`. An asterisk marks a hit (`13/7*`), `bar` and
+ * `off` are used for entering from the bar and bearing off (`bar/22`, `6/off`).
+ * A checker moved more than once is written as a single move (`24/13`).
+ * Intermediate points are kept only where the checker hit, with the asterisk
+ * right after the point. Identical moves are written once, with the count in
+ * brackets (`13/11(2)`).
+ * @constructor
+ */
+function Notation() {
+
+}
+
+/**
+ * Point number of the bar
+ * @type {number}
+ */
+Notation.BAR = 25;
+
+/**
+ * Point number for pieces borne off
+ * @type {number}
+ */
+Notation.OFF = 0;
+
+/**
+ * Get point number of a position from the point of view of a player
+ * @param {Rule} rule - Rule, used to normalize position
+ * @param {number} position - Denormalized position
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Point number from 1 to 24
+ */
+Notation.getPointNumber = function (rule, position, type) {
+  return rule.normPos(position, type) + 1;
+};
+
+/**
+ * Get the text used for a point number in notation
+ * @param {number} point - Point number (0 to 25)
+ * @returns {string} - Point number as text, `bar` or `off`
+ */
+Notation.formatPoint = function (point) {
+  if (point === Notation.BAR) {
+    return 'bar';
+  }
+  else if (point === Notation.OFF) {
+    return 'off';
+  }
+  return String(point);
+};
+
+/**
+ * Create record of a single move from the actions it resulted in
+ * @param {Rule} rule - Rule
+ * @param {Piece} piece - Piece moved
+ * @param {number} steps - Move value used
+ * @param {MoveAction[]} actions - Actions that resulted from the move
+ * @returns {{pieceID: number, steps: number, from: number, to: number, hit: boolean, bearOff: boolean}} - Move record
+ */
+Notation.createMoveRecord = function (rule, piece, steps, actions) {
+  var move = {
+    'pieceID': piece.id,
+    'steps': steps,
+    'from': null,
+    'to': null,
+    'hit': false,
+    'bearOff': false
+  };
+
+  for (var i = 0; i < actions.length; i++) {
+    var action = actions[i];
+
+    if (action.type === model.MoveActionType.MOVE) {
+      move.from = Notation.getPointNumber(rule, action.from, piece.type);
+      move.to = Notation.getPointNumber(rule, action.to, piece.type);
+    }
+    else if (action.type === model.MoveActionType.RECOVER) {
+      move.from = Notation.BAR;
+      move.to = Notation.getPointNumber(rule, action.position, piece.type);
+    }
+    else if (action.type === model.MoveActionType.BEAR) {
+      move.from = Notation.getPointNumber(rule, action.position, piece.type);
+      move.to = Notation.OFF;
+      move.bearOff = true;
+    }
+    else if (action.type === model.MoveActionType.HIT) {
+      move.hit = true;
+    }
+  }
+
+  return move;
+};
+
+/**
+ * Create record of current turn from the moves made by the player
+ * @param {Rule} rule - Rule
+ * @param {Game} game - Game, whose current turn is being recorded
+ * @param {Player} player - Player that made the turn
+ * @returns {TurnRecord} - Turn record
+ */
+Notation.createTurnRecord = function (rule, game, player) {
+  var record = new model.TurnRecord();
+  record.turnNumber = game.turnNumber;
+  record.playerID = player.id;
+  record.pieceType = player.currentPieceType;
+  record.dice = (game.turnDice) ? game.turnDice.values.slice() : [];
+
+  for (var i = 0; i < game.turnMoves.length; i++) {
+    var turnMove = game.turnMoves[i];
+    var move = Notation.createMoveRecord(rule, turnMove.piece, turnMove.steps, turnMove.actions);
+
+    if (move.hit) {
+      record.hits++;
+    }
+    if (move.bearOff) {
+      record.bearOffs++;
+    }
+
+    record.moves.push(move);
+  }
+
+  record.notation = Notation.formatMoves(record.moves);
+
+  return record;
+};
+
+/**
+ * Format moves in standard notation
+ * @param {Array.<{pieceID: number, from: number, to: number, hit: boolean}>} moves - Moves, in the order played
+ * @returns {string} - Moves in standard notation (eg. `24/18 13/11*`)
+ */
+Notation.formatMoves = function (moves) {
+  // Join consecutive moves of the same piece into chains
+  var chains = [];
+  for (var i = 0; i < moves.length; i++) {
+    var move = moves[i];
+    var chain = null;
+
+    for (var c = 0; c < chains.length; c++) {
+      var last = chains[c].points[chains[c].points.length - 1];
+      if ((chains[c].pieceID === move.pieceID) && (last.point === move.from)) {
+        chain = chains[c];
+        break;
+      }
+    }
+
+    if (!chain) {
+      chain = {
+        'pieceID': move.pieceID,
+        'points': [{ 'point': move.from, 'hit': false }]
+      };
+      chains.push(chain);
+    }
+
+    chain.points.push({ 'point': move.to, 'hit': move.hit });
+  }
+
+  // Highest points are written first, as is the custom
+  chains.sort(function (a, b) {
+    return b.points[0].point - a.points[0].point;
+  });
+
+  var parts = [];
+  var counts = {};
+  for (i = 0; i < chains.length; i++) {
+    var points = chains[i].points;
+    var text = Notation.formatPoint(points[0].point);
+    for (var p = 1; p < points.length; p++) {
+      // Skip intermediate points, where nothing was hit
+      if ((p < points.length - 1) && (!points[p].hit)) {
+        continue;
+      }
+
+      text += '/' + Notation.formatPoint(points[p].point);
+      if (points[p].hit) {
+        text += '*';
+      }
+    }
+
+    if (!counts[text]) {
+      counts[text] = 0;
+      parts.push(text);
+    }
+    counts[text]++;
+  }
+
+  for (i = 0; i < parts.length; i++) {
+    if (counts[parts[i]] > 1) {
+      parts[i] += '(' + counts[parts[i]] + ')';
+    }
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Parse a point in notation
+ * @param {string} text - Point as text (eg. `13`, `bar` or `off`)
+ * @returns {number} - Point number, `Notation.BAR` or `Notation.OFF`
+ * @throws Throws an error if point is not valid
+ */
+Notation.parsePoint = function (text) {
+  text = text.toLowerCase();
+  if (text === 'bar') {
+    return Notation.BAR;
+  }
+  else if (text === 'off') {
+    return Notation.OFF;
+  }
+
+  var point = (/^\d+$/.test(text)) ? parseInt(text, 10) : NaN;
+  if (isNaN(point) || (point < 0) || (point > 25)) {
+    throw new Error('Invalid point "' + text + '"!');
+  }
+  return point;
+};
+
+/**
+ * Parse moves in standard notation, without checking them against a state.
+ * @param {string} text - Moves in standard notation (eg. `24/18 13/11*`, `bar/20(2)` or `6/off`)
+ * @returns {Array.<{from: number, to: number, hit: boolean}>} - List of moves
+ *          from one point to another, in the order written. Chains and
+ *          repeated moves are expanded - eg. `13/11(2)` gives two moves.
+ * @throws Throws an error if text is not valid notation
+ */
+Notation.parseMoves = function (text) {
+  var moves = [];
+  var tokens = String(text || '').trim().split(/[\s,]+/);
+
+  for (var i = 0; i < tokens.length; i++) {
+    if (tokens[i] === '') {
+      continue;
+    }
+
+    var match = /^([^()]+?)(?:\((\d+)\))?$/.exec(tokens[i]);
+    var parts = match ? match[1].split('/') : [];
+    if (parts.length < 2) {
+      throw new Error('Invalid move "' + tokens[i] + '"!');
+    }
+
+    var count = (match[2]) ? parseInt(match[2], 10) : 1;
+    if ((count < 1) || (count > 4)) {
+      throw new Error('Invalid move count in "' + tokens[i] + '"!');
+    }
+
+    for (var c = 0; c < count; c++) {
+      var from = Notation.parsePoint(parts[0]);
+      for (var p = 1; p < parts.length; p++) {
+        var hit = /\*$/.test(parts[p]);
+        var to = Notation.parsePoint(parts[p].replace(/\*$/, ''));
+
+        if ((from === Notation.OFF) || (to === Notation.BAR) || (to >= from)) {
+          throw new Error('Invalid move "' + tokens[i] + '"!');
+        }
+
+        moves.push({
+          'from': from,
+          'to': to,
+          'hit': hit
+        });
+        from = to;
+      }
+    }
+  }
+
+  return moves;
+};
+
+/**
+ * Parse a turn in standard notation and check it against a state and dice.
+ *
+ * Each move is checked with `Rule.validateMove` and turned into move actions
+ * with `Rule.getMoveActions`. A move that spans more than one die (eg. `24/13`
+ * with 6:5) is split into single die moves. Moves are played in the order
+ * written, when possible. Otherwise other orders and die combinations are
+ * tried, until one is found that allows the whole turn to be played.
+ *
+ * Hit markers (`*`) are not required - pieces are hit wherever the moves
+ * land on a blot. A move marked as a hit must hit a blot, though.
+ *
+ * @param {Rule} rule - Rule
+ * @param {State} state - State before the turn. It is not modified.
+ * @param {Dice|number[]} dice - Dice rolled, or just their values
+ * @param {PieceType} pieceType - Type of pieces of the player making the turn
+ * @param {string} text - Moves in standard notation
+ * @returns {Array.<{piece: Piece, steps: number, actions: MoveAction[]}>} - List of
+ *          single die moves to make, in order
+ * @throws Throws an error if text is not valid notation or the moves
+ *         cannot be played
+ */
+Notation.parseTurn = function (rule, state, dice, pieceType, text) {
+  var notationMoves = Notation.parseMoves(text);
+
+  // Moves are validated against a temporary game, so that the state
+  // and dice passed are not modified
+  var player = new model.Player();
+  player.currentPieceType = pieceType;
+
+  var game = new model.Game();
+  game.state = model.State.clone(state);
+  game.hasStarted = true;
+  game.turnPlayer = player;
+
+  if (Array.isArray(dice)) {
+    game.turnDice = rule.rollDice(game, dice);
+  }
+  else {
+    game.turnDice = model.Utils.deepCopy(dice);
+  }
+
+  var result = [];
+
+  /**
+   * Get the piece that would be moved from a point
+   */
+  function getPiece(point) {
+    if (point === Notation.BAR) {
+      return model.State.getBarTopPiece(game.state, pieceType);
+    }
+    var piece = model.State.getTopPiece(game.state, rule.denormPos(point - 1, pieceType));
+    return (piece && (piece.type === pieceType)) ? piece : null;
+  }
+
+  /**
+   * Play a single die move from point, if it is valid and ends at expected point.
+   * @returns {Object} - Move made, or null if the move is not valid
+   */
+  function playStep(point, steps, target) {
+    var piece = getPiece(point);
+    if ((!piece) || (!rule.validateMove(game, player, piece, steps))) {
+      return null;
+    }
+
+    var actions = rule.getMoveActions(game.state, piece, steps);
+    if (actions.length === 0) {
+      return null;
+    }
+
+    var record = Notation.createMoveRecord(rule, piece, steps, actions);
+    if ((record.from !== point) || (record.to < target)) {
+      return null;
+    }
+
+    var movesLeft = game.turnDice.movesLeft.slice();
+    rule.applyMoveActions(game.state, actions);
+    rule.markAsPlayed(game, steps);
+
+    return {
+      'piece': piece,
+      'steps': steps,
+      'actions': actions,
+      'record': record,
+      'movesLeft': movesLeft
+    };
+  }
+
+  /**
+   * Undo a move made with playStep
+   */
+  function undoStep(move) {
+    rule.undoMoveActions(game.state, move.actions);
+    game.turnDice.movesLeft = move.movesLeft;
+    game.turnDice.movesPlayed.pop();
+  }
+
+  /**
+   * Check that a piece has been hit at each point marked with a hit marker
+   * @returns {Object} - First notation move marked as a hit, that has not
+   *                     hit, or null if all marked moves have hit
+   */
+  function getMissedHit() {
+    for (var n = 0; n < notationMoves.length; n++) {
+      if (!notationMoves[n].hit) {
+        continue;
+      }
+
+      var hasHit = false;
+      for (var i = 0; i < result.length; i++) {
+        if (result[i].record.hit && (result[i].record.to === notationMoves[n].to)) {
+          hasHit = true;
+          break;
+        }
+      }
+      if (!hasHit) {
+        return notationMoves[n];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Play the remaining parts of notation moves. Moves need not be played in
+   * the order written - eg. for `bar/19(2)` with 3:3 both pieces have to
+   * enter before any of them can move on. Try all orders and dice
+   * combinations, until one is found that plays all moves.
+   * @param {boolean} checkHits - Require moves marked as hits to hit
+   * @returns {boolean} - True if all remaining moves could be played
+   */
+  function playRemaining(checkHits) {
+    var finished = true;
+    var tried = {};
+
+    for (var n = 0; n < notationMoves.length; n++) {
+      var notationMove = notationMoves[n];
+      if (notationMove.at === notationMove.to) {
+        continue;
+      }
+      finished = false;
+
+      var movesLeft = game.turnDice.movesLeft.slice();
+      for (var i = 0; i < movesLeft.length; i++) {
+        var steps = movesLeft[i];
+
+        // Same move from the same point has the same outcome
+        var key = notationMove.at + '/' + notationMove.to + ':' + steps;
+        if (tried[key]) {
+          continue;
+        }
+        tried[key] = true;
+
+        var move = playStep(notationMove.at, steps, notationMove.to);
+        if (!move) {
+          continue;
+        }
+
+        // Points where a piece is hit are always written, so a move that hits
+        // at a point not in notation is not the one meant
+        if (move.record.hit && (move.record.to !== notationMove.to)) {
+          undoStep(move);
+          continue;
+        }
+
+        var at = notationMove.at;
+        notationMove.at = move.record.to;
+        result.push(move);
+
+        if (playRemaining(checkHits)) {
+          return true;
+        }
+
+        result.pop();
+        notationMove.at = at;
+        undoStep(move);
+      }
+    }
+
+    return finished && ((!checkHits) || (!getMissedHit()));
+  }
+
+  /**
+   * Start playing notation moves from the beginning
+   */
+  function reset() {
+    for (var n = 0; n < notationMoves.length; n++) {
+      notationMoves[n].at = notationMoves[n].from;
+    }
+  }
+
+  reset();
+  if (!playRemaining(true)) {
+    // Tell apart moves that cannot be played from wrong hit markers
+    reset();
+    if (playRemaining(false)) {
+      var missed = getMissedHit();
+      throw new Error('Move ' + Notation.formatPoint(missed.from) + '/' + Notation.formatPoint(missed.to) +
+        '* in "' + text + '" does not hit!');
+    }
+    throw new Error('Moves "' + text + '" cannot be played with dice ' + game.turnDice.values.join(':') + '!');
+  }
+
+  var moves = [];
+  for (var i = 0; i < result.length; i++) {
+    moves.push({
+      'piece': result[i].piece,
+      'steps': result[i].steps,
+      'actions': result[i].actions
+    });
+  }
+
+  return moves;
+};
+
+module.exports = {
+  'Notation': Notation
+};
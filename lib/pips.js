@@ -0,0 +1,158 @@
+var model = require('./model.js');
+
+/**
+ * Pip counts and race status of positions.
+ *
+ * The pip count of a player is the total number of pips the player has to
+ * move to bear off all pieces. Each player counts from their own point of
+ * view: a piece at point N (1 is the deepest point of the home board) needs
+ * N pips, a piece on the bar needs `BAR` pips. Points are found through
+ * `Rule.normPos`, so counts are correct for any rule.
+ * @constructor
+ */
+function PipCount() {
+
+}
+
+/**
+ * Number of pips needed by a piece on the bar
+ * @type {number}
+ */
+PipCount.BAR = 25;
+
+/**
+ * Get type of opponent's pieces
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {PieceType} - Type of opponent's pieces
+ */
+PipCount.getOpponentType = function (type) {
+  return (type === model.PieceType.WHITE) ? model.PieceType.BLACK : model.PieceType.WHITE;
+};
+
+/**
+ * Get pip count of a player, including pieces on the bar
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Pip count
+ */
+PipCount.getPips = function (rule, state, type) {
+  var pips = state.bar[type].length * PipCount.BAR;
+  for (var pos = 0; pos < state.points.length; pos++) {
+    var count = model.State.countAtPos(state, pos, type);
+    if (count > 0) {
+      pips += count * (rule.normPos(pos, type) + 1);
+    }
+  }
+  return pips;
+};
+
+/**
+ * Get pips wasted by a player in the bear-off, with the adjustments of the
+ * Keith count: 2 pips for each piece above one on the 1 point, 1 pip for
+ * each piece above one on the 2 point and for each piece above three on the
+ * 3 point, and 1 pip for each of the 4, 5 and 6 points that is empty.
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Wasted pips
+ */
+PipCount.getWastage = function (rule, state, type) {
+  var counts = [0, 0, 0, 0, 0, 0];
+  for (var i = 0; i < 6; i++) {
+    counts[i] = model.State.countAtPos(state, rule.denormPos(i, type), type);
+  }
+
+  var wastage = 2 * Math.max(0, counts[0] - 1) +
+    Math.max(0, counts[1] - 1) +
+    Math.max(0, counts[2] - 3);
+  for (i = 3; i < 6; i++) {
+    if (counts[i] === 0) {
+      wastage++;
+    }
+  }
+  return wastage;
+};
+
+/**
+ * Get effective pip count of a player - the pip count plus the pips wasted
+ * by an uneven distribution of pieces (see `getWastage`). It is a better
+ * estimate of the chances in a race than the pip count alone.
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {number} - Effective pip count, 0 if all pieces have been borne off
+ */
+PipCount.getEffectivePips = function (rule, state, type) {
+  var pips = PipCount.getPips(rule, state, type);
+  return (pips > 0) ? pips + PipCount.getWastage(rule, state, type) : 0;
+};
+
+/**
+ * Check if pieces of a player still have to pass pieces of the opponent,
+ * that is if any opponent's piece is in front of the player's backmost piece
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {boolean} - True if player's pieces have to pass opponent's pieces
+ */
+PipCount.isBehindOpponent = function (rule, state, type) {
+  var opponentType = PipCount.getOpponentType(type);
+  var backmost = (state.bar[type].length > 0) ? state.points.length : -1;
+  var pos;
+
+  for (pos = 0; pos < state.points.length; pos++) {
+    if (model.State.countAtPos(state, pos, type) > 0) {
+      backmost = Math.max(backmost, rule.normPos(pos, type));
+    }
+  }
+
+  for (pos = 0; pos < state.points.length; pos++) {
+    if ((model.State.countAtPos(state, pos, opponentType) > 0) && (rule.normPos(pos, type) < backmost)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check if there is contact between the players - if pieces can still be
+ * hit or blocked. Once there is no contact, the game is a pure race.
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @returns {boolean} - True if there is contact
+ */
+PipCount.hasContact = function (rule, state) {
+  return PipCount.isBehindOpponent(rule, state, model.PieceType.WHITE) ||
+    PipCount.isBehindOpponent(rule, state, model.PieceType.BLACK);
+};
+
+/**
+ * Get pip counts of both players and race status of a position
+ * @param {Rule} rule - Rule, used to normalize positions
+ * @param {State} state - State
+ * @returns {{pips: number[], effectivePips: number[], contact: boolean, race: boolean}} -
+ *          Pip counts and effective pip counts, indexed by piece type
+ */
+PipCount.getStatus = function (rule, state) {
+  var contact = PipCount.hasContact(rule, state);
+  var status = {
+    'pips': [],
+    'effectivePips': [],
+    'contact': contact,
+    'race': !contact
+  };
+
+  var types = [model.PieceType.WHITE, model.PieceType.BLACK];
+  for (var i = 0; i < types.length; i++) {
+    status.pips[types[i]] = PipCount.getPips(rule, state, types[i]);
+    status.effectivePips[types[i]] = PipCount.getEffectivePips(rule, state, types[i]);
+  }
+
+  return status;
+};
+
+module.exports = {
+  'PipCount': PipCount
+};
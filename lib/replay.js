@@ -0,0 +1,190 @@
+var model = require('./model.js');
+
+/**
+ * Replay of a recorded game. Rebuilds the board position after each turn
+ * of the game history, by applying the move actions of the rule. Does not
+ * depend on a server or a socket, so it can be used for any game record -
+ * eg. from `match.games` or from a match imported from a .mat file.
+ * @constructor
+ * @param {Rule} rule - Rule the game was played with
+ * @param {Object} record - Record of game from `match.games`
+ * @param {State} [initialState] - State at start of game. The starting position
+ *                                 of the rule is used if omitted.
+ */
+function Replay(rule, record, initialState) {
+  /**
+   * Rule
+   * @type {Rule}
+   */
+  this.rule = rule;
+
+  /**
+   * Record of game replayed
+   * @type {Object}
+   */
+  this.record = record;
+
+  /**
+   * State at start of game
+   * @type {State}
+   */
+  this.initialState = initialState || null;
+
+  /**
+   * Current board state
+   * @type {State}
+   */
+  this.state = null;
+
+  /**
+   * Number of turns of the history that have been played. Zero
+   * at start of game.
+   * @type {number}
+   */
+  this.position = 0;
+
+  this.reset();
+}
+
+/**
+ * Go back to start of game
+ */
+Replay.prototype.reset = function () {
+  if (this.initialState) {
+    this.state = model.State.clone(this.initialState);
+  }
+  else {
+    this.state = new model.State();
+    this.rule.initialize(this.state);
+    this.rule.resetState(this.state);
+  }
+  this.position = 0;
+};
+
+/**
+ * Get number of turns in game
+ * @returns {number} - Number of turns
+ */
+Replay.prototype.getTurnCount = function () {
+  return this.record.history.length;
+};
+
+/**
+ * Get turn that was played last, at current position
+ * @returns {TurnRecord} - Turn record, or null at start of game
+ */
+Replay.prototype.getCurrentTurn = function () {
+  return (this.position > 0) ? this.record.history[this.position - 1] : null;
+};
+
+/**
+ * Check if there are more turns to play
+ * @returns {boolean} - True if current position is not at end of game
+ */
+Replay.prototype.hasNext = function () {
+  return this.position < this.getTurnCount();
+};
+
+/**
+ * Find piece in current state by ID
+ * @param {PieceType} type - Type of piece
+ * @param {number} id - ID of piece
+ * @returns {Piece} - Piece, or null if not found
+ */
+Replay.prototype.findPiece = function (type, id) {
+  var pieces = this.state.pieces[type];
+  for (var i = 0; i < pieces.length; i++) {
+    if (pieces[i].id === id) {
+      return pieces[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Play next turn of game history
+ * @returns {MoveAction[]} - Actions that have been applied to state, in order.
+ *          Null if position is at end of game.
+ * @throws Throws an error if a move of the turn cannot be played
+ */
+Replay.prototype.stepForward = function () {
+  if (!this.hasNext()) {
+    return null;
+  }
+
+  var turn = this.record.history[this.position];
+  var result = [];
+
+  for (var i = 0; i < turn.moves.length; i++) {
+    var move = turn.moves[i];
+    var piece = this.findPiece(turn.pieceType, move.pieceID);
+    if (!piece) {
+      throw new Error('Piece with ID ' + move.pieceID + ' not found!');
+    }
+
+    var actions = this.rule.getMoveActions(this.state, piece, move.steps);
+    if (actions.length === 0) {
+      throw new Error('Move ' + (i + 1) + ' of turn ' + (this.position + 1) + ' cannot be played!');
+    }
+
+    this.rule.applyMoveActions(this.state, actions);
+    result = result.concat(actions);
+  }
+
+  this.position++;
+  return result;
+};
+
+/**
+ * Go back one turn. The position is rebuilt from start of game.
+ */
+Replay.prototype.stepBack = function () {
+  this.jumpTo(this.position - 1);
+};
+
+/**
+ * Rebuild position after specified number of turns
+ * @param {number} position - Number of turns played, from 0 (start of game)
+ *                            to number of turns in history
+ */
+Replay.prototype.jumpTo = function (position) {
+  position = Math.max(0, Math.min(position, this.getTurnCount()));
+
+  if (position < this.position) {
+    this.reset();
+  }
+
+  while (this.position < position) {
+    this.stepForward();
+  }
+};
+
+/**
+ * Get state of doubling cube at current position. Cube actions made before
+ * the next turn are not included, so that the cube is shown as it was
+ * when the last turn was played.
+ * @returns {{value: number, owner: PieceType}} - Cube value and owner.
+ *          Owner is null if cube is in the middle.
+ */
+Replay.prototype.getCube = function () {
+  var cube = { 'value': 1, 'owner': null };
+  var turn = this.getCurrentTurn();
+  var actions = this.record.cubeActions || [];
+
+  for (var i = 0; turn && (i < actions.length); i++) {
+    var action = actions[i];
+    if (action.turnNumber > turn.turnNumber) {
+      break;
+    }
+    if ((action.type === model.CubeActionType.TAKE) || (action.type === model.CubeActionType.BEAVER)) {
+      cube.value = action.cubeValue;
+      cube.owner = action.pieceType;
+    }
+  }
+
+  return cube;
+};
+
+module.exports = {
+  'Replay': Replay
+};
@@ -0,0 +1,683 @@
+var fs = require('fs');
+var os = require('os');
+var worker_threads = require('worker_threads');
+var model = require('./model.js');
+var engine = require('./engine.js');
+var bearoff = require('./bearoff.js');
+var gnubg = require('./gnubg.js');
+var Evaluator = require('./evaluator.js').Evaluator;
+
+var Engine = engine.Engine;
+
+/**
+ * Monte Carlo rollout of a position. The position is played to the end of
+ * the game many times by a computer player (`Engine`) on both sides, with
+ * cubeless play, and the results are averaged.
+ *
+ * Variance is reduced in two ways:
+ *
+ * - stratified dice - the first two rolls of the trials go through all 36
+ *   combinations of dice in turn, so that they are distributed evenly;
+ * - luck adjustment - the luck of each roll, the probabilities after the
+ *   best turn for the roll minus their average over all 21 rolls, as
+ *   estimated by the evaluator, is summed up for each trial and used as a
+ *   control variate (see `summarize`). Luck has zero mean, so the results
+ *   are not biased, but trials are about twenty times slower.
+ *
+ * Trials are split between `worker_threads`. Each trial has its own dice
+ * source, derived from the seed and the number of the trial, so results do
+ * not depend on the number of workers.
+ *
+ * Results are probabilities, from the point of view of the player on roll,
+ * that the player wins the game, wins a gammon or backgammon and loses a
+ * gammon or backgammon, and the cubeless equity. Each has a confidence
+ * interval of 95%.
+ * @constructor
+ * @param {Object} [options] - Options
+ * @param {string} [options.ruleName] - Name of rule, RuleBgCasual by default
+ * @param {number} [options.trials] - Number of games played
+ * @param {number} [options.workers] - Number of worker threads, one per CPU by
+ *                                     default. Trials are played in the calling
+ *                                     thread if set to 0.
+ * @param {number|string} [options.seed] - Seed of dice, random if omitted
+ * @param {boolean} [options.varianceReduction] - Adjust results by luck of
+ *                                                rolls, true by default
+ * @param {Difficulty} [options.difficulty] - Difficulty level of computer player
+ * @param {number} [options.noise] - Noise of computer player, 0 by default
+ * @param {Object} [options.evaluator] - Evaluator of positions, heuristic by
+ *                                       default (see `Evaluator.describe`)
+ * @param {string} [options.bearoffPath] - Path to bear-off database file
+ */
+function Rollout(options) {
+  options = options || {};
+
+  /**
+   * Name of rule
+   * @type {string}
+   */
+  this.ruleName = options.ruleName || 'RuleBgCasual';
+
+  /**
+   * Number of games played
+   * @type {number}
+   */
+  this.trials = options.trials || Rollout.DEFAULT_TRIALS;
+
+  /**
+   * Number of worker threads
+   * @type {number}
+   */
+  this.workers = (options.workers != null) ? options.workers : os.cpus().length;
+
+  /**
+   * Seed of dice
+   * @type {number|string}
+   */
+  this.seed = (options.seed != null) ? options.seed : Math.floor(Math.random() * 4294967296);
+
+  /**
+   * Adjust results by luck of rolls
+   * @type {boolean}
+   */
+  this.varianceReduction = (options.varianceReduction != null) ? !!options.varianceReduction : true;
+
+  /**
+   * Difficulty level of computer player
+   * @type {Difficulty}
+   */
+  this.difficulty = options.difficulty || Engine.Difficulty.MEDIUM;
+
+  /**
+   * Noise of computer player
+   * @type {number}
+   */
+  this.noise = options.noise || 0;
+
+  /**
+   * Description of evaluator of positions
+   * @type {Object}
+   */
+  this.evaluator = Evaluator.describe(options.evaluator);
+
+  /**
+   * Path to bear-off database file, null if no database is used
+   * @type {string}
+   */
+  this.bearoffPath = options.bearoffPath || null;
+}
+
+/**
+ * Default number of games played - all combinations of the first two rolls
+ * @type {number}
+ */
+Rollout.DEFAULT_TRIALS = 1296;
+
+/**
+ * Maximum number of turns in a game, to detect games that never end
+ * @type {number}
+ */
+Rollout.MAX_TURNS = 1000;
+
+/**
+ * Quantile of normal distribution for confidence intervals of 95%
+ * @type {number}
+ */
+Rollout.Z = 1.96;
+
+/**
+ * Results of a trial, from the point of view of the player on roll
+ * @type {string[]}
+ */
+Rollout.OUTPUTS = ['win', 'winGammon', 'winBackgammon', 'loseGammon', 'loseBackgammon', 'equity'];
+
+/**
+ * All 36 combinations of dice, used for the first rolls of trials
+ * @type {number[][]}
+ */
+Rollout.DICE = (function () {
+  var dice = [];
+  for (var a = 1; a <= 6; a++) {
+    for (var b = 1; b <= 6; b++) {
+      dice.push([a, b]);
+    }
+  }
+  return dice;
+})();
+
+/**
+ * Load rule by name, without logging
+ * @param {string} ruleName - Name of rule (eg. 'RuleBgCasual')
+ * @returns {Rule} - Rule
+ */
+Rollout.loadRule = function (ruleName) {
+  var rule = require('./rules/' + model.Utils.sanitizeName(ruleName) + '.js');
+  rule.name = model.Utils.sanitizeName(ruleName);
+  return rule;
+};
+
+/**
+ * Create state of a position from gnubg Position ID
+ * @param {Rule} rule - Rule
+ * @param {string} positionID - Position ID
+ * @param {PieceType} [onRoll] - Type of pieces of player on roll, white by default
+ * @returns {State} - State
+ * @throws Throws an error if ID is not valid
+ */
+Rollout.createState = function (rule, positionID, onRoll) {
+  return gnubg.Gnubg.decodePositionID(rule, positionID, (onRoll != null) ? onRoll : model.PieceType.WHITE);
+};
+
+/**
+ * Check that a state received from outside (eg. with the HTTP API) has the
+ * shape of a board of the rule - points, bars and places outside the board,
+ * holding all pieces of both players.
+ * @param {Rule} rule - Rule
+ * @param {State} state - State to check
+ * @throws Throws an error describing the first problem found
+ */
+Rollout.checkState = function (rule, state) {
+  var isPair = function (list) {
+    return Array.isArray(list) && (list.length === 2) && Array.isArray(list[0]) && Array.isArray(list[1]);
+  };
+
+  if ((!state) || (typeof state !== 'object')) {
+    throw new Error('State must be an object!');
+  }
+  if ((!Array.isArray(state.points)) || (state.points.length !== rule.maxPoints)) {
+    throw new Error('State must have ' + rule.maxPoints + ' points!');
+  }
+  if ((!isPair(state.bar)) || (!isPair(state.outside)) || (!isPair(state.pieces))) {
+    throw new Error('State must have bar, outside and pieces lists for both players!');
+  }
+
+  var places = state.points.concat(state.bar, state.outside);
+  var counts = [0, 0];
+  for (var i = 0; i < places.length; i++) {
+    if (!Array.isArray(places[i])) {
+      throw new Error('Point ' + (i + 1) + ' of state must be a list of pieces!');
+    }
+    for (var j = 0; j < places[i].length; j++) {
+      var piece = places[i][j];
+      if ((!piece) || ((piece.type !== model.PieceType.WHITE) && (piece.type !== model.PieceType.BLACK))) {
+        throw new Error('State has a piece of unknown type!');
+      }
+      counts[piece.type]++;
+    }
+  }
+
+  for (var type = 0; type < 2; type++) {
+    if ((counts[type] !== rule.maxPieces) || (state.pieces[type].length !== rule.maxPieces)) {
+      throw new Error('Each player must have ' + rule.maxPieces + ' pieces!');
+    }
+  }
+};
+
+/**
+ * Create empty sums of trial results and luck
+ * @returns {{trials: number, sums: Object, squares: Object, luckSums: Object,
+ *          luckSquares: Object, products: Object}} - Accumulator. Products
+ *          are sums of results multiplied by luck.
+ */
+Rollout.createAccumulator = function () {
+  var accumulator = { 'trials': 0, 'sums': {}, 'squares': {}, 'luckSums': {}, 'luckSquares': {}, 'products': {} };
+  for (var i = 0; i < Rollout.OUTPUTS.length; i++) {
+    for (var field in accumulator) {
+      if (accumulator.hasOwnProperty(field) && (field !== 'trials')) {
+        accumulator[field][Rollout.OUTPUTS[i]] = 0;
+      }
+    }
+  }
+  return accumulator;
+};
+
+/**
+ * Add results of a trial to accumulator
+ * @param {Object} accumulator - Accumulator
+ * @param {{results: Object, luck: Object}} trial - Results of trial and luck
+ *        of the player on roll (see `OUTPUTS`)
+ */
+Rollout.addTrial = function (accumulator, trial) {
+  accumulator.trials++;
+  for (var i = 0; i < Rollout.OUTPUTS.length; i++) {
+    var key = Rollout.OUTPUTS[i];
+    var x = trial.results[key];
+    var l = trial.luck[key];
+    accumulator.sums[key] += x;
+    accumulator.squares[key] += x * x;
+    accumulator.luckSums[key] += l;
+    accumulator.luckSquares[key] += l * l;
+    accumulator.products[key] += x * l;
+  }
+};
+
+/**
+ * Add sums of one accumulator to another
+ * @param {Object} accumulator - Accumulator
+ * @param {Object} other - Accumulator added
+ */
+Rollout.mergeAccumulators = function (accumulator, other) {
+  accumulator.trials += other.trials;
+  for (var i = 0; i < Rollout.OUTPUTS.length; i++) {
+    var key = Rollout.OUTPUTS[i];
+    accumulator.sums[key] += other.sums[key];
+    accumulator.squares[key] += other.squares[key];
+    accumulator.luckSums[key] += other.luckSums[key];
+    accumulator.luckSquares[key] += other.luckSquares[key];
+    accumulator.products[key] += other.products[key];
+  }
+};
+
+/**
+ * Get means of trial results, with confidence intervals. Luck is used as
+ * a control variate - the results are adjusted by the luck multiplied by
+ * the coefficient that minimizes the variance of the adjusted results, so
+ * that the adjustment never makes the estimates worse, even if the evaluator
+ * estimates luck poorly.
+ * @param {Object} accumulator - Accumulator
+ * @returns {Object} - Number of `trials` and `{mean, ci}` of each output.
+ *          The interval is `mean - ci` to `mean + ci`.
+ */
+Rollout.summarize = function (accumulator) {
+  var n = accumulator.trials;
+  var summary = { 'trials': n };
+
+  for (var i = 0; i < Rollout.OUTPUTS.length; i++) {
+    var key = Rollout.OUTPUTS[i];
+    var mean = 0;
+    var variance = 0;
+
+    if (n > 0) {
+      mean = accumulator.sums[key] / n;
+    }
+
+    if (n > 1) {
+      var luckMean = accumulator.luckSums[key] / n;
+      var luckVariance = (accumulator.luckSquares[key] - n * luckMean * luckMean) / (n - 1);
+      var covariance = (accumulator.products[key] - n * mean * luckMean) / (n - 1);
+      variance = (accumulator.squares[key] - n * mean * mean) / (n - 1);
+
+      if (luckVariance > 0) {
+        mean -= (covariance / luckVariance) * luckMean;
+        variance -= covariance * covariance / luckVariance;
+      }
+      variance = Math.max(0, variance);
+    }
+
+    summary[key] = {
+      'mean': mean,
+      'ci': Rollout.Z * Math.sqrt(variance / Math.max(n, 1))
+    };
+  }
+
+  return summary;
+};
+
+/**
+ * Get results of a finished game, from the point of view of a player
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at end of game
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {Object} - Results (see `OUTPUTS`)
+ */
+Rollout.getGameResults = function (rule, state, type) {
+  var won = Engine.hasWon(rule, state, type);
+  var winner = won ? type : Engine.getOpponentType(type);
+  var loser = Engine.getOpponentType(winner);
+
+  var gammon = (state.outside[loser].length === 0);
+  var backgammon = gammon &&
+    ((rule.countAtHigherPos(state, 18, loser) > 0) || model.State.havePiecesOnBar(state, loser));
+
+  var results = {
+    'win': won ? 1 : 0,
+    'winGammon': (won && gammon) ? 1 : 0,
+    'winBackgammon': (won && backgammon) ? 1 : 0,
+    'loseGammon': (!won && gammon) ? 1 : 0,
+    'loseBackgammon': (!won && backgammon) ? 1 : 0
+  };
+  results.equity = Rollout.getEquity(results);
+  return results;
+};
+
+/**
+ * Get cubeless equity from results
+ * @param {Object} results - Results, or mean results
+ * @returns {number} - Equity, in points
+ */
+Rollout.getEquity = function (results) {
+  return 2 * results.win - 1 + results.winGammon - results.loseGammon +
+    results.winBackgammon - results.loseBackgammon;
+};
+
+/**
+ * Get luck of a roll - probabilities after the best turn for the roll, by
+ * 0-ply evaluation, minus their average over all rolls
+ * @param {Engine} rolloutEngine - Engine
+ * @param {Rule} rule - Rule
+ * @param {State} state - State before the roll
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {number[]} dice - Values of dice rolled
+ * @returns {{win: number, winGammon: number, loseGammon: number}} - Luck of the
+ *          player on roll
+ */
+Rollout.getLuck = function (rolloutEngine, rule, state, type, dice) {
+  var high = Math.max(dice[0], dice[1]);
+  var low = Math.min(dice[0], dice[1]);
+  var average = { 'win': 0, 'winGammon': 0, 'loseGammon': 0 };
+  var actual = null;
+
+  for (var r = 0; r < Engine.ROLLS.length; r++) {
+    var roll = Engine.ROLLS[r];
+    var turns = rolloutEngine.rankBearoffTurns(rule, state, roll.moves, type) ||
+      rolloutEngine.rankTurns(rule, state, roll.moves, type);
+    var probabilities = rolloutEngine.getPositionProbabilities(rule, turns[0].state, type);
+    for (var key in average) {
+      if (average.hasOwnProperty(key)) {
+        average[key] += roll.probability * probabilities[key];
+      }
+    }
+    if ((roll.values[0] === high) && (roll.values[1] === low)) {
+      actual = probabilities;
+    }
+  }
+
+  return {
+    'win': actual.win - average.win,
+    'winGammon': actual.winGammon - average.winGammon,
+    'loseGammon': actual.loseGammon - average.loseGammon
+  };
+};
+
+/**
+ * Play one trial of a rollout
+ * @param {Rule} rule - Rule
+ * @param {Engine} rolloutEngine - Engine that plays both sides
+ * @param {State} state - State at start
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {number} index - Number of trial, from 0
+ * @param {Object} settings - Settings of rollout (`seed`, `varianceReduction`)
+ * @returns {{results: Object, luck: Object}} - Results of trial and total luck
+ *          of rolls (zero without variance reduction), from the point of view
+ *          of the player on roll (see `OUTPUTS`)
+ * @throws Throws an error if the game does not end in `MAX_TURNS` turns
+ */
+Rollout.playTrial = function (rule, rolloutEngine, state, type, index, settings) {
+  var source = new model.SeededDiceSource(settings.seed + ':' + index);
+  rolloutEngine.random = function () {
+    return source.nextUint32() / 4294967296;
+  };
+
+  var luck = {};
+  for (var i = 0; i < Rollout.OUTPUTS.length; i++) {
+    luck[Rollout.OUTPUTS[i]] = 0;
+  }
+
+  var current = model.State.clone(state);
+  var turnType = type;
+
+  for (var turn = 0; turn < Rollout.MAX_TURNS; turn++) {
+    var dice;
+    if (turn === 0) {
+      dice = Rollout.DICE[index % 36];
+    }
+    else if (turn === 1) {
+      dice = Rollout.DICE[Math.floor(index / 36) % 36];
+    }
+    else {
+      dice = [source.nextValue(), source.nextValue()];
+    }
+
+    if (settings.varianceReduction) {
+      var rollLuck = Rollout.getLuck(rolloutEngine, rule, current, turnType, dice);
+      if (turnType === type) {
+        luck.win += rollLuck.win;
+        luck.winGammon += rollLuck.winGammon;
+        luck.loseGammon += rollLuck.loseGammon;
+      }
+      else {
+        luck.win -= rollLuck.win;
+        luck.winGammon += rollLuck.loseGammon;
+        luck.loseGammon += rollLuck.winGammon;
+      }
+    }
+
+    var moves = (dice[0] === dice[1]) ? [dice[0], dice[0], dice[0], dice[0]] : [Math.max(dice[0], dice[1]), Math.min(dice[0], dice[1])];
+    current = rolloutEngine.chooseTurn(rule, current, moves, turnType).state;
+
+    if (Engine.hasWon(rule, current, turnType)) {
+      luck.equity = 2 * luck.win + luck.winGammon - luck.loseGammon;
+      return {
+        'results': Rollout.getGameResults(rule, current, type),
+        'luck': luck
+      };
+    }
+
+    turnType = Engine.getOpponentType(turnType);
+  }
+
+  throw new Error('Game of trial ' + index + ' did not end in ' + Rollout.MAX_TURNS + ' turns!');
+};
+
+/**
+ * Prepare rule, engine and state of a rollout, to play trials in the
+ * calling thread
+ * @param {Object} settings - Settings of rollout (see `getSettings`)
+ * @returns {{rule: Rule, engine: Engine, state: State}} - Context of trials
+ */
+Rollout.createContext = function (settings) {
+  return {
+    'rule': Rollout.loadRule(settings.ruleName),
+    'engine': Rollout.createEngine(settings),
+    'state': model.State.clone(settings.state)
+  };
+};
+
+/**
+ * Play a range of trials in the calling thread
+ * @param {Object} context - Context of trials (see `createContext`)
+ * @param {Object} settings - Settings of rollout (see `getSettings`)
+ * @param {number} start - Number of first trial
+ * @param {number} count - Number of trials
+ * @param {function} [progress] - Called with the number of trials played,
+ *                                after each trial
+ * @returns {Object} - Accumulator of results
+ */
+Rollout.runTrials = function (context, settings, start, count, progress) {
+  var accumulator = Rollout.createAccumulator();
+
+  for (var i = 0; i < count; i++) {
+    var trial = Rollout.playTrial(context.rule, context.engine, context.state, settings.type, start + i, settings);
+    Rollout.addTrial(accumulator, trial);
+    if (progress) {
+      progress(i + 1);
+    }
+  }
+
+  return accumulator;
+};
+
+/**
+ * Create engine of computer player from settings of rollout
+ * @param {Object} settings - Settings of rollout
+ * @returns {Engine} - Engine
+ */
+Rollout.createEngine = function (settings) {
+  var database = null;
+  if (settings.bearoffPath) {
+    database = bearoff.BearoffDatabase.fromBuffer(fs.readFileSync(settings.bearoffPath));
+  }
+
+  return new Engine({
+    'difficulty': settings.difficulty,
+    'noise': settings.noise,
+    'evaluator': Evaluator.create(settings.evaluator),
+    'bearoff': database
+  });
+};
+
+/**
+ * Play trials of a worker thread and send results to the main thread.
+ * Called when this module is loaded as a worker by `Rollout.run`.
+ */
+Rollout.runWorker = function () {
+  var data = worker_threads.workerData;
+  var port = worker_threads.parentPort;
+
+  var context = Rollout.createContext(data.settings);
+  var accumulator = Rollout.runTrials(context, data.settings, data.start, data.count, function (done) {
+    port.postMessage({ 'type': 'progress', 'done': done });
+  });
+
+  port.postMessage({ 'type': 'result', 'accumulator': accumulator });
+};
+
+/**
+ * Get settings of rollout of a position, as sent to worker threads
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @returns {Object} - Settings
+ */
+Rollout.prototype.getSettings = function (state, type) {
+  return {
+    'ruleName': this.ruleName,
+    'state': state,
+    'type': type,
+    'seed': this.seed,
+    'varianceReduction': this.varianceReduction,
+    'difficulty': this.difficulty,
+    'noise': this.noise,
+    'evaluator': this.evaluator,
+    'bearoffPath': this.bearoffPath
+  };
+};
+
+/**
+ * Roll out a position. Trials are split evenly between worker threads.
+ * @param {State} state - State
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {function} callback - Called with an error, or null and the results
+ *        (see `summarize`), with the settings of the rollout and the time it
+ *        took, in milliseconds
+ * @param {function} [progress] - Called with the number of trials played and
+ *                                the total number of trials
+ */
+Rollout.prototype.run = function (state, type, callback, progress) {
+  var self = this;
+  var settings = this.getSettings(state, type);
+  var startTime = Date.now();
+  var accumulator = Rollout.createAccumulator();
+  var finished = false;
+
+  var finish = function (err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var results = Rollout.summarize(accumulator);
+    results.ruleName = self.ruleName;
+    results.seed = self.seed;
+    results.varianceReduction = self.varianceReduction;
+    results.difficulty = self.difficulty;
+    results.time = Date.now() - startTime;
+    callback(null, results);
+  };
+
+  // Without workers trials are played one at a time, each in a separate
+  // timer callback, so that a server is not blocked
+  if (this.workers <= 0) {
+    var context = null;
+    var index = 0;
+    var step = function () {
+      try {
+        context = context || Rollout.createContext(settings);
+        Rollout.mergeAccumulators(accumulator, Rollout.runTrials(context, settings, index, 1));
+      }
+      catch (e) {
+        finish(e);
+        return;
+      }
+      index++;
+      if (progress) {
+        progress(index, self.trials);
+      }
+      if (index < self.trials) {
+        setTimeout(step, 0);
+      }
+      else {
+        finish(null);
+      }
+    };
+    setTimeout(step, 0);
+    return;
+  }
+
+  var workerCount = Math.min(this.workers, this.trials);
+  var running = workerCount;
+  var workers = [];
+  var done = [];
+  var start = 0;
+
+  // The first error stops the whole rollout - other workers are of no use
+  var fail = function (err) {
+    if (finished) {
+      return;
+    }
+    for (var i = 0; i < workers.length; i++) {
+      workers[i].terminate();
+    }
+    finish(err);
+  };
+
+  var startWorker = function (w, count) {
+    var worker = new worker_threads.Worker(__filename, {
+      'workerData': { 'rollout': true, 'settings': settings, 'start': start, 'count': count }
+    });
+    var hasResult = false;
+    workers[w] = worker;
+    done[w] = 0;
+
+    worker.on('message', function (message) {
+      if (message.type === 'progress') {
+        done[w] = message.done;
+        if (progress) {
+          progress(done.reduce(function (a, b) { return a + b; }, 0), self.trials);
+        }
+      }
+      else if (message.type === 'result') {
+        hasResult = true;
+        Rollout.mergeAccumulators(accumulator, message.accumulator);
+        running--;
+        if (running === 0) {
+          finish(null);
+        }
+      }
+    });
+    worker.on('error', fail);
+    worker.on('exit', function (code) {
+      if ((code !== 0) || (!hasResult)) {
+        fail(new Error('Rollout worker stopped with exit code ' + code + ' before sending its result'));
+      }
+    });
+
+    start += count;
+  };
+
+  for (var w = 0; w < workerCount; w++) {
+    var count = Math.floor(this.trials / workerCount) + ((w < this.trials % workerCount) ? 1 : 0);
+    startWorker(w, count);
+  }
+};
+
+if (!worker_threads.isMainThread && worker_threads.workerData && worker_threads.workerData.rollout) {
+  Rollout.runWorker();
+}
+
+module.exports = {
+  'Rollout': Rollout
+};
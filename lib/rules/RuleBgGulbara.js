@@ -50,6 +50,15 @@ function RuleBgGulbara() {
     model.MoveActionType.MOVE,
     model.MoveActionType.BEAR
   ];
+
+  /**
+   * In this variant the player that rolls the higher die does not play the
+   * opening numbers. Instead they start their first turn by rolling both
+   * dice, so that early doubles (played as four moves in the first three
+   * rolls) are possible on the first turn too.
+   * @type {boolean}
+   */
+  this.useOpeningRollForFirstMove = false;
 }
 
 RuleBgGulbara.prototype = Object.create(Rule.prototype);
@@ -73,16 +82,22 @@ RuleBgGulbara.prototype.constructor = RuleBgGulbara;
  * @param {number[]} [values] - Optional parameter containing the dice values to use,
  *                              instead of generating random values. Used by some rules
  *                              as RuleBgGulbara.
+ * @param {DiceSource} [source] - Source of dice values. Default source is used if omitted.
  * @returns {Dice} - Dice object containing random values and allowed moves
  */
-RuleBgGulbara.prototype.rollDice = function(game, values) {
-  // Create dice object with 2 random values
-  var dice = model.Dice.roll();
-  
-  if (typeof values !== "undefined") {
+RuleBgGulbara.prototype.rollDice = function(game, values, source) {
+  var dice;
+  if (values) {
+    // Use the specified values. Do not roll, so that no values are
+    // consumed from the dice source
+    dice = new model.Dice();
     dice.values[0] = values[0];
     dice.values[1] = values[1];
   }
+  else {
+    // Create dice object with 2 random values
+    dice = model.Dice.roll(source);
+  }
 
   // Add those values to moves list - the individual moves the player has to make
   dice.moves = dice.moves.concat(dice.values);
@@ -50,6 +50,13 @@ function RuleBgTapa() {
     model.MoveActionType.MOVE,
     model.MoveActionType.BEAR
   ];
+
+  /**
+   * As Tapa is traditionally played, the player with the higher die only
+   * wins the right to start. They roll both dice again for their first move.
+   * @type {boolean}
+   */
+  this.useOpeningRollForFirstMove = false;
 }
 
 RuleBgTapa.prototype = Object.create(Rule.prototype);
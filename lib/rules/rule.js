@@ -1,4 +1,5 @@
 var model = require('../model.js');
+var PipCount = require('../pips.js').PipCount;
 
 /**
  * Rules define specific characteristics of each variant of the game.
@@ -64,6 +65,20 @@ function Rule() {
    */
   this.maxPieces = 15;
 
+  /**
+   * Maximum value the doubling cube can reach
+   * @type {number}
+   */
+  this.maxCubeValue = 64;
+
+  /**
+   * The winner of the opening roll plays the opening numbers as their first
+   * move. If false, the opening roll only decides who starts, and the player
+   * rolls both dice for the first move.
+   * @type {boolean}
+   */
+  this.useOpeningRollForFirstMove = true;
+
   /**
    * Descendents should list all action types that are allowed in this rule.
    * @type {MoveActionType[]}
@@ -104,16 +119,22 @@ Rule.prototype.initialize = function(state) {
  * @param {number[]} [values] - Optional parameter containing the dice values to use,
  *                              instead of generating random values. Used by some rules
  *                              as RuleBgGulbara.
+ * @param {DiceSource} [source] - Source of dice values. Default source is used if omitted.
  * @returns {Dice} - Dice object containing random values and allowed moves
  */
-Rule.prototype.rollDice = function(game, values) {
-  // Create dice object with 2 random values
-  var dice = model.Dice.roll();
-  
-  if (typeof values !== "undefined") {
+Rule.prototype.rollDice = function(game, values, source) {
+  var dice;
+  if (values) {
+    // Use the specified values. Do not roll, so that no values are
+    // consumed from the dice source
+    dice = new model.Dice();
     dice.values[0] = values[0];
     dice.values[1] = values[1];
   }
+  else {
+    // Create dice object with 2 random values
+    dice = model.Dice.roll(source);
+  }
 
   // Add those values to moves list - the individual moves the player has to make
   dice.moves = dice.moves.concat(dice.values);
@@ -141,6 +162,88 @@ Rule.prototype.rollDice = function(game, values) {
   return dice;
 };
 
+/**
+ * Roll one die for each player until the values differ. Used to decide which
+ * player starts the game.
+ *
+ * @memberOf Rule
+ * @param {DiceSource} [source] - Source of dice values. Default source is used if omitted.
+ * @returns {{values: number[], rolls: Array.<number[]>}} - Values of the final
+ *          roll, indexed by piece type, and list of all rolls made (including ties)
+ */
+Rule.prototype.rollOpeningDice = function(source) {
+  var rolls = [];
+  var values;
+
+  do {
+    values = [];
+    values[model.PieceType.WHITE] = model.Random.get(source);
+    values[model.PieceType.BLACK] = model.Random.get(source);
+    rolls.push(values);
+  } while (values[model.PieceType.WHITE] === values[model.PieceType.BLACK]);
+
+  return {
+    'values': values,
+    'rolls': rolls
+  };
+};
+
+/**
+ * Get the player that rolled the higher die in the opening roll.
+ *
+ * @memberOf Rule
+ * @param {Match} match - Match
+ * @param {{values: number[]}} opening - Result of the opening roll
+ * @returns {Player} - Player that starts the game
+ */
+Rule.prototype.getOpeningWinner = function(match, opening) {
+  var winnerType = (opening.values[model.PieceType.WHITE] > opening.values[model.PieceType.BLACK]) ?
+    model.PieceType.WHITE
+    :
+    model.PieceType.BLACK;
+
+  return (match.host.currentPieceType === winnerType) ? match.host : match.guest;
+};
+
+/**
+ * Make the opening roll that decides which player starts the game and
+ * prepare the first turn.
+ *
+ * By standard rules each player rolls one die, ties are rerolled, and the
+ * player with the higher die plays both numbers as their first move - the
+ * dice for the first turn are set and the player does not roll again.
+ * Rules with `useOpeningRollForFirstMove` turned off leave the dice unset,
+ * so that the player starts the first turn by rolling both dice.
+ *
+ * Descendant rules can override this method, if the variant has a different
+ * custom for starting the game.
+ *
+ * @memberOf Rule
+ * @param {Match} match - Match, whose current game is being started
+ * @param {DiceSource} [source] - Source of dice values. Default source is used if omitted.
+ * @returns {{values: number[], rolls: Array.<number[]>}} - Result of the opening roll
+ */
+Rule.prototype.rollOpening = function(match, source) {
+  var game = match.currentGame;
+  var opening = this.rollOpeningDice(source);
+
+  game.turnPlayer = this.getOpeningWinner(match, opening);
+
+  if (this.useOpeningRollForFirstMove) {
+    // The winner of the opening roll plays both numbers
+    var values = opening.values.slice();
+    values.sort(function (a, b) { return b - a; });
+    game.turnDice = this.rollDice(game, values);
+  }
+  else {
+    game.turnDice = null;
+  }
+
+  game.openingRoll = opening;
+
+  return opening;
+};
+
 /**
  * Reset state to initial position of pieces according to current rule.
  * @memberOf Rule
@@ -237,6 +340,17 @@ Rule.prototype.allPiecesAreHome = function(state, type) {
   return this.countAtHigherPos(state, 6, type) <= 0;
 };
 
+/**
+ * Check if there is contact between the players - if pieces can still be
+ * hit or blocked. Once there is no contact, the game is a pure race.
+ * @memberOf Rule
+ * @param {State} state - State to check
+ * @returns {boolean} - True if there is contact
+ */
+Rule.prototype.hasContact = function(state) {
+  return PipCount.hasContact(this, state);
+};
+
 /**
  * Validate player's turn.
  *
@@ -396,9 +510,128 @@ Rule.prototype.validateUndo = function(game, player) {
 };
 
 /**
- * Recursively try out all combinations for the specified player (by piece type)
+ * Validate offering of a double.
+ *
+ * A player can offer a double only at the start of their turn, before rolling
+ * the dice, if they have access to the cube (the cube is in the middle or is
+ * owned by them) and if the cube has not reached its maximum value.
+ *
+ * Descendant rules can extend this method and add additional validation checks
+ * according to the rule specifics.
+ *
+ * @memberOf Rule
+ * @param {Game} game - Game
+ * @param {Player} player - Player offering the double
+ * @returns {boolean} True if offering a double is allowed
+ */
+Rule.prototype.validateDouble = function(game, player) {
+  if (!this.validateTurn(game, player)) {
+    return false;
+  }
+
+  if (model.Game.diceWasRolled(game)) {
+    console.log('Dice was already rolled!');
+    return false;
+  }
+
+  if (game.isCrawford) {
+    console.log('Doubling is not allowed in the Crawford game!');
+    return false;
+  }
+
+  if (model.Game.isDoubleOffered(game)) {
+    console.log('Double has already been offered!');
+    return false;
+  }
+
+  if (!model.Game.hasCubeAccess(game, player.currentPieceType)) {
+    console.log('Cube is owned by the other player!');
+    return false;
+  }
+
+  if (game.cubeValue * 2 > this.maxCubeValue) {
+    console.log('Cube has reached its maximum value!');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Validate accepting or rejecting of a double.
+ *
+ * Only the player that has been offered a double can answer it.
+ *
+ * @memberOf Rule
+ * @param {Game} game - Game
+ * @param {Player} player - Player answering the double
+ * @returns {boolean} True if answering the double is allowed
+ */
+Rule.prototype.validateDoubleResponse = function(game, player) {
+  if (!game.hasStarted) {
+    console.log('Game with ID ' + game.id + ' is not yet started!');
+    return false;
+  }
+
+  if (game.isOver) {
+    console.log('Game with ID ' + game.id + ' is over!');
+    return false;
+  }
+
+  if (!model.Game.isDoubleOffered(game)) {
+    console.log('No double has been offered!');
+    return false;
+  }
+
+  if (game.doubleOfferedBy === player.currentPieceType) {
+    console.log('Player cannot answer their own double!');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Validate beavering of a double.
+ *
+ * Beavers are allowed only in money sessions and only if the match was
+ * created with beavers enabled.
+ *
+ * @memberOf Rule
+ * @param {Match} match - Match
+ * @param {Player} player - Player beavering the double
+ * @returns {boolean} True if beavering the double is allowed
+ */
+Rule.prototype.validateBeaver = function(match, player) {
+  var game = match.currentGame;
+
+  if (!this.validateDoubleResponse(game, player)) {
+    return false;
+  }
+
+  if (!match.beavers || !model.Match.isMoneySession(match)) {
+    console.log('Beavers are not allowed in this match!');
+    return false;
+  }
+
+  if (game.cubeValue * 4 > this.maxCubeValue) {
+    console.log('Cube has reached its maximum value!');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Try out all combinations of moves for the specified player (by piece type)
  * and check the "weight" of each combination. Weight is the sum of all piece
- * movements for a particular combination of moves (called "branch")
+ * movements for a particular combination of moves (called "branch").
+ *
+ * Moves are applied to the state and undone after each branch has been checked,
+ * so the state is not copied. Positions that can be reached by different
+ * move orders (transpositions) are checked only once. The state is the same as
+ * before the call, when the method returns.
+ *
  * @param {State} state - State
  * @param {number[]} movesLeft - Move values left
  * @param {PieceType} pieceType - Type of piece (white/black)
@@ -411,187 +644,137 @@ Rule.prototype.calculateMoveWeights = function(state, movesLeft, pieceType, root
   var weight = {};
   weight.max = 0;
   weight.playableMoves = [];
-  
+
   var self = this;
-  
-  var movesLeftSum = 0;
-  for (var i = 0; i < movesLeft.length; i++) {
-    movesLeftSum += movesLeft[i];
-  }
-  
-  // TODO: Replace recursion with linear loop over a queue
-  //       Don't check moves twice (eg. 5:2 and 2:5 for the same pieces)
-  
-  function calculateBranchWeights(st, moves, id, branchSum, level, branchMoves) {
-    // 1. Try out all possible moves (for all of player's pieces).
-    // 2. Sum the move values for all resulting branches with possible moves.
-    // 3. Check if the move request of the player can be used in a branch that allows
-    //    all move values to be used.
-    // 4. If there are no better branches than the one chosen by the player, allow the
-    //    move
-    
-    /**
-     * Check if recursion should stop because a branch that allows
-     * the player to use all moves has been found.
-     */
-    function shouldStop() {
-      if (stopAtMax) {
-        // If a branch that allows the player to use all moves
-        // has been found, do not iterate other branches
-        if (weight.max >= movesLeftSum) {
-          console.log('Stop permutations. A branch was found that allows all moves to be played');
-          return true;
-        }
-      }
-      return false;
+
+  /**
+   * Best branches found so far, indexed by position key and move values left
+   */
+  var cache = {};
+
+  function sum(moves) {
+    var result = 0;
+    for (var i = 0; i < moves.length; i++) {
+      result += moves[i];
     }
-    
-    /** Local copy of moves left */
-    var movesLeft = moves.slice();
-    
-    // Get steps (value) for next move
-    var steps = movesLeft.shift();
-    if (!steps) {
-      return;
+    return result;
+  }
+
+  /**
+   * Find the branch with maximum weight that can be played from current
+   * state with the specified move values.
+   * @returns {{max: number, moves: number[]}} - Weight and move values of the best branch
+   */
+  function findBestBranch(moves) {
+    var key = model.State.getPositionKey(state) + moves.join(',');
+    if (cache[key]) {
+      return cache[key];
     }
-    
-    //console.log('Piece type:', pieceType);
-    console.log(Array(level + 2).join("-") + ' Begin consider move ' + steps);
-    
-    // Iterate all of player's pieces
-    for (var p = 0; p < st.pieces[pieceType].length; p++) {
-      var piece = st.pieces[pieceType][p];
-      if ((!piece) || (piece.type !== pieceType)) {
+
+    var best = {
+      max: 0,
+      moves: []
+    };
+    var movesSum = sum(moves);
+    var triedSteps = [];
+
+    for (var i = 0; (i < moves.length) && (best.max < movesSum); i++) {
+      var steps = moves[i];
+      if (model.Utils.includes(triedSteps, steps)) {
         continue;
       }
-      
-      // If a root piece has been specified, check
-      // only the branches that start at this piece.
-      // Ignore other branches
-      if (level === 0 && rootPiece) {
-        if (rootPiece.id !== piece.id) {
+      triedSteps.push(steps);
+
+      var nextMoves = moves.slice();
+      nextMoves.splice(i, 1);
+
+      var pieces = self.getMovablePieces(state, pieceType);
+      for (var p = 0; (p < pieces.length) && (best.max < movesSum); p++) {
+        var actions = self.getMoveActions(state, pieces[p], steps);
+        if (actions.length === 0) {
           continue;
         }
-      }
-      
-      // Do not check pieces that are already outside the board
-      if (model.State.isPieceOutside(st, piece)) {
-        continue;
-      }
-      
-      console.log('Piece ID', piece.id);
-      console.log('Outside', st.outside);
-      if (piece.id === 5) {
-        console.log('TEN');
-        console.log(piece.type);
-        console.log(st.outside[0].length);
-        console.log(st.outside[0]);
-        console.log(st.outside);
-        console.log(pieceType);
-      }
-      
-      // Check if the player has any pieces on bar. If that is the
-      // case only pieces on the bar can be moved
-      if (model.State.havePiecesOnBar(st, pieceType)) {
-        // Player can only move the top piece on the bar.
-        // If there are more pieces on the bar they could be moved on next
-        // move, but not on this one
-        if (model.State.getBarTopPiece(st, pieceType).id !== piece.id) {
-          continue;
+
+        self.applyMoveActions(state, actions);
+        var branch = findBestBranch(nextMoves);
+        self.undoMoveActions(state, actions);
+
+        if (steps + branch.max > best.max) {
+          best = {
+            max: steps + branch.max,
+            moves: [steps].concat(branch.moves)
+          };
         }
-        //console.log('Bar');
       }
-      else {
-        // If there are no pieces on the bar, make sure this piece is the
-        // top piece at its position. Only top pieces can be moved
-        var pos = model.State.getPiecePos(st, piece);
-        if (model.State.getTopPiece(st, pos).id !== piece.id) {
-          continue;
-        }
-        //console.log('Pos', pos);
+    }
+
+    cache[key] = best;
+    return best;
+  }
+
+  var movesLeftSum = sum(movesLeft);
+  var triedSteps = [];
+
+  // Simulate moving each piece with each of the distinct move values, starting
+  // from the highest value (eg. for dice 5:3 try moving 5 first and after that 3).
+  // The first piece moved is the root of the branch.
+  for (var i = 0; i < movesLeft.length; i++) {
+    var steps = movesLeft[i];
+    if (model.Utils.includes(triedSteps, steps)) {
+      continue;
+    }
+    triedSteps.push(steps);
+
+    var nextMoves = movesLeft.slice();
+    nextMoves.splice(i, 1);
+
+    var pieces = this.getMovablePieces(state, pieceType);
+    for (var p = 0; p < pieces.length; p++) {
+      var piece = pieces[p];
+
+      // If a root piece has been specified, check only the branches
+      // that start at this piece
+      if (rootPiece && (rootPiece.id !== piece.id)) {
+        continue;
       }
 
-      // Make a deep copy of the state. Moves will be applied to the copy. The
-      // copy will be passed one level down - to the move (next node of the branch).
-      var tempState = model.Utils.deepCopy(st);
-      
-      // Check if current piece can be moved
-      var actions = self.getMoveActions(tempState, piece, steps);
-      //console.log('Piece ID', piece.id);
+      var actions = this.getMoveActions(state, piece, steps);
       if (actions.length === 0) {
-        //console.log('No actions, next piece');
         continue;
       }
-      
-      // If yes, apply the move action to the temporary state.
-      //console.log('Actions', actions);
-      self.applyMoveActions(tempState, actions);
-      
-      var tempMoves = branchMoves.slice();
-      tempMoves.push(steps);
-      
-      // If we are still at level 0, create a new branch
-      var pieceID = (id !== 0) ? id: piece.id;
-      if (!weight[pieceID]) {
-        weight[pieceID] = {
+
+      this.applyMoveActions(state, actions);
+      var branch = findBestBranch(nextMoves);
+      this.undoMoveActions(state, actions);
+
+      var w = steps + branch.max;
+      var branchMoves = [steps].concat(branch.moves);
+
+      if (!weight[piece.id]) {
+        weight[piece.id] = {
           max: 0,
           moves: []
         };
       }
-      
-      // Keep track of the maximum weight for this branch. The branch starts with the first
-      // piece moved (the root node) and check if the moves in this branch (in the nodes so far,
-      // it might extend on next recursion) have a total sum greather than the one saved for this
-      // branch (the root node - associated with the first piece being moved).
-      
-      var w = branchSum + steps;
-      
-      if (w > weight[pieceID].max) {
-        weight[pieceID].max = w;
+
+      if (w > weight[piece.id].max) {
+        weight[piece.id].max = w;
+        weight[piece.id].moves = branchMoves;
       }
-      weight[pieceID].moves = tempMoves;
-      
+
       if (w > weight.max) {
         weight.max = w;
-        weight.playableMoves = tempMoves;
-      }
-      
-      if (shouldStop()) {
-        return;
+        weight.playableMoves = branchMoves;
       }
 
-      if (movesLeft.length > 0) {
-        calculateBranchWeights(tempState, movesLeft, pieceID, w, level + 1, tempMoves);
+      // If a branch that allows the player to use all moves
+      // has been found, do not check other branches
+      if (stopAtMax && (weight.max >= movesLeftSum)) {
+        return weight;
       }
     }
-    
-    console.log(Array(level + 2).join("-") + ' End consider move ' + steps);
   }
-  
-  console.time('Recursion time');
-  
-  // Simulate moving the piece with all dice values, starting from highest die value
-  // (eg. for dice 5:3 try moving 5 first and after that 3). Try this for all pieces
-  // (multiple branches)
-  console.log('moves 1:', movesLeft);
-  calculateBranchWeights(state, movesLeft, 0, 0, 0, []);
-  console.log('Intermediate weight:', weight);
-  
-  // Then try playing from lowest die value first
-  // (eg. for dice 5:3 try moving 3 first and after that 5). Also try this for all pieces
-  // (more branches)
-  // No need to do that for pair values (eg. 5:5)
-  if ((movesLeft.length > 1) && (movesLeft[0] != movesLeft[movesLeft.length - 1])) {
-    movesLeft = movesLeft.slice();
-    movesLeft.reverse();
-    console.log('moves2:', movesLeft);
-    calculateBranchWeights(state, movesLeft, 0, 0, 0, []);
-  }
-  console.log('Final weight:', weight);
 
-  
-  console.timeEnd('Recursion time');
-  
   return weight;
 };
 
@@ -628,6 +811,220 @@ Rule.prototype.isMoveActionRestricted = function(state, movesLeft, piece, steps)
   return false;
 };
 
+/**
+ * Get list of pieces of specified type that can be moved in this state - the
+ * top piece on the bar, if the player has pieces on the bar, or top pieces
+ * at all points otherwise.
+ *
+ * @memberOf Rule
+ * @param {State} state - State
+ * @param {PieceType} pieceType - Type of piece (white/black)
+ * @returns {Piece[]} - List of pieces that could be moved
+ */
+Rule.prototype.getMovablePieces = function(state, pieceType) {
+  var pieces = [];
+
+  if (model.State.havePiecesOnBar(state, pieceType)) {
+    pieces.push(model.State.getBarTopPiece(state, pieceType));
+    return pieces;
+  }
+
+  for (var pos = 0; pos < state.points.length; pos++) {
+    var piece = model.State.getTopPiece(state, pos);
+    if (piece && (piece.type === pieceType)) {
+      pieces.push(piece);
+    }
+  }
+
+  return pieces;
+};
+
+/**
+ * Generate all distinct legal turns the player can make with the specified move
+ * values. A turn is a complete sequence of piece moves, that follows the rule
+ * of using as many (and as high) move values as possible - the same rule that is
+ * enforced by `isMoveActionRestricted`.
+ *
+ * Different move sequences that result in the same position (transpositions,
+ * like playing 5 then 3 or 3 then 5 with two different pieces) are returned only
+ * once.
+ *
+ * If the player cannot move at all, a single turn with no moves is returned.
+ *
+ * @memberOf Rule
+ * @param {State} state - State at start of turn. Not changed by this method.
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} pieceType - Type of piece (white/black)
+ * @returns {{moves: {piece: Piece, steps: number, actions: MoveAction[]}[], state: State}[]} -
+ *          List of legal turns. Each turn contains the moves to make (in order)
+ *          and the state resulting from them.
+ */
+Rule.prototype.getLegalTurns = function(state, movesLeft, pieceType) {
+  var self = this;
+  var leaves = [];
+  var visited = {};
+  var maxWeight = 0;
+
+  function expand(st, moves, left, weight) {
+    var hasChildren = false;
+    var triedSteps = [];
+
+    for (var i = 0; i < left.length; i++) {
+      var steps = left[i];
+      if (model.Utils.includes(triedSteps, steps)) {
+        continue;
+      }
+      triedSteps.push(steps);
+
+      var childLeft = left.slice();
+      childLeft.splice(i, 1);
+
+      var pieces = self.getMovablePieces(st, pieceType);
+      for (var p = 0; p < pieces.length; p++) {
+        var actions = self.getMoveActions(st, pieces[p], steps);
+        if (actions.length === 0) {
+          continue;
+        }
+
+        hasChildren = true;
+
+        self.applyMoveActions(st, actions);
+
+        // Different move orders can lead to the same position with the same
+        // moves left - continue only one of them
+        var key = model.State.getPositionKey(st) + childLeft.join(',');
+        if (!visited[key]) {
+          visited[key] = true;
+
+          moves.push({
+            'piece': pieces[p],
+            'steps': steps,
+            'actions': actions
+          });
+          expand(st, moves, childLeft, weight + steps);
+          moves.pop();
+        }
+
+        self.undoMoveActions(st, actions);
+      }
+    }
+
+    // Only resulting positions are copied, the search itself works
+    // on a single state
+    if (!hasChildren) {
+      leaves.push({
+        'moves': moves.slice(),
+        'state': model.State.clone(st),
+        'weight': weight
+      });
+      if (weight > maxWeight) {
+        maxWeight = weight;
+      }
+    }
+  }
+
+  expand(model.State.clone(state), [], movesLeft.slice(), 0);
+
+  // Keep only turns that use maximum move values, one for each resulting position
+  var turns = [];
+  var positions = {};
+  for (var i = 0; i < leaves.length; i++) {
+    if (leaves[i].weight < maxWeight) {
+      continue;
+    }
+
+    var key = model.State.getPositionKey(leaves[i].state);
+    if (positions[key]) {
+      continue;
+    }
+    positions[key] = true;
+
+    turns.push({
+      'moves': leaves[i].moves,
+      'state': leaves[i].state
+    });
+  }
+
+  return turns;
+};
+
+/**
+ * Find the legal turn that a list of moves makes. Moves are simulated on a copy
+ * of the state and the resulting position is compared with the positions of all
+ * legal turns (see `getLegalTurns`).
+ *
+ * Pieces at the same point are interchangeable, so each move is made with the
+ * top piece at the position of the piece specified.
+ *
+ * @memberOf Rule
+ * @param {State} state - State at start of turn. Not changed by this method.
+ * @param {number[]} movesLeft - Move values left (eg. [5, 3] or [4, 4, 4, 4])
+ * @param {PieceType} pieceType - Type of piece (white/black)
+ * @param {{piece: Piece, steps: number}[]} moves - Moves to check, in order
+ * @returns {{moves: {piece: Piece, steps: number, actions: MoveAction[]}[], state: State}} -
+ *          Legal turn that results in the same position, or null if moves
+ *          do not make a legal turn
+ */
+Rule.prototype.findLegalTurn = function(state, movesLeft, pieceType, moves) {
+  var tempState = model.State.clone(state);
+  var left = movesLeft.slice();
+
+  for (var i = 0; i < moves.length; i++) {
+    var move = moves[i];
+
+    var index = left.indexOf(move.steps);
+    if (index < 0) {
+      console.log('No move value ' + move.steps + ' left for move ' + (i + 1) + '!');
+      return null;
+    }
+
+    var piece = null;
+    for (var p = 0; p < tempState.pieces[pieceType].length; p++) {
+      if (move.piece && (tempState.pieces[pieceType][p].id === move.piece.id)) {
+        piece = tempState.pieces[pieceType][p];
+        break;
+      }
+    }
+
+    if (!piece) {
+      console.log('Move ' + (i + 1) + ' is not with a piece of player!');
+      return null;
+    }
+
+    if (model.State.isPieceOnBar(tempState, piece)) {
+      piece = model.State.getBarTopPiece(tempState, pieceType);
+    }
+    else {
+      var position = model.State.getPiecePos(tempState, piece);
+      if (position === null) {
+        console.log('Piece of move ' + (i + 1) + ' is not on board!');
+        return null;
+      }
+      piece = model.State.getTopPiece(tempState, position);
+    }
+
+    var actions = this.getMoveActions(tempState, piece, move.steps);
+    if (actions.length === 0) {
+      console.log('Move ' + (i + 1) + ' is not allowed!');
+      return null;
+    }
+
+    this.applyMoveActions(tempState, actions);
+    left.splice(index, 1);
+  }
+
+  var key = model.State.getPositionKey(tempState);
+  var turns = this.getLegalTurns(state, movesLeft, pieceType);
+  for (var t = 0; t < turns.length; t++) {
+    if (model.State.getPositionKey(turns[t].state) === key) {
+      return turns[t];
+    }
+  }
+
+  console.log('Moves do not make a legal turn!');
+  return null;
+};
+
 /**
  * Call this method after a request for moving a piece has been made.
  * Determines if the move is allowed and what actions will have to be made as
@@ -686,6 +1083,56 @@ Rule.prototype.applyMoveActions = function(state, actionList) {
   }
 };
 
+/**
+ * Undo a list of actions previously applied to a game state with `applyMoveActions`.
+ * Actions are undone in reverse order, so that the state is restored exactly
+ * as it was before applying them.
+ *
+ * @memberOf Rule
+ * @param {State} state - State to change
+ * @param {MoveAction[]} actionList - List of actions to undo.
+ * @throws Throws an error if the pieces in state do not match the actions
+ */
+Rule.prototype.undoMoveActions = function(state, actionList) {
+  /**
+   * Remove piece from top of a stack and return it, making sure it is the
+   * piece the action was made with.
+   */
+  function takePiece(stack, piece) {
+    var topPiece = stack.pop();
+    if ((!topPiece) || (topPiece.id !== piece.id)) {
+      if (topPiece) {
+        stack.push(topPiece);
+      }
+      throw new Error("Cannot undo action - piece " + piece.id + " is not on top!");
+    }
+    return topPiece;
+  }
+
+  // Actions following a forbidden action have not been applied
+  var count = 0;
+  while ((count < actionList.length) && model.Utils.includes(this.allowedActions, actionList[count].type)) {
+    count++;
+  }
+
+  for (var i = count - 1; i >= 0; i--) {
+    var action = actionList[i];
+
+    if (action.type === model.MoveActionType.MOVE) {
+      state.points[action.from].push(takePiece(state.points[action.to], action.piece));
+    }
+    else if (action.type === model.MoveActionType.RECOVER) {
+      state.bar[action.piece.type].push(takePiece(state.points[action.position], action.piece));
+    }
+    else if (action.type === model.MoveActionType.HIT) {
+      state.points[action.position].push(takePiece(state.bar[action.piece.type], action.piece));
+    }
+    else if (action.type === model.MoveActionType.BEAR) {
+      state.points[action.position].push(takePiece(state.outside[action.piece.type], action.piece));
+    }
+  }
+};
+
 /**
  * Place one or more pieces from player set to board point.
  * @memberOf Rule
@@ -865,6 +1312,38 @@ Rule.prototype.getGameScore = function (state, player) {
   }
 };
 
+/**
+ * Determine how many points the player should be awarded for winning the
+ * current game of the match, taking the doubling cube into account.
+ *
+ * If the other player rejected a double, the winner receives the value
+ * of the cube before doubling. Otherwise the game score (1, 2 or 3 points)
+ * is multiplied by the value of the cube.
+ *
+ * If the Jacoby rule is applied in a money session, gammons and backgammons
+ * are counted as a single game while the cube has not been turned.
+ *
+ * @memberOf Rule
+ * @param {Match} match - Match
+ * @param {Player} player - Player that won the game
+ * @returns {number} - Number of points won
+ */
+Rule.prototype.getGamePoints = function (match, player) {
+  var game = match.currentGame;
+
+  if (game.doubleRejected) {
+    return game.cubeValue;
+  }
+
+  var score = this.getGameScore(game.state, player);
+
+  if (match.jacoby && model.Match.isMoneySession(match) && (game.cubeValue === 1)) {
+    score = 1;
+  }
+
+  return score * game.cubeValue;
+};
+
 /**
  * Proceed to next turn.
  *
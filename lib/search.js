@@ -0,0 +1,306 @@
+var fs = require('fs');
+var worker_threads = require('worker_threads');
+var model = require('./model.js');
+var engine = require('./engine.js');
+var bearoff = require('./bearoff.js');
+var Evaluator = require('./evaluator.js').Evaluator;
+
+var Engine = engine.Engine;
+
+/**
+ * Search for turns, made without blocking the calling thread, eg. for
+ * hints and computer players of a server.
+ *
+ * Searches deeper than 0-ply (hard and expert difficulty levels) take up to
+ * a few seconds, so they are made in a worker thread, by an engine with the
+ * same settings as the engine given. The worker is started on first use and
+ * kept for later searches. Evaluators are sent to the worker once and the
+ * bear-off database is loaded by the worker from `bearoffPath`.
+ *
+ * 0-ply searches are fast, so they are made by the engine given, in the
+ * calling thread. Chances of players (`getProbabilities`) are estimated by
+ * searching turns for all 21 rolls, so they are always estimated in the
+ * worker.
+ *
+ * Turns found in the worker have moves with piece, steps and actions, score
+ * and, in races, expected number of rolls - but not the state after the turn.
+ * @constructor
+ * @param {Object} [options] - Options
+ * @param {string} [options.bearoffPath] - Path to bear-off database file,
+ *                                         used by engines that have a database
+ */
+function Search(options) {
+  options = options || {};
+
+  /**
+   * Path to bear-off database file
+   * @type {string}
+   */
+  this.bearoffPath = options.bearoffPath || null;
+
+  /**
+   * Worker thread, null until first search
+   * @type {Worker}
+   */
+  this.worker = null;
+
+  /**
+   * Callbacks of searches running, indexed by search ID
+   * @type {Object}
+   */
+  this.callbacks = {};
+
+  /**
+   * Number of searches started, used to assign search IDs
+   * @type {number}
+   */
+  this.count = 0;
+
+  /**
+   * Evaluators already sent to the worker, with their IDs
+   * @type {{evaluator: Object, id: number}[]}
+   */
+  this.evaluators = [];
+}
+
+/**
+ * Get settings of an engine, as sent to the worker thread
+ * @param {Engine} searchEngine - Engine
+ * @returns {Object} - Settings
+ */
+Search.describeEngine = function (searchEngine) {
+  return {
+    'difficulty': searchEngine.difficulty,
+    'plies': searchEngine.plies,
+    'candidates': searchEngine.candidates,
+    'replyCandidates': searchEngine.replyCandidates,
+    'noise': searchEngine.noise,
+    'bearoff': !!searchEngine.bearoff
+  };
+};
+
+/**
+ * Get a turn without the state after it, to be sent to the calling thread
+ * @param {Object} turn - Turn found by engine
+ * @returns {{moves: Object[], score: number, expectedRolls: number}} - Turn
+ */
+Search.describeTurn = function (turn) {
+  var result = {
+    'moves': turn.moves,
+    'score': turn.score
+  };
+  if (turn.expectedRolls != null) {
+    result.expectedRolls = turn.expectedRolls;
+  }
+  return result;
+};
+
+/**
+ * Make searches sent by the main thread and send the turns found back.
+ * Called when this module is loaded as a worker by `Search.start`.
+ */
+Search.runWorker = function () {
+  var port = worker_threads.parentPort;
+  var evaluators = {};
+  var rules = {};
+  var database;
+
+  port.on('message', function (message) {
+    try {
+      if (message.evaluator) {
+        evaluators[message.evaluatorID] = Evaluator.create(message.evaluator);
+      }
+      if (message.settings.bearoff && (database === undefined)) {
+        database = bearoff.BearoffDatabase.fromBuffer(fs.readFileSync(worker_threads.workerData.bearoffPath));
+      }
+      rules[message.ruleName] = rules[message.ruleName] || model.Utils.loadRule(message.ruleName);
+
+      var settings = message.settings;
+      var searchEngine = new Engine({
+        'difficulty': settings.difficulty,
+        'plies': settings.plies,
+        'candidates': settings.candidates,
+        'replyCandidates': settings.replyCandidates,
+        'noise': settings.noise,
+        'evaluator': evaluators[message.evaluatorID],
+        'bearoff': settings.bearoff ? database : null
+      });
+
+      var rule = rules[message.ruleName];
+      var result;
+      if (message.method === 'chooseTurn') {
+        result = Search.describeTurn(searchEngine.chooseTurn(rule, message.state, message.movesLeft, message.type));
+      }
+      else if (message.method === 'getProbabilities') {
+        result = searchEngine.getProbabilities(rule, message.state, message.type);
+      }
+      else {
+        result = searchEngine.analyzeTurns(rule, message.state, message.movesLeft, message.type).map(Search.describeTurn);
+      }
+
+      port.postMessage({ 'id': message.id, 'result': result });
+    }
+    catch (e) {
+      port.postMessage({ 'id': message.id, 'error': e.message });
+    }
+  });
+};
+
+/**
+ * Start worker thread. Searches running are ended with an error if the
+ * worker stops, and a new worker is started for the next search.
+ */
+Search.prototype.start = function () {
+  var self = this;
+
+  var worker = new worker_threads.Worker(__filename, {
+    'workerData': { 'search': true, 'bearoffPath': this.bearoffPath }
+  });
+  // Do not keep the process running only for the worker
+  worker.unref();
+
+  worker.on('message', function (message) {
+    var callback = self.callbacks[message.id];
+    delete self.callbacks[message.id];
+    if (callback) {
+      callback(message.error ? new Error(message.error) : null, message.result);
+    }
+  });
+
+  var stop = function (err) {
+    if (self.worker !== worker) {
+      return;
+    }
+    self.worker = null;
+    self.evaluators = [];
+
+    var callbacks = self.callbacks;
+    self.callbacks = {};
+    for (var id in callbacks) {
+      if (callbacks.hasOwnProperty(id)) {
+        callbacks[id](err || new Error('Search worker stopped!'));
+      }
+    }
+  };
+  worker.on('error', stop);
+  worker.on('exit', function () {
+    stop(null);
+  });
+
+  this.worker = worker;
+};
+
+/**
+ * Run a search
+ * @param {string} method - Method of engine: `analyzeTurns`, `chooseTurn`
+ *                          or `getProbabilities`
+ * @param {Engine} searchEngine - Engine, whose settings are used
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left. Not used by `getProbabilities`.
+ * @param {PieceType} type - Type of player's pieces
+ * @param {function} callback - Called with an error, or null and the result
+ */
+Search.prototype.run = function (method, searchEngine, rule, state, movesLeft, type, callback) {
+  if ((searchEngine.plies <= 0) && (method !== 'getProbabilities')) {
+    var result, error = null;
+    try {
+      result = searchEngine[method](rule, state, movesLeft, type);
+    }
+    catch (e) {
+      error = e;
+    }
+    setImmediate(function () {
+      callback(error, result);
+    });
+    return;
+  }
+
+  if (!this.worker) {
+    this.start();
+  }
+
+  var message = {
+    'id': ++this.count,
+    'method': method,
+    'settings': Search.describeEngine(searchEngine),
+    'ruleName': rule.name,
+    'state': state,
+    'movesLeft': movesLeft,
+    'type': type
+  };
+
+  var known = null;
+  for (var i = 0; i < this.evaluators.length; i++) {
+    if (this.evaluators[i].evaluator === searchEngine.evaluator) {
+      known = this.evaluators[i];
+    }
+  }
+  if (!known) {
+    known = { 'evaluator': searchEngine.evaluator, 'id': this.evaluators.length };
+    this.evaluators.push(known);
+    message.evaluator = Evaluator.describe(searchEngine.evaluator);
+  }
+  message.evaluatorID = known.id;
+
+  // Keep the process running while searches are running
+  var self = this;
+  var worker = this.worker;
+  worker.ref();
+  this.callbacks[message.id] = function (err, result) {
+    if (Object.keys(self.callbacks).length === 0) {
+      worker.unref();
+    }
+    callback(err, result);
+  };
+
+  worker.postMessage(message);
+};
+
+/**
+ * Analyze turns for the moves left, best first (see `Engine.analyzeTurns`)
+ * @param {Engine} searchEngine - Engine, whose settings are used
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left
+ * @param {PieceType} type - Type of player's pieces
+ * @param {function} callback - Called with an error, or null and the turns
+ */
+Search.prototype.analyzeTurns = function (searchEngine, rule, state, movesLeft, type, callback) {
+  this.run('analyzeTurns', searchEngine, rule, state, movesLeft, type, callback);
+};
+
+/**
+ * Choose turn to play for the moves left (see `Engine.chooseTurn`)
+ * @param {Engine} searchEngine - Engine, whose settings are used
+ * @param {Rule} rule - Rule
+ * @param {State} state - State at start of turn
+ * @param {number[]} movesLeft - Move values left
+ * @param {PieceType} type - Type of player's pieces
+ * @param {function} callback - Called with an error, or null and the turn chosen
+ */
+Search.prototype.chooseTurn = function (searchEngine, rule, state, movesLeft, type, callback) {
+  this.run('chooseTurn', searchEngine, rule, state, movesLeft, type, callback);
+};
+
+/**
+ * Estimate chances of the player on roll, before rolling the dice (see
+ * `Engine.getProbabilities`)
+ * @param {Engine} searchEngine - Engine, whose settings are used
+ * @param {Rule} rule - Rule
+ * @param {State} state - State before the roll
+ * @param {PieceType} type - Type of pieces of player on roll
+ * @param {function} callback - Called with an error, or null and the
+ *                              probabilities `{win, winGammon, loseGammon}`
+ */
+Search.prototype.getProbabilities = function (searchEngine, rule, state, type, callback) {
+  this.run('getProbabilities', searchEngine, rule, state, null, type, callback);
+};
+
+if (!worker_threads.isMainThread && worker_threads.workerData && worker_threads.workerData.search) {
+  Search.runWorker();
+}
+
+module.exports = {
+  'Search': Search
+};
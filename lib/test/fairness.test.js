@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Tests of provably fair dice (see `Fairness`), including matches that
+ * continue after the server has been restarted.
+ *
+ * Usage:
+ *   npm test
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var model = require('../model.js');
+var fairness = require('../fairness.js');
+var Fairness = fairness.Fairness;
+var FairDiceSource = fairness.FairDiceSource;
+
+// Rules log every roll
+console.log = function () {};
+
+var rule = model.Utils.loadRule('RuleBgCasual');
+
+/**
+ * Create a provably fair match, the way the server does
+ * @param {Object} sources - Dice sources, indexed by match ID
+ * @returns {Match} - New match
+ */
+function createFairMatch(sources) {
+  var match = model.Match.createNew(rule, { 'length': 3 });
+  var source = new FairDiceSource();
+  match.fairness = source.record;
+  sources[match.id] = source;
+  return match;
+}
+
+/**
+ * Roll dice of a match with a client seed
+ * @param {FairDiceSource} source - Dice source of match
+ * @param {string} clientSeed - Client seed
+ * @returns {number[]} - Die values
+ */
+function roll(source, clientSeed) {
+  source.beginRoll(clientSeed);
+  var values = [source.nextValue(), source.nextValue()];
+  source.endRoll();
+  return values;
+}
+
+test('rolls are verified after the seed is revealed', function () {
+  var sources = {};
+  var match = createFairMatch(sources);
+  var source = sources[match.id];
+  roll(source, 'a');
+  roll(source, 'b');
+
+  assert.strictEqual(Fairness.verify(match.fairness).valid, false);
+  source.reveal();
+  assert.deepStrictEqual(Fairness.verify(match.fairness), { 'valid': true, 'errors': [] });
+
+  match.fairness.rolls[1].values = [6, 6];
+  assert.strictEqual(Fairness.verify(match.fairness).valid, false);
+});
+
+test('seeds of matches that are over are not saved', function () {
+  var sources = {};
+  var match = createFairMatch(sources);
+  var other = model.Match.createNew(rule, { 'length': 3 });
+  sources[other.id] = model.DiceSource.create({ 'type': 'crypto' });
+
+  assert.strictEqual(Fairness.getSecretSeeds([match, other], sources, {}).length, 1);
+  match.isOver = true;
+  assert.deepStrictEqual(Fairness.getSecretSeeds([match, other], sources, {}), []);
+});
+
+test('seeds survive restarts of the server', function () {
+  var sources = {};
+  var match = createFairMatch(sources);
+  var serverSeed = sources[match.id].serverSeed;
+  roll(sources[match.id], 'a');
+
+  // First restart: match is restored, but does not roll before next save
+  var restoredSeeds = {};
+  Fairness.getSecretSeeds([match], sources, {}).forEach(function (item) {
+    restoredSeeds[item.matchID] = item.serverSeed;
+  });
+  var saved = Fairness.getSecretSeeds([match], {}, restoredSeeds);
+  assert.deepStrictEqual(saved, [{ 'matchID': match.id, 'serverSeed': serverSeed }]);
+
+  // Second restart: match continues with the seed it committed to
+  var source = new FairDiceSource(match.fairness, saved[0].serverSeed);
+  roll(source, 'b');
+  source.reveal();
+  assert.deepStrictEqual(Fairness.verify(match.fairness), { 'valid': true, 'errors': [] });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Tests of export and import of matches in .mat format (see `MatFile`).
+ * The fixtures are laid out the way GNU Backgammon and Jellyfish write
+ * .mat files - with a header of comments, other column widths and CRLF
+ * line endings.
+ *
+ * Usage:
+ *   npm test
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var model = require('../model.js');
+var MatFile = require('../matfile.js').MatFile;
+
+// Rules log every roll
+console.log = function () {};
+
+var rule = model.Utils.loadRule('RuleBgCasual');
+
+/**
+ * Read a fixture
+ * @param {string} name - File name
+ * @returns {string} - Text of file
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Export a match, import it and export it again. Both exports should be
+ * the same.
+ * @param {Match} match - Match
+ * @returns {string} - Text of first export
+ */
+function assertRoundTrip(match) {
+  var text = MatFile.exportMatch(match);
+  var imported = MatFile.importMatch(rule, text);
+  assert.strictEqual(MatFile.exportMatch(imported), text);
+  return text;
+}
+
+test('gnubg match is imported', function () {
+  var match = MatFile.importMatch(rule, readFixture('gnubg.mat'));
+
+  assert.strictEqual(match.length, 3);
+  assert.strictEqual(match.host.name, 'gnubg');
+  assert.strictEqual(match.guest.name, 'quasoft');
+  assert.strictEqual(match.games.length, 2);
+  assert.strictEqual(match.games[0].winner, model.PieceType.WHITE);
+  assert.strictEqual(match.games[0].points, 1);
+  assert.strictEqual(match.games[1].winner, model.PieceType.WHITE);
+  assert.strictEqual(match.games[1].points, 2);
+  assert.deepStrictEqual(match.score, [3, 0]);
+  assert.ok(match.isOver);
+});
+
+test('Jellyfish match is imported', function () {
+  var match = MatFile.importMatch(rule, readFixture('jellyfish.mat'));
+
+  assert.strictEqual(match.length, 3);
+  assert.strictEqual(match.host.name, 'Jellyfish');
+  assert.strictEqual(match.guest.name, 'Player');
+  assert.strictEqual(match.games.length, 3);
+  assert.deepStrictEqual(match.games.map(function (game) { return game.winner; }),
+    [model.PieceType.BLACK, model.PieceType.WHITE, model.PieceType.BLACK]);
+  assert.strictEqual(match.games[2].points, 2);
+  assert.deepStrictEqual(match.score, [1, 3]);
+  assert.ok(match.isOver);
+});
+
+test('imported matches are exported again unchanged', function () {
+  ['gnubg.mat', 'jellyfish.mat'].forEach(function (name) {
+    assertRoundTrip(MatFile.importMatch(rule, readFixture(name)));
+  });
+});
+
+test('match played to the end is exported and imported unchanged', function () {
+  var Tournament = require('../tournament.js').Tournament;
+  var tournament = new Tournament({
+    'seed': 'matfile',
+    'matchLength': 5,
+    'players': [{ 'difficulty': 'easy' }, { 'difficulty': 'easy' }]
+  });
+  var source = new model.SeededDiceSource('matfile');
+
+  var match = model.Match.createNew(rule, { 'length': 5 });
+  var host = model.Player.createNew();
+  var guest = model.Player.createNew();
+  host.name = 'alice';
+  guest.name = 'bob';
+  model.Match.addHostPlayer(match, host);
+  model.Match.addGuestPlayer(match, guest);
+  host.currentPieceType = model.PieceType.WHITE;
+  guest.currentPieceType = model.PieceType.BLACK;
+
+  var engines = [tournament.players[0].engine, tournament.players[1].engine];
+  while (!match.isOver) {
+    tournament.playGame(rule, match, engines, source);
+  }
+
+  var text = assertRoundTrip(match);
+  assert.strictEqual(MatFile.importMatch(rule, text).games.length, match.games.length);
+});
+
+test('only RuleBgCasual matches are exported', function () {
+  var match = model.Match.createNew(model.Utils.loadRule('RuleBgTapa'), { 'length': 3 });
+  assert.throws(function () {
+    MatFile.exportMatch(match);
+  }, /Only RuleBgCasual matches can be exported/);
+});
+
+test('illegal moves are reported', function () {
+  var text = readFixture('gnubg.mat').replace('63: 13/7 13/10', '63: 13/7 13/9');
+  assert.throws(function () {
+    MatFile.importMatch(rule, text);
+  }, /Game 1, line 15/);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Tests of match rules in the model (see `Match`).
+ *
+ * Usage:
+ *   npm test
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var model = require('../model.js');
+
+// Rules log every roll
+console.log = function () {};
+
+var rule = model.Utils.loadRule('RuleBgCasual');
+var WHITE = model.PieceType.WHITE;
+var BLACK = model.PieceType.BLACK;
+
+/**
+ * Start next game of a match
+ * @param {Match} match - Match
+ * @returns {Game} - New game
+ */
+function startGame(match) {
+  var game = model.Match.createNewGame(match, rule);
+  game.hasStarted = true;
+  return game;
+}
+
+/**
+ * Finish current game of a match
+ * @param {Match} match - Match
+ * @param {PieceType} winner - Type of pieces of winner
+ * @param {number} points - Points won
+ */
+function winGame(match, winner, points) {
+  match.currentGame.isOver = true;
+  match.score[winner] += points;
+  model.Match.addGameRecord(match, winner, points, false);
+}
+
+test('1-point matches have no Crawford game', function () {
+  var match = model.Match.createNew(rule, { 'length': 1 });
+
+  assert.strictEqual(model.Match.isCrawfordGameDue(match), false);
+  assert.strictEqual(startGame(match).isCrawford, false);
+});
+
+test('Crawford game is the first game after reaching match point', function () {
+  var match = model.Match.createNew(rule, { 'length': 3 });
+
+  assert.strictEqual(startGame(match).isCrawford, false);
+  winGame(match, WHITE, 2);
+
+  assert.strictEqual(model.Match.isCrawfordGameDue(match), true);
+  assert.strictEqual(startGame(match).isCrawford, true);
+  winGame(match, BLACK, 1);
+
+  // Score is 2-1: both players are at match point after the Crawford game
+  assert.strictEqual(startGame(match).isCrawford, false);
+  winGame(match, BLACK, 1);
+  assert.deepStrictEqual(match.score, [2, 2]);
+  assert.strictEqual(model.Match.isCrawfordGameDue(match), false);
+});
+
+test('Crawford game is not due if the match point was reached before the last game', function () {
+  // Practice matches may start at match point, eg. at 2-0 of a 3-point match
+  var match = model.Match.createNew(rule, { 'length': 3 });
+  startGame(match);
+  match.score = [2, 0];
+  winGame(match, BLACK, 1);
+
+  assert.strictEqual(model.Match.isCrawfordGameDue(match), false);
+  assert.strictEqual(startGame(match).isCrawford, false);
+});
+
+test('Crawford rule can be disabled', function () {
+  var match = model.Match.createNew(rule, { 'length': 3, 'crawford': false });
+  startGame(match);
+  winGame(match, WHITE, 2);
+
+  assert.strictEqual(model.Match.isCrawfordGameDue(match), false);
+});
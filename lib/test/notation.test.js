@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Tests of parsing moves in standard notation (see `Notation`).
+ *
+ * Usage:
+ *   npm test
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var model = require('../model.js');
+var Notation = require('../notation.js').Notation;
+
+// Rules log every roll
+console.log = function () {};
+
+var rule = model.Utils.loadRule('RuleBgCasual');
+var WHITE = model.PieceType.WHITE;
+var BLACK = model.PieceType.BLACK;
+
+/**
+ * Create a state with a black blot on the 7 point of white
+ * @returns {State} - State
+ */
+function createState() {
+  var state = new model.State();
+  rule.initialize(state);
+
+  rule.place(state, 2, WHITE, 23);
+  rule.place(state, 5, WHITE, 12);
+  rule.place(state, 3, WHITE, 7);
+  rule.place(state, 5, WHITE, 5);
+
+  rule.place(state, 1, BLACK, 6);
+  rule.place(state, 2, BLACK, 0);
+  rule.place(state, 5, BLACK, 11);
+  rule.place(state, 3, BLACK, 16);
+  rule.place(state, 4, BLACK, 18);
+  return state;
+}
+
+test('moves are parsed', function () {
+  assert.deepStrictEqual(Notation.parseMoves('24/18* 13/11(2)'), [
+    { 'from': 24, 'to': 18, 'hit': true },
+    { 'from': 13, 'to': 11, 'hit': false },
+    { 'from': 13, 'to': 11, 'hit': false }
+  ]);
+  assert.deepStrictEqual(Notation.parseMoves('bar/20/15 6/off'), [
+    { 'from': Notation.BAR, 'to': 20, 'hit': false },
+    { 'from': 20, 'to': 15, 'hit': false },
+    { 'from': 6, 'to': Notation.OFF, 'hit': false }
+  ]);
+});
+
+test('points that are not numbers are rejected', function () {
+  ['24abc/18 18/13', '24/18x 18/13', '24/1.5', '24/+18', '24/-1'].forEach(function (text) {
+    assert.throws(function () {
+      Notation.parseMoves(text);
+    }, /Invalid point/, text);
+  });
+});
+
+test('repeated hit markers are rejected', function () {
+  ['24/18** 13/8', '24*/18', '13/7*(2)*'].forEach(function (text) {
+    assert.throws(function () {
+      Notation.parseMoves(text);
+    }, /Invalid/, text);
+  });
+});
+
+test('hits are made with or without hit markers', function () {
+  ['13/7* 13/8', '13/7 13/8', '13/7*/2'].forEach(function (text) {
+    var state = createState();
+    var moves = Notation.parseTurn(rule, state, [6, 5], WHITE, text);
+    moves.forEach(function (move) {
+      rule.applyMoveActions(state, move.actions);
+    });
+    assert.strictEqual(state.bar[BLACK].length, 1, text);
+  });
+});
+
+test('moves marked as hits that do not hit are rejected', function () {
+  assert.throws(function () {
+    Notation.parseTurn(rule, createState(), [6, 5], WHITE, '24/18* 13/8');
+  }, /Move 24\/18\* in "24\/18\* 13\/8" does not hit/);
+  assert.throws(function () {
+    Notation.parseTurn(rule, createState(), [6, 5], WHITE, '13/7* 7/2*');
+  }, /Move 7\/2\* .* does not hit/);
+});
+
+test('moves that cannot be played are rejected', function () {
+  assert.throws(function () {
+    Notation.parseTurn(rule, createState(), [6, 5], WHITE, '24/18 24/20');
+  }, /cannot be played with dice 6:5/);
+});
@@ -0,0 +1,415 @@
+var model = require('./model.js');
+var PipCount = require('./pips.js').PipCount;
+
+/**
+ * Board drawn as text, for terminals and logs:
+ *
+ *     +13-14-15-16-17-18------19-20-21-22-23-24-+  X off: 0
+ *     | O           X    |   | X              O |
+ *     | O           X    |   | X              O |
+ *     | O           X    |   | X                |
+ *     | O                |   | X                |
+ *     | O                |   | X                |
+ *     |                  |BAR|                  |
+ *     | X                |   | O                |
+ *     | X                |   | O                |
+ *     | X           O    |   | O                |
+ *     | X           O    |   | O              X |
+ *     | X           O    |   | O              X |
+ *     +12-11-10--9--8--7-------6--5--4--3--2--1-+  O off: 0
+ *
+ * Points are numbered from the point of view of the player the board is
+ * drawn for, whose pieces move to the bottom right. Pieces of that player
+ * on the bar are shown in the bottom half of the bar, pieces of the
+ * opponent in the top half. Points with more pieces than fit in a half
+ * show the number of pieces in the last row.
+ * @constructor
+ */
+function TextBoard() {
+
+}
+
+/**
+ * Symbols of pieces, indexed by piece type
+ * @type {string[]}
+ */
+TextBoard.SYMBOLS = ['O', 'X'];
+
+/**
+ * Number of rows of pieces in each half of the board
+ * @type {number}
+ */
+TextBoard.ROWS = 5;
+
+/**
+ * Format a point number for the edge of the board (eg. `13-` or `-9-`)
+ * @param {number} point - Point number
+ * @returns {string} - Text, three characters long
+ */
+TextBoard.formatPointNumber = function (point) {
+  return ('-' + point).slice(-2) + '-';
+};
+
+/**
+ * Format a row of a stack of pieces
+ * @param {Piece[]} pieces - Pieces, from the edge of the board inwards
+ * @param {number} row - Row, 0 being the row at the edge of the board
+ * @returns {string} - Text, three characters long
+ */
+TextBoard.formatCell = function (pieces, row) {
+  if ((pieces.length > TextBoard.ROWS) && (row === TextBoard.ROWS - 1)) {
+    return (' ' + pieces.length).slice(-2) + ' ';
+  }
+  if (row < pieces.length) {
+    return ' ' + TextBoard.SYMBOLS[pieces[row].type] + ' ';
+  }
+  return '   ';
+};
+
+/**
+ * Draw the board
+ * @param {Rule} rule - Rule, used to number points
+ * @param {State} state - State
+ * @param {PieceType} [type] - Type of pieces of the player the board is drawn
+ *                             for, white by default
+ * @returns {string[]} - Lines of text
+ */
+TextBoard.render = function (rule, state, type) {
+  type = (type != null) ? type : model.PieceType.WHITE;
+  var opponentType = PipCount.getOpponentType(type);
+  var lines = [];
+
+  var getPieces = function (point) {
+    return state.points[rule.denormPos(point - 1, type)];
+  };
+
+  var drawEdge = function (left, right, offType) {
+    var line = '+';
+    var i;
+    for (i = 0; i < left.length; i++) {
+      line += TextBoard.formatPointNumber(left[i]);
+    }
+    line += '-----';
+    for (i = 0; i < right.length; i++) {
+      line += TextBoard.formatPointNumber(right[i]);
+    }
+    return line + '+  ' + TextBoard.SYMBOLS[offType] + ' off: ' + state.outside[offType].length;
+  };
+
+  var drawRow = function (left, right, bar, row) {
+    var line = '|';
+    var i;
+    for (i = 0; i < left.length; i++) {
+      line += TextBoard.formatCell(getPieces(left[i]), row);
+    }
+    line += '|' + TextBoard.formatCell(bar, row) + '|';
+    for (i = 0; i < right.length; i++) {
+      line += TextBoard.formatCell(getPieces(right[i]), row);
+    }
+    return line + '|';
+  };
+
+  var row;
+  lines.push(drawEdge([13, 14, 15, 16, 17, 18], [19, 20, 21, 22, 23, 24], opponentType));
+  for (row = 0; row < TextBoard.ROWS; row++) {
+    lines.push(drawRow([13, 14, 15, 16, 17, 18], [19, 20, 21, 22, 23, 24], state.bar[opponentType], row));
+  }
+  lines.push('|                  |BAR|                  |');
+  for (row = TextBoard.ROWS - 1; row >= 0; row--) {
+    lines.push(drawRow([12, 11, 10, 9, 8, 7], [6, 5, 4, 3, 2, 1], state.bar[type], row));
+  }
+  lines.push(drawEdge([12, 11, 10, 9, 8, 7], [6, 5, 4, 3, 2, 1], type));
+
+  return lines;
+};
+
+/**
+ * Board user interface for terminals. It is used by `Client` in place of
+ * `SimpleBoardUI` and prints the board and messages as text. The board is
+ * printed again whenever the position, dice or cube change.
+ * @constructor
+ * @param {Client} client - Client object in control of this UI. The text is
+ *                          printed with `client.config.print`, if set.
+ */
+function TextBoardUI(client) {
+  /**
+   * @type {Client}
+   */
+  this.client = client;
+
+  /**
+   * @type {Match}
+   */
+  this.match = null;
+
+  /**
+   * @type {Rule}
+   */
+  this.rule = null;
+
+  /**
+   * Key of the board printed last, used to skip printing the same board twice
+   * @type {string}
+   */
+  this.boardKey = null;
+
+  /**
+   * Print lines of text
+   * @type {function}
+   */
+  this.print = client.config.print || console.log;
+
+  this.init = function () {
+  };
+
+  this.notifyInfo = function (message) {
+    this.print(message);
+  };
+
+  this.notifyPositive = function (message) {
+    this.print(message);
+  };
+
+  this.notifyNegative = function (message) {
+    this.print(message);
+  };
+
+  this.notifySuccess = function (message) {
+    this.print(message);
+  };
+
+  this.notifyError = function (message) {
+    this.print('Error: ' + message);
+  };
+
+  /**
+   * Get type of pieces of the player the board is drawn for
+   * @returns {PieceType} - Piece type
+   */
+  this.getViewPieceType = function () {
+    if (this.client.player && (this.client.player.currentPieceType != null)) {
+      return this.client.player.currentPieceType;
+    }
+    return model.PieceType.WHITE;
+  };
+
+  /**
+   * Get the actions the player can take now, as names of commands of the
+   * terminal client
+   * @returns {string[]} - Actions
+   */
+  this.getActions = function () {
+    var actions = [];
+    var game = this.match && this.match.currentGame;
+    var player = this.client.player;
+    if ((!game) || (!game.hasStarted) || game.isOver || this.match.isOver || (!player)) {
+      return actions;
+    }
+
+    var isDoubleOffered = model.Game.isDoubleOffered(game);
+    if (isDoubleOffered) {
+      if (game.doubleOfferedBy !== player.currentPieceType) {
+        actions.push('take', 'drop');
+        if (this.match.beavers && model.Match.isMoneySession(this.match)) {
+          actions.push('beaver');
+        }
+      }
+      return actions;
+    }
+
+    if ((!model.Game.isPlayerTurn(game, player)) || game.turnConfirmed) {
+      return actions;
+    }
+
+    if (!model.Game.diceWasRolled(game)) {
+      actions.push('roll');
+      if ((!game.isCrawford) &&
+          model.Game.hasCubeAccess(game, player.currentPieceType) &&
+          ((!this.rule) || (game.cubeValue * 2 <= this.rule.maxCubeValue))) {
+        actions.push('double');
+      }
+    }
+    else if (model.Game.hasMoreMoves(game)) {
+      actions.push('move', 'play', 'undo');
+    }
+    else {
+      actions.push('confirm', 'undo');
+    }
+
+    return actions;
+  };
+
+  /**
+   * Get lines with the score, pip counts, cube and dice, shown below the board
+   * @returns {string[]} - Lines of text
+   */
+  this.getStatusLines = function () {
+    var game = this.match.currentGame;
+    var type = this.getViewPieceType();
+    var opponentType = PipCount.getOpponentType(type);
+    var status = PipCount.getStatus(this.rule, game.state);
+    var lines = [];
+
+    var describe = function (pieceType, player, title) {
+      return TextBoard.SYMBOLS[pieceType] + ': ' + title + ((player && player.name) ? ' (' + player.name + ')' : '') +
+        ' - score ' + this.match.score[pieceType] + ', ' + status.pips[pieceType] + ' pips';
+    }.bind(this);
+    lines.push(describe(type, this.client.player, 'You'));
+    lines.push(describe(opponentType, this.client.otherPlayer, 'Opponent'));
+
+    var info = model.Match.isMoneySession(this.match) ? 'Money session' : 'Match to ' + this.match.length;
+    if (game.isCrawford) {
+      info += ', Crawford game';
+    }
+    info += ', cube ' + game.cubeValue;
+    if (game.cubeOwner != null) {
+      info += (game.cubeOwner === type) ? ' (yours)' : ' (opponent\'s)';
+    }
+    if (status.race) {
+      info += ', race';
+    }
+    lines.push(info);
+
+    if (game.isOver || this.match.isOver) {
+      return lines;
+    }
+
+    var turn = model.Game.isPlayerTurn(game, this.client.player) ? 'Your turn' : 'Opponent\'s turn';
+    if (model.Game.isDoubleOffered(game)) {
+      turn += ', double to ' + (game.cubeValue * 2) + ' offered';
+    }
+    else if (model.Game.diceWasRolled(game)) {
+      turn += ', dice ' + game.turnDice.values.join(':');
+      if (model.Game.hasMoreMoves(game) && (game.turnDice.movesPlayed.length > 0)) {
+        turn += ' (left: ' + game.turnDice.movesLeft.join(', ') + ')';
+      }
+    }
+    var actions = this.getActions();
+    if (actions.length > 0) {
+      turn += ' - ' + actions.join(', ');
+    }
+    lines.push(turn);
+
+    return lines;
+  };
+
+  /**
+   * Print the board and status of the current game
+   */
+  this.drawBoard = function () {
+    if ((!this.match) || (!this.match.currentGame) || (!this.match.currentGame.state) || (!this.rule)) {
+      return;
+    }
+
+    var lines = TextBoard.render(this.rule, this.match.currentGame.state, this.getViewPieceType());
+    this.print('\n' + lines.concat(this.getStatusLines()).join('\n'));
+  };
+
+  /**
+   * Get key of the board shown, that changes whenever the board has to be
+   * printed again
+   * @returns {string} - Key
+   */
+  this.getBoardKey = function () {
+    var game = this.match.currentGame;
+    return [
+      model.State.getPositionKey(game.state),
+      game.turnNumber,
+      game.turnPlayer ? game.turnPlayer.id : '',
+      game.turnDice ? game.turnDice.values.join(':') + ':' + game.turnDice.movesLeft.join(',') : '',
+      game.turnConfirmed,
+      game.cubeValue,
+      game.doubleOfferedBy,
+      game.isOver,
+      this.match.isOver
+    ].join('/');
+  };
+
+  this.resetBoard = function (match, rule) {
+    this.match = match;
+    this.rule = rule;
+    this.boardKey = null;
+    this.updateControls();
+  };
+
+  this.updateControls = function () {
+    if ((!this.match) || (!this.match.currentGame) || (!this.match.currentGame.state)) {
+      return;
+    }
+
+    var key = this.getBoardKey();
+    if (key !== this.boardKey) {
+      this.boardKey = key;
+      this.drawBoard();
+    }
+  };
+
+  this.updateScoreboard = function () {
+    // Score is printed with the board
+  };
+
+  this.handleEventUndoMoves = function () {
+    this.notifyInfo('Moves were undone.');
+  };
+
+  /**
+   * Show the result of the opening roll, that decided who starts the game
+   * @param {Object} params - Event parameters
+   * @param {number[]} params.values - Die values, indexed by piece type
+   * @param {Player} params.player - Player that starts the game
+   */
+  this.handleEventOpeningRoll = function (params) {
+    var type = this.getViewPieceType();
+    var message = 'Opening roll: you ' + params.values[type] + ', opponent ' +
+      params.values[PipCount.getOpponentType(type)];
+    if (params.rolls && params.rolls.length > 1) {
+      message += ' (' + (params.rolls.length - 1) + ' tie(s) rerolled)';
+    }
+    this.notifyInfo(message + ((params.player.id === this.client.player.id) ? '. You start.' : '. Opponent starts.'));
+  };
+
+  this.handleEventDoubleOffer = function () {
+    this.notifyInfo('Opponent offers a double to ' + (this.match.currentGame.cubeValue * 2) + '.');
+  };
+
+  this.handleEventDoubleAccept = function () {
+    this.notifyPositive('Opponent accepted the double.');
+  };
+
+  this.handleEventDoubleBeaver = function () {
+    this.notifyNegative('Opponent beavered the double. Cube is at ' + this.match.currentGame.cubeValue + '.');
+  };
+
+  /**
+   * Show summary of the analysis of a finished game
+   * @param {Object} params - Event parameters, with the `analysis`
+   */
+  this.handleEventGameAnalysis = function (params) {
+    var summary = params.analysis.players[this.getViewPieceType()];
+    this.notifyInfo('Analysis of game ' + (params.gameID + 1) + ': error rate ' + summary.errorRate.toFixed(1) +
+      ', ' + summary.doubtful + ' doubtful, ' + summary.errors + ' errors, ' + summary.blunders +
+      ' blunders, luck ' + summary.luck.toFixed(3));
+  };
+
+  this.handleEventGameRestart = function () {
+    this.notifyInfo('Next game. Score: you ' + this.match.score[this.getViewPieceType()] + ', opponent ' +
+      this.match.score[PipCount.getOpponentType(this.getViewPieceType())]);
+  };
+
+  this.showGameEndMessage = function (winner, resigned) {
+    var youWon = winner && this.client.player && (winner.id === this.client.player.id);
+    var message = (youWon ? 'You won' : 'You lost') + (this.match.isOver ? ' the match' : ' the game');
+    if (resigned) {
+      message += youWon ? ' (opponent resigned)' : ' (resigned)';
+    }
+    this.notifyInfo(message + '.');
+  };
+
+  this.resizeUI = function () {
+  };
+}
+
+module.exports = {
+  'TextBoard': TextBoard,
+  'TextBoardUI': TextBoardUI
+};
@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * Terminal client - play matches on a backgammon.js server from the command
+ * line. The board is drawn as text (see `TextBoardUI`).
+ *
+ * Usage:
+ *   node tools/play.js [--server=localhost:8080] [--name=Player]
+ *     [--join=slug | --create[=length] | --bot=difficulty] [--verbose] [--help]
+ *
+ * Invite matches are created with `create` and joined with `join` and the
+ * host slug of the player that created the match. Type `help` for the list
+ * of commands. Moves are given in standard notation (eg. `move 24/18 13/11*`)
+ * and can be made one at a time, before the turn is confirmed.
+ */
+
+var readline = require('readline');
+var model = require('../model.js');
+var comm = require('../comm.js');
+var Notation = require('../notation.js').Notation;
+var Client = require('../client.js').Client;
+var TextBoardUI = require('../textboard.js').TextBoardUI;
+
+/**
+ * Usage, shown with `--help` and when arguments are not valid
+ * @type {string}
+ */
+var USAGE = [
+  'Usage: node tools/play.js [--server=localhost:8080] [--name=Player]',
+  '  [--join=slug | --create[=length] | --bot=difficulty] [--verbose] [--help]'
+].join('\n');
+
+/**
+ * Descriptions of commands, shown by `help`
+ * @type {string[][]}
+ */
+var COMMANDS = [
+  ['create [length]', 'Create invite match'],
+  ['bot [difficulty] [length]', 'Play against computer (easy, medium, hard or expert)'],
+  ['join <slug>', 'Join invite match of host'],
+  ['roll', 'Roll dice'],
+  ['move <moves>', 'Move pieces, eg. move 24/18 13/11*'],
+  ['play <moves>', 'Move pieces and confirm turn'],
+  ['undo', 'Undo moves of this turn'],
+  ['confirm', 'Confirm moves'],
+  ['double', 'Offer a double'],
+  ['take | drop | beaver', 'Answer a double'],
+  ['hint', 'Show best moves or cube decision'],
+  ['resign [match]', 'Resign game or match'],
+  ['board', 'Show board'],
+  ['quit', 'Exit']
+];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments, without node and script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  var options = {
+    'server': 'localhost:' + comm.Protocol.Port,
+    'name': null,
+    'join': null,
+    'create': null,
+    'bot': null,
+    'verbose': false,
+    'help': false
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    var m = args[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (!m || !options.hasOwnProperty(m[1])) {
+      throw new Error('Unknown argument ' + args[i] + '!');
+    }
+    options[m[1]] = (m[2] === undefined) ? true : m[2];
+  }
+
+  return options;
+}
+
+function main() {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  }
+  catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  var serverURL = /^\w+:\/\//.test(options.server) ? options.server : 'http://' + options.server;
+
+  var rl = readline.createInterface({
+    'input': process.stdin,
+    'output': process.stdout,
+    'prompt': '> '
+  });
+
+  // Messages from server arrive while the user is typing, so the prompt is
+  // printed again after each message
+  var print = function (text) {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(text);
+    rl.prompt(true);
+  };
+
+  var client = new Client({
+    'serverURL': serverURL,
+    'playerName': options.name,
+    'boardUI': TextBoardUI,
+    'verbose': !!options.verbose,
+    'print': print
+  });
+
+  /**
+   * Create callback, that reports errors in replies of server
+   */
+  var handleReply = function (next) {
+    return function (msg, seq, params) {
+      if (!params.result) {
+        print('Error: ' + (params.errorMessage || 'Request ' + msg + ' failed!'));
+        return;
+      }
+      if (next) {
+        next(params);
+      }
+    };
+  };
+
+  var createMatch = function (length, botDifficulty) {
+    if (!client.player) {
+      print('Error: Not connected to server!');
+      return;
+    }
+    var name = client.player.name;
+    client.reqCreateMatchInviteOnly({
+      'playerName': name,
+      'hostSlug': name,
+      'matchLength': length,
+      'opponent': botDifficulty ? 'bot' : undefined,
+      'botDifficulty': (botDifficulty && (botDifficulty !== true)) ? botDifficulty : undefined
+    }, handleReply(function (params) {
+      if (!botDifficulty) {
+        print('Match created. Your opponent joins with: join ' + params.hostSlug);
+      }
+    }));
+  };
+
+  /**
+   * Make moves given in notation one at a time, each after the reply to the
+   * previous one
+   */
+  var makeMoves = function (text) {
+    var game = client.match && client.match.currentGame;
+    if ((!game) || (!model.Game.isPlayerTurn(game, client.player)) || (!model.Game.diceWasRolled(game))) {
+      print('Error: You cannot move now!');
+      return;
+    }
+
+    var moves;
+    try {
+      moves = Notation.parseTurn(client.rule, game.state, game.turnDice, client.player.currentPieceType, text);
+    } catch (e) {
+      print('Error: ' + e.message);
+      return;
+    }
+
+    var next = function (index) {
+      if (index < moves.length) {
+        client.reqMove(moves[index].piece, moves[index].steps, handleReply(function () {
+          next(index + 1);
+        }));
+      }
+    };
+    next(0);
+  };
+
+  var showHint = function (params) {
+    if (params.cube) {
+      // When a double is offered, the cube is analyzed for the opponent
+      var cube = params.cube;
+      var answering = model.Game.isDoubleOffered(client.match.currentGame);
+      var win = answering ? 1 - cube.probabilities.win : cube.probabilities.win;
+      var advice = answering ? (cube.shouldTake ? 'take' : 'drop') : (cube.action || 'cube not available');
+      print('Chances to win ' + (100 * win).toFixed(1) + '%, ' + advice);
+    }
+    for (var i = 0; i < params.hints.length; i++) {
+      var hint = params.hints[i];
+      print((i + 1) + '. ' + hint.notation + ((i > 0) ? ' (' + hint.difference.toFixed(3) + ')' : ''));
+    }
+  };
+
+  var handlers = {
+    'create': function (args) {
+      createMatch(parseInt(args[0], 10) || undefined);
+    },
+    'bot': function (args) {
+      createMatch(parseInt(args[1], 10) || undefined, args[0] || true);
+    },
+    'join': function (args) {
+      if (!args[0]) {
+        print('Error: Host slug is required!');
+        return;
+      }
+      client.reqJoinMatchByHostSlug(args[0], handleReply());
+    },
+    'roll': function () {
+      client.reqRollDice(handleReply());
+    },
+    'move': function (args) {
+      makeMoves(args.join(' '));
+    },
+    'play': function (args) {
+      client.reqSubmitTurn(args.join(' '), handleReply());
+    },
+    'undo': function () {
+      client.reqUndoMoves(handleReply());
+    },
+    'confirm': function () {
+      client.reqConfirmMoves(handleReply());
+    },
+    'double': function () {
+      client.reqOfferDouble(handleReply());
+    },
+    'take': function () {
+      client.reqAcceptDouble(handleReply());
+    },
+    'drop': function () {
+      client.reqRejectDouble(handleReply());
+    },
+    'beaver': function () {
+      client.reqBeaverDouble(handleReply());
+    },
+    'hint': function () {
+      client.reqGetHint(3, handleReply(showHint));
+    },
+    'resign': function (args) {
+      if (args[0] === 'match') {
+        client.reqResignMatch(handleReply());
+      }
+      else {
+        client.reqResignGame(handleReply());
+      }
+    },
+    'board': function () {
+      client.boardUI.drawBoard();
+    },
+    'help': function () {
+      for (var i = 0; i < COMMANDS.length; i++) {
+        print('  ' + (COMMANDS[i][0] + '                          ').slice(0, 28) + COMMANDS[i][1]);
+      }
+    },
+    'quit': function () {
+      rl.close();
+    }
+  };
+
+  // Start match requested on command line, once the player is created
+  var started = false;
+  client.subscribe(comm.Message.CREATE_GUEST, function (msg, params) {
+    print('Connected to ' + serverURL + ' as ' + params.player.name + '. Type help for commands.');
+    if (started || params.reconnected) {
+      return;
+    }
+    started = true;
+    if (options.join) {
+      handlers.join([options.join]);
+    }
+    else if (options.bot) {
+      createMatch(parseInt(options.create, 10) || undefined, options.bot);
+    }
+    else if (options.create) {
+      createMatch(parseInt(options.create, 10) || undefined);
+    }
+  });
+
+  client.subscribe(comm.Message.EVENT_MATCH_START, function () {
+    print('Match started: ' + (client.match.name || ('match ' + client.match.id)));
+  });
+
+  rl.on('line', function (line) {
+    var args = line.trim().split(/\s+/);
+    var command = args.shift().toLowerCase();
+    if (command) {
+      if (handlers.hasOwnProperty(command)) {
+        handlers[command](args);
+      }
+      else {
+        print('Unknown command ' + command + '. Type help for commands.');
+      }
+    }
+    rl.prompt();
+  });
+
+  rl.on('close', function () {
+    process.exit(0);
+  });
+
+  rl.prompt();
+}
+
+main();
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Monte Carlo rollout of a position from the command line (see `Rollout`).
+ * Runs offline - no server is needed.
+ *
+ * Usage:
+ *   node tools/rollout.js [--position=ID | --state=file] [--rule=RuleBgCasual]
+ *     [--onRoll=white] [--trials=1296] [--workers=N] [--seed=S]
+ *     [--difficulty=medium] [--vr=1] [--weights=file] [--bearoff=file] [--json]
+ *     [--help]
+ *
+ * The position is given as gnubg Position ID, from the point of view of the
+ * player on roll, or as a file with a `model.State` saved as JSON. The
+ * starting position of the rule is rolled out if neither is given.
+ * Positions are played by the heuristic evaluator, or by a neural network
+ * loaded from `--weights`. The bear-off database in `databases/bearoff.bin`
+ * is used, if it exists. Set `--vr=0` to disable luck adjustment, which
+ * makes trials much slower.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var model = require('../model.js');
+var neural = require('../neural.js');
+var Rollout = require('../rollout.js').Rollout;
+
+/**
+ * Usage, shown with `--help` and when arguments are not valid
+ * @type {string}
+ */
+var USAGE = [
+  'Usage: node tools/rollout.js [--position=ID | --state=file] [--rule=RuleBgCasual]',
+  '  [--onRoll=white] [--trials=1296] [--workers=N] [--seed=S]',
+  '  [--difficulty=medium] [--vr=1] [--weights=file] [--bearoff=file] [--json]',
+  '  [--help]'
+].join('\n');
+
+/**
+ * Check that a rule with the given name exists
+ * @param {string} ruleName - Name of rule (eg. 'RuleBgCasual')
+ * @throws Throws an error if there is no such rule
+ */
+function checkRule(ruleName) {
+  if (!/^Rule\w+$/.test(ruleName) || !fs.existsSync(path.join(__dirname, '..', 'rules', ruleName + '.js'))) {
+    throw new Error('Unknown rule ' + ruleName + '!');
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments, without node and script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  var options = {
+    'rule': 'RuleBgCasual',
+    'position': null,
+    'state': null,
+    'onRoll': 'white',
+    'trials': Rollout.DEFAULT_TRIALS,
+    'workers': null,
+    'seed': null,
+    'difficulty': null,
+    'vr': 1,
+    'weights': null,
+    'bearoff': path.join(__dirname, '..', 'databases', 'bearoff.bin'),
+    'json': false,
+    'help': false
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    var m = args[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (!m || !options.hasOwnProperty(m[1])) {
+      throw new Error('Unknown argument ' + args[i] + '!');
+    }
+    var value = (m[2] === undefined) ? true : m[2];
+    if ((m[1] === 'trials') || (m[1] === 'workers') || (m[1] === 'vr')) {
+      value = parseInt(value, 10);
+    }
+    options[m[1]] = value;
+  }
+  checkRule(options.rule);
+
+  return options;
+}
+
+/**
+ * Format probability as percents, with confidence interval
+ * @param {{mean: number, ci: number}} value - Mean and confidence interval
+ * @returns {string} - Formatted value
+ */
+function formatPercent(value) {
+  return (100 * value.mean).toFixed(2) + '% +/- ' + (100 * value.ci).toFixed(2) + '%';
+}
+
+function main() {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  }
+  catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  var rule = Rollout.loadRule(options.rule);
+  var onRoll = (options.onRoll === 'black') ? model.PieceType.BLACK : model.PieceType.WHITE;
+
+  var state;
+  if (options.position) {
+    state = Rollout.createState(rule, options.position, onRoll);
+  }
+  else if (options.state) {
+    state = model.State.clone(JSON.parse(fs.readFileSync(options.state, 'utf8')));
+  }
+  else {
+    state = new model.State();
+    rule.initialize(state);
+    rule.resetState(state);
+  }
+
+  var rollout = new Rollout({
+    'ruleName': options.rule,
+    'trials': options.trials,
+    'workers': options.workers,
+    'seed': options.seed,
+    'varianceReduction': options.vr !== 0,
+    'difficulty': options.difficulty,
+    'evaluator': options.weights ? neural.NeuralEvaluator.fromJSON(JSON.parse(fs.readFileSync(options.weights, 'utf8'))) : null,
+    'bearoffPath': fs.existsSync(options.bearoff) ? options.bearoff : null
+  });
+
+  if (!options.json) {
+    console.log('Rolling out ' + rollout.trials + ' games with ' + rollout.workers + ' workers (seed ' + rollout.seed + ')');
+  }
+
+  var reported = 0;
+  rollout.run(state, onRoll, function (err, results) {
+    if (err) {
+      console.error('Rollout failed: ' + err.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+
+    console.log('Win:              ' + formatPercent(results.win));
+    console.log('Win gammon:       ' + formatPercent(results.winGammon));
+    console.log('Win backgammon:   ' + formatPercent(results.winBackgammon));
+    console.log('Lose gammon:      ' + formatPercent(results.loseGammon));
+    console.log('Lose backgammon:  ' + formatPercent(results.loseBackgammon));
+    console.log('Cubeless equity:  ' + results.equity.mean.toFixed(3) + ' +/- ' + results.equity.ci.toFixed(3));
+    console.log('Games: ' + results.trials + ', time: ' + (results.time / 1000).toFixed(1) + 's');
+  }, function (done, total) {
+    // Report progress every 10%
+    if (!options.json && (done * 10 >= (reported + 1) * total)) {
+      reported = Math.floor(done * 10 / total);
+      console.log('Games: ' + done + '/' + total);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Tournament between two computer players from the command line (see
+ * `Tournament`). Matches are played in-process - no server is needed.
+ *
+ * Usage:
+ *   node tools/tournament.js [--a=hard] [--b=medium] [--matches=100]
+ *     [--length=1] [--rule=RuleBgCasual] [--seed=S] [--cube=1]
+ *     [--aNoise=N] [--bNoise=N] [--aWeights=file] [--bWeights=file]
+ *     [--aNetwork=file] [--bNetwork=file] [--bearoff=file] [--json] [--help]
+ *
+ * Players are given by difficulty of their engine (easy, medium, hard or
+ * expert). By default they use the heuristic evaluator. Custom heuristic
+ * weights are loaded from `--aWeights` and `--bWeights`, and neural network
+ * weights from `--aNetwork` and `--bNetwork`. The bear-off database in
+ * `databases/bearoff.bin` is used by both players, if it exists. Results
+ * are given from the point of view of player A.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var heuristic = require('../heuristic.js');
+var neural = require('../neural.js');
+var bearoff = require('../bearoff.js');
+var Tournament = require('../tournament.js').Tournament;
+
+/**
+ * Usage, shown with `--help` and when arguments are not valid
+ * @type {string}
+ */
+var USAGE = [
+  'Usage: node tools/tournament.js [--a=hard] [--b=medium] [--matches=100]',
+  '  [--length=1] [--rule=RuleBgCasual] [--seed=S] [--cube=1]',
+  '  [--aNoise=N] [--bNoise=N] [--aWeights=file] [--bWeights=file]',
+  '  [--aNetwork=file] [--bNetwork=file] [--bearoff=file] [--json] [--help]'
+].join('\n');
+
+/**
+ * Check that a rule with the given name exists
+ * @param {string} ruleName - Name of rule (eg. 'RuleBgCasual')
+ * @throws Throws an error if there is no such rule
+ */
+function checkRule(ruleName) {
+  if (!/^Rule\w+$/.test(ruleName) || !fs.existsSync(path.join(__dirname, '..', 'rules', ruleName + '.js'))) {
+    throw new Error('Unknown rule ' + ruleName + '!');
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments, without node and script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  var options = {
+    'rule': 'RuleBgCasual',
+    'matches': Tournament.DEFAULT_MATCHES,
+    'length': 1,
+    'seed': null,
+    'cube': 1,
+    'a': 'hard',
+    'b': 'medium',
+    'aNoise': null,
+    'bNoise': null,
+    'aWeights': null,
+    'bWeights': null,
+    'aNetwork': null,
+    'bNetwork': null,
+    'bearoff': path.join(__dirname, '..', 'databases', 'bearoff.bin'),
+    'json': false,
+    'help': false
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    var m = args[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (!m || !options.hasOwnProperty(m[1])) {
+      throw new Error('Unknown argument ' + args[i] + '!');
+    }
+    var value = (m[2] === undefined) ? true : m[2];
+    if ((m[1] === 'matches') || (m[1] === 'length') || (m[1] === 'cube')) {
+      value = parseInt(value, 10);
+    }
+    else if ((m[1] === 'aNoise') || (m[1] === 'bNoise')) {
+      value = parseFloat(value);
+    }
+    options[m[1]] = value;
+  }
+
+  if ((options.matches < 1) || (options.length < 1) || isNaN(options.matches + options.length)) {
+    throw new Error('Number of matches and match length must be at least 1!');
+  }
+  checkRule(options.rule);
+
+  return options;
+}
+
+/**
+ * Create evaluator of player from heuristic or neural network weights
+ * @param {string} [weightsFile] - File with heuristic weights
+ * @param {string} [networkFile] - File with neural network weights
+ * @returns {Object} - Evaluator
+ */
+function createEvaluator(weightsFile, networkFile) {
+  if (networkFile) {
+    return neural.NeuralEvaluator.fromJSON(JSON.parse(fs.readFileSync(networkFile, 'utf8')));
+  }
+  if (weightsFile) {
+    return new heuristic.HeuristicEvaluator(JSON.parse(fs.readFileSync(weightsFile, 'utf8')));
+  }
+  return new heuristic.HeuristicEvaluator();
+}
+
+/**
+ * Describe player, for the report
+ * @param {string} difficulty - Difficulty of engine
+ * @param {string} [weightsFile] - File with heuristic weights
+ * @param {string} [networkFile] - File with neural network weights
+ * @returns {string} - Description
+ */
+function describePlayer(difficulty, weightsFile, networkFile) {
+  var evaluator = networkFile ? 'network ' + path.basename(networkFile) :
+    (weightsFile ? 'weights ' + path.basename(weightsFile) : 'heuristic');
+  return difficulty + ', ' + evaluator;
+}
+
+/**
+ * Format rate as percents, with confidence interval
+ * @param {{mean: number, ci: number}} value - Mean and confidence interval
+ * @returns {string} - Formatted value
+ */
+function formatPercent(value) {
+  return (100 * value.mean).toFixed(1) + '% +/- ' + (100 * value.ci).toFixed(1) + '%';
+}
+
+function main() {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  }
+  catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  var database = fs.existsSync(options.bearoff) ?
+    bearoff.BearoffDatabase.fromBuffer(fs.readFileSync(options.bearoff)) : null;
+
+  var tournament = new Tournament({
+    'ruleName': options.rule,
+    'matches': options.matches,
+    'matchLength': options.length,
+    'seed': options.seed,
+    'cube': options.cube !== 0,
+    'players': [
+      {
+        'name': 'A (' + describePlayer(options.a, options.aWeights, options.aNetwork) + ')',
+        'difficulty': options.a,
+        'noise': options.aNoise,
+        'evaluator': createEvaluator(options.aWeights, options.aNetwork),
+        'bearoff': database
+      },
+      {
+        'name': 'B (' + describePlayer(options.b, options.bWeights, options.bNetwork) + ')',
+        'difficulty': options.b,
+        'noise': options.bNoise,
+        'evaluator': createEvaluator(options.bWeights, options.bNetwork),
+        'bearoff': database
+      }
+    ]
+  });
+
+  // Rules log every roll, which would hide the report
+  var log = console.log;
+  console.log = function () {};
+
+  if (!options.json) {
+    log('Playing ' + tournament.matches + ' matches to ' + tournament.matchLength +
+      ' of ' + tournament.ruleName + ' (seed ' + tournament.seed + ')');
+  }
+
+  var reported = 0;
+  var results = tournament.run(function (done, total) {
+    // Report progress every 10%
+    if (!options.json && (done * 10 >= (reported + 1) * total)) {
+      reported = Math.floor(done * 10 / total);
+      log('Matches: ' + done + '/' + total);
+    }
+  });
+
+  if (options.json) {
+    log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  for (var i = 0; i < results.players.length; i++) {
+    var player = results.players[i];
+    log(player.name);
+    log('  Matches won:    ' + player.matchWins + ' (' + formatPercent(player.matchWinRate) + ')');
+    log('  Games won:      ' + player.gameWins + ' (' + formatPercent(player.gameWinRate) + ')');
+    log('  Gammons:        ' + player.gammons + ', backgammons: ' + player.backgammons);
+    log('  Points won:     ' + player.points);
+  }
+  log('Points per game for A: ' + results.pointsPerGame.mean.toFixed(3) + ' +/- ' + results.pointsPerGame.ci.toFixed(3));
+  log('Games: ' + results.games + ', time: ' + (results.time / 1000).toFixed(1) + 's, ' +
+    results.gamesPerSecond.toFixed(2) + ' games per second');
+}
+
+main();
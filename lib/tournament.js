@@ -0,0 +1,398 @@
+var model = require('./model.js');
+var engine = require('./engine.js');
+var heuristic = require('./heuristic.js');
+var notation = require('./notation.js');
+var cube = require('./cube.js');
+
+var Engine = engine.Engine;
+
+/**
+ * Tournament between two computer players, used to tell whether a change of
+ * the engine or evaluator makes a stronger player.
+ *
+ * Matches are played in-process, without a server: turns are played with
+ * `Rule`, `Match` and `Game` the same way the server plays them, turns are
+ * chosen by `Engine` and cube decisions are made by `CubeAdvisor`. Players
+ * swap colors after each match, so that neither has the advantage of a
+ * color. Each match has its own dice source, derived from the seed and the
+ * number of the match, so the same seed gives the same dice to two
+ * tournaments, as long as the players make the same moves. Noise of each
+ * engine comes from a separate stream, derived the same way.
+ *
+ * Results are given from the point of view of the first player, with
+ * confidence intervals of 95%.
+ * @constructor
+ * @param {Object} [options] - Options
+ * @param {string} [options.ruleName] - Name of rule, RuleBgCasual by default
+ * @param {number} [options.matches] - Number of matches
+ * @param {number} [options.matchLength] - Length of each match, in points
+ * @param {number|string} [options.seed] - Seed of dice, random if omitted
+ * @param {boolean} [options.cube] - Players use the doubling cube, true by default
+ * @param {Object[]} [options.players] - Options of the two players: `name`,
+ *        `difficulty`, `noise`, `evaluator` (heuristic by default) and `bearoff`
+ *        (bear-off database, used in races)
+ * @param {CubeAdvisor} [options.advisor] - Advisor used for cube decisions
+ */
+function Tournament(options) {
+  options = options || {};
+
+  /**
+   * Name of rule
+   * @type {string}
+   */
+  this.ruleName = options.ruleName || 'RuleBgCasual';
+
+  /**
+   * Number of matches
+   * @type {number}
+   */
+  this.matches = options.matches || Tournament.DEFAULT_MATCHES;
+
+  /**
+   * Length of each match, in points
+   * @type {number}
+   */
+  this.matchLength = options.matchLength || 1;
+
+  /**
+   * Seed of dice
+   * @type {number|string}
+   */
+  this.seed = (options.seed != null) ? options.seed : Math.floor(Math.random() * 4294967296);
+
+  /**
+   * Players use the doubling cube
+   * @type {boolean}
+   */
+  this.cube = (options.cube != null) ? !!options.cube : true;
+
+  /**
+   * Advisor used for cube decisions
+   * @type {CubeAdvisor}
+   */
+  this.advisor = options.advisor || new cube.CubeAdvisor();
+
+  var players = options.players || [];
+
+  /**
+   * The two players
+   * @type {{name: string, engine: Engine}[]}
+   */
+  this.players = [
+    Tournament.createPlayer(players[0], 'A'),
+    Tournament.createPlayer(players[1], 'B')
+  ];
+}
+
+/**
+ * Default number of matches
+ * @type {number}
+ */
+Tournament.DEFAULT_MATCHES = 100;
+
+/**
+ * Maximum number of turns in a game, to detect games that never end
+ * @type {number}
+ */
+Tournament.MAX_TURNS = 1000;
+
+/**
+ * Quantile of normal distribution for confidence intervals of 95%
+ * @type {number}
+ */
+Tournament.Z = 1.96;
+
+/**
+ * Create a computer player
+ * @param {Object} [options] - Options of player: `name`, `difficulty`,
+ *                             `noise`, `evaluator` and `bearoff`
+ * @param {string} defaultName - Name used if options have none
+ * @returns {{name: string, engine: Engine}} - Player
+ */
+Tournament.createPlayer = function (options, defaultName) {
+  options = options || {};
+  return {
+    'name': options.name || defaultName,
+    'engine': new Engine({
+      'difficulty': options.difficulty,
+      'noise': options.noise,
+      'evaluator': options.evaluator || new heuristic.HeuristicEvaluator(),
+      'bearoff': options.bearoff
+    })
+  };
+};
+
+/**
+ * Create a seeded random number generator, used for noise of engines
+ * @param {string} seed - Seed
+ * @returns {function} - Function returning numbers between 0 (inclusive) and 1 (exclusive)
+ */
+Tournament.createRandom = function (seed) {
+  var source = new model.SeededDiceSource(seed);
+  return function () {
+    return source.nextUint32() / 4294967296;
+  };
+};
+
+/**
+ * Get mean and confidence interval from a sum and a sum of squares
+ * @param {number} sum - Sum of values
+ * @param {number} squares - Sum of squares of values
+ * @param {number} count - Number of values
+ * @returns {{mean: number, ci: number}} - Mean and confidence interval
+ */
+Tournament.getInterval = function (sum, squares, count) {
+  if (count <= 0) {
+    return { 'mean': 0, 'ci': 0 };
+  }
+  var mean = sum / count;
+  var variance = (count > 1) ? Math.max(0, (squares - count * mean * mean) / (count - 1)) : 0;
+  return {
+    'mean': mean,
+    'ci': Tournament.Z * Math.sqrt(variance / count)
+  };
+};
+
+/**
+ * Decide whether the player on roll should double, and whether the
+ * opponent takes, and end the game if the double is dropped
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {Engine} doublerEngine - Engine of the player on roll
+ * @param {Engine} takerEngine - Engine of the opponent
+ * @returns {boolean} - True if the double was dropped and the game is over
+ */
+Tournament.prototype.playCube = function (rule, match, doublerEngine, takerEngine) {
+  var game = match.currentGame;
+  var player = game.turnPlayer;
+  var type = player.currentPieceType;
+
+  if ((!this.cube) || (!rule.validateDouble(game, player))) {
+    return false;
+  }
+
+  var probabilities = doublerEngine.getProbabilities(rule, game.state, type);
+  if (!this.advisor.analyze(rule, match, type, probabilities).shouldDouble) {
+    return false;
+  }
+
+  model.Game.offerDouble(game, type);
+
+  // The opponent judges the position with its own engine
+  probabilities = takerEngine.getProbabilities(rule, game.state, type);
+  if (this.advisor.analyze(rule, match, type, probabilities).shouldTake) {
+    model.Game.acceptDouble(game);
+    return false;
+  }
+
+  model.Game.rejectDouble(game);
+  return true;
+};
+
+/**
+ * Play a turn, with the turn chosen by the engine of the player on roll
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {Engine} turnEngine - Engine of the player on roll
+ * @param {DiceSource} source - Source of dice values
+ */
+Tournament.prototype.playTurn = function (rule, match, turnEngine, source) {
+  var game = match.currentGame;
+  var player = game.turnPlayer;
+
+  if (!model.Game.diceWasRolled(game)) {
+    game.turnDice = rule.rollDice(game, null, source);
+  }
+
+  var turn = turnEngine.chooseTurn(rule, game.state, game.turnDice.movesLeft, player.currentPieceType);
+  for (var i = 0; turn && (i < turn.moves.length); i++) {
+    var move = turn.moves[i];
+    var actionList = rule.getMoveActions(game.state, move.piece, move.steps);
+    rule.applyMoveActions(game.state, actionList);
+    rule.markAsPlayed(game, move.steps);
+    model.Game.addTurnMove(game, move.piece, move.steps, actionList);
+  }
+
+  model.Game.addTurnRecord(game, notation.Notation.createTurnRecord(rule, game, player));
+};
+
+/**
+ * Play a game of a match to the end, and add the points won to match score
+ * @param {Rule} rule - Rule
+ * @param {Match} match - Match
+ * @param {Engine[]} engines - Engines of players, indexed by piece type
+ * @param {DiceSource} source - Source of dice values
+ * @returns {{winner: PieceType, points: number, result: number, turns: number}} -
+ *          Winner, points won, result of game (1 for single game, 2 for gammon,
+ *          3 for backgammon) and number of turns played
+ * @throws Throws an error if the game does not end in `MAX_TURNS` turns
+ */
+Tournament.prototype.playGame = function (rule, match, engines, source) {
+  var game = model.Match.createNewGame(match, rule);
+  game.hasStarted = true;
+  game.turnNumber = 1;
+  rule.rollOpening(match, source);
+
+  for (var turn = 0; turn < Tournament.MAX_TURNS; turn++) {
+    var player = game.turnPlayer;
+    var type = player.currentPieceType;
+    var opponent = (player === match.host) ? match.guest : match.host;
+    var winner = null;
+    var result = 1;
+
+    if (this.playCube(rule, match, engines[type], engines[opponent.currentPieceType])) {
+      winner = opponent;
+    }
+    else {
+      this.playTurn(rule, match, engines[type], source);
+      if (rule.hasWon(game.state, player)) {
+        winner = player;
+        result = rule.getGameScore(game.state, player);
+      }
+    }
+
+    if (winner) {
+      var points = rule.getGamePoints(match, winner);
+      match.score[winner.currentPieceType] += points;
+      model.Match.addGameRecord(match, winner.currentPieceType, points, false);
+      if (model.Match.hasReachedLength(match, winner.currentPieceType)) {
+        match.isOver = true;
+      }
+      game.isOver = true;
+      return {
+        'winner': winner.currentPieceType,
+        'points': points,
+        'result': result,
+        'turns': turn + 1
+      };
+    }
+
+    rule.nextTurn(match);
+  }
+
+  throw new Error('Game did not end in ' + Tournament.MAX_TURNS + ' turns!');
+};
+
+/**
+ * Play a match. The first player plays white in even matches and black in
+ * odd matches.
+ * @param {Rule} rule - Rule
+ * @param {number} index - Number of match, from 0
+ * @returns {{winner: number, games: Object[]}} - Index of player that won
+ *          the match and results of games (see `playGame`), with the index
+ *          of the winner of each game as `player`
+ */
+Tournament.prototype.playMatch = function (rule, index) {
+  var source = new model.SeededDiceSource(this.seed + ':' + index);
+
+  var match = model.Match.createNew(rule, { 'length': this.matchLength });
+  var host = model.Player.createNew();
+  var guest = model.Player.createNew();
+  model.Match.addHostPlayer(match, host);
+  model.Match.addGuestPlayer(match, guest);
+  host.currentPieceType = model.PieceType.WHITE;
+  guest.currentPieceType = model.PieceType.BLACK;
+
+  // Index of player of each color
+  var first = index % 2;
+  var playerOf = [first, 1 - first];
+  var engines = [this.players[playerOf[0]].engine, this.players[playerOf[1]].engine];
+
+  // Noise of each engine has its own stream, so that it does not change the
+  // dice, and the dice of a match do not depend on the noise of the players
+  for (var type = 0; type < engines.length; type++) {
+    engines[type].random = Tournament.createRandom(this.seed + ':' + index + ':noise:' + playerOf[type]);
+  }
+
+  var games = [];
+  while (!match.isOver) {
+    var result = this.playGame(rule, match, engines, source);
+    result.player = playerOf[result.winner];
+    games.push(result);
+  }
+
+  return {
+    'winner': (match.score[model.PieceType.WHITE] > match.score[model.PieceType.BLACK]) ? playerOf[0] : playerOf[1],
+    'games': games
+  };
+};
+
+/**
+ * Play all matches of the tournament
+ * @param {function} [progress] - Called after each match with the number of
+ *                                matches played and the total number of matches
+ * @returns {Object} - Results: number of `matches` and `games`, `time` in
+ *          milliseconds, `gamesPerSecond`, `pointsPerGame` - average points
+ *          won per game by the first player, and `players` - for each player
+ *          the number of matches and games won, `matchWinRate` and
+ *          `gameWinRate`, gammons and backgammons won and points won
+ */
+Tournament.prototype.run = function (progress) {
+  var rule = model.Utils.loadRule(this.ruleName);
+  var startTime = Date.now();
+
+  var players = [];
+  for (var p = 0; p < this.players.length; p++) {
+    players.push({
+      'name': this.players[p].name,
+      'matchWins': 0,
+      'gameWins': 0,
+      'gammons': 0,
+      'backgammons': 0,
+      'points': 0
+    });
+  }
+
+  var games = 0;
+  var pointSum = 0;
+  var pointSquares = 0;
+
+  for (var m = 0; m < this.matches; m++) {
+    var match = this.playMatch(rule, m);
+    players[match.winner].matchWins++;
+
+    for (var g = 0; g < match.games.length; g++) {
+      var game = match.games[g];
+      var winner = players[game.player];
+      winner.gameWins++;
+      winner.points += game.points;
+      if (game.result === 2) {
+        winner.gammons++;
+      }
+      else if (game.result === 3) {
+        winner.backgammons++;
+      }
+
+      var points = (game.player === 0) ? game.points : -game.points;
+      pointSum += points;
+      pointSquares += points * points;
+      games++;
+    }
+
+    if (progress) {
+      progress(m + 1, this.matches);
+    }
+  }
+
+  for (p = 0; p < players.length; p++) {
+    players[p].matchWinRate = Tournament.getInterval(players[p].matchWins, players[p].matchWins, this.matches);
+    players[p].gameWinRate = Tournament.getInterval(players[p].gameWins, players[p].gameWins, games);
+  }
+
+  var time = Date.now() - startTime;
+  return {
+    'ruleName': this.ruleName,
+    'seed': this.seed,
+    'matchLength': this.matchLength,
+    'matches': this.matches,
+    'games': games,
+    'time': time,
+    'gamesPerSecond': games / Math.max(time, 1) * 1000,
+    'pointsPerGame': Tournament.getInterval(pointSum, pointSquares, games),
+    'players': players
+  };
+};
+
+module.exports = {
+  'Tournament': Tournament
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Generation of the one-sided bear-off database (`BearoffDatabase`), used by
+ * computer players and hints in races.
+ *
+ * Usage:
+ *   node training/gen_bearoff.js [--points=6] [--pieces=15] [--out=file]
+ *
+ * The database is saved to `databases/bearoff.bin` by default. Generation
+ * of the default database (54264 positions) takes about a minute.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var BearoffDatabase = require('../bearoff.js').BearoffDatabase;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments, without node and script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  var options = {
+    'points': 6,
+    'pieces': 15,
+    'out': path.join(__dirname, '..', 'databases', 'bearoff.bin')
+  };
+
+  for (var i = 0; i < args.length; i++) {
+    var m = args[i].match(/^--(\w+)=(.*)$/);
+    if (m) {
+      options[m[1]] = (m[1] === 'out') ? m[2] : parseInt(m[2], 10);
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  var options = parseArgs(process.argv.slice(2));
+  var size = BearoffDatabase.getPositionCount(options.points, options.pieces);
+  var start = Date.now();
+
+  console.log('Generating bear-off database of ' + options.pieces + ' pieces on ' +
+    options.points + ' points (' + size + ' positions)');
+
+  var db = BearoffDatabase.generate(options.points, options.pieces, function (count) {
+    if (count % 10000 === 0) {
+      console.log('Positions: ' + count + '/' + size);
+    }
+  });
+
+  var dir = path.dirname(options.out);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+  var buffer = db.toBuffer();
+  fs.writeFileSync(options.out, buffer);
+
+  console.log('Database saved to ' + options.out + ' (' + buffer.length + ' bytes, ' +
+    ((Date.now() - start) / 1000).toFixed(0) + 's)');
+}
+
+main();
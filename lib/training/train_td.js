@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * Training of neural network evaluators (`NeuralEvaluator`) by self-play,
+ * with temporal difference learning - TD(lambda), as in TD-Gammon.
+ *
+ * The network plays both sides. Each turn is chosen greedily, by the
+ * evaluation of the resulting positions, and after each turn the network is
+ * moved towards its evaluation of the next position. At the end of the game
+ * it is moved towards the actual result. Gammons are not taken into account.
+ *
+ * Weights are saved as JSON, one file for each rule. Training continues from
+ * the saved weights, if the file already exists. Every `evalEvery` games the
+ * network plays `evalGames` games against the heuristic evaluator, to show
+ * the progress.
+ *
+ * Usage:
+ *   node training/train_td.js [ruleName] [games] [--hidden=40] [--alpha=0.1]
+ *     [--lambda=0.7] [--evalEvery=1000] [--evalGames=100] [--out=file]
+ *
+ * Weights are saved to `weights/<ruleName>.json` by default.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var model = require('../model.js');
+var neural = require('../neural.js');
+var heuristic = require('../heuristic.js');
+var Engine = require('../engine.js').Engine;
+
+var NeuralNetwork = neural.NeuralNetwork;
+var NeuralEvaluator = neural.NeuralEvaluator;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments, without node and script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  var options = {
+    'ruleName': 'RuleBgCasual',
+    'games': 10000,
+    'hidden': 40,
+    'alpha': 0.1,
+    'lambda': 0.7,
+    'evalEvery': 1000,
+    'evalGames': 100,
+    'out': null
+  };
+
+  var positional = [];
+  for (var i = 0; i < args.length; i++) {
+    var m = args[i].match(/^--(\w+)=(.*)$/);
+    if (m) {
+      options[m[1]] = (m[1] === 'out') ? m[2] : parseFloat(m[2]);
+    }
+    else {
+      positional.push(args[i]);
+    }
+  }
+
+  if (positional[0]) {
+    options.ruleName = positional[0];
+  }
+  if (positional[1]) {
+    options.games = parseInt(positional[1], 10);
+  }
+  if (!options.out) {
+    options.out = path.join(__dirname, '..', 'weights', options.ruleName + '.json');
+  }
+
+  return options;
+}
+
+/**
+ * Roll two dice
+ * @returns {number[]} - Move values, in descending order. Four values for doubles.
+ */
+function rollMoves() {
+  var roll = Engine.ROLLS[0];
+  var r = Math.random() * 36;
+  for (var i = 0; i < Engine.ROLLS.length; i++) {
+    roll = Engine.ROLLS[i];
+    r -= roll.probability * 36;
+    if (r < 0) {
+      break;
+    }
+  }
+  return roll.moves;
+}
+
+/**
+ * Create state at start of game
+ * @param {Rule} rule - Rule
+ * @returns {State} - State
+ */
+function createInitialState(rule) {
+  var state = new model.State();
+  rule.initialize(state);
+  rule.resetState(state);
+  return state;
+}
+
+/**
+ * Choose the turn with best evaluation of resulting position
+ * @param {Rule} rule - Rule
+ * @param {Object} evaluator - Evaluator
+ * @param {State} state - State at start of turn
+ * @param {number[]} moves - Move values
+ * @param {PieceType} type - Type of player's pieces
+ * @returns {State} - State after turn
+ */
+function playTurn(rule, evaluator, state, moves, type) {
+  var turns = rule.getLegalTurns(state, moves, type);
+  var best = turns[0];
+  var bestScore = -Infinity;
+  for (var i = 0; i < turns.length; i++) {
+    var score = evaluator.evaluate(rule, turns[i].state, type);
+    if (score > bestScore) {
+      best = turns[i];
+      bestScore = score;
+    }
+  }
+  return best.state;
+}
+
+/**
+ * Play one game of self-play and update the network after each turn
+ * @param {Rule} rule - Rule
+ * @param {NeuralEvaluator} evaluator - Evaluator being trained
+ * @param {Object} options - Training options
+ * @returns {number} - Number of turns played
+ */
+function trainGame(rule, evaluator, options) {
+  var network = evaluator.network;
+  var traces = new Float64Array(network.weights.length);
+  var gradient = new Float64Array(network.weights.length);
+  var state = createInitialState(rule);
+  var type = (Math.random() < 0.5) ? model.PieceType.WHITE : model.PieceType.BLACK;
+  var previous = null;
+  var turns = 0;
+  var i;
+
+  // Network estimates the chance of the player who has just moved, but
+  // the value learned is the chance of white to win
+  while (true) {
+    state = playTurn(rule, evaluator, state, rollMoves(), type);
+    turns++;
+
+    var sign = (type === model.PieceType.WHITE) ? 1 : -1;
+    var won = Engine.hasWon(rule, state, type);
+    var inputs = NeuralEvaluator.encodeState(rule, state, type);
+    var activation = network.activate(inputs);
+    var value = won ? ((sign > 0) ? 1 : 0) : ((sign > 0) ? activation.output : 1 - activation.output);
+
+    if (previous) {
+      var delta = options.alpha * (value - previous.value);
+      for (i = 0; i < traces.length; i++) {
+        network.weights[i] += delta * traces[i];
+      }
+    }
+
+    if (won) {
+      break;
+    }
+
+    network.getGradient(inputs, activation, gradient);
+    for (i = 0; i < traces.length; i++) {
+      traces[i] = options.lambda * traces[i] + sign * gradient[i];
+    }
+
+    previous = { 'value': value };
+    type = Engine.getOpponentType(type);
+  }
+
+  return turns;
+}
+
+/**
+ * Play games between two evaluators, taking turns to start
+ * @param {Rule} rule - Rule
+ * @param {Object} first - Evaluator
+ * @param {Object} second - Evaluator
+ * @param {number} games - Number of games
+ * @returns {number} - Number of games won by first evaluator
+ */
+function playMatch(rule, first, second, games) {
+  var wins = 0;
+  for (var g = 0; g < games; g++) {
+    var state = createInitialState(rule);
+    var type = (g % 2 === 0) ? model.PieceType.WHITE : model.PieceType.BLACK;
+    while (true) {
+      var evaluator = (type === model.PieceType.WHITE) ? first : second;
+      state = playTurn(rule, evaluator, state, rollMoves(), type);
+      if (Engine.hasWon(rule, state, type)) {
+        if (type === model.PieceType.WHITE) {
+          wins++;
+        }
+        break;
+      }
+      type = Engine.getOpponentType(type);
+    }
+  }
+  return wins;
+}
+
+/**
+ * Save network to file
+ * @param {string} file - Path of file
+ * @param {NeuralNetwork} network - Network
+ * @param {string} ruleName - Name of rule
+ * @param {number} games - Number of games trained in total
+ */
+function save(file, network, ruleName, games) {
+  var data = network.toJSON();
+  data.ruleName = ruleName;
+  data.games = games;
+
+  var dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+function main() {
+  var options = parseArgs(process.argv.slice(2));
+  var rule = model.Utils.loadRule(options.ruleName);
+  var network;
+  var trained = 0;
+
+  if (fs.existsSync(options.out)) {
+    var data = JSON.parse(fs.readFileSync(options.out, 'utf8'));
+    network = NeuralNetwork.fromJSON(data);
+    trained = data.games || 0;
+    console.log('Continuing training of ' + options.out + ' (' + trained + ' games)');
+  }
+  else {
+    network = NeuralNetwork.createRandom(NeuralEvaluator.INPUT_COUNT, options.hidden);
+  }
+
+  var evaluator = new NeuralEvaluator(network);
+  var opponent = new heuristic.HeuristicEvaluator();
+  var turns = 0;
+  var start = Date.now();
+
+  for (var g = 1; g <= options.games; g++) {
+    turns += trainGame(rule, evaluator, options);
+
+    if ((g % options.evalEvery === 0) || (g === options.games)) {
+      var wins = playMatch(rule, evaluator, opponent, options.evalGames);
+      console.log(
+        'Games: ' + (trained + g) +
+        ', turns per game: ' + (turns / g).toFixed(1) +
+        ', wins against heuristic: ' + wins + '/' + options.evalGames +
+        ', time: ' + ((Date.now() - start) / 1000).toFixed(0) + 's'
+      );
+      save(options.out, network, options.ruleName, trained + g);
+    }
+  }
+
+  console.log('Weights saved to ' + options.out);
+}
+
+main();